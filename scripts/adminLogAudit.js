@@ -0,0 +1,159 @@
+/*************************************************************
+ * adminLogAudit.js
+ *
+ * Location: /scripts/adminLogAudit.js
+ *
+ * Purpose:
+ *  - Verify the hash-chained admin_logs (Prompt 1.3 Admin Logs &
+ *    Audit Trails) and the published anchors of its head.
+ *  - Anchor the current chain head on a schedule (signed
+ *    checkpoint file and/or Solana memo, see adminLogAnchor.js).
+ *  - Apply the retention policy: entries older than
+ *    admin_log_retention_days move to admin_log_archives.
+ *
+ * Usage:
+ *  node scripts/adminLogAudit.js verify    => exit code 1 on the first broken link
+ *  node scripts/adminLogAudit.js anchor    => anchor the head once
+ *  node scripts/adminLogAudit.js archive   => run the retention policy once
+ *  node scripts/adminLogAudit.js           => verify + anchor now, then hourly;
+ *                                             archive daily at 03:00 UTC
+ *************************************************************/
+
+const cron = require('node-cron');
+const notifications = require('../src/utils/notifications'); // admin alert on a broken chain
+const { verifyAdminLogChain } = require('../src/admin/adminLogs');
+const { anchorChainHead, verifyAnchors } = require('../src/admin/adminLogAnchor');
+const { archiveAdminLogs, verifyArchives } = require('../src/admin/adminLogArchive');
+
+/*************************************************************
+ * runAdminLogVerification()
+ * - walks the archived chain, then the live chain from the
+ *   archive head, then checks every anchor against it
+ *************************************************************/
+async function runAdminLogVerification() {
+  const archives = await verifyArchives();
+  const chain = await verifyAdminLogChain();
+  const anchors = await verifyAnchors();
+
+  if (archives.valid) {
+    console.log(`[adminLogAudit] Archives OK: ${archives.checked} archived entries`);
+  } else {
+    console.error(`[adminLogAudit] Archive BROKEN (batch ${archives.brokenAt.archiveId}, seq=${archives.brokenAt.seq}): ${archives.brokenAt.problem}`);
+  }
+  if (archives.valid && archives.head && chain.startSeq !== archives.head.seq + 1) {
+    archives.valid = false;
+    console.error(`[adminLogAudit] Live chain starts at seq=${chain.startSeq}, archives end at seq=${archives.head.seq}`);
+  }
+
+  if (chain.valid) {
+    console.log(`[adminLogAudit] Chain OK: ${chain.checked} entries, head seq=${chain.head ? chain.head.seq : 0}`);
+  } else {
+    console.error(`[adminLogAudit] Chain BROKEN at seq=${chain.brokenAt.seq} (id=${chain.brokenAt.id}): ${chain.brokenAt.problem}`);
+  }
+  if (anchors.valid) {
+    console.log(`[adminLogAudit] Anchors OK: ${anchors.checked} checked`);
+  } else {
+    for (const p of anchors.problems) {
+      console.error(`[adminLogAudit] Anchor problem (${p.method} ${p.reference || `line ${p.line}`}): ${p.problem}`);
+    }
+  }
+
+  const valid = archives.valid && chain.valid && anchors.valid;
+  if (!valid) {
+    notifications.sendAdminGlobalAlert(`
+🚨 *Admin audit log integrity check failed*
+${archives.valid ? '' : 'Archived entries do not verify\n'}${chain.valid ? '' : `First broken link: seq ${chain.brokenAt.seq} (${chain.brokenAt.problem})\n`}${anchors.problems.length} anchor problem(s)
+`);
+  }
+  return { valid, archives, chain, anchors };
+}
+
+/*************************************************************
+ * runAdminLogAnchoring()
+ *************************************************************/
+async function runAdminLogAnchoring() {
+  const results = await anchorChainHead();
+  for (const r of results) {
+    if (r.error) {
+      console.error(`[adminLogAudit] Anchoring via ${r.method} failed: ${r.error}`);
+    } else {
+      console.log(`[adminLogAudit] Anchored seq=${r.seq} via ${r.method} => ${r.reference}`);
+    }
+  }
+  return results;
+}
+
+/*************************************************************
+ * runAdminLogRetention()
+ *************************************************************/
+async function runAdminLogRetention() {
+  const result = await archiveAdminLogs();
+  console.log(`[adminLogAudit] Archived ${result.archived} entries in ${result.batches} batch(es)`);
+  return result;
+}
+
+/*************************************************************
+ * scheduleAdminLogAudit()
+ * - verify + anchor every hour, retention once a day
+ *************************************************************/
+function scheduleAdminLogAudit() {
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await runAdminLogVerification();
+      await runAdminLogAnchoring();
+    } catch (err) {
+      console.error('Error in admin log audit cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      await runAdminLogRetention();
+    } catch (err) {
+      console.error('Error in admin log retention cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * main() entry
+ *************************************************************/
+async function main() {
+  const command = process.argv[2];
+  if (command === 'verify') {
+    const { valid } = await runAdminLogVerification();
+    process.exit(valid ? 0 : 1);
+  }
+  if (command === 'archive') {
+    await runAdminLogRetention();
+    process.exit(0);
+  }
+  if (command === 'anchor') {
+    const results = await runAdminLogAnchoring();
+    process.exit(results.some((r) => r.error) ? 1 : 0);
+  }
+  console.log(`[adminLogAudit] Starting admin log audit...`);
+  await runAdminLogVerification();
+  await runAdminLogAnchoring();
+  scheduleAdminLogAudit();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('[adminLogAudit] Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runAdminLogVerification,
+  runAdminLogAnchoring,
+  runAdminLogRetention,
+  scheduleAdminLogAudit,
+  main
+};
@@ -11,102 +11,228 @@
  *       • Prompt 1.10 (Trade Safeguards & Circuit Breakers)
  *       • Prompt 8.5 (aggregator meltdown warnings)
  *  - Example triggers:
- *     • BTC or SOL price drop > X% in Y min
- *     • aggregator meltdownWarnings (excess error rates, repeated failures)
+ *     • a watchlist asset dropping > X% (static or N sigma) in 1m / 5m / 1h
+ *     • aggregator error rates, repeated trade failures, open global breakers
  *     • liquidity constraints, slippage thresholds
- *  - Integrates with risk_control or meltdownMode to enforce a pause
- *    in aggregator or block trades if meltdown triggered.
+ *  - Every check reports a condition to meltdownMode, which moves
+ *    the meltdown level (1 warn .. 4 halt) with hold / cooldown
+ *    times, so trading also comes back without a manual resume.
+ *  - Prices come from the multi-source price oracle
+ *    (src/oracle/priceOracle.js) and are stored every minute in
+ *    global_metrics; admins are alerted when a watched asset has
+ *    no usable price, so crash detection never stops silently.
+ *  - A crash pauses only the pairs of that token (token circuit
+ *    breaker) or raises the meltdown level, per flash_crash_watchlist
+ *    entry.
+ *  - scripts/riskScannerReplay.js runs the same checks over past
+ *    data to compare thresholds before changing them.
  * 
  *************************************************************/
 
 const cron = require('node-cron');
 const { query } = require('../src/database/database');  // adapt path to your DB
-// If you have meltdown toggles in risk_control:
-const riskControl = require('../src/risk/risk_control'); 
+// graduated meltdown levels, moved by the conditions found here
+const meltdownMode = require('../src/risk/meltdownMode');
 const notifications = require('../src/utils/notifications'); // for admin alerts
-// aggregatorMetrics for meltdownWarnings or error rates
-const { collectAggregatorMetrics } = require('../src/aggregator/aggregatorMetrics');
-const fetch = require('node-fetch');
+// aggregator KPIs for meltdownWarnings or error rates
+const { collectAggregatorMetrics } = require('../src/aggregator/aggregatorStats');
+// median of several price sources, with staleness flags
+const priceOracle = require('../src/oracle/priceOracle');
+// thresholds are admin-editable at runtime
+const settingsRegistry = require('../src/admin/settingsRegistry');
+// runtime state of admin-configured breakers
+const circuitBreakers = require('../src/risk/circuitBreakers');
+// watchlist, price series and crash windows
+const flashCrashWatch = require('../src/risk/flashCrashWatch');
 
 /*************************************************************
  * Configuration for meltdown / circuit-breaker triggers
+ * - read from settingsRegistry on every scan, so admin changes
+ *   apply without restarting the scanner
  *************************************************************/
-const RISK_SCANNER_CONFIG = {
-  priceDropThreshold: 0.10,   // 10% drop triggers meltdown
-  aggregatorErrorRate: 0.15,  // 15% aggregator error => meltdown
-  consecutiveFailThreshold: 5 // repeated trade fails in short window => meltdown
-};
+const RISK_SCANNER_SETTINGS = [
+  'risk_scanner_price_drop_threshold',
+  'risk_scanner_aggregator_error_rate',
+  'risk_scanner_consecutive_fail_threshold',
+  'risk_scanner_volatility_lookback_hours',
+  'risk_scanner_price_history_days'
+];
+
+// also used by riskScannerReplay.js with settings overridden per run
+function scannerConfigFromSettings(settings) {
+  return {
+    priceDropThreshold: settings.risk_scanner_price_drop_threshold,             // e.g. 10% drop in a static window
+    aggregatorErrorRate: settings.risk_scanner_aggregator_error_rate,           // e.g. 15% aggregator error => meltdown
+    consecutiveFailThreshold: settings.risk_scanner_consecutive_fail_threshold, // repeated trade fails in short window => meltdown
+    volatilityLookbackHours: settings.risk_scanner_volatility_lookback_hours,   // history behind sigma thresholds
+    priceHistoryDays: settings.risk_scanner_price_history_days                  // global_metrics price retention
+  };
+}
+
+async function getRiskScannerConfig() {
+  return scannerConfigFromSettings(await settingsRegistry.getSettings(RISK_SCANNER_SETTINGS));
+}
 
 /*************************************************************
- * checkMarketConditions()
- * - Prompt 1.9 logic: If big drop in key asset (e.g. BTC),
- *   or extreme volatility => meltdown
+ * Meltdown conditions
+ * - pure: the live scan and the replay turn the same
+ *   measurements into the same levels
  *************************************************************/
-async function checkMarketConditions() {
-  let meltdownTriggered = false;
-  try {
-    const oldRes = await query(`
-      SELECT value::float AS old_price
-      FROM global_metrics
-      WHERE metric='btc_price'
-      ORDER BY timestamp DESC
-      LIMIT 1
-    `);
-    if (!oldRes.rows || oldRes.rows.length === 0) {
-      console.error('No BTC price data found in global_metrics');
-      return meltdownTriggered;
-    }
-    const oldPrice = parseFloat(oldRes.rows[0]?.old_price || '0');
-    if (oldPrice <= 0) return meltdownTriggered;
 
-    const currentPrice = await fetchCurrentBTCprice();
-    if (!currentPrice) return meltdownTriggered;
+// level 2 above aggregatorErrorRate, level 3 above twice that
+function errorRateCondition(errorRate, config) {
+  let level = 0;
+  if (errorRate > config.aggregatorErrorRate * 2) level = 3;
+  else if (errorRate > config.aggregatorErrorRate) level = 2;
+  return { key: 'aggregator_error_rate', level, reason: `Aggregator error rate ${(errorRate * 100).toFixed(1)}%` };
+}
+
+function failedTradesCondition(failCount, config) {
+  return {
+    key: 'failed_trades',
+    level: failCount >= config.consecutiveFailThreshold ? 3 : 0,
+    reason: `${failCount} failed trades in 2 min`
+  };
+}
+
+// the entry's globalLevel, or 1 (warning) when only the token pauses
+function flashCrashCondition(watch, worst) {
+  return {
+    key: `flash_crash:${watch.symbol}`,
+    level: !worst ? 0 : watch.config.reaction === 'global' ? watch.config.globalLevel : 1,
+    reason: worst ? `Flash crash: ${describeCrash(watch.symbol, worst)}` : null
+  };
+}
 
-    const dropPct = (oldPrice - currentPrice) / oldPrice;
-    if (dropPct >= RISK_SCANNER_CONFIG.priceDropThreshold) {
-      meltdownTriggered = true;
+function describeCrash(symbol, result) {
+  return `${symbol} -${(result.dropPct * 100).toFixed(1)}% in ${result.minutes}m ` +
+    `(${result.mode} threshold ${(result.thresholdPct * 100).toFixed(1)}%)`;
+}
+
+/*************************************************************
+ * checkMarketConditions(config)
+ * - Prompt 1.9 logic: a crash in any watchlist asset
+ *   (flash_crash_watchlist, src/risk/flashCrashWatch.js)
+ * - stores every usable oracle price in global_metrics first,
+ *   so the 1m / 5m / 1h windows have a series to look at
+ * - each crashing asset gets its own reaction: a token breaker
+ *   (only pairs with that token) or a meltdown level
+ * - Returns meltdown conditions: flash_crash:<SYMBOL> (the
+ *   entry's globalLevel, or 1 for a token pause) and
+ *   oracle:<SYMBOL> (1 while the price is unusable)
+ *************************************************************/
+async function checkMarketConditions(config) {
+  const watchlist = await flashCrashWatch.getWatchlist();
+  if (!watchlist.length) return [];
+
+  const quotes = await priceOracle.getPrices(watchlist.map((w) => w.symbol));
+  await flashCrashWatch.recordPrices(quotes);
+
+  const nowMs = Date.now();
+  const conditions = [];
+  for (const watch of watchlist) {
+    const { symbol } = watch;
+    try {
+      const quote = quotes[priceOracle.resolveSymbol(symbol)];
+      await reportOracleStatus(symbol, quote);
+      const usable = Boolean(quote && quote.usable);
+      conditions.push({ key: `oracle:${symbol}`, level: usable ? 0 : 1, reason: `No usable ${symbol} price, crash detection paused` });
+      // stale / disputed prices neither trigger nor join the series
+      if (!usable) continue;
+
+      const longestMinutes = Math.max(...watch.config.windows.map((w) => w.minutes));
+      const since = nowMs - Math.max(longestMinutes * 60000, config.volatilityLookbackHours * 3600000) - 60000;
+      const samples = await flashCrashWatch.getPriceHistory(symbol, since);
+      const results = flashCrashWatch.evaluateWatch(watch, samples, { nowMs, defaultDropPct: config.priceDropThreshold });
+      const worst = flashCrashWatch.worstTriggered(results);
+      // the condition holds as long as the drop does, the reaction fires once per cooldown
+      conditions.push(flashCrashCondition(watch, worst));
+      if (!worst) continue;
+      if (await flashCrashWatch.isCoolingDown(symbol, watch.config.cooldownMinutes)) continue;
+      await flashCrashDetectedAction(watch, worst);
+    } catch (err) {
+      console.error(`Error in checkMarketConditions for ${symbol}:`, err);
     }
-  } catch (err) {
-    console.error('Error in checkMarketConditions:', err);
   }
-  return meltdownTriggered;
+  return conditions;
 }
 
-async function fetchCurrentBTCprice() {
-  try {
-    const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-    const data = await response.json();
-    return data.bitcoin.usd;
-  } catch (err) {
-    console.error('Error fetching BTC price:', err);
-    return null;
+/*************************************************************
+ * flashCrashDetectedAction(watch, result)
+ * - token => open the token breaker for watch.config.pauseMinutes
+ * - global => only recorded + alerted here, the level itself
+ *   changes through the flash_crash:<SYMBOL> condition
+ *************************************************************/
+async function flashCrashDetectedAction(watch, result) {
+  const { symbol, config } = watch;
+  const reason = describeCrash(symbol, result);
+
+  if (config.reaction === 'global') {
+    await flashCrashWatch.recordCrashEvent(symbol, result, 'global');
+    notifications.sendAdminGlobalAlert(`
+📉 *Flash crash: ${symbol}*
+${reason}
+
+Meltdown level ${config.globalLevel} requested for all trading.
+`);
+    return;
   }
+  const breakerId = await circuitBreakers.openScopedBreaker(
+    { scope: 'token', scopeKey: symbol }, symbol, `Flash crash: ${reason}`, { openMinutes: config.pauseMinutes });
+  await flashCrashWatch.recordCrashEvent(symbol, result, 'token', breakerId);
+  notifications.sendAdminGlobalAlert(`
+📉 *Flash crash: ${symbol}*
+${reason}
+
+Pairs with ${symbol} are paused for ${config.pauseMinutes} min (breaker #${breakerId}), other trading continues.
+`);
 }
 
 /*************************************************************
- * checkAggregatorMetricsForMeltdown()
- * - from Prompt 8.5 aggregator meltdown warnings / error rates
+ * reportOracleStatus(symbol, quote)
+ * - alerts admins when a watched price stops being usable and
+ *   again when it recovers (not on every scan)
  *************************************************************/
-async function checkAggregatorMetricsForMeltdown() {
-  const stats = await collectAggregatorMetrics();
-  // meltdown if aggregator error rate > aggregatorErrorRate
-  if (stats.trade_error_rate > RISK_SCANNER_CONFIG.aggregatorErrorRate) {
-    return true;
-  }
-  // meltdownWarnings from aggregator logic
-  if (stats.meltdownWarnings) {
-    return true;
+const lastOracleUsable = new Map();
+
+async function reportOracleStatus(symbol, quote) {
+  const usable = Boolean(quote && quote.usable);
+  if (usable === (lastOracleUsable.get(symbol) ?? true)) return;
+  lastOracleUsable.set(symbol, usable);
+  if (!usable) {
+    const sources = (quote ? quote.sources : []).map((s) => `${s.source}: ${s.status}`).join(', ') || 'no source answered';
+    notifications.sendAdminGlobalAlert(`
+⚠️ *Price oracle: ${symbol} price ${quote ? quote.status : 'unavailable'}*
+Crash detection for ${symbol} is paused until prices are usable again.
+Sources: ${sources}
+`);
+  } else {
+    notifications.sendAdminGlobalAlert(`✅ Price oracle recovered: ${symbol} ${quote.price} from ${quote.sourceCount} source(s).`);
   }
+}
+
+/*************************************************************
+ * checkAggregatorMetricsForMeltdown(config)
+ * - from Prompt 8.5 aggregator error rates
+ * - Returns the aggregator_error_rate condition: level 2 above
+ *   aggregatorErrorRate, level 3 above twice that
+ * - stats.meltdownWarnings is the meltdown level itself, so it
+ *   is not a condition (the level would hold itself up)
+ *************************************************************/
+async function checkAggregatorMetricsForMeltdown(config) {
+  const stats = await collectAggregatorMetrics();
   // e.g. if queue length extremely high => meltdown
   // if (stats.queueLength > 50) ...
-  return false;
+  return [errorRateCondition(stats ? stats.trade_error_rate : 0, config)];
 }
 
 /*************************************************************
- * circuitBreakerChecks()
- * - from Prompt 1.10, repeated fails => meltdown
+ * circuitBreakerChecks(config)
+ * - from Prompt 1.10, repeated fails => level 3
+ * - an open global-scope breaker => level 3; open token breakers
+ *   (flash crashes) => level 1, they only block their own pairs
  *************************************************************/
-async function circuitBreakerChecks() {
+async function circuitBreakerChecks(config) {
   // check # of failures in last 2 min
   const failRes = await query(`
     SELECT COUNT(*) AS fail_count
@@ -115,35 +241,32 @@ async function circuitBreakerChecks() {
       AND executed_at > NOW() - INTERVAL '2 minutes'
   `);
   const failCount = parseInt(failRes.rows[0]?.fail_count || '0', 10);
-  if (failCount >= RISK_SCANNER_CONFIG.consecutiveFailThreshold) {
-    return true;
-  }
+  const openGlobal = (await circuitBreakers.getOpenBreakers({ scope: 'global' })).filter((b) => b.state === 'open');
+  const openTokens = (await circuitBreakers.getOpenBreakers({ scope: 'token' })).filter((b) => b.state === 'open');
   // more checks: if slippage > X or aggregatorStats extremely negative
-  return false;
-}
-
-/*************************************************************
- * meltdownDetectedAction(reason)
- * - If meltdown triggered => pause aggregator trades,
- *   send admin alert
- *************************************************************/
-async function meltdownDetectedAction(reason) {
-  await riskControl.pauseGlobalTrading(`riskScanner meltdown => ${reason}`);
-  notifications.sendAdminGlobalAlert(`
-🚨 *Meltdown Detected*
-Reason: ${reason}
-
-Auto-freeze trading has been enabled.
-`);
+  return [
+    failedTradesCondition(failCount, config),
+    {
+      key: 'global_breaker',
+      level: openGlobal.length ? 3 : 0,
+      reason: `Global circuit breaker open: ${openGlobal.map((b) => b.last_reason).join('; ')}`
+    },
+    {
+      key: 'token_breakers',
+      level: openTokens.length ? 1 : 0,
+      reason: `Paused tokens: ${openTokens.map((b) => b.scope_key).join(', ')}`
+    }
+  ];
 }
 
 /*************************************************************
  * runRiskScanner()
  * - The main function that checks meltdown conditions:
- *   1) Market conditions (Prompt 1.9)
- *   2) aggregator meltdown / error rates (Prompt 8.5)
- *   3) circuit breaker repeated fails (Prompt 1.10)
- *   => meltdownDetectedAction if triggered
+ *   1) aggregator meltdown / error rates (Prompt 8.5)
+ *   2) circuit breaker repeated fails (Prompt 1.10)
+ *   => reported to meltdownMode, which moves the level
+ * - market conditions (Prompt 1.9) run every minute in
+ *   runPriceWatch(); old prices are pruned here
  *************************************************************/
 async function runRiskScanner() {
   const lockRes = await query(`
@@ -155,30 +278,61 @@ async function runRiskScanner() {
   }
 
   try {
-    let meltdownTriggered = false;
+    const config = await getRiskScannerConfig();
 
-    const marketMeltdown = await checkMarketConditions();
-    if (marketMeltdown) meltdownTriggered = true;
+    const conditions = [
+      ...await checkAggregatorMetricsForMeltdown(config),
+      ...await circuitBreakerChecks(config)
+    ];
+    await meltdownMode.reportConditions(conditions);
+    await meltdownMode.evaluate();
 
-    const aggregatorMeltdown = await checkAggregatorMetricsForMeltdown();
-    if (aggregatorMeltdown) meltdownTriggered = true;
+    await flashCrashWatch.prunePriceHistory(config.priceHistoryDays);
+  } finally {
+    await query(`SELECT pg_advisory_unlock(12345)`);
+  }
+}
 
-    const circuitTripped = await circuitBreakerChecks();
-    if (circuitTripped) meltdownTriggered = true;
+/*************************************************************
+ * runPriceWatch()
+ * - price ingest + flash-crash windows, every minute
+ *   (own lock, so a slow full scan does not delay it)
+ *************************************************************/
+async function runPriceWatch() {
+  const lockRes = await query(`
+    SELECT pg_try_advisory_lock(12346) AS got_lock
+  `);
+  if (!lockRes.rows[0].got_lock) {
+    console.log('Another instance of the price watch is already running.');
+    return;
+  }
 
-    if (meltdownTriggered) {
-      await meltdownDetectedAction('Flash Crash / aggregator meltdown / circuit breaker');
-    }
+  try {
+    const config = await getRiskScannerConfig();
+    await meltdownMode.reportConditions(await checkMarketConditions(config));
+    await meltdownMode.evaluate();
   } finally {
-    await query(`SELECT pg_advisory_unlock(12345)`);
+    await query(`SELECT pg_advisory_unlock(12346)`);
   }
 }
 
 /*************************************************************
  * scheduleRiskScanner()
- * - sets up a cron job that runs runRiskScanner() every X min
+ * - cron jobs: runPriceWatch() every minute (the 1m window needs
+ *   a price per minute), runRiskScanner() every 5 min
  *************************************************************/
 function scheduleRiskScanner() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runPriceWatch();
+    } catch (err) {
+      console.error('Error in price watch cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
   // e.g. run every 5 min
   cron.schedule('*/5 * * * *', async () => {
     try {
@@ -198,6 +352,7 @@ function scheduleRiskScanner() {
  *************************************************************/
 async function main() {
   console.log(`[riskScanner] Starting risk scanner...`);
+  await runPriceWatch();
   await runRiskScanner();
   scheduleRiskScanner();
 }
@@ -208,7 +363,13 @@ if (require.main === module) {
 
 // Export if needed for external use
 module.exports = {
+  RISK_SCANNER_SETTINGS,
+  scannerConfigFromSettings,
+  errorRateCondition,
+  failedTradesCondition,
+  flashCrashCondition,
+  describeCrash,
   runRiskScanner,
-  scheduleRiskScanner,
-  meltdownDetectedAction
+  runPriceWatch,
+  scheduleRiskScanner
 };
\ No newline at end of file
@@ -2,10 +2,16 @@
  * subscriptionBilling.js
  * 
  * Description:
- *  - A cron-scheduled script that checks users whose premium
- *    subscription is expiring or expired, attempts to renew
+ *  - A cron-scheduled script that checks users whose paid
+ *    plan is expiring or expired, attempts to renew
  *    by deducting from their vault, and handles success/fail.
  *  - Integrates logic from Prompts 13.0 → 13.5.
+ *  - Plans, prices (USD, paid in SOL or USDC), credit and the
+ *    charge itself live in src/vault/subscription.js.
+ *  - A plan is only downgraded once it has lapsed, and never for
+ *    oracle / RPC trouble: the next cycle simply tries again.
+ *  - Payments left pending by a failed confirmation are settled
+ *    every few minutes (subscription.reconcilePendingPayments).
  * 
  * Usage:
  *  - Place in /scripts/subscriptionBilling.js
@@ -15,9 +21,8 @@
  *************************************************************/
 
 const cron = require('node-cron');
-const web3 = require('@solana/web3.js'); // Added missing import
 const { query } = require('../src/database/database'); // or adapt path
-const { attemptVaultSubscription } = require('./vaultSubscriptionLogic'); 
+const subscription = require('../src/vault/subscription');
 const notifications = require('../src/utils/notifications'); 
 
 // Validate environment variables
@@ -29,148 +34,99 @@ if (!platformWallet) {
 // Optionally define or import from your user service:
 async function getAllUsersExpiringSoon() {
   const res = await query(`
-    SELECT id, premium_expires_at 
+    SELECT id, plan_id, premium_expires_at 
     FROM users
-    WHERE premium_expires_at < NOW() + INTERVAL '24 hours'
-      OR premium_expires_at < NOW()
-  `);
+    WHERE plan_id <> $1
+      AND premium_expires_at < NOW() + INTERVAL '24 hours'
+  `, [subscription.FREE_PLAN_ID]);
   return res.rows;
 }
 
 /*************************************************************
  * The main function that runs in a scheduled manner.
  * Steps:
- *  1) Gather users who are nearing or past expiry
- *  2) For each user, try attemptVaultSubscription
- *  3) If fail -> downgrade user to free + notify
+ *  1) Settle payments still pending from earlier charges
+ *  2) Gather users who are nearing or past expiry
+ *  3) For each user, try subscription.renewSubscription
+ *     (credit first, then the vault in the user's currency)
+ *  4) If it fails for good -> downgrade a lapsed user to free,
+ *     warn one whose plan is still running
  *************************************************************/
 async function runBillingCycle() {
+  await runPaymentReconciliation();
   const users = await getAllUsersExpiringSoon();
   
   for (const user of users) {
     const userId = user.id;
 
-    const result = await attemptVaultSubscription(userId);
+    const result = await subscription.renewSubscription(userId);
 
-    if (!result.success) {
-      await downgradeUserToFree(userId, result.error);
-    } else {
-      notifications.sendCustomNotification(
-        userId,
-        `👑 *Premium Renewed*\n\nWe deducted ${result.amountSOL} SOL from your vault. You are premium until next cycle.\nTx: https://solscan.io/tx/${result.txSignature}`
-      );
+    if (result.skipped) {
+      // a plan change is being charged right now, or just was
+      continue;
+    }
+    if (result.success) {
+      notifications.sendCustomNotification(userId, renewedMessage(result.payment));
+    } else if (result.retryable) {
+      console.error(`[subscriptionBilling] Renewal for user ${userId} will be retried:`, result.error);
+    } else if (!(await downgradeUserToFree(userId, result.error))) {
+      notifications.sendCustomNotification(userId, renewalFailedMessage(user, result.error));
     }
   }
 }
 
 /*************************************************************
- * attemptVaultSubscription(userId)
- * - Handles subscription renewal logic
+ * runPaymentReconciliation()
+ * - a landed renewal is announced like any other; a plan change
+ *   or renewal that did not land is reported to the user
  *************************************************************/
-async function attemptVaultSubscription(userId) {
-  try {
-    const userRes = await query(`
-      SELECT id, premium_expires_at
-      FROM users
-      WHERE id = $1
-    `, [userId]);
-    if (userRes.rows.length === 0) {
-      return { success: false, error: 'User not found' };
-    }
-
-    const { success, error, userKeypair, vaultPubkey } = await loadVaultKeypair(userId);
-    if (!success) {
-      return { success: false, error };
-    }
-
-    const connection = new web3.Connection(web3.clusterApiUrl('mainnet-beta'), 'confirmed');
-    const vaultBalanceLamports = await connection.getBalance(vaultPubkey);
-
-    const monthlyFeeLamports = Math.floor((process.env.MONTHLY_FEE_SOL || 0.1) * 1e9);
-    if (vaultBalanceLamports < monthlyFeeLamports + 50_000) {
-      return { success: false, error: 'Insufficient vault balance' };
+async function runPaymentReconciliation() {
+  const settled = await subscription.reconcilePendingPayments();
+  for (const { userId, status, payment } of settled) {
+    if (status === 'confirmed') {
+      notifications.sendCustomNotification(userId, renewedMessage(payment));
+    } else {
+      notifications.sendCustomNotification(userId,
+        `❌ *Payment Failed*\n\nYour payment ${payment.txSignature} did not go through; nothing was charged and your plan is unchanged.`);
     }
-
-    const tx = new web3.Transaction().add(
-      web3.SystemProgram.transfer({
-        fromPubkey: vaultPubkey,
-        toPubkey: new web3.PublicKey(platformWallet),
-        lamports: monthlyFeeLamports
-      })
-    );
-    tx.feePayer = vaultPubkey;
-    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    tx.sign(userKeypair);
-    const txSignature = await connection.sendRawTransaction(tx.serialize(), {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed'
-    });
-    await connection.confirmTransaction(txSignature, 'confirmed');
-
-    await query(`
-      UPDATE users
-      SET premium_expires_at = GREATEST(premium_expires_at, NOW()) + INTERVAL '30 days'
-      WHERE id = $1
-    `, [userId]);
-
-    await query(`
-      INSERT INTO vault_transactions
-        (user_id, type, amount, token, tx_signature, success)
-      VALUES ($1, 'subscription', $2, 'SOL', $3, true)
-    `, [userId, 0.1, txSignature]);
-
-    return {
-      success: true,
-      txSignature,
-      amountSOL: 0.1
-    };
-
-  } catch (err) {
-    await query(`
-      INSERT INTO vault_transactions
-        (user_id, type, amount, token, success, error_reason)
-      VALUES ($1, 'subscription', 0.1, 'SOL', false, $2)
-    `, [userId, err.message]);
-
-    return { success: false, error: err.message };
   }
 }
 
-/*************************************************************
- * loadVaultKeypair(userId)
- *************************************************************/
-async function loadVaultKeypair(userId) {
-  try {
-    const vaultRes = await query(`
-      SELECT vault_priv_key
-      FROM user_vaults
-      WHERE user_id=$1
-    `, [userId]);
-    if (vaultRes.rows.length === 0) {
-      return { success: false, error: 'No vault found' };
-    }
-    const encryptedBase64 = vaultRes.rows[0].vault_priv_key;
-    const userKeypair = web3.Keypair.fromSecretKey(Buffer.from(encryptedBase64, 'base64'));
-    return {
-      success: true,
-      userKeypair,
-      vaultPubkey: userKeypair.publicKey
-    };
-  } catch (err) {
-    return { success: false, error: err.message };
+function renewalFailedMessage(user, failReason) {
+  const until = new Date(user.premium_expires_at).toISOString().slice(0, 10);
+  return `⚠️ *Renewal Failed*\n\nWe could not renew your subscription. Reason: ${failReason}\n` +
+    `Your plan stays active until ${until}; top up your vault before then to keep it.`;
+}
+
+function renewedMessage(payment) {
+  const until = new Date(payment.expiresAt).toISOString().slice(0, 10);
+  let msg = payment.kind === 'renewal' ? `👑 *Plan Renewed*\n\n` : `👑 *Plan Changed*\n\n`;
+  if (payment.txSignature) {
+    msg += `We deducted ${payment.amountToken} ${payment.currency} ($${payment.chargeUsd.toFixed(2)}) from your vault`;
+    if (payment.creditUsedUsd > 0) msg += ` after $${payment.creditUsedUsd.toFixed(2)} of credit`;
+    msg += `.\nTx: https://solscan.io/tx/${payment.txSignature}\n`;
+  } else {
+    msg += `Paid with $${payment.creditUsedUsd.toFixed(2)} of your subscription credit.\n`;
   }
+  return msg + `You keep your plan until ${until}.`;
 }
 
 /*************************************************************
  * downgradeUserToFree(userId, reason)
+ * - only once the paid period has ended; Returns false (and
+ *   changes nothing) while it is still running
  *************************************************************/
 async function downgradeUserToFree(userId, failReason = '') {
-  await query(`
+  const res = await query(`
     UPDATE users
     SET premium_expires_at = NULL,
-        user_type='free'
-    WHERE id=$1
-  `, [userId]);
+        user_type='free',
+        plan_id=$2,
+        plan_interval=NULL
+    WHERE id=$1 AND premium_expires_at < NOW()
+    RETURNING id
+  `, [userId, subscription.FREE_PLAN_ID]);
+  if (res.rows.length === 0) return false;
 
   await query(`
     INSERT INTO vault_transactions
@@ -181,8 +137,9 @@ async function downgradeUserToFree(userId, failReason = '') {
   notifications.sendCustomNotification(
     userId,
     `❌ *Premium Expired*\n\nWe could not renew your subscription. Reason: ${failReason}\n` +
-    `You have been downgraded to Free tier. Top up your vault and run /renew to try again.`
+    `You have been downgraded to the Free plan. Top up your vault and choose a plan again with /plans.`
   );
+  return true;
 }
 
 /*************************************************************
@@ -199,6 +156,16 @@ function scheduleBilling() {
     scheduled: true,
     timezone: "UTC"
   });
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await runPaymentReconciliation();
+    } catch (err) {
+      console.error('Error reconciling subscription payments:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
 }
 
 /*************************************************************
@@ -216,6 +183,7 @@ if (require.main === module) {
 
 module.exports = {
   runBillingCycle,
+  runPaymentReconciliation,
   scheduleBilling,
   main
 };
\ No newline at end of file
@@ -26,60 +26,119 @@ const { query } = require('../database/database');
 const notifications = require('../utils/notifications');
 // riskControl for meltdown toggles or globalPause
 const riskControl = require('../risk/risk_control');
+// graduated meltdown levels 0-4
+const meltdownMode = require('../risk/meltdownMode');
 // if you have aggregator stats for live feed
-const { getRecentTradesFeed, collectAggregatorMetrics } = require('../aggregator/aggregatorMetrics');
-// if you have a role-based system
-// const { isSuperAdmin, isTraderManager, isRiskManager } = require('./adminRoles') 
-// or custom approach
-const cron = require('node-cron');
+const { getRecentTradesFeed, collectAggregatorMetrics } = require('../aggregator/aggregatorStats');
+// segmented broadcast delivery queue
+const broadcast = require('./broadcast');
+// per-admin report schedules & templates
+const reportScheduler = require('./reportScheduler');
+// evaluator for admin_triggers rules
+const autoTriggers = require('./autoTriggers');
+// capability-based permission matrix => enforced on every export below
+const adminRoles = require('./adminRoles');
+// web app login: sessions, TOTP, scoped API keys
+const adminAuth = require('./adminAuth');
+// four-eyes approval for high-impact actions
+const adminApprovals = require('./adminApprovals');
+// typed + versioned global_settings
+const settingsRegistry = require('./settingsRegistry');
+// closed / open / half-open runtime for circuit_breakers
+const circuitBreakers = require('../risk/circuitBreakers');
+// flash-crash watchlist read by scripts/riskScanner.js
+const flashCrashWatch = require('../risk/flashCrashWatch');
+const priceOracle = require('../oracle/priceOracle');
+// follower fallback when a trader goes away
+const followerMigration = require('../portfolio/followerMigration');
+// hash-chained audit trail + anchoring of its head
+const adminLogs = require('./adminLogs');
+const adminLogAnchor = require('./adminLogAnchor');
+const adminLogArchive = require('./adminLogArchive');
+// compliance cases hold user blocks and the note thread
+const complianceTools = require('./complianceTools');
+const complianceCases = require('./complianceCases');
+// rule-based scans of deposits, withdrawals and trades
+const transactionMonitoring = require('./transactionMonitoring');
+// counterparty screening + held withdrawals
+const walletScreening = require('../vault/walletScreening');
+const withdrawFlow = require('../vault/withdrawFlow');
+// locked vaults / stuck trades
+const vaultConflictResolver = require('../vault/vaultConflictResolver');
+// single-trade execution timeline
+const tradeInspector = require('./tradeInspector');
+// followers / AUM / retention per trader
+const traderAnalytics = require('../portfolio/traderAnalytics');
+// per-region feature gating
+const regionPolicy = require('./regionPolicy');
+// personal data export / erasure requests
+const dataSubjectRequests = require('./dataSubjectRequests');
 
 /*************************************************************
  * Admin logs => from Prompt 1.3
  * We log each admin action into admin_logs
+ * - hash-chained by adminLogs.js, payload holds structured fields
  *************************************************************/
-async function logAdminAction(adminId, action, details = '') {
-  try {
-    await query(`
-      INSERT INTO admin_logs (admin_user, action, details, created_at)
-      VALUES ($1, $2, $3, NOW())
-    `, [adminId, action, details]);
-  } catch (err) {
-    console.error('Error logging admin action:', err);
-  }
+async function logAdminAction(adminId, action, details = '', payload = {}, meta = {}) {
+  return adminLogs.logAdminAction(adminId, action, details, payload, meta);
 }
 
-async function fetchAdminLogs(limit=10) {
-  const res = await query(`
-    SELECT id, admin_user, action, details, created_at
-    FROM admin_logs
-    ORDER BY id DESC
-    LIMIT $1
-  `, [limit]);
-  return res.rows;
+async function fetchAdminLogs(adminId, limit=10) {
+  return adminLogs.fetchAdminLogs(limit);
+}
+
+/*************************************************************
+ * searchAdminLogs(adminId, filters, { limit, cursor })
+ * - filters: action, adminUser, since, until, targetType,
+ *   targetId, origin, text
+ *************************************************************/
+async function searchAdminLogs(adminId, filters = {}, options = {}) {
+  return adminLogs.searchAdminLogs(filters, options);
+}
+
+/*************************************************************
+ * exportAdminLogs(adminId, filters, format, stream)
+ * - streams CSV / JSONL into `stream`, returns the row count
+ *************************************************************/
+async function exportAdminLogs(adminId, filters, format, stream) {
+  await logAdminAction(adminId, 'exportAdminLogs', `format=${format}`, { filters });
+  return adminLogs.streamAdminLogs(filters, format, stream);
+}
+
+async function archiveAdminLogs(adminId, olderThanDays = null) {
+  const result = await adminLogArchive.archiveAdminLogs({ adminId, olderThanDays });
+  await logAdminAction(adminId, 'archiveAdminLogs', `batches=${result.batches}, archived=${result.archived}`, result);
+  return result;
+}
+
+/*************************************************************
+ * verifyAdminLogChain(adminId)
+ * - { valid, checked, head, brokenAt, archives, anchors }
+ *************************************************************/
+async function verifyAdminLogChain(adminId) {
+  const archives = await adminLogArchive.verifyArchives();
+  const chain = await adminLogs.verifyAdminLogChain();
+  const anchors = await adminLogAnchor.verifyAnchors();
+  return { ...chain, valid: archives.valid && chain.valid && anchors.valid, archives, anchors };
 }
 
 /*************************************************************
  * Role-Based Admin Permissions => from Prompt 1.4
+ * - roles map to capabilities, see adminRoles.js
  *************************************************************/
 async function getAdminRole(userId) {
-  const res = await query(`
-    SELECT role FROM admin_roles
-    WHERE user_id=$1
-  `, [userId]);
-  if(res.rows.length===0) return 'none';
-  return res.rows[0].role; // 'superadmin', 'riskmanager', 'tradermanager'
+  return adminRoles.getAdminRole(userId);
 }
 
-async function setAdminRole(adminId, targetUserId, newRole) {
-  const adminRole = await getAdminRole(adminId);
-  if (adminRole !== 'superadmin') {
-    throw new Error('Only superadmins can set admin roles.');
-  }
-  const allowedRoles = ['superadmin', 'riskmanager', 'tradermanager'];
+async function executeSetAdminRole(adminId, targetUserId, newRole) {
+  const allowedRoles = await adminRoles.listAssignableRoles();
   if (!allowedRoles.includes(newRole)) {
     throw new Error(`Invalid role: ${newRole}`);
   }
-  await logAdminAction(adminId, 'setAdminRole', `target=${targetUserId}, role=${newRole}`);
+  const previousRole = await adminRoles.getAdminRole(targetUserId);
+  await logAdminAction(adminId, 'setAdminRole', `target=${targetUserId}, role=${newRole}`, {}, {
+    targetType: 'admin', targetId: targetUserId, before: { role: previousRole }, after: { role: newRole }
+  });
   await query(`
     INSERT INTO admin_roles (user_id, role)
     VALUES ($1, $2)
@@ -88,55 +147,152 @@ async function setAdminRole(adminId, targetUserId, newRole) {
   `, [targetUserId, newRole]);
 }
 
+// dual control => a second admin must approve role changes
+const setAdminRole = adminApprovals.withDualControl('setAdminRole', executeSetAdminRole, {
+  argCount: 2
+});
+
+// custom role => named set of capabilities, e.g. 'compliance_officer'
+async function defineAdminRole(adminId, role, capabilities, description = '') {
+  await adminRoles.upsertCustomRole(adminId, role, capabilities, description);
+  await logAdminAction(adminId, 'defineAdminRole', `role=${role}, capabilities=${capabilities.join(',')}`);
+}
+
+// "what can admin X do?" => own permissions, or anyone's with admin.roles.manage
+async function getAdminPermissions(adminId, targetAdminId = adminId) {
+  if (String(targetAdminId) !== String(adminId)) {
+    await adminRoles.assertCapability(adminId, 'admin.roles.manage');
+  }
+  return adminRoles.getAdminCapabilities(targetAdminId);
+}
+
+/*************************************************************
+ * Admin Sessions & API Keys
+ * - login itself is in adminAuth.js (public routes, there is no
+ *   admin identity yet); these manage what a login leaves behind
+ *************************************************************/
+async function listAdminSessions(adminId, targetAdminId = adminId, options = {}) {
+  if (String(targetAdminId) !== String(adminId)) {
+    await adminRoles.assertCapability(adminId, 'admin.sessions.manage');
+  }
+  return adminAuth.listSessions({ ...options, userId: targetAdminId });
+}
+
+// own sessions (e.g. logout), others' with admin.sessions.manage
+async function revokeAdminSession(adminId, sessionId, reason = '') {
+  const session = await adminAuth.getSession(sessionId);
+  if (String(session.user_id) !== String(adminId)) {
+    await adminRoles.assertCapability(adminId, 'admin.sessions.manage');
+  }
+  await adminAuth.revokeSession(sessionId, { revokedBy: adminId, reason });
+  await logAdminAction(adminId, 'revokeAdminSession', `sessionId=${sessionId}, admin=${session.user_id}, reason=${reason}`, {
+    sessionId, userId: session.user_id, reason
+  }, {
+    targetType: 'admin_session', targetId: sessionId
+  });
+}
+
+// e.g. a lost phone or a suspected compromise
+async function revokeAllAdminSessions(adminId, targetAdminId, reason) {
+  const revoked = await adminAuth.revokeUserSessions(targetAdminId, { revokedBy: adminId, reason });
+  await logAdminAction(adminId, 'revokeAllAdminSessions', `admin=${targetAdminId}, revoked=${revoked}, reason=${reason}`, {
+    userId: targetAdminId, revoked, reason
+  }, {
+    targetType: 'admin', targetId: targetAdminId
+  });
+  return revoked;
+}
+
+async function createAdminApiKey(adminId, name, routes, expiresInDays) {
+  const key = await adminAuth.createApiKey(adminId, { name, routes, expiresInDays });
+  await logAdminAction(adminId, 'createAdminApiKey', `keyId=${key.id}, name=${key.name}, routes=${key.routes.length}`, {
+    keyId: key.id, keyPrefix: key.keyPrefix, name: key.name, routes: key.routes, expiresAt: key.expiresAt
+  }, {
+    targetType: 'admin_api_key', targetId: key.id
+  });
+  return key;
+}
+
+async function listAdminApiKeys(adminId, filters = {}) {
+  return adminAuth.listApiKeys(filters);
+}
+
+async function revokeAdminApiKey(adminId, keyId) {
+  const key = await adminAuth.revokeApiKey(keyId, { revokedBy: adminId });
+  await logAdminAction(adminId, 'revokeAdminApiKey', `keyId=${keyId}, name=${key.name}`, {
+    keyId, keyPrefix: key.key_prefix, owner: key.user_id
+  }, {
+    targetType: 'admin_api_key', targetId: keyId
+  });
+  return key;
+}
+
 /*************************************************************
  * Broadcast Alerts => from Prompt 1.5
  * e.g. /send_alert all "Message"
  *************************************************************/
 async function broadcastAlert(adminId, targetGroup, message) {
-  await logAdminAction(adminId, 'broadcastAlert', `group=${targetGroup}, msg=${message}`);
-  // logic to fetch user ids by group => all, premium, admin
-  // notifications.sendCustomNotification to each user
+  // audience => all, premium, free, admins, trader:<id>, risk:<rating>
+  const result = await broadcast.createBroadcast(adminId, targetGroup, message);
+  await logAdminAction(adminId, 'broadcastAlert',
+    `broadcastId=${result.broadcastId}, group=${result.audience}, recipients=${result.recipientCount}, msg=${message}`);
+  // kick the worker right away instead of waiting for the next tick
+  broadcast.processBroadcastQueue();
+  return result;
 }
 
+async function cancelBroadcast(adminId, broadcastId) {
+  const result = await broadcast.cancelBroadcast(adminId, broadcastId);
+  await logAdminAction(adminId, 'cancelBroadcast',
+    `broadcastId=${broadcastId}, cancelled=${result.cancelledDeliveries}`);
+  return result;
+}
+
+async function getBroadcastReport(adminId, broadcastId) {
+  return broadcast.getBroadcastReport(broadcastId);
+}
+
+broadcast.scheduleBroadcastWorker();
+
 /*************************************************************
  * Scheduled System Reports => from Prompt 1.6
  * - Admin can define daily or weekly system summary
  *************************************************************/
-async function generateSystemReport() {
+async function generateSystemReport(adminId, sections = ['aggregator']) {
   // e.g. aggregator metrics, # new users, # trades, risk alerts
-  const stats = await collectAggregatorMetrics();
-  // build a summary
-  const summary = `
-System Report:
-TPS: ${stats.aggregator_tps}
-ErrorRate: ${(stats.trade_error_rate*100).toFixed(1)}%
-Avg Latency: ${stats.avgLatencyMs} ms
-QueueLength: ${stats.queueLength}
-  `;
+  const { summary } = await reportScheduler.buildReport(sections);
   return summary;
 }
 
-async function scheduleSystemReport(adminId, frequency='daily') {
-  // store in admin_report_schedules table => logic in a cron job
-  await logAdminAction(adminId, 'scheduleSystemReport', `freq=${frequency}`);
-  // ...
+/*************************************************************
+ * scheduleSystemReport(adminId, frequency, options)
+ * - frequency: 'daily' | 'weekly' | 'custom'
+ * - options: { hour, minute, dayOfWeek, cron, timezone, template }
+ *   template => 'ops' | 'business' | 'full' or a list of sections
+ *************************************************************/
+async function scheduleSystemReport(adminId, frequency = 'daily', options = {}) {
+  const schedule = await reportScheduler.createReportSchedule(adminId, frequency, options);
+  await logAdminAction(adminId, 'scheduleSystemReport',
+    `scheduleId=${schedule.id}, freq=${frequency}, cron=${schedule.cron_expression}, tz=${schedule.timezone}`);
+  return schedule;
 }
 
-cron.schedule('0 0 * * *', async () => {
-  const reports = await query(`
-    SELECT * FROM admin_report_schedules
-    WHERE next_run <= NOW()
-  `);
-  for (const report of reports.rows) {
-    const summary = await generateSystemReport();
-    notifications.sendAdminNotification(report.admin_id, summary);
-    await query(`
-      UPDATE admin_report_schedules
-      SET next_run = NOW() + INTERVAL '1 day'
-      WHERE id = $1
-    `, [report.id]);
-  }
-});
+async function listSystemReportSchedules(adminId) {
+  return reportScheduler.listReportSchedules(adminId);
+}
+
+async function pauseSystemReport(adminId, scheduleId, paused = true) {
+  const result = await reportScheduler.setReportSchedulePaused(adminId, scheduleId, paused);
+  await logAdminAction(adminId, paused ? 'pauseSystemReport' : 'resumeSystemReport', `scheduleId=${scheduleId}`);
+  return result;
+}
+
+async function deleteSystemReport(adminId, scheduleId) {
+  await reportScheduler.deleteReportSchedule(adminId, scheduleId);
+  await logAdminAction(adminId, 'deleteSystemReport', `scheduleId=${scheduleId}`);
+}
+
+reportScheduler.scheduleReportRunner();
 
 /*************************************************************
  * Auto-Triggers & Auto-Responses => from Prompt 1.7
@@ -144,42 +300,99 @@ cron.schedule('0 0 * * *', async () => {
  * admin can define triggers => stored in admin_triggers
  *************************************************************/
 async function defineAutoTrigger(adminId, triggerConfig) {
-  // e.g. store JSON in admin_triggers table
-  await logAdminAction(adminId, 'defineAutoTrigger', JSON.stringify(triggerConfig));
-  await query(`
-    INSERT INTO admin_triggers (trigger_type, trigger_config, created_by)
-    VALUES ($1, $2, $3)
-  `, [triggerConfig.type, JSON.stringify(triggerConfig), adminId]);
+  // validated here, evaluated by autoTriggers.js on a schedule / on events
+  const config = autoTriggers.normalizeTriggerConfig(triggerConfig);
+  // the action later runs as adminId, so they must be allowed to run it
+  const actionCapability = autoTriggers.ACTION_CAPABILITY[config.action.type];
+  if (actionCapability) {
+    await adminRoles.assertCapability(adminId, actionCapability);
+  }
+  await logAdminAction(adminId, 'defineAutoTrigger', JSON.stringify(config));
+  const res = await query(`
+    INSERT INTO admin_triggers (trigger_type, trigger_config, created_by, enabled, dry_run, cooldown_minutes, created_at)
+    VALUES ($1, $2, $3, true, $4, $5, NOW())
+    RETURNING id
+  `, [config.type, JSON.stringify(config), adminId, config.dryRun, config.cooldownMinutes]);
+  return res.rows[0].id;
+}
+
+async function setAutoTriggerState(adminId, triggerId, { enabled, dryRun } = {}) {
+  const result = await autoTriggers.updateAutoTrigger(triggerId, { enabled, dryRun });
+  await logAdminAction(adminId, 'setAutoTriggerState',
+    `triggerId=${triggerId}, enabled=${result.enabled}, dryRun=${result.dry_run}`);
+  return result;
 }
 
+// report only => which rules would fire right now, nothing is executed
+async function dryRunAutoTriggers(adminId) {
+  return autoTriggers.evaluateAutoTriggers({ dryRun: true });
+}
+
+async function getAutoTriggerHistory(adminId, triggerId, limit = 50) {
+  return autoTriggers.getTriggerFiringHistory(triggerId, limit);
+}
+
+async function listAutoTriggers(adminId) {
+  return autoTriggers.listAutoTriggers();
+}
+
+autoTriggers.scheduleTriggerEvaluator();
+
 /*************************************************************
  * System-Wide Risk & Hedging => from Prompt 1.8
  * e.g. admin can set global risk thresholds => aggregator
+ * - keys, types and ranges are declared in settingsRegistry.js,
+ *   every change is a new version with author + reason
  *************************************************************/
-async function setGlobalRiskSetting(adminId, key, value) {
-  await query('BEGIN');
-  try {
-    await logAdminAction(adminId, 'setGlobalRisk', `key=${key}, value=${value}`);
-    await query(`
-      INSERT INTO global_settings (setting_key, setting_value)
-      VALUES ($1, $2)
-      ON CONFLICT (setting_key)
-      DO UPDATE SET setting_value=$2
-    `, [key, value]);
-    await query('COMMIT');
-  } catch (err) {
-    await query('ROLLBACK');
-    throw err;
-  }
+async function executeSetGlobalRiskSetting(adminId, key, value, reason) {
+  const change = await settingsRegistry.setSetting(adminId, key, value, reason);
+  await logAdminAction(adminId, 'setGlobalRisk',
+    `key=${key}, value=${value}, previous=${change.previousValue}, version=${change.version}, reason=${reason}`,
+    { version: change.version, reason }, {
+      targetType: 'setting', targetId: key, before: { value: change.previousValue }, after: { value: change.value }
+    });
+  return change;
+}
+
+const setGlobalRiskSetting = adminApprovals.withDualControl('setGlobalRiskSetting', executeSetGlobalRiskSetting, {
+  argCount: 3,
+  defaultReason: ([, , reason]) => reason
+});
+
+// restore one key (or all) to how it was at `version`
+async function executeRollbackGlobalSettings(adminId, version, reason, key = null) {
+  const changes = await settingsRegistry.rollbackToVersion(adminId, version, reason, key);
+  await logAdminAction(adminId, 'rollbackGlobalSettings',
+    `toVersion=${version}, key=${key || 'all'}, changed=${changes.map((c) => c.key).join(',')}, reason=${reason}`);
+  return changes;
+}
+
+const rollbackGlobalSettings = adminApprovals.withDualControl('rollbackGlobalSettings', executeRollbackGlobalSettings, {
+  argCount: 3,
+  defaultReason: ([, reason]) => reason
+});
+
+async function listGlobalSettings(adminId) {
+  return settingsRegistry.listSettings();
+}
+
+async function getGlobalSettingHistory(adminId, key = null, limit = 50) {
+  return settingsRegistry.getSettingHistory(key, limit);
+}
+
+async function diffGlobalSettings(adminId, fromVersion, toVersion = null) {
+  return settingsRegistry.diffVersions(fromVersion, toVersion);
 }
 
 /*************************************************************
  * Market Event Auto-Pause => from Prompt 1.9
  * e.g. admin can forcibly pause trading on meltdown
+ * - forceMarketPause(adminId, reason, { emergency: true }) skips the
+ *   second signer, the pause is then reviewed after the fact
  *************************************************************/
-async function forceMarketPause(adminId, reason = 'Manual Admin Pause') {
+async function executeForceMarketPause(adminId, reason = 'Manual Admin Pause') {
   await logAdminAction(adminId, 'forceMarketPause', reason);
-  await riskControl.pauseGlobalTrading(reason);
+  await riskControl.pauseGlobalTrading(reason, { adminId });
   const superadmins = await query(`
     SELECT user_id FROM admin_roles WHERE role='superadmin'
   `);
@@ -188,17 +401,130 @@ async function forceMarketPause(adminId, reason = 'Manual Admin Pause') {
   }
 }
 
+const forceMarketPause = adminApprovals.withDualControl('forceMarketPause', executeForceMarketPause, {
+  argCount: 1,
+  emergencyAllowed: true,
+  defaultReason: ([reason]) => reason
+});
+
+async function executeResumeTrading(adminId) {
+  await logAdminAction(adminId, 'resumeTrading', 'Manual Admin Resume');
+  await riskControl.resumeGlobalTrading({ adminId });
+  notifications.sendAdminGlobalAlert(`Market trading resumed by admin ${adminId}`);
+}
+
+const resumeTrading = adminApprovals.withDualControl('resumeTrading', executeResumeTrading, {
+  argCount: 0
+});
+
+/*************************************************************
+ * Meltdown levels => meltdownMode.js
+ * - setMeltdownLevel only raises the level (it becomes the floor
+ *   automatic de-escalation stops at); lowering goes through
+ *   resumeTrading and its second signer
+ * - level 4 halts all trading, so like forceMarketPause it needs
+ *   a second signer (or runs as a reviewed emergency action)
+ *************************************************************/
+async function executeSetMeltdownLevel(adminId, level, reason) {
+  const before = await meltdownMode.getState({ maxCacheMs: 0 });
+  if (Number(level) <= before.level) {
+    throw new Error(`Meltdown level is already ${before.level}. Use resumeTrading to lower it.`);
+  }
+  const after = await meltdownMode.setLevel(level, reason, { adminId });
+  await logAdminAction(adminId, 'setMeltdownLevel', `level=${after.level}, reason=${reason}`, { level: after.level, reason }, {
+    targetType: 'meltdown_level', targetId: 'global',
+    before: { level: before.level, floorLevel: before.floorLevel },
+    after: { level: after.level, floorLevel: after.floorLevel }
+  });
+  return after;
+}
+
+const setMeltdownLevel = adminApprovals.withDualControl('setMeltdownLevel', executeSetMeltdownLevel, {
+  argCount: 2,
+  isHighImpact: ([level]) => Number(level) >= 4,
+  emergencyAllowed: true,
+  defaultReason: ([, reason]) => reason
+});
+
+async function getMeltdownStatus(adminId, { limit = 20 } = {}) {
+  const [state, conditions, history] = await Promise.all([
+    meltdownMode.getState({ maxCacheMs: 0 }),
+    meltdownMode.getActiveConditions(),
+    meltdownMode.getLevelHistory(limit)
+  ]);
+  return { ...state, conditions, history };
+}
+
 /*************************************************************
  * Safeguards & Circuit Breakers => from Prompt 1.10
  * admin sets thresholds => aggregator or meltdown watchers
+ * - config is validated by circuitBreakers.normalizeBreakerConfig,
+ *   the aggregator checks every trade against the stored breakers
  *************************************************************/
 async function setCircuitBreaker(adminId, config) {
-  // e.g. store circuit_breaker config
-  await logAdminAction(adminId, 'setCircuitBreaker', JSON.stringify(config));
-  await query(`
+  const normalized = circuitBreakers.normalizeBreakerConfig(config);
+  await logAdminAction(adminId, 'setCircuitBreaker', JSON.stringify(normalized));
+  const res = await query(`
     INSERT INTO circuit_breakers (config, created_at, created_by)
     VALUES ($1, NOW(), $2)
-  `, [JSON.stringify(config), adminId]);
+    RETURNING id
+  `, [JSON.stringify(normalized), adminId]);
+  circuitBreakers.invalidateBreakerCache();
+  return res.rows[0].id;
+}
+
+async function setCircuitBreakerEnabled(adminId, breakerId, enabled) {
+  await logAdminAction(adminId, 'setCircuitBreakerEnabled', `breakerId=${breakerId}, enabled=${enabled}`);
+  await query(`
+    UPDATE circuit_breakers
+    SET enabled=$2
+    WHERE id=$1
+  `, [breakerId, Boolean(enabled)]);
+  circuitBreakers.invalidateBreakerCache();
+}
+
+async function listCircuitBreakers(adminId) {
+  return circuitBreakers.getBreakerStates();
+}
+
+async function resetCircuitBreaker(adminId, breakerId, scopeKey = 'global') {
+  await logAdminAction(adminId, 'resetCircuitBreaker', `breakerId=${breakerId}, scope=${scopeKey}`);
+  await circuitBreakers.resetBreaker(breakerId, scopeKey);
+}
+
+/*************************************************************
+ * Flash-Crash Watchlist => from Prompt 1.9
+ * - assets, windows and thresholds the risk scanner checks every
+ *   minute, and whether a crash pauses the token or all trading
+ *   (flashCrashWatch.js)
+ *************************************************************/
+async function setFlashCrashWatch(adminId, symbol, config, enabled = true) {
+  const result = await flashCrashWatch.setWatch(adminId, symbol, config, enabled);
+  await logAdminAction(adminId, 'setFlashCrashWatch', `symbol=${result.symbol}, enabled=${Boolean(enabled)}`, { symbol: result.symbol, config: result.after.config }, {
+    targetType: 'flash_crash_watch', targetId: result.symbol,
+    before: result.before, after: result.after
+  });
+  return result;
+}
+
+async function removeFlashCrashWatch(adminId, symbol) {
+  const removed = await flashCrashWatch.removeWatch(symbol);
+  if (!removed) {
+    throw new Error(`${priceOracle.resolveSymbol(symbol)} is not on the flash-crash watchlist.`);
+  }
+  await logAdminAction(adminId, 'removeFlashCrashWatch', `symbol=${removed.symbol}`, { symbol: removed.symbol }, {
+    targetType: 'flash_crash_watch', targetId: removed.symbol,
+    before: { config: removed.config, enabled: removed.enabled }, after: null
+  });
+  return removed;
+}
+
+async function listFlashCrashWatchlist(adminId) {
+  return flashCrashWatch.getWatchlist({ includeDisabled: true });
+}
+
+async function listFlashCrashEvents(adminId, { symbol = null, limit = 50 } = {}) {
+  return flashCrashWatch.getCrashEvents({ symbol, limit });
 }
 
 /*************************************************************
@@ -209,18 +535,27 @@ async function setCircuitBreaker(adminId, config) {
 /*************************************************************
  * Trader Deactivation / Reactivation => from Prompt 2.2
  *************************************************************/
-async function deactivateTrader(adminId, traderId) {
-  await logAdminAction(adminId, 'deactivateTrader', `traderId=${traderId}`);
+async function deactivateTrader(adminId, traderId, reason = 'Trader deactivated') {
+  const trader = await query(`SELECT id FROM traders WHERE id=$1`, [traderId]);
+  if (!trader.rows.length) {
+    throw new Error(`Trader ${traderId} not found.`);
+  }
+  await logAdminAction(adminId, 'deactivateTrader', `traderId=${traderId}`, { reason }, {
+    targetType: 'trader', targetId: traderId, before: { is_active: true }, after: { is_active: false }
+  });
   await query(`
     UPDATE traders
     SET is_active=false
     WHERE id=$1
   `, [traderId]);
-  // maybe force auto-switch for all users following that trader
+  // every follower gets their configured fallback, in the background
+  return followerMigration.startFollowerMigration(traderId, { initiatedBy: adminId, reason });
 }
 
 async function reactivateTrader(adminId, traderId) {
-  await logAdminAction(adminId, 'reactivateTrader', `traderId=${traderId}`);
+  await logAdminAction(adminId, 'reactivateTrader', `traderId=${traderId}`, {}, {
+    targetType: 'trader', targetId: traderId, before: { is_active: false }, after: { is_active: true }
+  });
   await query(`
     UPDATE traders
     SET is_active=true
@@ -228,12 +563,58 @@ async function reactivateTrader(adminId, traderId) {
   `, [traderId]);
 }
 
+/*************************************************************
+ * previewFollowerMigration(adminId, traderId, toTrader)
+ * - what deactivateTrader / forceSwitchTrader would do to the
+ *   followers, nothing is written
+ *************************************************************/
+async function previewFollowerMigration(adminId, traderId, toTrader = null) {
+  return followerMigration.previewFollowerMigration(traderId, { forceTargetTraderId: toTrader });
+}
+
+async function getFollowerMigration(adminId, migrationId) {
+  return followerMigration.getMigrationProgress(migrationId);
+}
+
+// migrations interrupted by a restart carry on where they stopped
+followerMigration.resumeStalledMigrations().catch((err) => {
+  console.error('Error resuming follower migrations:', err);
+});
+
+/*************************************************************
+ * forceSwitchTrader(adminId, fromTrader, toTrader)
+ * - moves all active followers of fromTrader to toTrader,
+ *   through the same batched migration as deactivateTrader
+ *************************************************************/
+async function executeForceSwitchTrader(adminId, fromTrader, toTrader) {
+  await logAdminAction(adminId, 'forceSwitchTrader', `from=${fromTrader}, to=${toTrader}`);
+  const target = await query(`
+    SELECT id FROM traders WHERE id=$1 AND is_active=true
+  `, [toTrader]);
+  if (!target.rows.length) {
+    throw new Error(`Target trader ${toTrader} is not active.`);
+  }
+  return followerMigration.startFollowerMigration(fromTrader, {
+    initiatedBy: adminId,
+    reason: `force switch to trader ${toTrader}`,
+    forceTargetTraderId: toTrader
+  });
+}
+
+const forceSwitchTrader = adminApprovals.withDualControl('forceSwitchTrader', executeForceSwitchTrader, {
+  argCount: 2
+});
+
 /*************************************************************
  * Risk Rating => from Prompt 7.9
  * Admin can set user risk
  *************************************************************/
 async function setUserRiskRating(adminId, userId, rating) {
-  await logAdminAction(adminId, 'setUserRisk', `userId=${userId}, rating=${rating}`);
+  const before = await query(`SELECT risk_rating FROM users WHERE id=$1`, [userId]);
+  await logAdminAction(adminId, 'setUserRisk', `userId=${userId}, rating=${rating}`, { userId, rating }, {
+    targetType: 'user', targetId: userId,
+    before: { risk_rating: before.rows[0]?.risk_rating ?? null }, after: { risk_rating: rating }
+  });
   await query(`
     UPDATE users
     SET risk_rating=$1
@@ -244,14 +625,396 @@ async function setUserRiskRating(adminId, userId, rating) {
 /*************************************************************
  * Compliance Override => from Prompt 7.10
  * block / restrict user
+ * - the block is held by an escalated compliance case, notes go
+ *   into that case's thread (complianceCases.js)
  *************************************************************/
 async function complianceOverride(adminId, userId, blocked=true, notes='') {
-  await logAdminAction(adminId, (blocked ? 'blockUser' : 'unblockUser'), `userId=${userId}, ${notes}`);
-  await query(`
-    UPDATE users
-    SET compliance_blocked=$1, compliance_notes=$2
-    WHERE id=$3
-  `, [blocked, notes, userId]);
+  if (blocked) {
+    return complianceTools.blockUserCompliance(adminId, userId, notes || undefined);
+  }
+  return complianceTools.unblockUserCompliance(adminId, userId, notes || null);
+}
+
+/*************************************************************
+ * Compliance Cases
+ * - anything that blocks or unblocks users also needs
+ *   'compliance.block': escalating, closing or de-escalating a
+ *   case, and linking users to an escalated case
+ *************************************************************/
+async function openComplianceCase(adminId, options = {}) {
+  if (options.status === 'escalated') {
+    await adminRoles.assertCapability(adminId, 'compliance.block');
+  }
+  const caseId = await complianceCases.openCase(adminId, options);
+  await logAdminAction(adminId, 'openComplianceCase', `caseId=${caseId}, title=${options.title}`, {
+    caseId, severity: options.severity, status: options.status || 'open'
+  }, {
+    targetType: 'compliance_case', targetId: caseId,
+    after: { status: options.status || 'open', userIds: options.userIds || [], wallets: options.wallets || [] }
+  });
+  return caseId;
+}
+
+async function listComplianceCases(adminId, filters = {}, options = {}) {
+  return complianceCases.listCases(filters, options);
+}
+
+async function getComplianceCase(adminId, caseId) {
+  return complianceCases.getCase(caseId);
+}
+
+async function updateComplianceCaseStatus(adminId, caseId, status, { note = null, resolution = null } = {}) {
+  const from = await complianceCases.getCaseStatus(caseId);
+  if (complianceCases.changesBlocks(from, status)) {
+    await adminRoles.assertCapability(adminId, 'compliance.block');
+  }
+  const result = await complianceCases.transitionCase(adminId, caseId, status, { note, resolution });
+  await logAdminAction(adminId, 'updateComplianceCaseStatus', `caseId=${caseId}, ${result.from} => ${status}`, {
+    caseId, status, resolution, blocked: result.blocked, unblocked: result.unblocked
+  }, {
+    targetType: 'compliance_case', targetId: caseId,
+    before: { status: result.from }, after: { status, resolution }
+  });
+  return result;
+}
+
+async function addComplianceCaseNote(adminId, caseId, body) {
+  const note = await complianceCases.addNote(caseId, adminId, body);
+  await logAdminAction(adminId, 'addComplianceCaseNote', `caseId=${caseId}`, { caseId, noteId: note.id }, {
+    targetType: 'compliance_case', targetId: caseId
+  });
+  return note;
+}
+
+async function linkComplianceCase(adminId, caseId, links = {}) {
+  if ((links.userIds || []).length && await complianceCases.getCaseStatus(caseId) === 'escalated') {
+    await adminRoles.assertCapability(adminId, 'compliance.block');
+  }
+  await complianceCases.linkToCase(caseId, links);
+  await logAdminAction(adminId, 'linkComplianceCase', `caseId=${caseId}`, { caseId, ...links }, {
+    targetType: 'compliance_case', targetId: caseId,
+    after: links
+  });
+}
+
+async function attachComplianceEvidence(adminId, caseId, evidence) {
+  const result = await complianceCases.addEvidence(caseId, adminId, evidence);
+  await logAdminAction(adminId, 'attachComplianceEvidence', `caseId=${caseId}, kind=${evidence.kind}`, {
+    caseId, evidenceId: result.evidenceId, kind: evidence.kind, reference: evidence.reference, sha256: result.sha256
+  }, {
+    targetType: 'compliance_case', targetId: caseId
+  });
+  return result;
+}
+
+async function assignComplianceCase(adminId, caseId, { ownerId, severity } = {}) {
+  const before = {};
+  const after = {};
+  if (ownerId !== undefined) {
+    before.owner = (await complianceCases.assignCase(caseId, ownerId)).previousOwner;
+    after.owner = ownerId;
+  }
+  if (severity !== undefined) {
+    before.severity = (await complianceCases.setCaseSeverity(caseId, severity)).previousSeverity;
+    after.severity = severity;
+  }
+  await logAdminAction(adminId, 'assignComplianceCase', `caseId=${caseId}`, { caseId, ...after }, {
+    targetType: 'compliance_case', targetId: caseId, before, after
+  });
+  return after;
+}
+
+// Telegram: /cases [status], /case <id>, /casenote <id> <text>,
+//           /casestatus <id> <status> [cleared|confirmed] [note]
+function parseCaseCommand(ctx, usage) {
+  const [, id, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  const caseId = parseInt(id, 10);
+  if (!Number.isInteger(caseId)) {
+    throw new Error(`Usage: ${usage}`);
+  }
+  return { caseId, rest };
+}
+
+async function commandCases(ctx) {
+  try {
+    const [, status] = (ctx.message?.text || '').trim().split(/\s+/);
+    const { rows } = await complianceCases.listCases(status ? { status } : {}, { limit: 20 });
+    if (rows.length === 0) return ctx.reply('No compliance cases.');
+    let msg = `Compliance cases:\n`;
+    rows.forEach((c) => {
+      msg += `#${c.id} | ${c.status} | ${c.severity} | owner ${c.owner_admin_id || '-'} | ${c.user_count} user(s) | ${c.title}\n`;
+    });
+    return ctx.reply(msg);
+  } catch (err) {
+    return ctx.reply(`Could not list cases: ${err.message}`);
+  }
+}
+
+async function commandCase(ctx) {
+  try {
+    const { caseId } = parseCaseCommand(ctx, '/case <caseId>');
+    const c = await complianceCases.getCase(caseId);
+    let msg = `Case #${c.id}: ${c.title}\n`;
+    msg += `Status: ${c.status}${c.resolution ? ` (${c.resolution})` : ''} | Severity: ${c.severity} | Owner: ${c.owner_admin_id || '-'}\n`;
+    msg += `Users: ${c.users.map((u) => `${u.user_id}${u.blocked_by_case ? ' (blocked)' : ''}`).join(', ') || '-'}\n`;
+    msg += `Wallets: ${c.wallets.map((w) => w.address).join(', ') || '-'}\n`;
+    msg += `Trades: ${c.trades.map((t) => t.trade_id).join(', ') || '-'}\n`;
+    msg += `Evidence: ${c.evidence.length}\n`;
+    c.notes.slice(-10).forEach((n) => {
+      msg += `${new Date(n.created_at).toISOString()} | ${n.author_admin_id || 'system'} | ${n.body}\n`;
+    });
+    return ctx.reply(msg);
+  } catch (err) {
+    return ctx.reply(`Could not load case: ${err.message}`);
+  }
+}
+
+async function commandCaseNote(ctx) {
+  try {
+    const { caseId, rest } = parseCaseCommand(ctx, '/casenote <caseId> <text>');
+    await addComplianceCaseNote(ctx.from.id, caseId, rest.join(' '));
+    return ctx.reply(`Note added to case #${caseId}.`);
+  } catch (err) {
+    return ctx.reply(`Could not add note: ${err.message}`);
+  }
+}
+
+async function commandCaseStatus(ctx) {
+  try {
+    const { caseId, rest } = parseCaseCommand(ctx, '/casestatus <caseId> <status> [cleared|confirmed] [note]');
+    const [status, ...more] = rest;
+    const resolution = complianceCases.RESOLUTIONS.includes(more[0]) ? more.shift() : null;
+    const result = await updateComplianceCaseStatus(ctx.from.id, caseId, status, { resolution, note: more.join(' ') || null });
+    let msg = `Case #${caseId}: ${result.from} => ${result.to}`;
+    if (result.blocked.length) msg += `\nBlocked users: ${result.blocked.join(', ')}`;
+    if (result.unblocked.length) msg += `\nUnblocked users: ${result.unblocked.join(', ')}`;
+    return ctx.reply(msg);
+  } catch (err) {
+    return ctx.reply(`Could not update case: ${err.message}`);
+  }
+}
+
+/*************************************************************
+ * Transaction Monitoring
+ * - rules scan vault_transactions / trade_executions, alerts feed
+ *   risk ratings and compliance cases (transactionMonitoring.js)
+ *************************************************************/
+async function defineMonitoringRule(adminId, name, ruleConfig) {
+  const rule = await transactionMonitoring.createRule(adminId, name, ruleConfig);
+  await logAdminAction(adminId, 'defineMonitoringRule', `ruleId=${rule.id}, name=${name}`, rule.config, {
+    targetType: 'monitoring_rule', targetId: rule.id, after: rule.config
+  });
+  return rule.id;
+}
+
+async function updateMonitoringRule(adminId, ruleId, { enabled, ruleConfig } = {}) {
+  const result = await transactionMonitoring.updateRule(ruleId, { enabled, ruleConfig });
+  await logAdminAction(adminId, 'updateMonitoringRule', `ruleId=${ruleId}, enabled=${result.enabled}`, { ruleId, enabled, ruleConfig }, {
+    targetType: 'monitoring_rule', targetId: ruleId,
+    before: { enabled: result.wasEnabled, config: result.before },
+    after: { enabled: result.enabled, config: result.config }
+  });
+  return result;
+}
+
+async function listMonitoringRules(adminId) {
+  return transactionMonitoring.listRules();
+}
+
+async function listMonitoringAlerts(adminId, filters = {}, options = {}) {
+  return transactionMonitoring.listAlerts(filters, options);
+}
+
+// applying a suggested rating is a rating change => compliance.rating as well
+async function resolveMonitoringAlert(adminId, alertId, { decision, note = null } = {}) {
+  if (decision === 'apply') {
+    await adminRoles.assertCapability(adminId, 'compliance.rating');
+  }
+  const result = await transactionMonitoring.resolveAlert(adminId, alertId, { decision, note });
+  await logAdminAction(adminId, 'resolveMonitoringAlert', `alertId=${alertId}, decision=${decision}`, { alertId, decision, note, ...result }, {
+    targetType: 'monitoring_alert', targetId: alertId,
+    before: { status: 'open' }, after: { status: result.status, appliedRating: result.appliedRating }
+  });
+  return result;
+}
+
+// rules: stored rule ids and/or unsaved configs, nothing is applied
+async function backtestMonitoringRules(adminId, rules, { from, to } = {}) {
+  const result = await transactionMonitoring.backtestRules(rules, { from, to, runBy: adminId });
+  await logAdminAction(adminId, 'backtestMonitoringRules', `backtestId=${result.backtestId}, from=${from}, to=${to}`, {
+    backtestId: result.backtestId, rules: result.rules.map((r) => ({ ruleId: r.ruleId, hits: r.hits, precision: r.precision }))
+  });
+  return result;
+}
+
+transactionMonitoring.scheduleMonitoringScan();
+
+/*************************************************************
+ * Wallet Screening
+ * - sanctions / denylist screening of deposit sources and
+ *   withdrawal destinations (walletScreening.js, withdrawFlow.js)
+ *************************************************************/
+async function getScreeningStatus(adminId) {
+  return walletScreening.getScreeningStatus();
+}
+
+async function listScreeningDecisions(adminId, filters = {}, options = {}) {
+  return walletScreening.listDecisions(filters, options);
+}
+
+// the exact list content a decision was checked against
+async function getScreeningListVersion(adminId, version) {
+  return walletScreening.getListVersion(version);
+}
+
+async function screenWalletAddress(adminId, address) {
+  const result = await walletScreening.screenAddress(address, { direction: 'manual', screenedBy: adminId });
+  await logAdminAction(adminId, 'screenWalletAddress', `address=${address}, decision=${result.decision}`, {
+    address, decisionId: result.decisionId, listVersion: result.listVersion
+  });
+  return result;
+}
+
+async function listHeldWithdrawals(adminId) {
+  return withdrawFlow.listHeldWithdrawals();
+}
+
+async function reviewHeldWithdrawal(adminId, requestId, decision, note = null) {
+  const result = await withdrawFlow.reviewHeldWithdrawal(adminId, requestId, decision, note);
+  await logAdminAction(adminId, 'reviewHeldWithdrawal', `requestId=${requestId}, decision=${decision}`, { requestId, decision, note, result }, {
+    targetType: 'withdrawal', targetId: requestId,
+    before: { status: 'held' }, after: { status: result.status }
+  });
+  return result;
+}
+
+// withdrawals whose transfer was sent but not confirmed
+withdrawFlow.scheduleWithdrawalReconciliation();
+
+/*************************************************************
+ * Vault Conflicts => from Prompt 9.2
+ * - locked vaults, stuck and failed trades
+ *   (vaultConflictResolver.js)
+ *************************************************************/
+async function getLockedVaults(adminId) {
+  return vaultConflictResolver.getLockedVaults();
+}
+
+async function forceUnlockVault(adminId, userId, reason = null) {
+  const result = await vaultConflictResolver.forceUnlockVault(userId);
+  await logAdminAction(adminId, 'forceUnlockVault', `userId=${userId}, holder=${result.previous.lockHolder}`, { userId, reason, ...result }, {
+    targetType: 'vault', targetId: userId,
+    before: result.previous, after: { locked: false }
+  });
+  return result;
+}
+
+// a repeated call returns the already queued retry (duplicate=true)
+async function retryLastTrade(adminId, userId) {
+  const result = await vaultConflictResolver.retryLastTrade(adminId, userId);
+  await logAdminAction(adminId, 'retryLastTrade', `userId=${userId}, tradeId=${result.tradeId}, retryId=${result.retryId}, duplicate=${result.duplicate}`, { userId, ...result }, {
+    targetType: 'vault', targetId: userId
+  });
+  return result;
+}
+
+vaultConflictResolver.scheduleTradeRetries();
+
+/*************************************************************
+ * Region Policies
+ * - which features each region may use (regionPolicy.js); a
+ *   change re-evaluates the region's users in the background
+ *************************************************************/
+async function setRegionPolicy(adminId, region, changes, reason) {
+  const result = await regionPolicy.setPolicy(adminId, region, changes, reason);
+  await logAdminAction(adminId, 'setRegionPolicy', `region=${result.region}, version=${result.version}`, { region: result.region, changes, reason }, {
+    targetType: 'region_policy', targetId: result.region,
+    before: result.before, after: result.after
+  });
+
+  regionPolicy.reevaluateRegion(result.region, { adminId }).catch((err) => {
+    console.error(`Error re-evaluating region ${result.region}:`, err);
+    notifications.sendAdminGlobalAlert(`⚠️ Re-evaluating users of region ${result.region} failed: ${err.message}`);
+  });
+  return result;
+}
+
+async function listRegionPolicies(adminId) {
+  return regionPolicy.listPolicies();
+}
+
+async function getRegionPolicyHistory(adminId, region, limit = 50) {
+  return regionPolicy.getPolicyHistory(region, limit);
+}
+
+// manual re-run, e.g. after a failed background re-evaluation
+async function reevaluateRegionPolicy(adminId, region) {
+  const result = await regionPolicy.reevaluateRegion(region, { adminId });
+  await logAdminAction(adminId, 'reevaluateRegionPolicy', `region=${region}, total=${result.total}, changed=${result.changed}`, { region, ...result });
+  return result;
+}
+
+// declared region as confirmed by support / KYC
+async function setUserRegion(adminId, userId, region, reason) {
+  const before = await regionPolicy.getEffectivePolicy(userId);
+  const result = await regionPolicy.setDeclaredRegion(userId, region);
+  const after = await regionPolicy.getEffectivePolicy(userId);
+  await logAdminAction(adminId, 'setUserRegion', `userId=${userId}, region=${region}`, { userId, region, reason, lost: result.lost, gained: result.gained }, {
+    targetType: 'user', targetId: userId,
+    before: { regions: before.regions, features: before.features },
+    after: { regions: after.regions, features: after.features }
+  });
+  return { ...result, regions: after.regions, features: after.features };
+}
+
+/*************************************************************
+ * Data Subject Requests
+ * - export / erasure of a user's personal data
+ *   (dataSubjectRequests.js); approval runs the request
+ *************************************************************/
+async function createDataSubjectRequest(adminId, userId, type, reason = null) {
+  const requestId = await dataSubjectRequests.createRequest({ userId, type, requestedBy: adminId, source: 'admin', reason });
+  await logAdminAction(adminId, 'createDataSubjectRequest', `requestId=${requestId}, userId=${userId}, type=${type}`, { requestId, userId, type, reason }, {
+    targetType: 'user', targetId: userId
+  });
+  return requestId;
+}
+
+async function listDataSubjectRequests(adminId, filters = {}, options = {}) {
+  return dataSubjectRequests.listRequests(filters, options);
+}
+
+async function getDataSubjectRequest(adminId, requestId) {
+  return dataSubjectRequests.getRequest(requestId);
+}
+
+async function approveDataSubjectRequest(adminId, requestId) {
+  const request = await dataSubjectRequests.getRequest(requestId);
+  const result = await dataSubjectRequests.approveRequest(adminId, requestId);
+  await logAdminAction(adminId, 'approveDataSubjectRequest', `requestId=${requestId}, type=${result.type}, status=${result.status}`, {
+    requestId, userId: request.user_id, ...result
+  }, {
+    targetType: 'user', targetId: request.user_id,
+    before: { status: 'pending_approval' }, after: { status: result.status }
+  });
+  return result;
+}
+
+async function rejectDataSubjectRequest(adminId, requestId, reason) {
+  const request = await dataSubjectRequests.getRequest(requestId);
+  const result = await dataSubjectRequests.rejectRequest(adminId, requestId, reason);
+  await logAdminAction(adminId, 'rejectDataSubjectRequest', `requestId=${requestId}, type=${result.type}`, { requestId, userId: request.user_id, reason }, {
+    targetType: 'user', targetId: request.user_id,
+    before: { status: 'pending_approval' }, after: { status: 'rejected' }
+  });
+  return result;
+}
+
+// every download of personal data is on record
+async function getDataSubjectExportFile(adminId, requestId, fileName) {
+  const file = await dataSubjectRequests.getExportFile(requestId, fileName);
+  await logAdminAction(adminId, 'downloadDataSubjectExport', `requestId=${requestId}, file=${fileName}`, { requestId, fileName, sha256: file.sha256 });
+  return file;
 }
 
 /*************************************************************
@@ -259,7 +1022,7 @@ async function complianceOverride(adminId, userId, blocked=true, notes='') {
  * If you keep a Telegram-based approach, you might have commands
  * but let's assume you store data for the web app.
  *************************************************************/
-async function getAdminLiveMetrics() {
+async function getAdminLiveMetrics(adminId) {
   // aggregator stats + meltdown checks + queue length
   const stats = await collectAggregatorMetrics();
   const recentTrades = await getRecentTradesFeed(20);
@@ -269,6 +1032,22 @@ async function getAdminLiveMetrics() {
   };
 }
 
+// e.g. when a user complains about a fill
+async function inspectTrade(adminId, tradeId) {
+  return tradeInspector.inspectTrade(tradeId);
+}
+
+/*************************************************************
+ * Strategy Analytics => from Prompt 9.4
+ * - filters: { from, to, traderId }; cached in traderAnalytics.js,
+ *   AUM precomputed by the daily snapshot
+ *************************************************************/
+async function getStrategyAnalytics(adminId, filters = {}) {
+  return traderAnalytics.getTraderFollowStats(filters);
+}
+
+traderAnalytics.scheduleFollowSnapshots();
+
 /*************************************************************
  * Live feed partial commands => from Prompt 9.1
  * If you want inline commands in Telegram to show the feed
@@ -291,61 +1070,255 @@ const MESSAGES = {
   PREMIUM_GRANTED: (days) => `You have been granted Premium for ${days} days by an Admin. Enjoy your perks!`,
 };
 
-async function grantPremium(adminId, targetUserId, days=30) {
-  await logAdminAction(adminId, 'grant_premium', `userId=${targetUserId}, days=${days}`);
-  // set user to premium, extend expiration
-  await query(`
+async function executeGrantPremium(adminId, targetUserId, days=30) {
+  const before = await query(`
+    SELECT user_type, plan_id, premium_expires_at FROM users WHERE id=$1
+  `, [targetUserId]);
+  // set user to premium, extend expiration; a paid plan is kept,
+  // free users get the Premium plan (renewed by subscriptionBilling.js)
+  const after = await query(`
     UPDATE users
     SET user_type='premium',
+        plan_id = CASE WHEN COALESCE(plan_id, 'free') = 'free' THEN 'premium' ELSE plan_id END,
+        plan_interval = COALESCE(plan_interval, 'monthly'),
         premium_expires_at = GREATEST(premium_expires_at, NOW()) + ($1 || ' days')::interval
     WHERE id=$2
+    RETURNING user_type, plan_id, premium_expires_at
   `, [days, targetUserId]);
+  await logAdminAction(adminId, 'grant_premium', `userId=${targetUserId}, days=${days}`, { userId: targetUserId, days }, {
+    targetType: 'user', targetId: targetUserId, before: before.rows[0] || null, after: after.rows[0] || null
+  });
 
   // notify user
   notifications.sendUserNotification(targetUserId, MESSAGES.PREMIUM_GRANTED(days));
 }
 
+// only large grants (> dual_control_premium_days) need a second admin
+const grantPremium = adminApprovals.withDualControl('grantPremium', executeGrantPremium, {
+  argCount: 2,
+  isHighImpact: ([, days = 30], config) => Number(days) > config.premiumDaysThreshold
+});
+
+/*************************************************************
+ * Four-Eyes Approvals
+ * - approve / reject pending requests, review emergency actions
+ *************************************************************/
+async function listApprovalRequests(adminId) {
+  return adminApprovals.listOpenRequests();
+}
+
+async function approveAdminRequest(adminId, requestId, note = '') {
+  return adminApprovals.approveRequest(adminId, requestId, note);
+}
+
+async function rejectAdminRequest(adminId, requestId, note) {
+  return adminApprovals.rejectRequest(adminId, requestId, note);
+}
+
+async function reviewEmergencyAction(adminId, requestId, note) {
+  return adminApprovals.reviewEmergencyAction(adminId, requestId, note);
+}
+
+// Telegram: /approvals, /approve <id> [note], /reject <id> <reason>, /review <id> <notes>
+function parseApprovalCommand(ctx) {
+  const [, id, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  const requestId = parseInt(id, 10);
+  if (!Number.isInteger(requestId)) {
+    throw new Error('Usage: /approve <requestId> [note]');
+  }
+  return { requestId, note: rest.join(' ') };
+}
+
+async function commandApprovals(ctx) {
+  const open = await adminApprovals.listOpenRequests();
+  if (open.length === 0) return ctx.reply('No pending approvals.');
+  let msg = `Pending approvals:\n`;
+  open.forEach((r) => {
+    const state = r.status === 'pending' ? `expires ${new Date(r.expires_at).toISOString()}` : 'emergency, needs review';
+    msg += `#${r.id} | ${r.action} | by ${r.requested_by} | ${r.reason} | ${state}\n`;
+  });
+  return ctx.reply(msg);
+}
+
+async function commandApprove(ctx) {
+  try {
+    const { requestId, note } = parseApprovalCommand(ctx);
+    await adminApprovals.approveRequest(ctx.from.id, requestId, note);
+    return ctx.reply(`Request #${requestId} approved and executed.`);
+  } catch (err) {
+    return ctx.reply(`Could not approve: ${err.message}`);
+  }
+}
+
+async function commandReject(ctx) {
+  try {
+    const { requestId, note } = parseApprovalCommand(ctx);
+    await adminApprovals.rejectRequest(ctx.from.id, requestId, note);
+    return ctx.reply(`Request #${requestId} rejected.`);
+  } catch (err) {
+    return ctx.reply(`Could not reject: ${err.message}`);
+  }
+}
+
+async function commandReview(ctx) {
+  try {
+    const { requestId, note } = parseApprovalCommand(ctx);
+    await adminApprovals.reviewEmergencyAction(ctx.from.id, requestId, note);
+    return ctx.reply(`Emergency action #${requestId} reviewed.`);
+  } catch (err) {
+    return ctx.reply(`Could not review: ${err.message}`);
+  }
+}
+
+adminApprovals.scheduleApprovalExpiry();
+
 /*************************************************************
  * Export All Admin Functions
+ * - every function is checked against the capability matrix in
+ *   adminRoles.js; only system hooks are left unguarded
  *************************************************************/
-module.exports = {
+module.exports = adminRoles.guardAdminFunctions({
   // Logs
   logAdminAction,
   fetchAdminLogs,
+  searchAdminLogs,
+  exportAdminLogs,
+  archiveAdminLogs,
+  verifyAdminLogChain,
 
   // Roles & Permissions
   getAdminRole,
   setAdminRole,
+  defineAdminRole,
+  getAdminPermissions,
+
+  // Admin Sessions & API Keys
+  listAdminSessions,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+  createAdminApiKey,
+  listAdminApiKeys,
+  revokeAdminApiKey,
 
   // Alerts & Broadcast
   broadcastAlert,
+  cancelBroadcast,
+  getBroadcastReport,
 
   // System Reports
   generateSystemReport,
   scheduleSystemReport,
+  listSystemReportSchedules,
+  pauseSystemReport,
+  deleteSystemReport,
 
   // Auto-Triggers
   defineAutoTrigger,
+  setAutoTriggerState,
+  dryRunAutoTriggers,
+  getAutoTriggerHistory,
+  listAutoTriggers,
+  handleTriggerEvent: autoTriggers.handleTriggerEvent,
 
   // Global Risk & Hedging
   setGlobalRiskSetting,
+  rollbackGlobalSettings,
+  listGlobalSettings,
+  getGlobalSettingHistory,
+  diffGlobalSettings,
 
   // Market Event / meltdown
   forceMarketPause,
+  resumeTrading,
+  setMeltdownLevel,
+  getMeltdownStatus,
   setCircuitBreaker,
+  setCircuitBreakerEnabled,
+  listCircuitBreakers,
+  resetCircuitBreaker,
+  setFlashCrashWatch,
+  removeFlashCrashWatch,
+  listFlashCrashWatchlist,
+  listFlashCrashEvents,
 
   // Trader Management
   deactivateTrader,
   reactivateTrader,
+  forceSwitchTrader,
+  previewFollowerMigration,
+  getFollowerMigration,
 
   // Risk Rating & Compliance
   setUserRiskRating,
   complianceOverride,
+  openComplianceCase,
+  listComplianceCases,
+  getComplianceCase,
+  updateComplianceCaseStatus,
+  addComplianceCaseNote,
+  linkComplianceCase,
+  attachComplianceEvidence,
+  assignComplianceCase,
+  commandCases,
+  commandCase,
+  commandCaseNote,
+  commandCaseStatus,
+
+  // Transaction Monitoring
+  defineMonitoringRule,
+  updateMonitoringRule,
+  listMonitoringRules,
+  listMonitoringAlerts,
+  resolveMonitoringAlert,
+  backtestMonitoringRules,
+  handleMonitoringEvent: transactionMonitoring.handleMonitoringEvent,
+
+  // Wallet Screening
+  getScreeningStatus,
+  listScreeningDecisions,
+  getScreeningListVersion,
+  screenWalletAddress,
+  listHeldWithdrawals,
+  reviewHeldWithdrawal,
+
+  // Vault Conflicts
+  getLockedVaults,
+  forceUnlockVault,
+  retryLastTrade,
+
+  // Region Policies
+  setRegionPolicy,
+  listRegionPolicies,
+  getRegionPolicyHistory,
+  reevaluateRegionPolicy,
+  setUserRegion,
+
+  // Data Subject Requests
+  createDataSubjectRequest,
+  listDataSubjectRequests,
+  getDataSubjectRequest,
+  approveDataSubjectRequest,
+  rejectDataSubjectRequest,
+  getDataSubjectExportFile,
 
   // Admin Monitoring
   getAdminLiveMetrics,
   commandLiveFeed,
+  inspectTrade,
+  getStrategyAnalytics,
 
   // Premium Override
-  grantPremium
-};
\ No newline at end of file
+  grantPremium,
+
+  // Four-Eyes Approvals
+  listApprovalRequests,
+  approveAdminRequest,
+  rejectAdminRequest,
+  reviewEmergencyAction,
+  commandApprovals,
+  commandApprove,
+  commandReject,
+  commandReview
+}, {
+  unguarded: ['logAdminAction', 'getAdminRole', 'handleTriggerEvent', 'handleMonitoringEvent']
+});
\ No newline at end of file
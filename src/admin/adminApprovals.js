@@ -0,0 +1,324 @@
+/*************************************************************
+ * adminApprovals.js
+ *
+ * Location: /src/admin/adminApprovals.js
+ *
+ * Four-eyes (dual control) approval for high-impact admin actions.
+ *
+ *  - withDualControl(action, execute, options) wraps an admin.js
+ *    function: while dual control is enabled the call is stored as
+ *    a pending request instead of being executed.
+ *  - A second admin holding the action's capability (see
+ *    adminRoles.ADMIN_FUNCTION_CAPABILITIES) approves or rejects it
+ *    via Telegram or the admin web app; approval executes it.
+ *  - Requests carry a reason, expire after dual_control_expiry_hours
+ *    and every step is written to admin_logs.
+ *  - Emergency actions (e.g. a market pause) may run single-signer,
+ *    they are recorded with review_required and must be reviewed
+ *    by another admin after the fact.
+ *
+ * Config (settingsRegistry.js):
+ *   dual_control_enabled       'true' | 'false'
+ *   dual_control_expiry_hours  default 24
+ *   dual_control_premium_days  grantPremium above this many days needs approval
+ *************************************************************/
+
+const cron = require('node-cron');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const { logAdminAction } = require('./adminLogs');
+const adminRoles = require('./adminRoles');
+const settingsRegistry = require('./settingsRegistry');
+
+// action name => { execute, argCount, isHighImpact, emergencyAllowed }
+const registry = {};
+
+/*************************************************************
+ * getDualControlConfig()
+ *************************************************************/
+async function getDualControlConfig() {
+  const settings = await settingsRegistry.getSettings([
+    'dual_control_enabled', 'dual_control_expiry_hours', 'dual_control_premium_days'
+  ]);
+  return {
+    enabled: settings.dual_control_enabled,
+    expiryHours: settings.dual_control_expiry_hours,
+    premiumDaysThreshold: settings.dual_control_premium_days
+  };
+}
+
+async function notifyEligibleApprovers(request) {
+  const capability = adminRoles.ADMIN_FUNCTION_CAPABILITIES[request.action];
+  const admins = await query(`SELECT user_id FROM admin_roles`);
+  for (const admin of admins.rows) {
+    if (String(admin.user_id) === String(request.requested_by)) continue;
+    if (!(await adminRoles.hasCapability(admin.user_id, capability))) continue;
+    notifications.sendAdminNotification(admin.user_id,
+      `🔐 *Approval needed* #${request.id}\n` +
+      `${request.action} requested by admin ${request.requested_by}\n` +
+      `Reason: ${request.reason}\n` +
+      `Expires: ${new Date(request.expires_at).toISOString()}\n` +
+      `/approve ${request.id} or /reject ${request.id} <reason>`);
+  }
+}
+
+/*************************************************************
+ * withDualControl(action, execute, options)
+ * - execute(adminId, ...args) is the real implementation.
+ * - options.argCount: number of args after adminId; one extra
+ *   trailing arg may carry { reason, emergency }.
+ * - options.isHighImpact(args, config): false => runs directly.
+ * - options.emergencyAllowed: { emergency: true } runs at once,
+ *   recorded for mandatory after-the-fact review.
+ * - options.defaultReason(args): reason when none is passed
+ *************************************************************/
+function withDualControl(action, execute, {
+  argCount,
+  isHighImpact = () => true,
+  emergencyAllowed = false,
+  defaultReason = () => ''
+} = {}) {
+  registry[action] = { execute, argCount, isHighImpact, emergencyAllowed };
+
+  return async (adminId, ...rest) => {
+    const args = rest.slice(0, argCount);
+    const approval = rest[argCount] || {};
+    const config = await getDualControlConfig();
+
+    if (!config.enabled || !isHighImpact(args, config)) {
+      return execute(adminId, ...args);
+    }
+
+    const reason = String(approval.reason || defaultReason(args) || '').trim();
+    if (!reason) {
+      throw new Error(`${action} requires a reason while dual control is enabled.`);
+    }
+
+    if (approval.emergency) {
+      if (!emergencyAllowed) {
+        throw new Error(`${action} cannot be executed as an emergency action.`);
+      }
+      // logged and announced once it ran, a failed one is on record as failed
+      const res = await query(`
+        INSERT INTO admin_approval_requests
+          (action, params, reason, requested_by, status, emergency, created_at, expires_at, review_required)
+        VALUES ($1, $2, $3, $4, 'approved', true, NOW(), NOW(), true)
+        RETURNING id
+      `, [action, JSON.stringify(args), reason, adminId]);
+      const requestId = res.rows[0].id;
+      let result;
+      try {
+        result = await execute(adminId, ...args);
+      } catch (err) {
+        // nothing ran, so there is nothing to review
+        await query(`
+          UPDATE admin_approval_requests SET status = 'failed', error = $2, review_required = false WHERE id = $1
+        `, [requestId, err.message]);
+        await logAdminAction(adminId, 'emergencyActionFailed',
+          `requestId=${requestId}, action=${action}, reason=${reason}, error=${err.message}`);
+        throw err;
+      }
+      await query(`
+        UPDATE admin_approval_requests SET status = 'executed', executed_at = NOW() WHERE id = $1
+      `, [requestId]);
+      await logAdminAction(adminId, 'emergencyActionExecuted', `requestId=${requestId}, action=${action}, reason=${reason}`);
+      notifications.sendAdminGlobalAlert(
+        `🚨 Emergency ${action} by admin ${adminId} (request #${requestId}) executed single-signer.\n` +
+        `Reason: ${reason}\nA second admin must review it: /review ${requestId} <notes>`);
+      return { executed: true, emergency: true, requestId, result };
+    }
+
+    const res = await query(`
+      INSERT INTO admin_approval_requests
+        (action, params, reason, requested_by, status, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, 'pending', NOW(), NOW() + ($5 || ' hours')::interval)
+      RETURNING id, action, reason, requested_by, expires_at
+    `, [action, JSON.stringify(args), reason, adminId, config.expiryHours]);
+    const request = res.rows[0];
+    await logAdminAction(adminId, 'approvalRequested',
+      `requestId=${request.id}, action=${action}, params=${JSON.stringify(args)}, reason=${reason}`);
+    await notifyEligibleApprovers(request);
+
+    return { pendingApproval: true, requestId: request.id, expiresAt: request.expires_at };
+  };
+}
+
+/*************************************************************
+ * assertEligibleApprover(adminId, request)
+ * - not the requester, holds the action's capability
+ *************************************************************/
+async function assertEligibleApprover(adminId, request) {
+  if (String(adminId) === String(request.requested_by)) {
+    throw new Error('A request must be approved by a different admin than the requester.');
+  }
+  await adminRoles.assertCapability(adminId, adminRoles.ADMIN_FUNCTION_CAPABILITIES[request.action]);
+}
+
+async function loadRequest(requestId) {
+  const res = await query(`
+    SELECT id, action, params, reason, requested_by, status, emergency, created_at, expires_at,
+           decided_by, decided_at, decision_note, executed_at, error,
+           review_required, reviewed_by, reviewed_at, review_note
+    FROM admin_approval_requests
+    WHERE id = $1
+  `, [requestId]);
+  if (res.rows.length === 0) {
+    throw new Error(`Approval request not found: ${requestId}`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * approveRequest(adminId, requestId, note)
+ * - pending => approved (atomic, so two approvers cannot both
+ *   execute it) => executed / failed
+ * - fails when the requester has lost the action's capability
+ *   since asking
+ *************************************************************/
+async function approveRequest(adminId, requestId, note = '') {
+  const request = await loadRequest(requestId);
+  await assertEligibleApprover(adminId, request);
+
+  const claim = await query(`
+    UPDATE admin_approval_requests
+    SET status = 'approved', decided_by = $2, decided_at = NOW(), decision_note = $3
+    WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+    RETURNING id
+  `, [requestId, adminId, note]);
+  if (claim.rows.length === 0) {
+    await expireRequests();
+    throw new Error(`Request ${requestId} is no longer pending.`);
+  }
+  await logAdminAction(adminId, 'approvalApproved', `requestId=${requestId}, action=${request.action}, note=${note}`);
+
+  const entry = registry[request.action];
+  const params = Array.isArray(request.params) ? request.params : JSON.parse(request.params);
+  try {
+    // runs on behalf of the requester, who must still be allowed to
+    // run it; the approver is on record above
+    await adminRoles.assertCapability(request.requested_by, adminRoles.ADMIN_FUNCTION_CAPABILITIES[request.action]);
+    const result = await entry.execute(request.requested_by, ...params);
+    await query(`
+      UPDATE admin_approval_requests SET status = 'executed', executed_at = NOW() WHERE id = $1
+    `, [requestId]);
+    await logAdminAction(adminId, 'approvalExecuted', `requestId=${requestId}, action=${request.action}`);
+    notifications.sendAdminNotification(request.requested_by,
+      `✅ Your request #${requestId} (${request.action}) was approved by admin ${adminId} and executed.`);
+    return { executed: true, requestId, result };
+  } catch (err) {
+    await query(`
+      UPDATE admin_approval_requests SET status = 'failed', error = $2 WHERE id = $1
+    `, [requestId, err.message]);
+    await logAdminAction(adminId, 'approvalFailed', `requestId=${requestId}, action=${request.action}, error=${err.message}`);
+    throw err;
+  }
+}
+
+/*************************************************************
+ * rejectRequest(adminId, requestId, note)
+ *************************************************************/
+async function rejectRequest(adminId, requestId, note = '') {
+  const request = await loadRequest(requestId);
+  await assertEligibleApprover(adminId, request);
+  if (!String(note).trim()) {
+    throw new Error('A rejection needs a reason.');
+  }
+
+  const res = await query(`
+    UPDATE admin_approval_requests
+    SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3
+    WHERE id = $1 AND status = 'pending'
+    RETURNING id
+  `, [requestId, adminId, note]);
+  if (res.rows.length === 0) {
+    throw new Error(`Request ${requestId} is no longer pending.`);
+  }
+  await logAdminAction(adminId, 'approvalRejected', `requestId=${requestId}, action=${request.action}, note=${note}`);
+  notifications.sendAdminNotification(request.requested_by,
+    `❌ Your request #${requestId} (${request.action}) was rejected by admin ${adminId}: ${note}`);
+  return { rejected: true, requestId };
+}
+
+/*************************************************************
+ * reviewEmergencyAction(adminId, requestId, note)
+ * - after-the-fact review of a single-signer emergency action
+ *************************************************************/
+async function reviewEmergencyAction(adminId, requestId, note = '') {
+  const request = await loadRequest(requestId);
+  await assertEligibleApprover(adminId, request);
+  if (!String(note).trim()) {
+    throw new Error('A review needs notes.');
+  }
+  const res = await query(`
+    UPDATE admin_approval_requests
+    SET reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+    WHERE id = $1 AND review_required = true AND reviewed_at IS NULL
+    RETURNING id
+  `, [requestId, adminId, note]);
+  if (res.rows.length === 0) {
+    throw new Error(`Request ${requestId} has no open review.`);
+  }
+  await logAdminAction(adminId, 'emergencyActionReviewed', `requestId=${requestId}, action=${request.action}, note=${note}`);
+  return { reviewed: true, requestId };
+}
+
+/*************************************************************
+ * listOpenRequests()
+ * - pending requests + emergency actions awaiting review
+ *************************************************************/
+async function listOpenRequests() {
+  await expireRequests();
+  const res = await query(`
+    SELECT id, action, params, reason, requested_by, status, emergency, created_at, expires_at
+    FROM admin_approval_requests
+    WHERE status = 'pending'
+       OR (review_required = true AND reviewed_at IS NULL)
+    ORDER BY id
+  `);
+  return res.rows;
+}
+
+/*************************************************************
+ * expireRequests()
+ *************************************************************/
+async function expireRequests() {
+  const res = await query(`
+    UPDATE admin_approval_requests
+    SET status = 'expired'
+    WHERE status = 'pending' AND expires_at <= NOW()
+    RETURNING id, action, requested_by
+  `);
+  for (const row of res.rows) {
+    await logAdminAction(row.requested_by, 'approvalExpired', `requestId=${row.id}, action=${row.action}`);
+    notifications.sendAdminNotification(row.requested_by,
+      `⌛ Your request #${row.id} (${row.action}) expired without a decision.`);
+  }
+  return res.rows.length;
+}
+
+function scheduleApprovalExpiry() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await expireRequests();
+    } catch (err) {
+      console.error('Error expiring approval requests:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  getDualControlConfig,
+  withDualControl,
+  approveRequest,
+  rejectRequest,
+  reviewEmergencyAction,
+  listOpenRequests,
+  expireRequests,
+  scheduleApprovalExpiry
+};
@@ -0,0 +1,706 @@
+/*************************************************************
+ * adminAuth.js
+ *
+ * Location: /src/admin/adminAuth.js
+ *
+ * Admin login for the web app, tied to the admin's Telegram
+ * identity (the user_id in admin_roles).
+ *  - First factor: a one-time code sent by the bot, or the
+ *    Telegram Login Widget (hash checked with the bot token).
+ *    Either one yields a short-lived login challenge.
+ *  - Second factor: TOTP (RFC 6238), mandatory. An admin without
+ *    a confirmed authenticator is enrolled during the first login:
+ *    the challenge returns the secret, the first valid code
+ *    confirms it.
+ *  - Sessions: random bearer tokens, only their sha256 is stored;
+ *    absolute expiry (SESSION_TTL_HOURS), idle expiry
+ *    (SESSION_IDLE_MINUTES), revocable.
+ *  - API keys: for automation, act as the admin who created them
+ *    but only on the adminWebApp routes listed on the key; never
+ *    on the /auth routes.
+ *  - Failed attempts are counted per account (admin_login_failures):
+ *    MAX_FAILED_ATTEMPTS within FAILURE_WINDOW_MINUTES locks the
+ *    account's login until the oldest failure ages out; more than
+ *    MAX_FAILED_ATTEMPTS_PER_IP from one IP lock out that IP.
+ *  - Sessions and API keys only work while their admin still has
+ *    a role in admin_roles; it is checked on every request.
+ * Every step of an admin's login is written to admin_logs. Failures
+ * for IDs without an admin role only go to admin_login_failures,
+ * so unauthenticated callers cannot flood the hash-chained log.
+ *************************************************************/
+
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const adminRoles = require('./adminRoles');
+const { logAdminAction } = require('./adminLogs');
+
+const LOGIN_CODE_DIGITS = 6;
+const LOGIN_CODE_TTL_MINUTES = 5;
+const MAX_LOGIN_CODES_PER_WINDOW = 3; // more requests within LOGIN_CODE_TTL_MINUTES are not sent
+const CHALLENGE_TTL_MINUTES = 5;
+const WIDGET_MAX_AGE_SECONDS = 5 * 60;
+const WIDGET_FIELDS = ['id', 'first_name', 'last_name', 'username', 'photo_url', 'auth_date', 'hash'];
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept the previous / next code for clock drift
+const TOTP_ISSUER = process.env.ADMIN_TOTP_ISSUER || 'Admin WebApp';
+
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 12;
+const SESSION_IDLE_MINUTES = parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES, 10) || 30;
+const SESSION_COOKIE = 'admin_session';
+const SESSION_COOKIE_PATH = '/admin_webapp'; // only sent to the web app
+// last_seen_at / last_used_at are refreshed at most this often
+const TOUCH_INTERVAL_SECONDS = 60;
+
+const MAX_FAILED_ATTEMPTS = 5;
+const MAX_FAILED_ATTEMPTS_PER_IP = 20; // across all IDs tried from it
+const FAILURE_WINDOW_MINUTES = 15;
+
+const API_KEY_DEFAULT_DAYS = 90;
+const API_KEY_MAX_DAYS = 365;
+const API_KEY_PATTERN = /^adk_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+// keys cannot manage sessions or mint other keys
+const API_KEY_EXCLUDED_PATHS = /^\/auth\//;
+
+const MESSAGES = {
+  LOGIN_CODE: (code, minutes) => `Your admin login code: ${code}\nValid for ${minutes} minutes. If you did not try to log in, ignore this and tell another admin.`,
+  NEW_LOGIN: (method, ip) => `New admin web app login (${method}) from ${ip || 'unknown IP'}.`,
+  TOTP_ENROLLED: 'An authenticator app was enrolled for your admin login. If this was not you, ask another admin to revoke your sessions.',
+  ACCOUNT_LOCKED: (minutes) => `Your admin login is locked for up to ${minutes} minutes after repeated failed attempts.`,
+  ADMIN_LOCKED: (userId, ip) => `Admin login for ${userId} locked after ${MAX_FAILED_ATTEMPTS} failed attempts (last from ${ip || 'unknown IP'}).`,
+  INVALID_CODE: 'Invalid or expired login code.',
+  INVALID_WIDGET: 'Telegram login could not be verified.',
+  INVALID_TOTP: 'Invalid authenticator code.',
+  CHALLENGE_EXPIRED: 'Login expired; start again.',
+  NOT_ADMIN: 'This account has no admin access.',
+  LOCKED: (minutes) => `Too many failed attempts; try again in up to ${minutes} minutes.`
+};
+
+function authError(message, status = 401, code = 'UNAUTHENTICATED') {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/*************************************************************
+ * Tokens & secrets
+ *************************************************************/
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function newToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function totpKey() {
+  if (!process.env.ADMIN_TOTP_KEY) {
+    throw new Error('ADMIN_TOTP_KEY is not set; TOTP secrets cannot be stored.');
+  }
+  return crypto.createHash('sha256').update(process.env.ADMIN_TOTP_KEY).digest();
+}
+
+// iv:tag:ciphertext, base64
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', totpKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((b) => b.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', totpKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/*************************************************************
+ * TOTP (RFC 6238, HMAC-SHA1, 30s steps, 6 digits)
+ *************************************************************/
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', secret).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24)
+    | (digest[offset + 1] << 16)
+    | (digest[offset + 2] << 8)
+    | digest[offset + 3];
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// the matching time step, or null; steps up to lastUsedStep are spent
+function matchTotp(secret, code, lastUsedStep) {
+  if (!/^\d+$/.test(String(code || ''))) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step += 1) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) continue;
+    if (safeEqual(hotp(secret, step), code)) return step;
+  }
+  return null;
+}
+
+function otpauthUrl(userId, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${userId}`);
+  return `otpauth://totp/${label}?secret=${base32Encode(secret)}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+async function loadTotp(userId) {
+  const res = await query(`
+    SELECT user_id, secret_enc, confirmed_at, last_used_step
+    FROM admin_totp
+    WHERE user_id=$1
+  `, [userId]);
+  return res.rows[0] || null;
+}
+
+/*************************************************************
+ * Per-account lockout
+ * - failures since the account's last successful login, within
+ *   FAILURE_WINDOW_MINUTES
+ *************************************************************/
+async function countRecentFailures(userId) {
+  const res = await query(`
+    SELECT COUNT(*) AS failures
+    FROM admin_login_failures f
+    WHERE f.user_id=$1
+      AND f.created_at > NOW() - INTERVAL '1 minute' * $2
+      AND f.created_at > COALESCE(
+        (SELECT MAX(s.created_at) FROM admin_sessions s WHERE s.user_id=$1), '-infinity'::timestamptz)
+  `, [userId, FAILURE_WINDOW_MINUTES]);
+  return parseInt(res.rows[0].failures, 10);
+}
+
+async function countRecentIpFailures(ip) {
+  if (!ip) return 0;
+  const res = await query(`
+    SELECT COUNT(*) AS failures
+    FROM admin_login_failures
+    WHERE ip=$1 AND created_at > NOW() - INTERVAL '1 minute' * $2
+  `, [ip, FAILURE_WINDOW_MINUTES]);
+  return parseInt(res.rows[0].failures, 10);
+}
+
+async function assertNotLocked(userId, ip) {
+  if (await countRecentIpFailures(ip) >= MAX_FAILED_ATTEMPTS_PER_IP
+    || await countRecentFailures(userId) >= MAX_FAILED_ATTEMPTS) {
+    throw authError(MESSAGES.LOCKED(FAILURE_WINDOW_MINUTES), 429, 'RATE_LIMITED');
+  }
+}
+
+// admin_logs only for accounts with an admin role
+async function recordFailure(userId, stage, ip, reason) {
+  await query(`
+    INSERT INTO admin_login_failures (user_id, stage, ip, created_at)
+    VALUES ($1, $2, $3, NOW())
+  `, [userId, stage, ip]);
+  if (await adminRoles.getAdminRole(userId) === 'none') return;
+
+  await logAdminAction(userId, 'adminLoginFailed', `stage=${stage}, reason=${reason}`, { stage, reason, ip }, {
+    targetType: 'admin', targetId: userId
+  });
+
+  // alert once, on the failure that locks the account
+  if (await countRecentFailures(userId) !== MAX_FAILED_ATTEMPTS) return;
+  await logAdminAction(userId, 'adminLoginLocked', `failures=${MAX_FAILED_ATTEMPTS}, window=${FAILURE_WINDOW_MINUTES}m`, { ip }, {
+    targetType: 'admin', targetId: userId
+  });
+  notifications.sendAdminGlobalAlert(MESSAGES.ADMIN_LOCKED(userId, ip));
+  notifications.sendAdminNotification(userId, MESSAGES.ACCOUNT_LOCKED(FAILURE_WINDOW_MINUTES));
+}
+
+/*************************************************************
+ * First factor
+ *************************************************************/
+
+/*************************************************************
+ * startChallenge(userId, method, ip)
+ * - Returns { challengeToken, expiresInSeconds, totpEnrolled,
+ *   enrollment: null | { secret, otpauthUrl } }
+ *************************************************************/
+async function startChallenge(userId, method, ip) {
+  const challengeToken = newToken('adc');
+  await query(`
+    INSERT INTO admin_login_challenges (token_hash, user_id, method, ip, created_at, expires_at)
+    VALUES ($1, $2, $3, $4, NOW(), NOW() + INTERVAL '1 minute' * $5)
+  `, [hashToken(challengeToken), userId, method, ip, CHALLENGE_TTL_MINUTES]);
+
+  const totp = await loadTotp(userId);
+  let enrollment = null;
+  if (!totp || !totp.confirmed_at) {
+    // a fresh secret per login attempt until one is confirmed
+    const secret = crypto.randomBytes(20);
+    await query(`
+      INSERT INTO admin_totp (user_id, secret_enc, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET secret_enc=$2, last_used_step=NULL, updated_at=NOW()
+      WHERE admin_totp.confirmed_at IS NULL
+    `, [userId, encryptSecret(secret)]);
+    enrollment = { secret: base32Encode(secret), otpauthUrl: otpauthUrl(userId, secret) };
+  }
+
+  await logAdminAction(userId, 'adminLoginFirstFactor', `method=${method}`, { method, ip, totpEnrolled: !enrollment }, {
+    targetType: 'admin', targetId: userId
+  });
+  return {
+    challengeToken,
+    expiresInSeconds: CHALLENGE_TTL_MINUTES * 60,
+    totpEnrolled: !enrollment,
+    enrollment
+  };
+}
+
+/*************************************************************
+ * requestLoginCode(telegramId, { ip })
+ * - Sends a one-time code through the bot. The answer is the
+ *   same for unknown accounts, so it does not reveal who is an
+ *   admin.
+ *************************************************************/
+async function requestLoginCode(telegramId, { ip = null } = {}) {
+  const userId = Number(telegramId);
+  await assertNotLocked(userId, ip);
+  if (await adminRoles.getAdminRole(userId) === 'none') {
+    await recordFailure(userId, 'login_code_request', ip, 'not an admin');
+    return { sent: true };
+  }
+
+  const recent = await query(`
+    SELECT COUNT(*) AS codes
+    FROM admin_login_codes
+    WHERE user_id=$1 AND created_at > NOW() - INTERVAL '1 minute' * $2
+  `, [userId, LOGIN_CODE_TTL_MINUTES]);
+  if (parseInt(recent.rows[0].codes, 10) >= MAX_LOGIN_CODES_PER_WINDOW) {
+    await logAdminAction(userId, 'adminLoginCodeThrottled', `ip=${ip}`, { ip }, { targetType: 'admin', targetId: userId });
+    return { sent: true };
+  }
+
+  // only the newest code is valid
+  await query(`
+    UPDATE admin_login_codes SET expires_at=NOW()
+    WHERE user_id=$1 AND used_at IS NULL AND expires_at > NOW()
+  `, [userId]);
+  const code = String(crypto.randomInt(0, 10 ** LOGIN_CODE_DIGITS)).padStart(LOGIN_CODE_DIGITS, '0');
+  await query(`
+    INSERT INTO admin_login_codes (user_id, code_hash, ip, created_at, expires_at)
+    VALUES ($1, $2, $3, NOW(), NOW() + INTERVAL '1 minute' * $4)
+  `, [userId, hashToken(`${userId}:${code}`), ip, LOGIN_CODE_TTL_MINUTES]);
+
+  notifications.sendAdminNotification(userId, MESSAGES.LOGIN_CODE(code, LOGIN_CODE_TTL_MINUTES));
+  await logAdminAction(userId, 'adminLoginCodeSent', `ip=${ip}`, { ip }, { targetType: 'admin', targetId: userId });
+  return { sent: true };
+}
+
+/*************************************************************
+ * verifyLoginCode(telegramId, code, { ip })
+ * - Returns the login challenge (see startChallenge)
+ *************************************************************/
+async function verifyLoginCode(telegramId, code, { ip = null } = {}) {
+  const userId = Number(telegramId);
+  await assertNotLocked(userId, ip);
+
+  const res = await query(`
+    SELECT id, code_hash
+    FROM admin_login_codes
+    WHERE user_id=$1 AND used_at IS NULL AND expires_at > NOW()
+    ORDER BY id DESC
+    LIMIT 1
+  `, [userId]);
+  const row = res.rows[0];
+  if (!row || !safeEqual(row.code_hash, hashToken(`${userId}:${code}`))) {
+    await recordFailure(userId, 'login_code', ip, row ? 'wrong code' : 'no active code');
+    throw authError(MESSAGES.INVALID_CODE);
+  }
+  const claimed = await query(`
+    UPDATE admin_login_codes SET used_at=NOW()
+    WHERE id=$1 AND used_at IS NULL
+    RETURNING id
+  `, [row.id]);
+  if (!claimed.rows.length) {
+    throw authError(MESSAGES.INVALID_CODE);
+  }
+  return startChallenge(userId, 'bot_code', ip);
+}
+
+/*************************************************************
+ * verifyTelegramLogin(data, { ip })
+ * - data: the Telegram Login Widget fields (id, first_name, ...,
+ *   auth_date, hash)
+ * - https://core.telegram.org/widgets/login#checking-authorization
+ *************************************************************/
+async function verifyTelegramLogin(data = {}, { ip = null } = {}) {
+  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  if (!botToken) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not set; Telegram login is unavailable.');
+  }
+  const fields = {};
+  for (const name of WIDGET_FIELDS) {
+    if (data[name] !== undefined && data[name] !== null && name !== 'hash') fields[name] = String(data[name]);
+  }
+  const userId = Number(fields.id);
+  if (!Number.isInteger(userId) || !data.hash) {
+    throw authError(MESSAGES.INVALID_WIDGET);
+  }
+  await assertNotLocked(userId, ip);
+
+  const checkString = Object.keys(fields).sort().map((k) => `${k}=${fields[k]}`).join('\n');
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(checkString).digest('hex');
+  const ageSeconds = Date.now() / 1000 - Number(fields.auth_date);
+  if (!safeEqual(expected, data.hash)) {
+    await recordFailure(userId, 'telegram_widget', ip, 'bad hash');
+    throw authError(MESSAGES.INVALID_WIDGET);
+  }
+  if (!(ageSeconds > -60 && ageSeconds <= WIDGET_MAX_AGE_SECONDS)) {
+    await recordFailure(userId, 'telegram_widget', ip, 'stale auth_date');
+    throw authError(MESSAGES.INVALID_WIDGET);
+  }
+  if (await adminRoles.getAdminRole(userId) === 'none') {
+    await recordFailure(userId, 'telegram_widget', ip, 'not an admin');
+    throw authError(MESSAGES.NOT_ADMIN, 403, 'PERMISSION_DENIED');
+  }
+  return startChallenge(userId, 'telegram_widget', ip);
+}
+
+/*************************************************************
+ * Second factor => session
+ *************************************************************/
+
+/*************************************************************
+ * completeLogin(challengeToken, totpCode, { ip, userAgent })
+ * - Returns { token, sessionId, adminId, expiresAt,
+ *   idleTimeoutMinutes }; the token is only returned here
+ *************************************************************/
+async function completeLogin(challengeToken, totpCode, { ip = null, userAgent = null } = {}) {
+  const res = await query(`
+    SELECT user_id, method
+    FROM admin_login_challenges
+    WHERE token_hash=$1 AND used_at IS NULL AND expires_at > NOW()
+  `, [hashToken(challengeToken || '')]);
+  if (!res.rows.length) {
+    throw authError(MESSAGES.CHALLENGE_EXPIRED);
+  }
+  const userId = Number(res.rows[0].user_id);
+  const method = res.rows[0].method;
+  await assertNotLocked(userId, ip);
+
+  const totp = await loadTotp(userId);
+  const step = totp ? matchTotp(decryptSecret(totp.secret_enc), totpCode, totp.last_used_step) : null;
+  if (step === null) {
+    await recordFailure(userId, 'totp', ip, totp ? 'wrong code' : 'no authenticator');
+    throw authError(MESSAGES.INVALID_TOTP);
+  }
+  // a code is spent once, also across concurrent logins
+  const spent = await query(`
+    UPDATE admin_totp
+    SET last_used_step=$2, confirmed_at=COALESCE(confirmed_at, NOW()), updated_at=NOW()
+    WHERE user_id=$1 AND (last_used_step IS NULL OR last_used_step < $2)
+    RETURNING user_id
+  `, [userId, step]);
+  if (!spent.rows.length) {
+    await recordFailure(userId, 'totp', ip, 'code replayed');
+    throw authError(MESSAGES.INVALID_TOTP);
+  }
+  const claimed = await query(`
+    UPDATE admin_login_challenges SET used_at=NOW()
+    WHERE token_hash=$1 AND used_at IS NULL
+    RETURNING user_id
+  `, [hashToken(challengeToken)]);
+  if (!claimed.rows.length) {
+    throw authError(MESSAGES.CHALLENGE_EXPIRED);
+  }
+  // role removed since the first factor
+  if (await adminRoles.getAdminRole(userId) === 'none') {
+    throw authError(MESSAGES.NOT_ADMIN, 403, 'PERMISSION_DENIED');
+  }
+
+  if (!totp.confirmed_at) {
+    await logAdminAction(userId, 'enrollAdminTotp', 'authenticator confirmed', { ip }, { targetType: 'admin', targetId: userId });
+    notifications.sendAdminNotification(userId, MESSAGES.TOTP_ENROLLED);
+  }
+
+  const token = newToken('ads');
+  const session = await query(`
+    INSERT INTO admin_sessions (token_hash, user_id, method, ip, user_agent, created_at, last_seen_at, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW() + INTERVAL '1 hour' * $6)
+    RETURNING id, expires_at
+  `, [hashToken(token), userId, method, ip, userAgent, SESSION_TTL_HOURS]);
+  const { id: sessionId, expires_at: expiresAt } = session.rows[0];
+
+  await logAdminAction(userId, 'adminLogin', `method=${method}, sessionId=${sessionId}`, { method, sessionId, ip, userAgent }, {
+    targetType: 'admin_session', targetId: sessionId
+  });
+  notifications.sendAdminNotification(userId, MESSAGES.NEW_LOGIN(method, ip));
+
+  return { token, sessionId, adminId: userId, expiresAt, idleTimeoutMinutes: SESSION_IDLE_MINUTES };
+}
+
+/*************************************************************
+ * Request authentication (middleware/isAdminSession.js)
+ *************************************************************/
+
+async function authenticateApiKey(token, ip) {
+  const match = API_KEY_PATTERN.exec(token);
+  if (!match) return null;
+  const res = await query(`
+    SELECT id, user_id, key_hash, routes,
+           (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 second' * $2) AS stale
+    FROM admin_api_keys k
+    WHERE key_prefix=$1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      AND EXISTS (SELECT 1 FROM admin_roles r WHERE r.user_id = k.user_id)
+  `, [match[1], TOUCH_INTERVAL_SECONDS]);
+  const key = res.rows[0];
+  if (!key || !safeEqual(key.key_hash, hashToken(token))) return null;
+  if (key.stale) {
+    await query(`UPDATE admin_api_keys SET last_used_at=NOW(), last_used_ip=$2 WHERE id=$1`, [key.id, ip]);
+  }
+  return {
+    type: 'api_key',
+    adminId: Number(key.user_id),
+    apiKeyId: key.id,
+    routes: Array.isArray(key.routes) ? key.routes : JSON.parse(key.routes)
+  };
+}
+
+/*************************************************************
+ * authenticate(token, { ip })
+ * - session token or API key => { type, adminId, sessionId |
+ *   apiKeyId, routes }, or null
+ * - null as soon as the admin's role is removed, without waiting
+ *   for the session or key to expire
+ *************************************************************/
+async function authenticate(token, { ip = null } = {}) {
+  if (!token) return null;
+  if (token.startsWith('adk_')) return authenticateApiKey(token, ip);
+  if (!token.startsWith('ads_')) return null;
+
+  const res = await query(`
+    SELECT id, user_id,
+           last_seen_at < NOW() - INTERVAL '1 second' * $3 AS stale
+    FROM admin_sessions s
+    WHERE token_hash=$1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND last_seen_at > NOW() - INTERVAL '1 minute' * $2
+      AND EXISTS (SELECT 1 FROM admin_roles r WHERE r.user_id = s.user_id)
+  `, [hashToken(token), SESSION_IDLE_MINUTES, TOUCH_INTERVAL_SECONDS]);
+  const session = res.rows[0];
+  if (!session) return null;
+  if (session.stale) {
+    await query(`UPDATE admin_sessions SET last_seen_at=NOW() WHERE id=$1`, [session.id]);
+  }
+  return { type: 'session', adminId: Number(session.user_id), sessionId: session.id, routes: null };
+}
+
+/*************************************************************
+ * isRouteInScope(identity, method, path)
+ * - sessions reach every route (capabilities still apply);
+ *   API keys only the routes listed on them
+ *************************************************************/
+function isRouteInScope(identity, method, path) {
+  if (identity.type !== 'api_key') return true;
+  const route = adminRoles.findRoute(method, path);
+  return Boolean(route) && identity.routes.includes(`${route.method} ${route.path}`);
+}
+
+/*************************************************************
+ * Sessions
+ *************************************************************/
+const SESSION_COLUMNS = `
+  id, user_id, method, ip, user_agent, created_at, last_seen_at, expires_at,
+  revoked_at, revoked_by, revoke_reason`;
+
+function activeCondition(alias) {
+  return `(${alias}.revoked_at IS NULL AND ${alias}.expires_at > NOW()
+    AND ${alias}.last_seen_at > NOW() - INTERVAL '1 minute' * ${SESSION_IDLE_MINUTES})`;
+}
+
+/*************************************************************
+ * listSessions({ userId, includeInactive, limit })
+ *************************************************************/
+async function listSessions({ userId = null, includeInactive = false, limit = 50 } = {}) {
+  const res = await query(`
+    SELECT ${SESSION_COLUMNS}, ${activeCondition('s')} AS active
+    FROM admin_sessions s
+    WHERE ($1::bigint IS NULL OR s.user_id = $1)
+      AND ($2::boolean OR ${activeCondition('s')})
+    ORDER BY s.created_at DESC
+    LIMIT $3
+  `, [userId, includeInactive, Math.min(parseInt(limit, 10) || 50, 200)]);
+  return res.rows;
+}
+
+async function getSession(sessionId) {
+  const res = await query(`
+    SELECT ${SESSION_COLUMNS}, ${activeCondition('s')} AS active
+    FROM admin_sessions s
+    WHERE s.id=$1
+  `, [sessionId]);
+  if (!res.rows.length) {
+    throw new Error(`Session ${sessionId} not found.`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * revokeSession(sessionId, { revokedBy, reason })
+ *************************************************************/
+async function revokeSession(sessionId, { revokedBy, reason = null }) {
+  const res = await query(`
+    UPDATE admin_sessions
+    SET revoked_at=NOW(), revoked_by=$2, revoke_reason=$3
+    WHERE id=$1 AND revoked_at IS NULL
+    RETURNING id, user_id
+  `, [sessionId, revokedBy, reason]);
+  if (!res.rows.length) {
+    await getSession(sessionId); // not found => throws
+    throw new Error(`Session ${sessionId} is already revoked.`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * revokeUserSessions(userId, { revokedBy, reason })
+ * - every live session of the admin; returns the count
+ *************************************************************/
+async function revokeUserSessions(userId, { revokedBy, reason = null }) {
+  const res = await query(`
+    UPDATE admin_sessions
+    SET revoked_at=NOW(), revoked_by=$2, revoke_reason=$3
+    WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING id
+  `, [userId, revokedBy, reason]);
+  return res.rows.length;
+}
+
+/*************************************************************
+ * API keys
+ *************************************************************/
+const API_KEY_COLUMNS = `
+  id, user_id, name, key_prefix, routes, created_at, expires_at,
+  last_used_at, last_used_ip, revoked_at, revoked_by`;
+
+// "METHOD /path" strings a key can be scoped to
+function listScopableRoutes() {
+  return adminRoles.ROUTE_CAPABILITIES
+    .filter(([, path]) => !API_KEY_EXCLUDED_PATHS.test(path))
+    .map(([method, path, capability]) => ({ route: `${method} ${path}`, capability }));
+}
+
+/*************************************************************
+ * createApiKey(adminId, { name, routes, expiresInDays })
+ * - the admin must hold the capability of every listed route
+ * - Returns { id, key, keyPrefix, name, routes, expiresAt };
+ *   the key is only returned here
+ *************************************************************/
+async function createApiKey(adminId, { name, routes = [], expiresInDays = API_KEY_DEFAULT_DAYS }) {
+  if (!name || !String(name).trim() || String(name).length > 100) {
+    throw new Error('API key name is required (max 100 characters).');
+  }
+  const days = parseInt(expiresInDays, 10);
+  if (!Number.isInteger(days) || days < 1 || days > API_KEY_MAX_DAYS) {
+    throw new Error(`API key expiry must be between 1 and ${API_KEY_MAX_DAYS} days.`);
+  }
+  const scopable = new Map(listScopableRoutes().map((r) => [r.route, r.capability]));
+  const wanted = [...new Set((Array.isArray(routes) ? routes : []).map((r) => String(r).trim()))];
+  if (wanted.length === 0) {
+    throw new Error('An API key needs at least one route.');
+  }
+  const unknown = wanted.filter((r) => !scopable.has(r));
+  if (unknown.length > 0) {
+    throw new Error(`Routes not available to API keys: ${unknown.join(', ')}`);
+  }
+  for (const route of wanted) {
+    if (!(await adminRoles.hasCapability(adminId, scopable.get(route)))) {
+      throw new Error(`Cannot grant ${route}: requires ${scopable.get(route) || 'admin access'}.`);
+    }
+  }
+
+  const keyPrefix = crypto.randomBytes(4).toString('hex');
+  const key = `adk_${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  const res = await query(`
+    INSERT INTO admin_api_keys (user_id, name, key_prefix, key_hash, routes, created_at, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + INTERVAL '1 day' * $6)
+    RETURNING id, expires_at
+  `, [adminId, String(name).trim(), keyPrefix, hashToken(key), JSON.stringify(wanted), days]);
+
+  return { id: res.rows[0].id, key, keyPrefix, name: String(name).trim(), routes: wanted, expiresAt: res.rows[0].expires_at };
+}
+
+async function listApiKeys({ userId = null, includeRevoked = false } = {}) {
+  const res = await query(`
+    SELECT ${API_KEY_COLUMNS},
+           (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS active
+    FROM admin_api_keys
+    WHERE ($1::bigint IS NULL OR user_id = $1)
+      AND ($2::boolean OR revoked_at IS NULL)
+    ORDER BY id DESC
+  `, [userId, includeRevoked]);
+  return res.rows;
+}
+
+async function revokeApiKey(keyId, { revokedBy }) {
+  const res = await query(`
+    UPDATE admin_api_keys
+    SET revoked_at=NOW(), revoked_by=$2
+    WHERE id=$1 AND revoked_at IS NULL
+    RETURNING ${API_KEY_COLUMNS}
+  `, [keyId, revokedBy]);
+  if (!res.rows.length) {
+    const existing = await query(`SELECT id FROM admin_api_keys WHERE id=$1`, [keyId]);
+    throw new Error(existing.rows.length ? `API key ${keyId} is already revoked.` : `API key ${keyId} not found.`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_COOKIE_PATH,
+  SESSION_TTL_HOURS,
+  requestLoginCode,
+  verifyLoginCode,
+  verifyTelegramLogin,
+  completeLogin,
+  authenticate,
+  isRouteInScope,
+  listSessions,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+  listScopableRoutes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
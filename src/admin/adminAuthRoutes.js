@@ -0,0 +1,143 @@
+/*************************************************************
+ * adminAuthRoutes.js
+ *
+ * Location: /src/admin/adminAuthRoutes.js
+ *
+ * Public login endpoints for the admin web app, mounted at
+ * /admin_auth next to /admin_webapp (which requires a session).
+ *  1) POST /admin_auth/login/code         => bot sends a one-time code
+ *  2) POST /admin_auth/login/code/verify  => code => login challenge
+ *     POST /admin_auth/login/telegram     => Login Widget data => login challenge
+ *  3) POST /admin_auth/login/totp         => challenge + TOTP code => session
+ * Logout, sessions and API keys: adminWebApp.js /auth routes.
+ * Failed attempts are limited per account in adminAuth.js; the
+ * limiter below only caps requests per IP.
+ *************************************************************/
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const adminAuth = require('../admin/adminAuth');
+// request origin for admin_logs
+const { adminContextMiddleware } = require('../admin/adminContext');
+
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 login requests per windowMs
+});
+
+router.use(adminContextMiddleware); // admin_logs.origin => 'webapp'
+router.use(limiter);
+
+// 401 bad credentials, 403 not an admin, 429 account locked
+function sendLoginError(res, err) {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error('Error during admin login:', err);
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+function requestMeta(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') || null };
+}
+
+/**
+ * POST /admin_auth/login/code
+ * body: { telegramId }
+ * Same answer whether or not the account is an admin
+ */
+router.post('/login/code', [
+  body('telegramId').isInt({ min: 1 }).withMessage('telegramId must be a Telegram user id'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    await adminAuth.requestLoginCode(parseInt(req.body.telegramId, 10), requestMeta(req));
+    return res.json({ success: true, data: { message: 'If this account has admin access, a login code was sent by the bot.' } });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+});
+
+/**
+ * POST /admin_auth/login/code/verify
+ * body: { telegramId, code }
+ * => { challengeToken, expiresInSeconds, totpEnrolled, enrollment }
+ */
+router.post('/login/code/verify', [
+  body('telegramId').isInt({ min: 1 }).withMessage('telegramId must be a Telegram user id'),
+  body('code').isString().trim().matches(/^\d{6}$/).withMessage('code must be 6 digits'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await adminAuth.verifyLoginCode(parseInt(req.body.telegramId, 10), req.body.code, requestMeta(req));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+});
+
+/**
+ * POST /admin_auth/login/telegram
+ * body: the Telegram Login Widget callback fields
+ *   { id, first_name, last_name, username, photo_url, auth_date, hash }
+ * => same as /login/code/verify
+ */
+router.post('/login/telegram', [
+  body('id').isInt({ min: 1 }).withMessage('id is required'),
+  body('auth_date').isInt().withMessage('auth_date is required'),
+  body('hash').isString().matches(/^[0-9a-f]{64}$/).withMessage('hash is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await adminAuth.verifyTelegramLogin(req.body, requestMeta(req));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+});
+
+/**
+ * POST /admin_auth/login/totp
+ * body: { challengeToken, code }
+ * The first valid code also confirms a pending enrollment.
+ * => { token, sessionId, adminId, expiresAt, idleTimeoutMinutes },
+ *    plus the session cookie for the browser
+ */
+router.post('/login/totp', [
+  body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+  body('code').isString().trim().matches(/^\d{6}$/).withMessage('code must be 6 digits'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await adminAuth.completeLogin(req.body.challengeToken, req.body.code, requestMeta(req));
+    res.cookie(adminAuth.SESSION_COOKIE, data.token, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'strict',
+      path: adminAuth.SESSION_COOKIE_PATH,
+      maxAge: adminAuth.SESSION_TTL_HOURS * 60 * 60 * 1000
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+});
+
+/*************************************************************
+ * Export
+ *************************************************************/
+module.exports = router;
@@ -0,0 +1,50 @@
+/*************************************************************
+ * adminContext.js
+ *
+ * Location: /src/admin/adminContext.js
+ *
+ * Request origin for admin actions (Prompt 1.3 Admin Logs).
+ * The web app and the Telegram command guard open a context,
+ * logAdminAction() reads it, so no function in between has to
+ * pass the origin along.
+ *   origin: 'webapp' | 'api' (web app via API key) | 'telegram' | 'system'
+ *************************************************************/
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/*************************************************************
+ * runWithAdminContext(context, fn)
+ * - context: { origin, requestId, ip }
+ *************************************************************/
+function runWithAdminContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/*************************************************************
+ * getAdminContext()
+ * - outside any context (cron jobs, scripts) => origin 'system'
+ *************************************************************/
+function getAdminContext() {
+  return storage.getStore() || { origin: 'system' };
+}
+
+/*************************************************************
+ * adminContextMiddleware(req, res, next)
+ * - Express middleware for adminWebApp
+ * - after isAdminSession, so API key calls are told apart
+ *************************************************************/
+function adminContextMiddleware(req, res, next) {
+  runWithAdminContext({
+    origin: req.adminAuth && req.adminAuth.type === 'api_key' ? 'api' : 'webapp',
+    requestId: req.get('x-request-id') || null,
+    ip: req.ip
+  }, next);
+}
+
+module.exports = {
+  runWithAdminContext,
+  getAdminContext,
+  adminContextMiddleware
+};
@@ -0,0 +1,230 @@
+/*************************************************************
+ * adminLogAnchor.js
+ *
+ * Location: /src/admin/adminLogAnchor.js
+ *
+ * Publishes the head of the hash-chained admin_logs (adminLogs.js)
+ * somewhere a database user cannot rewrite, so auditors can check
+ * that nothing before an anchor was changed or cut off:
+ *  1) checkpoint_file => append-only JSONL file, each line signed
+ *     with an ed25519 key (ADMIN_LOG_SIGNING_KEY, PEM)
+ *  2) solana_memo     => memo transaction carrying seq + hash,
+ *     paid by ADMIN_LOG_ANCHOR_KEYPAIR (base64 secret key)
+ * Methods are enabled through ADMIN_LOG_ANCHOR_METHODS
+ * (comma separated, default: checkpoint_file).
+ *************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const web3 = require('@solana/web3.js');
+const { query } = require('../database/database');
+const { getChainHead, canonicalJSON } = require('./adminLogs');
+const { findArchivedEntry } = require('./adminLogArchive');
+
+const MEMO_PROGRAM_ID = new web3.PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const MEMO_PREFIX = 'alphalink-admin-log';
+
+const ANCHOR_CONFIG = {
+  methods: (process.env.ADMIN_LOG_ANCHOR_METHODS || 'checkpoint_file').split(',').map((m) => m.trim()).filter(Boolean),
+  checkpointFile: process.env.ADMIN_LOG_CHECKPOINT_FILE || path.join(process.cwd(), 'data', 'admin_log_checkpoints.jsonl'),
+  signingKey: process.env.ADMIN_LOG_SIGNING_KEY,
+  verifyKey: process.env.ADMIN_LOG_VERIFY_KEY,
+  anchorKeypair: process.env.ADMIN_LOG_ANCHOR_KEYPAIR,
+  rpcUrl: process.env.SOLANA_RPC_URL || web3.clusterApiUrl('mainnet-beta')
+};
+
+function checkpointMessage(checkpoint) {
+  return Buffer.from(canonicalJSON({
+    seq: String(checkpoint.seq),
+    entryHash: checkpoint.entryHash,
+    anchoredAt: checkpoint.anchoredAt
+  }));
+}
+
+function publicKeyForVerify() {
+  if (ANCHOR_CONFIG.verifyKey) return crypto.createPublicKey(ANCHOR_CONFIG.verifyKey);
+  if (ANCHOR_CONFIG.signingKey) return crypto.createPublicKey(crypto.createPrivateKey(ANCHOR_CONFIG.signingKey));
+  throw new Error('ADMIN_LOG_VERIFY_KEY or ADMIN_LOG_SIGNING_KEY is required to verify checkpoints.');
+}
+
+/*************************************************************
+ * anchorToCheckpointFile(head)
+ *************************************************************/
+async function anchorToCheckpointFile(head) {
+  if (!ANCHOR_CONFIG.signingKey) {
+    throw new Error('ADMIN_LOG_SIGNING_KEY is not set.');
+  }
+  const checkpoint = { seq: head.seq, entryHash: head.entryHash, anchoredAt: new Date().toISOString() };
+  const signature = crypto.sign(null, checkpointMessage(checkpoint), crypto.createPrivateKey(ANCHOR_CONFIG.signingKey));
+  const line = JSON.stringify({ ...checkpoint, signature: signature.toString('base64') });
+
+  fs.mkdirSync(path.dirname(ANCHOR_CONFIG.checkpointFile), { recursive: true });
+  fs.appendFileSync(ANCHOR_CONFIG.checkpointFile, `${line}\n`, { mode: 0o600 });
+  return { reference: ANCHOR_CONFIG.checkpointFile, signature: signature.toString('base64') };
+}
+
+/*************************************************************
+ * anchorToSolanaMemo(head)
+ *************************************************************/
+async function anchorToSolanaMemo(head) {
+  if (!ANCHOR_CONFIG.anchorKeypair) {
+    throw new Error('ADMIN_LOG_ANCHOR_KEYPAIR is not set.');
+  }
+  const payer = web3.Keypair.fromSecretKey(Buffer.from(ANCHOR_CONFIG.anchorKeypair, 'base64'));
+  const connection = new web3.Connection(ANCHOR_CONFIG.rpcUrl, 'confirmed');
+  const tx = new web3.Transaction().add(new web3.TransactionInstruction({
+    keys: [{ pubkey: payer.publicKey, isSigner: true, isWritable: false }],
+    programId: MEMO_PROGRAM_ID,
+    data: Buffer.from(`${MEMO_PREFIX}:${head.seq}:${head.entryHash}`, 'utf8')
+  }));
+  const txSignature = await web3.sendAndConfirmTransaction(connection, tx, [payer]);
+  return { reference: txSignature, signature: null };
+}
+
+const ANCHOR_METHODS = {
+  checkpoint_file: anchorToCheckpointFile,
+  solana_memo: anchorToSolanaMemo
+};
+
+/*************************************************************
+ * anchorChainHead(methods)
+ * - anchors the current head with every configured method,
+ *   skipping methods that already anchored this seq
+ * - Returns [{ method, seq, reference }] or [{ method, error }]
+ *************************************************************/
+async function anchorChainHead(methods = ANCHOR_CONFIG.methods) {
+  const head = await getChainHead();
+  if (!head) return [];
+
+  const results = [];
+  for (const method of methods) {
+    const anchor = ANCHOR_METHODS[method];
+    if (!anchor) {
+      results.push({ method, error: `Unknown anchor method "${method}"` });
+      continue;
+    }
+    const existing = await query(`
+      SELECT id FROM admin_log_anchors WHERE method=$1 AND seq=$2
+    `, [method, head.seq]);
+    if (existing.rows.length) continue;
+
+    try {
+      const { reference, signature } = await anchor(head);
+      await query(`
+        INSERT INTO admin_log_anchors (seq, entry_hash, method, reference, signature, created_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+      `, [head.seq, head.entryHash, method, reference, signature]);
+      results.push({ method, seq: head.seq, reference });
+    } catch (err) {
+      console.error(`Error anchoring admin log head via ${method}:`, err);
+      results.push({ method, error: err.message });
+    }
+  }
+  return results;
+}
+
+/*************************************************************
+ * readCheckpointFile()
+ * - signed lines from the checkpoint file, each with `validSignature`
+ *************************************************************/
+function readCheckpointFile() {
+  if (!fs.existsSync(ANCHOR_CONFIG.checkpointFile)) return [];
+  const key = publicKeyForVerify();
+  return fs.readFileSync(ANCHOR_CONFIG.checkpointFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        const checkpoint = JSON.parse(line);
+        const validSignature = crypto.verify(
+          null, checkpointMessage(checkpoint), key, Buffer.from(checkpoint.signature, 'base64'));
+        return { ...checkpoint, line: index + 1, validSignature };
+      } catch (err) {
+        return { line: index + 1, validSignature: false, error: err.message };
+      }
+    });
+}
+
+/*************************************************************
+ * readMemoAnchor(txSignature)
+ * - { seq, entryHash } as written on chain, or null
+ *************************************************************/
+async function readMemoAnchor(txSignature) {
+  const connection = new web3.Connection(ANCHOR_CONFIG.rpcUrl, 'confirmed');
+  const tx = await connection.getParsedTransaction(txSignature, { maxSupportedTransactionVersion: 0 });
+  if (!tx) return null;
+  for (const ix of tx.transaction.message.instructions) {
+    if (!ix.programId.equals(MEMO_PROGRAM_ID) || typeof ix.parsed !== 'string') continue;
+    const [prefix, seq, entryHash] = ix.parsed.split(':');
+    if (prefix === MEMO_PREFIX) return { seq: Number(seq), entryHash };
+  }
+  return null;
+}
+
+/*************************************************************
+ * verifyAnchors()
+ * - every anchored (seq, hash) must still be in admin_logs (or
+ *   its archive) and the chain must not be shorter than the
+ *   newest anchor
+ * - the checkpoint file is read directly, so deleting rows from
+ *   admin_log_anchors does not hide a truncation
+ * - Returns { valid, checked, problems: [...] }
+ *************************************************************/
+async function verifyAnchors() {
+  const problems = [];
+  const anchors = [];
+
+  if (ANCHOR_CONFIG.methods.includes('checkpoint_file')) {
+    for (const cp of readCheckpointFile()) {
+      if (!cp.validSignature) {
+        problems.push({ method: 'checkpoint_file', line: cp.line, problem: 'invalid checkpoint signature' });
+        continue;
+      }
+      anchors.push({ method: 'checkpoint_file', seq: Number(cp.seq), entryHash: cp.entryHash, reference: `line ${cp.line}` });
+    }
+  }
+  if (ANCHOR_CONFIG.methods.includes('solana_memo')) {
+    const rows = await query(`
+      SELECT seq, entry_hash, reference FROM admin_log_anchors
+      WHERE method='solana_memo'
+      ORDER BY seq
+    `);
+    for (const row of rows.rows) {
+      const onChain = await readMemoAnchor(row.reference);
+      if (!onChain || onChain.seq !== Number(row.seq) || onChain.entryHash !== row.entry_hash) {
+        problems.push({ method: 'solana_memo', reference: row.reference, problem: 'memo does not match recorded anchor' });
+        continue;
+      }
+      anchors.push({ method: 'solana_memo', ...onChain, reference: row.reference });
+    }
+  }
+
+  const head = await getChainHead();
+  for (const anchor of anchors) {
+    if (!head || anchor.seq > head.seq) {
+      problems.push({ ...anchor, problem: `chain ends at ${head ? head.seq : 0}, before anchored entry ${anchor.seq}` });
+      continue;
+    }
+    const res = await query(`
+      SELECT entry_hash FROM admin_logs WHERE seq=$1
+    `, [anchor.seq]);
+    // older entries may have moved to admin_log_archives
+    const entry = res.rows[0] || await findArchivedEntry(anchor.seq);
+    if (!entry || entry.entry_hash !== anchor.entryHash) {
+      problems.push({ ...anchor, problem: 'entry hash differs from the anchored hash' });
+    }
+  }
+
+  return { valid: problems.length === 0, checked: anchors.length, problems };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  ANCHOR_CONFIG,
+  anchorChainHead,
+  verifyAnchors,
+  readCheckpointFile
+};
@@ -0,0 +1,269 @@
+/*************************************************************
+ * adminLogArchive.js
+ *
+ * Location: /src/admin/adminLogArchive.js
+ *
+ * Retention for admin_logs (Prompt 1.3 Admin Logs & Audit Trails).
+ *  - Entries older than admin_log_retention_days move, oldest
+ *    first, into admin_log_archives as gzipped JSONL batches:
+ *    in the `content` column (storage 'table') or in a file under
+ *    ADMIN_LOG_ARCHIVE_DIR (storage 'file').
+ *  - A batch is always a contiguous seq range at the start of the
+ *    live chain; it records the prev_hash it starts from and the
+ *    last entry_hash, so the live chain verifies from the archive
+ *    head and the archives verify among themselves.
+ *************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const settingsRegistry = require('./settingsRegistry');
+const { GENESIS_HASH, computeEntryHash, rowToEntry } = require('./adminLogs');
+
+const ARCHIVE_BATCH_SIZE = 5000;
+const ARCHIVE_DIR = process.env.ADMIN_LOG_ARCHIVE_DIR || path.join(process.cwd(), 'data', 'admin_log_archive');
+
+const ARCHIVE_COLUMNS = `
+  id, seq, admin_user, action, details, payload, target_type, target_id,
+  before_value, after_value, origin, prev_hash, entry_hash, created_at`;
+
+/*************************************************************
+ * writeArchiveBatch(rows, storage, adminId)
+ * - caller owns the transaction
+ * - storage 'file' writes to a temp name; the caller renames it
+ *   (commitArchiveFile) only once the transaction committed, so
+ *   a rollback never leaves a file behind for rows still live
+ * - Returns { id, entryCount, filePath, tempPath }
+ *************************************************************/
+async function writeArchiveBatch(rows, storage, adminId) {
+  const jsonl = rows.map((r) => JSON.stringify(r)).join('\n') + '\n';
+  const compressed = zlib.gzipSync(Buffer.from(jsonl, 'utf8'));
+  const sha256 = crypto.createHash('sha256').update(jsonl).digest('hex');
+  const chained = rows.filter((r) => r.seq !== null);
+  const first = chained[0];
+  const last = chained[chained.length - 1];
+
+  let filePath = null;
+  let tempPath = null;
+  if (storage === 'file') {
+    fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+    const label = first ? `${first.seq}_${last.seq}` : `legacy_${rows[0].id}_${rows[rows.length - 1].id}`;
+    filePath = path.join(ARCHIVE_DIR, `admin_logs_${label}.jsonl.gz`);
+    tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, compressed, { mode: 0o600 });
+  }
+
+  const res = await query(`
+    INSERT INTO admin_log_archives
+      (from_seq, to_seq, prev_hash, last_entry_hash, entry_count, first_created_at, last_created_at,
+       storage, content, file_path, content_sha256, archived_by, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+    RETURNING id
+  `, [
+    first ? first.seq : null,
+    last ? last.seq : null,
+    first ? first.prev_hash : null,
+    last ? last.entry_hash : null,
+    rows.length,
+    rows[0].created_at,
+    rows[rows.length - 1].created_at,
+    storage,
+    storage === 'table' ? compressed : null,
+    filePath,
+    sha256,
+    adminId
+  ]);
+  return { id: res.rows[0].id, entryCount: rows.length, filePath, tempPath };
+}
+
+function commitArchiveFile(batch) {
+  if (batch && batch.tempPath) fs.renameSync(batch.tempPath, batch.filePath);
+}
+
+function discardArchiveFile(batch) {
+  if (!batch || !batch.tempPath) return;
+  try {
+    fs.unlinkSync(batch.tempPath);
+  } catch (err) {
+    console.error(`Could not remove ${batch.tempPath}:`, err.message);
+  }
+}
+
+/*************************************************************
+ * archiveAdminLogs({ adminId, olderThanDays, storage })
+ * - defaults from settingsRegistry
+ * - Returns { batches, archived }
+ *************************************************************/
+async function archiveAdminLogs({ adminId = null, olderThanDays = null, storage = null } = {}) {
+  const days = olderThanDays || await settingsRegistry.getSetting('admin_log_retention_days');
+  const target = storage || await settingsRegistry.getSetting('admin_log_archive_storage');
+  if (!['table', 'file'].includes(target)) {
+    throw new Error('Archive storage must be table or file.');
+  }
+
+  // pre-chain rows first, they never take part in verification
+  const firstChained = await query(`
+    SELECT MIN(id) AS id FROM admin_logs WHERE seq IS NOT NULL
+  `);
+  const firstChainedId = firstChained.rows[0].id;
+
+  let batches = 0;
+  let archived = 0;
+  for (;;) {
+    let batch = null;
+    await query('BEGIN');
+    try {
+      await query(`SET LOCAL alphalink.admin_log_archiving = 'on'`);
+      let res = await query(`
+        SELECT ${ARCHIVE_COLUMNS}
+        FROM admin_logs
+        WHERE seq IS NULL AND ($1::bigint IS NULL OR id < $1)
+          AND created_at < NOW() - ($2 || ' days')::interval
+        ORDER BY id
+        LIMIT $3
+      `, [firstChainedId, days, ARCHIVE_BATCH_SIZE]);
+      if (!res.rows.length) {
+        // chained rows: a contiguous prefix of the chain, by seq
+        res = await query(`
+          SELECT ${ARCHIVE_COLUMNS}
+          FROM admin_logs
+          WHERE seq IS NOT NULL
+            AND created_at < NOW() - ($1 || ' days')::interval
+          ORDER BY seq
+          LIMIT $2
+        `, [days, ARCHIVE_BATCH_SIZE]);
+      }
+      if (!res.rows.length) {
+        await query('COMMIT');
+        break;
+      }
+
+      const rows = res.rows.map((r) => ({ ...r, seq: r.seq === null ? null : Number(r.seq) }));
+      batch = await writeArchiveBatch(rows, target, adminId);
+      await query(`
+        DELETE FROM admin_logs WHERE id = ANY($1::int[])
+      `, [rows.map((r) => r.id)]);
+      await query('COMMIT');
+    } catch (err) {
+      await query('ROLLBACK');
+      discardArchiveFile(batch);
+      throw err;
+    }
+    commitArchiveFile(batch);
+    batches += 1;
+    archived += batch.entryCount;
+  }
+  return { batches, archived };
+}
+
+// committed but not renamed yet (crash in between) => still the temp name
+function readArchiveFile(filePath) {
+  if (!fs.existsSync(filePath) && fs.existsSync(`${filePath}.tmp`)) {
+    return fs.readFileSync(`${filePath}.tmp`);
+  }
+  return fs.readFileSync(filePath);
+}
+
+/*************************************************************
+ * readArchiveBatch(batch)
+ * - decompressed rows of one admin_log_archives row, after
+ *   checking the content hash
+ *************************************************************/
+function readArchiveBatch(batch) {
+  const compressed = batch.storage === 'file' ? readArchiveFile(batch.file_path) : batch.content;
+  const jsonl = zlib.gunzipSync(compressed).toString('utf8');
+  if (crypto.createHash('sha256').update(jsonl).digest('hex') !== batch.content_sha256) {
+    throw new Error(`Archive batch ${batch.id} content does not match its checksum.`);
+  }
+  return jsonl.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function listArchiveBatches() {
+  const res = await query(`
+    SELECT id, from_seq, to_seq, prev_hash, last_entry_hash, entry_count, first_created_at,
+           last_created_at, storage, file_path, content_sha256, archived_by, created_at
+    FROM admin_log_archives
+    ORDER BY COALESCE(from_seq, 0), id
+  `);
+  return res.rows;
+}
+
+/*************************************************************
+ * verifyArchives()
+ * - re-hashes every archived chain entry from genesis and checks
+ *   that the batches link up without gaps
+ * - Returns { valid, checked, head, brokenAt }
+ *************************************************************/
+async function verifyArchives() {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const batches = (await listArchiveBatches()).filter((b) => b.from_seq !== null);
+  for (const meta of batches) {
+    const fail = (seq, problem) => ({
+      valid: false,
+      checked,
+      head: expectedSeq > 1 ? { seq: expectedSeq - 1, entryHash: prevHash } : null,
+      brokenAt: { archiveId: meta.id, seq, problem }
+    });
+    const full = await query(`
+      SELECT id, storage, content, file_path, content_sha256 FROM admin_log_archives WHERE id=$1
+    `, [meta.id]);
+
+    let rows;
+    try {
+      rows = readArchiveBatch(full.rows[0]).filter((r) => r.seq !== null);
+    } catch (err) {
+      return fail(Number(meta.from_seq), err.message);
+    }
+    for (const row of rows) {
+      if (row.seq !== expectedSeq) return fail(row.seq, `missing entries ${expectedSeq}..${row.seq - 1}`);
+      if (row.prev_hash !== prevHash) return fail(row.seq, 'prev_hash does not match the previous entry');
+      if (computeEntryHash(prevHash, rowToEntry(row)) !== row.entry_hash) {
+        return fail(row.seq, 'entry content does not match its hash');
+      }
+      prevHash = row.entry_hash;
+      expectedSeq = row.seq + 1;
+      checked += 1;
+    }
+    if (expectedSeq - 1 !== Number(meta.to_seq) || prevHash !== meta.last_entry_hash) {
+      return fail(Number(meta.to_seq), 'archive metadata does not match its content');
+    }
+  }
+
+  return {
+    valid: true,
+    checked,
+    head: expectedSeq > 1 ? { seq: expectedSeq - 1, entryHash: prevHash } : null,
+    brokenAt: null
+  };
+}
+
+/*************************************************************
+ * findArchivedEntry(seq)
+ * - entry_hash of an archived entry, for anchor verification
+ *************************************************************/
+async function findArchivedEntry(seq) {
+  const res = await query(`
+    SELECT id, storage, content, file_path, content_sha256
+    FROM admin_log_archives
+    WHERE from_seq <= $1 AND to_seq >= $1
+    LIMIT 1
+  `, [seq]);
+  if (!res.rows.length) return null;
+  return readArchiveBatch(res.rows[0]).find((r) => r.seq === Number(seq)) || null;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  archiveAdminLogs,
+  listArchiveBatches,
+  readArchiveBatch,
+  verifyArchives,
+  findArchivedEntry
+};
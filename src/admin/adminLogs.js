@@ -18,21 +18,143 @@
  * 12) Prompt 7.9 (setUserRiskRating => logs)
  * 13) Prompt 7.10 (compliance override => logs)
  * 14) Prompt 13.5 (grantPremium => logs)
+ *
+ * Tamper evidence:
+ *  - every entry gets a gap-free seq, a structured payload and
+ *    entry_hash = sha256(prev_hash + canonical JSON of the entry)
+ *  - verifyAdminLogChain() walks the chain and reports the first
+ *    broken link; anchors (adminLogAnchor.js) pin the head so a
+ *    truncated tail is caught as well
+ *  - old entries move to admin_log_archives (adminLogArchive.js),
+ *    the live chain then continues from the archive head
+ *
+ * Structured details: target entity (type + id), before / after
+ * values and the request origin (webapp / telegram / system, read
+ * from adminContext.js). Searchable by target, free text and
+ * cursor-paginated; streamable to CSV / JSONL.
  *************************************************************/
 
+const crypto = require('crypto');
+const { once } = require('events');
 const { query } = require('../database/database');
-const notifications = require('../notifications/notifications');
+const notifications = require('../utils/notifications');
+const { getAdminContext } = require('./adminContext');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CHAIN_LOCK_ID = 0x41444c47; // pg advisory lock => one writer appends at a time
+const VERIFY_BATCH_SIZE = 1000;
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_SEARCH_LIMIT = 100;
+
+const LOG_COLUMNS = `
+  id, seq, admin_user, action, details, payload, target_type, target_id,
+  before_value, after_value, origin, created_at`;
+const EXPORT_COLUMNS = [
+  'id', 'seq', 'created_at', 'admin_user', 'origin', 'action', 'target_type', 'target_id',
+  'details', 'before_value', 'after_value', 'payload', 'entry_hash'
+];
+
+/*************************************************************
+ * canonicalJSON(value)
+ * - JSON with sorted keys, so JSONB round-trips hash the same
+ *************************************************************/
+function canonicalJSON(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/*************************************************************
+ * computeEntryHash(prevHash, entry)
+ * - entry: { seq, adminUser, action, details, payload, createdAt,
+ *            targetType, targetId, before, after, origin }
+ * - structured fields only enter the hash when set, so entries
+ *   written before they existed still verify
+ *************************************************************/
+function computeEntryHash(prevHash, entry) {
+  const optional = (v) => (v === null || v === undefined ? undefined : v);
+  const body = canonicalJSON({
+    seq: String(entry.seq),
+    adminUser: entry.adminUser === null || entry.adminUser === undefined ? null : String(entry.adminUser),
+    action: entry.action,
+    details: entry.details || '',
+    payload: entry.payload || {},
+    createdAt: new Date(entry.createdAt).toISOString(),
+    targetType: optional(entry.targetType),
+    targetId: optional(entry.targetId) === undefined ? undefined : String(entry.targetId),
+    before: optional(entry.before),
+    after: optional(entry.after),
+    origin: optional(entry.origin)
+  });
+  return crypto.createHash('sha256').update(`${prevHash}\n${body}`).digest('hex');
+}
+
+function rowToEntry(row) {
+  return {
+    seq: Number(row.seq),
+    adminUser: row.admin_user,
+    action: row.action,
+    details: row.details,
+    payload: row.payload,
+    createdAt: row.created_at,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: row.before_value,
+    after: row.after_value,
+    origin: row.origin
+  };
+}
+
+function jsonOrNull(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
 
 /*************************************************************
- * logAdminAction(adminId, action, details='')
+ * logAdminAction(adminId, action, details='', payload={}, meta={})
  * - Primary method to insert a row in admin_logs.
+ * - payload => structured fields (ids, values) covered by the hash
+ * - meta => { targetType, targetId, before, after }
  *************************************************************/
-async function logAdminAction(adminId, action, details = '') {
+async function logAdminAction(adminId, action, details = '', payload = {}, meta = {}) {
   try {
-    await query(`
-      INSERT INTO admin_logs (admin_user, action, details, created_at)
-      VALUES ($1, $2, $3, NOW())
-    `, [adminId, action, details]);
+    await query('BEGIN');
+    try {
+      await query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_ID]);
+      const head = await getChainHead();
+      const seq = head ? head.seq + 1 : 1;
+      const prevHash = head ? head.entryHash : GENESIS_HASH;
+      const entry = {
+        seq,
+        adminUser: adminId,
+        action,
+        details: details || '',
+        payload: payload || {},
+        createdAt: new Date().toISOString(),
+        targetType: meta.targetType || null,
+        targetId: meta.targetId === undefined || meta.targetId === null ? null : String(meta.targetId),
+        before: meta.before === undefined ? null : meta.before,
+        after: meta.after === undefined ? null : meta.after,
+        origin: getAdminContext().origin
+      };
+      const entryHash = computeEntryHash(prevHash, entry);
+
+      await query(`
+        INSERT INTO admin_logs
+          (admin_user, action, details, payload, target_type, target_id, before_value, after_value,
+           origin, seq, prev_hash, entry_hash, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [adminId, action, entry.details, JSON.stringify(entry.payload), entry.targetType, entry.targetId,
+        jsonOrNull(entry.before), jsonOrNull(entry.after), entry.origin, seq, prevHash, entryHash, entry.createdAt]);
+      await query('COMMIT');
+    } catch (err) {
+      await query('ROLLBACK');
+      throw err;
+    }
 
     if (action === 'pauseTrading' || action === 'setCircuitBreaker') {
       notifications.sendAdminGlobalAlert(`Critical action logged: ${action}`);
@@ -42,6 +164,119 @@ async function logAdminAction(adminId, action, details = '') {
   }
 }
 
+/*************************************************************
+ * getArchiveHead()
+ * - last archived chain entry, where the live chain continues
+ *************************************************************/
+async function getArchiveHead() {
+  const res = await query(`
+    SELECT to_seq, last_entry_hash
+    FROM admin_log_archives
+    WHERE to_seq IS NOT NULL
+    ORDER BY to_seq DESC
+    LIMIT 1
+  `);
+  if (!res.rows.length) return null;
+  return { seq: Number(res.rows[0].to_seq), entryHash: res.rows[0].last_entry_hash };
+}
+
+/*************************************************************
+ * getChainHead()
+ * - { seq, entryHash } of the newest chained entry (live or
+ *   archived), or null
+ *************************************************************/
+async function getChainHead() {
+  const res = await query(`
+    SELECT seq, entry_hash
+    FROM admin_logs
+    WHERE seq IS NOT NULL
+    ORDER BY seq DESC
+    LIMIT 1
+  `);
+  if (!res.rows.length) return getArchiveHead();
+  return { seq: Number(res.rows[0].seq), entryHash: res.rows[0].entry_hash };
+}
+
+/*************************************************************
+ * verifyAdminLogChain()
+ * - walks every live chained entry in seq order, starting from
+ *   the archive head (archives: adminLogArchive.verifyArchives)
+ * - Returns { valid, checked, startSeq, head, brokenAt } where
+ *   brokenAt is { seq, id, problem } for the first broken link
+ *************************************************************/
+async function verifyAdminLogChain() {
+  const archiveHead = await getArchiveHead();
+  const startSeq = archiveHead ? archiveHead.seq + 1 : 1;
+  let expectedSeq = startSeq;
+  let prevHash = archiveHead ? archiveHead.entryHash : GENESIS_HASH;
+  let checked = 0;
+  let firstId = null;
+
+  for (;;) {
+    const res = await query(`
+      SELECT ${LOG_COLUMNS}, prev_hash, entry_hash
+      FROM admin_logs
+      WHERE seq IS NOT NULL AND seq >= $1
+      ORDER BY seq
+      LIMIT $2
+    `, [expectedSeq, VERIFY_BATCH_SIZE]);
+    if (!res.rows.length) break;
+
+    for (const row of res.rows) {
+      const seq = Number(row.seq);
+      if (firstId === null) firstId = row.id;
+      const fail = (problem) => ({
+        valid: false,
+        checked,
+        startSeq,
+        head: expectedSeq > 1 ? { seq: expectedSeq - 1, entryHash: prevHash } : null,
+        brokenAt: { seq, id: row.id, problem }
+      });
+
+      if (seq !== expectedSeq) {
+        return fail(`missing entries ${expectedSeq}..${seq - 1}`);
+      }
+      if (row.prev_hash !== prevHash) {
+        return fail('prev_hash does not match the previous entry');
+      }
+      const recomputed = computeEntryHash(prevHash, rowToEntry(row));
+      if (recomputed !== row.entry_hash) {
+        return fail('entry content does not match its hash');
+      }
+      prevHash = row.entry_hash;
+      expectedSeq = seq + 1;
+      checked += 1;
+    }
+  }
+
+  // rows without a seq after the chain started were inserted around it
+  if (firstId !== null) {
+    const stray = await query(`
+      SELECT id FROM admin_logs
+      WHERE seq IS NULL AND id > $1
+      ORDER BY id
+      LIMIT 1
+    `, [firstId]);
+    if (stray.rows.length) {
+      return {
+        valid: false,
+        checked,
+        startSeq,
+        head: { seq: expectedSeq - 1, entryHash: prevHash },
+        brokenAt: { seq: null, id: stray.rows[0].id, problem: 'unchained row inserted after the chain started' }
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    checked,
+    startSeq,
+    head: expectedSeq > 1 ? { seq: expectedSeq - 1, entryHash: prevHash } : null,
+    brokenAt: null
+  };
+}
+
 /*************************************************************
  * fetchAdminLogs(limit=10, offset=0)
  * - Basic function to retrieve the last X admin logs 
@@ -49,7 +284,7 @@ async function logAdminAction(adminId, action, details = '') {
  *************************************************************/
 async function fetchAdminLogs(limit = 10, offset = 0) {
   const res = await query(`
-    SELECT id, admin_user, action, details, created_at
+    SELECT ${LOG_COLUMNS}
     FROM admin_logs
     ORDER BY id DESC
     LIMIT $1 OFFSET $2
@@ -63,7 +298,7 @@ async function fetchAdminLogs(limit = 10, offset = 0) {
  *************************************************************/
 async function fetchAdminLogsByAction(action, limit = 10) {
   const res = await query(`
-    SELECT id, admin_user, action, details, created_at
+    SELECT ${LOG_COLUMNS}
     FROM admin_logs
     WHERE action = $1
     ORDER BY id DESC
@@ -73,63 +308,163 @@ async function fetchAdminLogsByAction(action, limit = 10) {
 }
 
 /*************************************************************
- * searchAdminLogs(filters = {}, limit = 50)
- * - More advanced filtering (if needed).
- *   For example, you might allow searching by date, admin,
- *   partial text in details, etc.
+ * buildLogFilters(filters, params)
+ * - filters: { action, adminUser, since, until, targetType,
+ *              targetId, origin, text }
+ * - text => full-text match on action, details and payload
  *************************************************************/
-async function searchAdminLogs(filters = {}, limit = 50) {
-  const MAX_LIMIT = 100;
-  limit = Math.min(limit, MAX_LIMIT);
-
-  // Build dynamic WHERE
-  let whereClauses = [];
-  let params = [];
-  let idx = 1;
-
-  if (filters.action) {
-    whereClauses.push(`action = $${idx++}`);
-    params.push(filters.action);
-  }
-  if (filters.adminUser) {
-    whereClauses.push(`admin_user = $${idx++}`);
-    params.push(filters.adminUser);
-  }
-  // Example date range:
-  if (filters.since) {
-    whereClauses.push(`created_at >= $${idx++}`);
-    params.push(filters.since);
-  }
-  if (filters.until) {
-    whereClauses.push(`created_at <= $${idx++}`);
-    params.push(filters.until);
+function buildLogFilters(filters, params) {
+  const whereClauses = [];
+  const add = (clause, value) => {
+    params.push(value);
+    whereClauses.push(clause.replace('?', `$${params.length}`));
+  };
+
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.adminUser) add('admin_user = ?', filters.adminUser);
+  if (filters.since) add('created_at >= ?', filters.since);
+  if (filters.until) add('created_at <= ?', filters.until);
+  if (filters.targetType) add('target_type = ?', filters.targetType);
+  if (filters.targetId !== undefined && filters.targetId !== null && filters.targetId !== '') {
+    add('target_id = ?', String(filters.targetId));
   }
+  if (filters.origin) add('origin = ?', filters.origin);
+  if (filters.text) add(`search_vector @@ websearch_to_tsquery('simple', ?)`, filters.text);
+  return whereClauses;
+}
 
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
 
-  let whereString = '';
-  if (whereClauses.length > 0) {
-    whereString = whereClauses.join(' AND ');
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(id)) return id;
+  } catch (err) {
+    // fall through
+  }
+  throw new Error('Invalid cursor.');
+}
+
+/*************************************************************
+ * searchAdminLogs(filters = {}, { limit, cursor })
+ * - newest first, cursor pagination on id
+ * - Returns { rows, nextCursor } (nextCursor null on the last page)
+ *************************************************************/
+async function searchAdminLogs(filters = {}, { limit = 50, cursor = null } = {}) {
+  limit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_SEARCH_LIMIT);
+  const params = [];
+  const whereClauses = buildLogFilters(filters, params);
+  if (cursor) {
+    params.push(decodeCursor(cursor));
+    whereClauses.push(`id < $${params.length}`);
   }
+  params.push(limit + 1);
 
-  const q = `
-    SELECT id, admin_user, action, details, created_at
+  const res = await query(`
+    SELECT ${LOG_COLUMNS}
     FROM admin_logs
-    ${whereString ? `WHERE ${whereString}` : ''}
+    ${whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : ''}
     ORDER BY id DESC
-    LIMIT $${idx++}
-  `;
-  params.push(limit);
+    LIMIT $${params.length}
+  `, params);
 
-  const res = await query(q, params);
-  return res.rows;
+  const rows = res.rows.slice(0, limit);
+  const nextCursor = res.rows.length > limit ? encodeCursor(rows[rows.length - 1].id) : null;
+  return { rows, nextCursor };
+}
+
+function csvEscape(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportRow(row, format) {
+  const record = {
+    ...row,
+    created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+  };
+  if (format === 'jsonl') {
+    return `${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map((c) => [c, record[c] ?? null])))}\n`;
+  }
+  return `${EXPORT_COLUMNS.map((c) => {
+    const v = record[c];
+    return csvEscape(v !== null && typeof v === 'object' ? JSON.stringify(v) : v);
+  }).join(',')}\n`;
+}
+
+/*************************************************************
+ * streamAdminLogs(filters, format, stream)
+ * - writes matching entries oldest first to a writable stream
+ *   (e.g. the express response), batch by batch, honouring
+ *   backpressure; stops early when the stream closes (client
+ *   disconnected); the caller ends the stream
+ * - format: 'csv' | 'jsonl'
+ * - Returns the number of rows written
+ *************************************************************/
+async function streamAdminLogs(filters = {}, format = 'csv', stream) {
+  if (!['csv', 'jsonl'].includes(format)) {
+    throw new Error('Export format must be csv or jsonl.');
+  }
+  // false => the client went away (close / error), stop reading
+  const write = async (chunk) => {
+    if (stream.destroyed) return false;
+    if (stream.write(chunk)) return true;
+    const ac = new AbortController();
+    try {
+      return await Promise.race([
+        once(stream, 'drain', { signal: ac.signal }).then(() => true),
+        once(stream, 'close', { signal: ac.signal }).then(() => false)
+      ]);
+    } catch (err) {
+      return false;
+    } finally {
+      ac.abort();
+    }
+  };
+
+  let lastId = 0;
+  let written = 0;
+  if (format === 'csv' && !await write(`${EXPORT_COLUMNS.join(',')}\n`)) return written;
+  for (;;) {
+    const params = [];
+    const whereClauses = buildLogFilters(filters, params);
+    params.push(lastId);
+    whereClauses.push(`id > $${params.length}`);
+    params.push(EXPORT_BATCH_SIZE);
+
+    const res = await query(`
+      SELECT ${LOG_COLUMNS}, entry_hash
+      FROM admin_logs
+      WHERE ${whereClauses.join(' AND ')}
+      ORDER BY id
+      LIMIT $${params.length}
+    `, params);
+    if (!res.rows.length) break;
+
+    if (!await write(res.rows.map((row) => exportRow(row, format)).join(''))) break;
+    written += res.rows.length;
+    lastId = res.rows[res.rows.length - 1].id;
+    if (res.rows.length < EXPORT_BATCH_SIZE) break;
+  }
+  return written;
 }
 
 /*************************************************************
  * Exports
  *************************************************************/
 module.exports = {
+  GENESIS_HASH,
+  canonicalJSON,
+  computeEntryHash,
+  rowToEntry,
   logAdminAction,
+  getArchiveHead,
+  getChainHead,
+  verifyAdminLogChain,
   fetchAdminLogs,
   fetchAdminLogsByAction,
-  searchAdminLogs
+  searchAdminLogs,
+  streamAdminLogs
 };
\ No newline at end of file
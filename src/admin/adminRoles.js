@@ -0,0 +1,453 @@
+/*************************************************************
+ * adminRoles.js
+ *
+ * Location: /src/admin/adminRoles.js
+ *
+ * Role-Based Admin Permissions (Prompt 1.4), capability based.
+ *
+ *  - CAPABILITIES: named permissions, e.g. 'trading.pause', 'compliance.block'
+ *  - Built-in roles superadmin / riskmanager / tradermanager map to
+ *    capability sets; custom roles are stored in admin_custom_roles.
+ *  - The permission matrix for the whole admin surface lives here:
+ *      ADMIN_FUNCTION_CAPABILITIES => every exported admin.js function
+ *      ROUTE_CAPABILITIES          => every adminWebApp.js route
+ *    guardAdminFunctions() and enforceRouteCapabilities() enforce it;
+ *    anything not listed is denied.
+ *  - Queryable: getAdminCapabilities(adminId) => "what can admin X do?"
+ *************************************************************/
+
+const { query } = require('../database/database');
+const { runWithAdminContext } = require('./adminContext');
+
+const CAPABILITIES = {
+  'admin.roles.manage': 'Assign admin roles and define custom roles',
+  'admin.logs.read': 'Read the admin audit log',
+  'admin.logs.export': 'Export and archive the admin audit log',
+  'admin.sessions.manage': "View and revoke other admins' sessions",
+  'admin.api_keys.manage': 'Create and revoke scoped API keys',
+  'broadcast.send': 'Send and cancel broadcasts',
+  'broadcast.read': 'View broadcast delivery reports',
+  'reports.manage': 'Create, pause and delete scheduled system reports',
+  'triggers.manage': 'Define, enable and disable auto-triggers',
+  'triggers.read': 'View auto-triggers, dry runs and firing history',
+  'risk.settings': 'Change global risk settings',
+  'trading.pause': 'Pause trading globally',
+  'trading.resume': 'Resume trading after a pause or meltdown',
+  'circuit_breakers.manage': 'Configure circuit breakers',
+  'traders.manage': 'Deactivate, reactivate and force-switch traders',
+  'compliance.rating': 'Set user risk ratings',
+  'compliance.block': 'Block and unblock users for compliance',
+  'compliance.cases': 'Open, update and review compliance cases',
+  'compliance.monitoring': 'Configure transaction monitoring rules, review alerts and run backtests',
+  'compliance.regions': 'Set region feature policies and user regions',
+  'privacy.requests': 'Handle personal data export and erasure requests',
+  'premium.grant': 'Grant or extend premium',
+  'monitoring.read': 'View live metrics, trades and system reports',
+  'vault.resolve': 'Unlock vaults and retry stuck trades',
+  'analytics.read': 'View strategy and followership analytics'
+};
+
+const BUILTIN_ROLES = {
+  superadmin: Object.keys(CAPABILITIES),
+  riskmanager: [
+    'admin.logs.read', 'monitoring.read', 'analytics.read', 'broadcast.read',
+    'trading.pause', 'trading.resume', 'risk.settings', 'circuit_breakers.manage',
+    'triggers.manage', 'triggers.read', 'reports.manage',
+    'compliance.rating', 'compliance.block', 'compliance.cases',
+    'compliance.monitoring', 'compliance.regions', 'privacy.requests', 'vault.resolve'
+  ],
+  tradermanager: [
+    'admin.logs.read', 'monitoring.read', 'analytics.read', 'broadcast.read',
+    'traders.manage', 'broadcast.send', 'premium.grant',
+    'triggers.read', 'reports.manage'
+  ]
+};
+
+/*************************************************************
+ * Permission matrix => exported admin.js functions
+ * - null => any admin (role other than 'none')
+ *************************************************************/
+const ADMIN_FUNCTION_CAPABILITIES = {
+  fetchAdminLogs: 'admin.logs.read',
+  searchAdminLogs: 'admin.logs.read',
+  exportAdminLogs: 'admin.logs.export',
+  archiveAdminLogs: 'admin.logs.export',
+  verifyAdminLogChain: 'admin.logs.read',
+  setAdminRole: 'admin.roles.manage',
+  defineAdminRole: 'admin.roles.manage',
+  getAdminPermissions: null, // own permissions; others' need admin.roles.manage (checked in admin.js)
+  // own sessions; others' need admin.sessions.manage (checked in admin.js)
+  listAdminSessions: null,
+  revokeAdminSession: null,
+  revokeAllAdminSessions: 'admin.sessions.manage',
+  createAdminApiKey: 'admin.api_keys.manage',
+  listAdminApiKeys: 'admin.api_keys.manage',
+  revokeAdminApiKey: 'admin.api_keys.manage',
+
+  broadcastAlert: 'broadcast.send',
+  cancelBroadcast: 'broadcast.send',
+  getBroadcastReport: 'broadcast.read',
+
+  generateSystemReport: 'monitoring.read',
+  scheduleSystemReport: 'reports.manage',
+  listSystemReportSchedules: 'reports.manage',
+  pauseSystemReport: 'reports.manage',
+  deleteSystemReport: 'reports.manage',
+
+  defineAutoTrigger: 'triggers.manage', // plus the action's capability (checked in admin.js)
+  setAutoTriggerState: 'triggers.manage',
+  listAutoTriggers: 'triggers.read',
+  dryRunAutoTriggers: 'triggers.read',
+  getAutoTriggerHistory: 'triggers.read',
+
+  setGlobalRiskSetting: 'risk.settings',
+  rollbackGlobalSettings: 'risk.settings',
+  listGlobalSettings: 'monitoring.read',
+  getGlobalSettingHistory: 'monitoring.read',
+  diffGlobalSettings: 'monitoring.read',
+  forceMarketPause: 'trading.pause',
+  resumeTrading: 'trading.resume',
+  setMeltdownLevel: 'trading.pause',
+  getMeltdownStatus: 'monitoring.read',
+  setCircuitBreaker: 'circuit_breakers.manage',
+  setCircuitBreakerEnabled: 'circuit_breakers.manage',
+  resetCircuitBreaker: 'circuit_breakers.manage',
+  listCircuitBreakers: 'monitoring.read',
+  setFlashCrashWatch: 'risk.settings',
+  removeFlashCrashWatch: 'risk.settings',
+  listFlashCrashWatchlist: 'monitoring.read',
+  listFlashCrashEvents: 'monitoring.read',
+
+  deactivateTrader: 'traders.manage',
+  reactivateTrader: 'traders.manage',
+  forceSwitchTrader: 'traders.manage',
+  previewFollowerMigration: 'traders.manage',
+  getFollowerMigration: 'traders.manage',
+
+  setUserRiskRating: 'compliance.rating',
+  complianceOverride: 'compliance.block',
+  // changing blocks through a case also needs compliance.block (checked in admin.js)
+  openComplianceCase: 'compliance.cases',
+  listComplianceCases: 'compliance.cases',
+  getComplianceCase: 'compliance.cases',
+  updateComplianceCaseStatus: 'compliance.cases',
+  addComplianceCaseNote: 'compliance.cases',
+  linkComplianceCase: 'compliance.cases',
+  attachComplianceEvidence: 'compliance.cases',
+  assignComplianceCase: 'compliance.cases',
+  commandCases: 'compliance.cases',
+  commandCase: 'compliance.cases',
+  commandCaseNote: 'compliance.cases',
+  commandCaseStatus: 'compliance.cases',
+  defineMonitoringRule: 'compliance.monitoring',
+  updateMonitoringRule: 'compliance.monitoring',
+  listMonitoringRules: 'compliance.monitoring',
+  listMonitoringAlerts: 'compliance.monitoring',
+  resolveMonitoringAlert: 'compliance.monitoring', // 'apply' also needs compliance.rating (checked in admin.js)
+  backtestMonitoringRules: 'compliance.monitoring',
+  getScreeningStatus: 'compliance.cases',
+  listScreeningDecisions: 'compliance.cases',
+  getScreeningListVersion: 'compliance.cases',
+  screenWalletAddress: 'compliance.cases',
+  listHeldWithdrawals: 'compliance.cases',
+  reviewHeldWithdrawal: 'compliance.block',
+  getLockedVaults: 'monitoring.read',
+  forceUnlockVault: 'vault.resolve',
+  retryLastTrade: 'vault.resolve',
+  setRegionPolicy: 'compliance.regions',
+  listRegionPolicies: 'compliance.cases',
+  getRegionPolicyHistory: 'compliance.cases',
+  reevaluateRegionPolicy: 'compliance.regions',
+  setUserRegion: 'compliance.regions',
+  createDataSubjectRequest: 'privacy.requests',
+  listDataSubjectRequests: 'privacy.requests',
+  getDataSubjectRequest: 'privacy.requests',
+  approveDataSubjectRequest: 'privacy.requests',
+  rejectDataSubjectRequest: 'privacy.requests',
+  getDataSubjectExportFile: 'privacy.requests',
+
+  getAdminLiveMetrics: 'monitoring.read',
+  commandLiveFeed: 'monitoring.read',
+  inspectTrade: 'monitoring.read',
+  getStrategyAnalytics: 'analytics.read',
+
+  grantPremium: 'premium.grant',
+
+  // approvers are checked against the requested action's capability (adminApprovals.js)
+  listApprovalRequests: null,
+  approveAdminRequest: null,
+  rejectAdminRequest: null,
+  reviewEmergencyAction: null,
+  commandApprovals: null,
+  commandApprove: null,
+  commandReject: null,
+  commandReview: null
+};
+
+/*************************************************************
+ * Permission matrix => adminWebApp.js routes
+ * - [method, path (as registered on the router), capability]
+ *************************************************************/
+const ROUTE_CAPABILITIES = [
+  ['GET', '/metrics', 'monitoring.read'],
+  ['GET', '/live_trades', 'monitoring.read'],
+  ['GET', '/stream', 'monitoring.read'],
+  ['GET', '/vault_conflicts', 'monitoring.read'],
+  ['POST', '/vault_conflicts/:userId/unlock', 'vault.resolve'],
+  ['POST', '/vault_conflicts/:userId/retry', 'vault.resolve'],
+  ['POST', '/control_center/pause_ai', 'trading.pause'],
+  ['POST', '/control_center/resume_ai', 'trading.resume'],
+  ['GET', '/control_center/meltdown', 'monitoring.read'],
+  ['POST', '/control_center/meltdown_level', 'trading.pause'],
+  ['POST', '/control_center/disable_trader', 'traders.manage'],
+  ['POST', '/control_center/force_switch', 'traders.manage'],
+  ['GET', '/control_center/follower_migrations/:migrationId', 'traders.manage'],
+  ['GET', '/strategy_analytics', 'analytics.read'],
+  ['GET', '/trade_inspector/:tradeId', 'monitoring.read'],
+  ['GET', '/broadcasts', 'broadcast.read'],
+  ['GET', '/broadcasts/:broadcastId/report', 'broadcast.read'],
+  ['POST', '/broadcasts/:broadcastId/cancel', 'broadcast.send'],
+  ['GET', '/approvals', null],
+  ['POST', '/approvals/:requestId/approve', null],
+  ['POST', '/approvals/:requestId/reject', null],
+  ['POST', '/approvals/:requestId/review', null],
+  ['GET', '/permissions', null],
+  ['GET', '/permissions/:adminId', 'admin.roles.manage'],
+  ['POST', '/auth/logout', null],
+  ['GET', '/auth/sessions', null],
+  ['POST', '/auth/sessions/:sessionId/revoke', null],
+  ['POST', '/auth/admins/:adminId/revoke_sessions', 'admin.sessions.manage'],
+  ['GET', '/auth/api_keys', 'admin.api_keys.manage'],
+  ['POST', '/auth/api_keys', 'admin.api_keys.manage'],
+  ['POST', '/auth/api_keys/:keyId/revoke', 'admin.api_keys.manage'],
+  ['GET', '/admin_logs', 'admin.logs.read'],
+  ['GET', '/admin_logs/export', 'admin.logs.export'],
+  ['GET', '/circuit_breakers', 'monitoring.read'],
+  ['POST', '/circuit_breakers/:breakerId/reset', 'circuit_breakers.manage'],
+  ['GET', '/flash_crash/watchlist', 'monitoring.read'],
+  ['POST', '/flash_crash/watchlist/:symbol', 'risk.settings'],
+  ['POST', '/flash_crash/watchlist/:symbol/remove', 'risk.settings'],
+  ['GET', '/flash_crash/events', 'monitoring.read'],
+  ['GET', '/compliance/cases', 'compliance.cases'],
+  ['POST', '/compliance/cases', 'compliance.cases'],
+  ['GET', '/compliance/cases/:caseId', 'compliance.cases'],
+  ['POST', '/compliance/cases/:caseId/status', 'compliance.cases'],
+  ['POST', '/compliance/cases/:caseId/notes', 'compliance.cases'],
+  ['POST', '/compliance/cases/:caseId/links', 'compliance.cases'],
+  ['POST', '/compliance/cases/:caseId/evidence', 'compliance.cases'],
+  ['POST', '/compliance/cases/:caseId/assign', 'compliance.cases'],
+  ['GET', '/compliance/monitoring/rules', 'compliance.monitoring'],
+  ['POST', '/compliance/monitoring/rules', 'compliance.monitoring'],
+  ['POST', '/compliance/monitoring/rules/:ruleId', 'compliance.monitoring'],
+  ['GET', '/compliance/monitoring/alerts', 'compliance.monitoring'],
+  ['POST', '/compliance/monitoring/alerts/:alertId/resolve', 'compliance.monitoring'],
+  ['POST', '/compliance/monitoring/backtest', 'compliance.monitoring'],
+  ['GET', '/compliance/screening', 'compliance.cases'],
+  ['GET', '/compliance/screening/decisions', 'compliance.cases'],
+  ['GET', '/compliance/screening/versions/:version', 'compliance.cases'],
+  ['POST', '/compliance/screening/check', 'compliance.cases'],
+  ['GET', '/compliance/withdrawals/held', 'compliance.cases'],
+  ['POST', '/compliance/withdrawals/:requestId/review', 'compliance.block'],
+  ['GET', '/compliance/regions', 'compliance.cases'],
+  ['POST', '/compliance/regions/:region', 'compliance.regions'],
+  ['GET', '/compliance/regions/:region/history', 'compliance.cases'],
+  ['POST', '/compliance/regions/:region/reevaluate', 'compliance.regions'],
+  ['POST', '/compliance/users/:userId/region', 'compliance.regions'],
+  ['GET', '/privacy/requests', 'privacy.requests'],
+  ['POST', '/privacy/requests', 'privacy.requests'],
+  ['GET', '/privacy/requests/:requestId', 'privacy.requests'],
+  ['POST', '/privacy/requests/:requestId/approve', 'privacy.requests'],
+  ['POST', '/privacy/requests/:requestId/reject', 'privacy.requests'],
+  ['GET', '/privacy/requests/:requestId/files/:fileName', 'privacy.requests']
+];
+
+const compiledRoutes = ROUTE_CAPABILITIES.map(([method, path, capability]) => ({
+  method,
+  path,
+  capability,
+  regex: new RegExp('^' + path.replace(/:[^/]+/g, '[^/]+') + '/?$')
+}));
+
+function permissionError(message) {
+  const err = new Error(message);
+  err.code = 'PERMISSION_DENIED';
+  err.status = 403;
+  return err;
+}
+
+/*************************************************************
+ * getAdminRole(userId)
+ *************************************************************/
+async function getAdminRole(userId) {
+  const res = await query(`
+    SELECT role FROM admin_roles
+    WHERE user_id=$1
+  `, [userId]);
+  if (res.rows.length === 0) return 'none';
+  return res.rows[0].role; // 'superadmin', 'riskmanager', 'tradermanager' or a custom role
+}
+
+/*************************************************************
+ * getRoleCapabilities(role)
+ * - built-in roles first, then admin_custom_roles
+ *************************************************************/
+async function getRoleCapabilities(role) {
+  if (!role || role === 'none') return [];
+  if (BUILTIN_ROLES[role]) return BUILTIN_ROLES[role];
+  const res = await query(`
+    SELECT capabilities
+    FROM admin_custom_roles
+    WHERE role = $1
+  `, [role]);
+  if (res.rows.length === 0) return [];
+  const caps = res.rows[0].capabilities;
+  return (Array.isArray(caps) ? caps : JSON.parse(caps)).filter((c) => CAPABILITIES[c]);
+}
+
+/*************************************************************
+ * getAdminCapabilities(adminId)
+ * - "what can admin X do?" => { adminId, role, capabilities }
+ *************************************************************/
+async function getAdminCapabilities(adminId) {
+  const role = await getAdminRole(adminId);
+  const capabilities = await getRoleCapabilities(role);
+  return { adminId, role, capabilities: [...capabilities].sort() };
+}
+
+async function hasCapability(adminId, capability) {
+  const role = await getAdminRole(adminId);
+  if (role === 'none') return false;
+  if (capability === null) return true;
+  const capabilities = await getRoleCapabilities(role);
+  return capabilities.includes(capability);
+}
+
+/*************************************************************
+ * assertCapability(adminId, capability)
+ * - throws an Error with code 'PERMISSION_DENIED' (status 403)
+ *************************************************************/
+async function assertCapability(adminId, capability) {
+  if (adminId === undefined || adminId === null) {
+    throw permissionError('Permission denied: no admin identity.');
+  }
+  if (!(await hasCapability(adminId, capability))) {
+    throw permissionError(`Permission denied: ${capability || 'admin access'} required.`);
+  }
+}
+
+/*************************************************************
+ * listAssignableRoles()
+ *************************************************************/
+async function listAssignableRoles() {
+  const res = await query(`
+    SELECT role FROM admin_custom_roles ORDER BY role
+  `);
+  return [...Object.keys(BUILTIN_ROLES), ...res.rows.map((r) => r.role)];
+}
+
+/*************************************************************
+ * upsertCustomRole(adminId, role, capabilities, description)
+ * - Built-in role names cannot be redefined.
+ *************************************************************/
+async function upsertCustomRole(adminId, role, capabilities = [], description = '') {
+  if (!/^[a-z][a-z0-9_]{2,31}$/.test(role || '')) {
+    throw new Error('Role name must be 3-32 chars: lowercase letters, digits, underscore.');
+  }
+  if (BUILTIN_ROLES[role] || role === 'none') {
+    throw new Error(`Cannot redefine built-in role: ${role}`);
+  }
+  const unknown = capabilities.filter((c) => !CAPABILITIES[c]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capabilities: ${unknown.join(', ')}`);
+  }
+  await query(`
+    INSERT INTO admin_custom_roles (role, capabilities, description, created_by, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, NOW(), NOW())
+    ON CONFLICT (role)
+    DO UPDATE SET capabilities=$2, description=$3, updated_at=NOW()
+  `, [role, JSON.stringify([...new Set(capabilities)]), description, adminId]);
+}
+
+/*************************************************************
+ * guardAdminFunctions(fns, { unguarded })
+ * - Wraps each function so its first argument (adminId, or a
+ *   Telegram ctx whose ctx.from.id is the admin) is checked
+ *   against ADMIN_FUNCTION_CAPABILITIES before it runs.
+ * - Functions missing from the matrix fail at startup unless
+ *   explicitly listed as unguarded (system hooks).
+ *************************************************************/
+function guardAdminFunctions(fns, { unguarded = [] } = {}) {
+  const guarded = {};
+  for (const [name, fn] of Object.entries(fns)) {
+    if (unguarded.includes(name)) {
+      guarded[name] = fn;
+      continue;
+    }
+    if (!(name in ADMIN_FUNCTION_CAPABILITIES)) {
+      throw new Error(`adminRoles: no capability mapped for admin function "${name}"`);
+    }
+    const capability = ADMIN_FUNCTION_CAPABILITIES[name];
+    guarded[name] = async (...args) => {
+      const first = args[0];
+      const isTelegram = Boolean(first && typeof first === 'object' && first.from);
+      const adminId = isTelegram ? first.from.id : first;
+      await assertCapability(adminId, capability);
+      // Telegram commands => admin_logs.origin 'telegram'
+      if (isTelegram) {
+        return runWithAdminContext({ origin: 'telegram', chatId: first.chat ? first.chat.id : null }, () => fn(...args));
+      }
+      return fn(...args);
+    };
+  }
+  return guarded;
+}
+
+/*************************************************************
+ * findRoute(method, path)
+ * - the ROUTE_CAPABILITIES entry matching a request, or null
+ *   => { method, path, capability }
+ *************************************************************/
+function findRoute(method, path) {
+  const route = compiledRoutes.find((r) => r.method === method && r.regex.test(path));
+  return route ? { method: route.method, path: route.path, capability: route.capability } : null;
+}
+
+/*************************************************************
+ * enforceRouteCapabilities(req, res, next)
+ * - Express middleware for adminWebApp: looks up the route in
+ *   ROUTE_CAPABILITIES, denies unmapped routes.
+ *************************************************************/
+async function enforceRouteCapabilities(req, res, next) {
+  const route = findRoute(req.method, req.path);
+  if (!route) {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  try {
+    if (!(await hasCapability(req.adminId, route.capability))) {
+      return res.status(403).json({ success: false, error: 'Permission denied' });
+    }
+    return next();
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  CAPABILITIES,
+  BUILTIN_ROLES,
+  ADMIN_FUNCTION_CAPABILITIES,
+  ROUTE_CAPABILITIES,
+  getAdminRole,
+  getRoleCapabilities,
+  getAdminCapabilities,
+  hasCapability,
+  assertCapability,
+  listAssignableRoles,
+  upsertCustomRole,
+  guardAdminFunctions,
+  findRoute,
+  enforceRouteCapabilities
+};
@@ -0,0 +1,361 @@
+/*************************************************************
+ * adminStream.js
+ *
+ * Location: /src/admin/adminStream.js
+ *
+ * Server-Sent Events push for the admin dashboard (Prompt 9.1
+ * live feed), served at GET /admin_webapp/stream.
+ *  - One shared producer per process polls the database and fans
+ *    every event out to all connected dashboards; it runs while
+ *    at least one dashboard is connected and PRODUCER_IDLE_MS
+ *    after the last one left, so a dashboard that reconnects
+ *    (page reload, network blip) still gets its backfill.
+ *  - Events: trade (new trade_executions rows), metrics (the
+ *    aggregator KPIs every METRICS_INTERVAL_MS), meltdown
+ *    (meltdown_events, meltdown level changes incl. admin pause /
+ *    resume), admin_action
+ *    (new admin_logs entries; only to admins with admin.logs.read).
+ *  - Backfill: every event carries an id "<streamId>:<n>"; a
+ *    reconnect with Last-Event-ID replays the buffered events
+ *    after it. When they are no longer buffered (or the producer
+ *    restarted) the client gets one 'snapshot' event instead.
+ *  - Polling the database, rather than in-process hooks, also
+ *    picks up trades and meltdowns written by the bot and the
+ *    scripts running in other processes.
+ *************************************************************/
+
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const { collectAggregatorMetrics } = require('../aggregator/aggregatorStats');
+const meltdownMode = require('../risk/meltdownMode');
+
+const POLL_INTERVAL_MS = 2000;
+const METRICS_INTERVAL_MS = 15 * 1000;
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+const BUFFER_SIZE = 1000;
+const POLL_BATCH_SIZE = 200;
+const SNAPSHOT_TRADES = 50;
+const SNAPSHOT_ADMIN_ACTIONS = 20;
+const MAX_CLIENT_BUFFER_BYTES = 1024 * 1024; // slower clients are dropped, they reconnect with backfill
+const RECONNECT_MS = 5000;
+// several reconnect attempts' worth
+const PRODUCER_IDLE_MS = 60 * 1000;
+
+const clients = new Set(); // { res, adminId, canSeeAdminActions }
+const buffer = [];         // [{ n, type, data }]
+let producer = null;       // { streamId, n, cursors, timers, polling }
+let idleTimer = null;      // stops the producer once nobody reconnected
+let latestMetrics = null;  // { at, data }
+
+/*************************************************************
+ * Producer
+ *************************************************************/
+function formatEvent(streamId, event) {
+  return `id: ${streamId}:${event.n}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function visibleTo(client, event) {
+  return event.type !== 'admin_action' || client.canSeeAdminActions;
+}
+
+function writeToClient(client, chunk) {
+  if (client.res.writableLength > MAX_CLIENT_BUFFER_BYTES) {
+    client.res.end();
+    clients.delete(client);
+    return;
+  }
+  client.res.write(chunk);
+}
+
+/*************************************************************
+ * publish(type, data)
+ * - in-process producers can push events directly
+ *************************************************************/
+function publish(type, data) {
+  if (!producer) return;
+  producer.n += 1;
+  const event = { n: producer.n, type, data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  const chunk = formatEvent(producer.streamId, event);
+  for (const client of [...clients]) {
+    if (visibleTo(client, event)) writeToClient(client, chunk);
+  }
+}
+
+async function loadCursors() {
+  const res = await query(`
+    SELECT (SELECT COALESCE(MAX(id), 0) FROM trade_executions) AS trade_id,
+           (SELECT COALESCE(MAX(seq), 0) FROM admin_logs) AS admin_seq,
+           (SELECT COALESCE(MAX(id), 0) FROM meltdown_events) AS meltdown_id,
+           (SELECT COALESCE(MAX(id), 0) FROM meltdown_level_changes) AS level_change_id
+  `);
+  const row = res.rows[0];
+  return {
+    tradeId: Number(row.trade_id),
+    adminSeq: Number(row.admin_seq),
+    meltdownId: Number(row.meltdown_id),
+    levelChangeId: Number(row.level_change_id)
+  };
+}
+
+const TRADE_COLUMNS = `
+  id, user_id, trader_id, from_token, to_token, amount, status, slippage,
+  tx_signature, error_reason, executed_at`;
+
+const ADMIN_ACTION_COLUMNS = `
+  seq, admin_user, action, details, target_type, target_id, origin, created_at`;
+
+async function pollTrades(cursors) {
+  const res = await query(`
+    SELECT ${TRADE_COLUMNS}
+    FROM trade_executions
+    WHERE id > $1
+    ORDER BY id
+    LIMIT $2
+  `, [cursors.tradeId, POLL_BATCH_SIZE]);
+  for (const trade of res.rows) {
+    cursors.tradeId = Number(trade.id);
+    publish('trade', trade);
+  }
+}
+
+async function pollAdminActions(cursors) {
+  const res = await query(`
+    SELECT ${ADMIN_ACTION_COLUMNS}
+    FROM admin_logs
+    WHERE seq > $1
+    ORDER BY seq
+    LIMIT $2
+  `, [cursors.adminSeq, POLL_BATCH_SIZE]);
+  for (const entry of res.rows) {
+    cursors.adminSeq = Number(entry.seq);
+    publish('admin_action', entry);
+  }
+}
+
+async function pollMeltdowns(cursors) {
+  const res = await query(`
+    SELECT id, source, reason, created_at
+    FROM meltdown_events
+    WHERE id > $1
+    ORDER BY id
+  `, [cursors.meltdownId]);
+  for (const event of res.rows) {
+    cursors.meltdownId = Number(event.id);
+    publish('meltdown', { source: event.source, state: 'triggered', reason: event.reason, at: event.created_at });
+  }
+
+  // admin pause / resume are level changes too (4 / 0)
+  const levels = await query(`
+    SELECT id, from_level, to_level, reason, source, created_at
+    FROM meltdown_level_changes
+    WHERE id > $1
+    ORDER BY id
+  `, [cursors.levelChangeId]);
+  for (const change of levels.rows) {
+    cursors.levelChangeId = Number(change.id);
+    publish('meltdown', {
+      source: change.source,
+      state: change.to_level === 0 ? 'resumed' : change.to_level >= 4 ? 'paused' : 'level',
+      fromLevel: change.from_level,
+      level: change.to_level,
+      reason: change.reason,
+      at: change.created_at
+    });
+  }
+}
+
+async function pollOnce() {
+  // a slow database must not stack up overlapping polls
+  if (!producer || producer.polling) return;
+  producer.polling = true;
+  try {
+    await pollTrades(producer.cursors);
+    await pollAdminActions(producer.cursors);
+    await pollMeltdowns(producer.cursors);
+  } catch (err) {
+    console.error('Error polling admin stream events:', err);
+  } finally {
+    if (producer) producer.polling = false;
+  }
+}
+
+async function refreshMetrics() {
+  try {
+    const data = await collectAggregatorMetrics();
+    latestMetrics = { at: new Date().toISOString(), data };
+    publish('metrics', latestMetrics);
+  } catch (err) {
+    console.error('Error collecting metrics for admin stream:', err);
+  }
+}
+
+function heartbeat() {
+  for (const client of [...clients]) {
+    writeToClient(client, ': ping\n\n');
+  }
+}
+
+async function startProducer() {
+  producer = {
+    streamId: crypto.randomBytes(4).toString('hex'),
+    n: 0,
+    cursors: { tradeId: 0, adminSeq: 0, meltdownId: 0, levelChangeId: 0 },
+    polling: true,
+    timers: []
+  };
+  buffer.length = 0;
+  const current = producer;
+  try {
+    current.cursors = await loadCursors();
+  } catch (err) {
+    // no timers yet: leave no producer behind, the next subscriber starts one
+    if (producer === current) producer = null;
+    throw err;
+  } finally {
+    current.polling = false;
+  }
+  if (producer !== current) return; // stopped while loading
+  current.timers.push(setInterval(pollOnce, POLL_INTERVAL_MS));
+  current.timers.push(setInterval(refreshMetrics, METRICS_INTERVAL_MS));
+  current.timers.push(setInterval(heartbeat, HEARTBEAT_INTERVAL_MS));
+  refreshMetrics();
+}
+
+function stopProducer() {
+  if (!producer) return;
+  for (const timer of producer.timers) clearInterval(timer);
+  producer = null;
+}
+
+function stopProducerWhenIdle() {
+  if (idleTimer) clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    idleTimer = null;
+    if (clients.size === 0) stopProducer();
+  }, PRODUCER_IDLE_MS);
+}
+
+function cancelIdleStop() {
+  if (!idleTimer) return;
+  clearTimeout(idleTimer);
+  idleTimer = null;
+}
+
+/*************************************************************
+ * Snapshot / backfill
+ *************************************************************/
+async function buildSnapshot(canSeeAdminActions) {
+  const trades = await query(`
+    SELECT ${TRADE_COLUMNS}
+    FROM trade_executions
+    ORDER BY id DESC
+    LIMIT $1
+  `, [SNAPSHOT_TRADES]);
+  const meltdown = await query(`
+    SELECT source, reason, created_at FROM meltdown_events ORDER BY id DESC LIMIT 1
+  `);
+  const meltdownLevel = await meltdownMode.getState();
+  const adminActions = canSeeAdminActions
+    ? (await query(`
+        SELECT ${ADMIN_ACTION_COLUMNS}
+        FROM admin_logs
+        WHERE seq IS NOT NULL
+        ORDER BY seq DESC
+        LIMIT $1
+      `, [SNAPSHOT_ADMIN_ACTIONS])).rows.reverse()
+    : [];
+  return {
+    metrics: latestMetrics,
+    trades: trades.rows.reverse(),
+    lastMeltdown: meltdown.rows[0] || null,
+    meltdownLevel,
+    adminActions
+  };
+}
+
+// buffered events after lastEventId, or null when they cannot be replayed
+function eventsSince(lastEventId) {
+  if (!lastEventId || !producer) return null;
+  const [streamId, n] = String(lastEventId).split(':');
+  const last = parseInt(n, 10);
+  if (streamId !== producer.streamId || !Number.isInteger(last)) return null;
+  const oldest = buffer.length ? buffer[0].n : producer.n + 1;
+  if (last < oldest - 1) return null;
+  return buffer.filter((e) => e.n > last);
+}
+
+/*************************************************************
+ * subscribe(req, res, { adminId, canSeeAdminActions })
+ * - takes over the response; Last-Event-ID header (or
+ *   ?lastEventId=) => backfill
+ *************************************************************/
+async function subscribe(req, res, { adminId, canSeeAdminActions = false }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const client = { res, adminId, canSeeAdminActions };
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clients.delete(client);
+    if (clients.size === 0) stopProducerWhenIdle();
+  });
+
+  cancelIdleStop();
+  if (!producer) {
+    await startProducer();
+  }
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+  const replay = eventsSince(lastEventId);
+
+  if (replay) {
+    for (const event of replay) {
+      if (visibleTo(client, event)) res.write(formatEvent(producer.streamId, event));
+    }
+  } else {
+    const snapshot = await buildSnapshot(canSeeAdminActions);
+    if (closed || !producer) return;
+    res.write(`id: ${producer.streamId}:${producer.n}\nevent: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  }
+  if (closed) return;
+  clients.add(client);
+}
+
+/*************************************************************
+ * getLatestMetrics(maxAgeMs)
+ * - the producer's last metrics if younger than maxAgeMs, so the
+ *   pull endpoint does not re-run the queries while it streams
+ *************************************************************/
+function getLatestMetrics(maxAgeMs = METRICS_INTERVAL_MS) {
+  if (!latestMetrics || Date.now() - new Date(latestMetrics.at).getTime() > maxAgeMs) {
+    return null;
+  }
+  return latestMetrics.data;
+}
+
+function getStreamStatus() {
+  return {
+    running: Boolean(producer),
+    streamId: producer ? producer.streamId : null,
+    clients: clients.size,
+    buffered: buffer.length
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  subscribe,
+  publish,
+  getLatestMetrics,
+  getStreamStatus
+};
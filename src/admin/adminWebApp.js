@@ -14,39 +14,125 @@
  * This file provides:
  *  1) /admin_webapp/metrics        => aggregator KPI stats, queue length, error rate, etc.
  *  2) /admin_webapp/live_trades    => last N trades (slippage, status, tx link)
+ *     /admin_webapp/stream         => SSE push of trades, metrics, meltdowns, admin actions
  *  3) /admin_webapp/vault_conflicts => locked vaults or stuck trades
- *  4) /admin_webapp/control_center => meltdown toggles, forced trader switch
+ *  4) /admin_webapp/control_center => meltdown toggles / levels, forced trader switch
  *  5) /admin_webapp/strategy_analytics => trader popularity/followership
- *  6) (Optional) /admin_webapp/trade_inspector => single trade deep-dive
+ *  6) /admin_webapp/trade_inspector => single trade execution timeline
+ *  7) /admin_webapp/broadcasts      => broadcast delivery reports / cancel
+ *  8) /admin_webapp/permissions     => role / capabilities of an admin
+ *  9) /admin_webapp/approvals       => four-eyes approval of high-impact actions
+ * 10) /admin_webapp/circuit_breakers => breaker states, manual reset
+ * 11) /admin_webapp/admin_logs    => audit log search + CSV/JSONL export
+ * 12) /admin_webapp/compliance/cases => compliance case list, thread, evidence
+ * 13) /admin_webapp/compliance/monitoring => monitoring rules, alerts, backtests
+ * 14) /admin_webapp/compliance/screening  => screening lists, decisions, held withdrawals
+ * 15) /admin_webapp/compliance/regions    => region feature policies, history, re-evaluation
+ * 16) /admin_webapp/privacy/requests      => data export / erasure requests, approval, downloads
+ * 17) /admin_webapp/auth                  => logout, sessions, scoped API keys
+ *     (login itself: adminAuthRoutes.js, mounted at /admin_auth)
+ * 18) /admin_webapp/flash_crash           => flash-crash watchlist, detected crashes
  *************************************************************/
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 // aggregator stats & data
 const { collectAggregatorMetrics, getRecentTradesFeed } = require('../aggregator/aggregatorStats');
-// meltdown or risk toggles
-const riskControl = require('../risk/risk_control');
-// portfolio/trader mgmt
-// e.g. for forced switch or analytics
-// const { reassignUsersFromTrader, getTraderFollowStats } = require('../portfolio/portfolio_manager');
-// vault conflict resolver
-// const { getLockedVaults, forceUnlockVault, retryLastTrade } = require('../vault/vaultConflictResolver');
 
-// If you keep compliance or meltdown toggles in admin.js or meltdownMode.js, you can import them here:
-// const meltdownMode = require('../risk/meltdownMode');  // example
+// broadcast delivery reports / cancellation
+const {
+  getBroadcastReport,
+  cancelBroadcast,
+  getAdminPermissions,
+  forceMarketPause,
+  resumeTrading,
+  setMeltdownLevel,
+  getMeltdownStatus,
+  forceSwitchTrader,
+  deactivateTrader,
+  previewFollowerMigration,
+  getFollowerMigration,
+  listApprovalRequests,
+  approveAdminRequest,
+  rejectAdminRequest,
+  reviewEmergencyAction,
+  listCircuitBreakers,
+  resetCircuitBreaker,
+  setFlashCrashWatch,
+  removeFlashCrashWatch,
+  listFlashCrashWatchlist,
+  listFlashCrashEvents,
+  searchAdminLogs,
+  exportAdminLogs,
+  listComplianceCases,
+  getComplianceCase,
+  openComplianceCase,
+  updateComplianceCaseStatus,
+  addComplianceCaseNote,
+  linkComplianceCase,
+  attachComplianceEvidence,
+  assignComplianceCase,
+  defineMonitoringRule,
+  updateMonitoringRule,
+  listMonitoringRules,
+  listMonitoringAlerts,
+  resolveMonitoringAlert,
+  backtestMonitoringRules,
+  getScreeningStatus,
+  listScreeningDecisions,
+  getScreeningListVersion,
+  screenWalletAddress,
+  listHeldWithdrawals,
+  reviewHeldWithdrawal,
+  getLockedVaults,
+  forceUnlockVault,
+  retryLastTrade,
+  inspectTrade,
+  getStrategyAnalytics,
+  listRegionPolicies,
+  setRegionPolicy,
+  getRegionPolicyHistory,
+  reevaluateRegionPolicy,
+  setUserRegion,
+  createDataSubjectRequest,
+  listDataSubjectRequests,
+  getDataSubjectRequest,
+  approveDataSubjectRequest,
+  rejectDataSubjectRequest,
+  getDataSubjectExportFile,
+  listAdminSessions,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+  createAdminApiKey,
+  listAdminApiKeys,
+  revokeAdminApiKey
+} = require('../admin/admin');
+const { STATUSES: CASE_STATUSES, SEVERITIES: CASE_SEVERITIES, EVIDENCE_KINDS } = require('../admin/complianceCases');
+const { RULE_TYPES: MONITORING_RULE_TYPES } = require('../admin/transactionMonitoring');
+const { REQUEST_TYPES: DSR_TYPES, STATUSES: DSR_STATUSES } = require('../admin/dataSubjectRequests');
+const { listBroadcasts } = require('../admin/broadcast');
+const { SESSION_COOKIE, SESSION_COOKIE_PATH, listScopableRoutes } = require('../admin/adminAuth');
+// shared SSE producer for the dashboard
+const adminStream = require('../admin/adminStream');
+
 
 const isAdminSession = require('../middleware/isAdminSession');
-const { getAdminRole } = require('../admin/adminRoles');
+// every route below must be listed in adminRoles.ROUTE_CAPABILITIES
+const { enforceRouteCapabilities, hasCapability } = require('../admin/adminRoles');
+// request origin for admin_logs
+const { adminContextMiddleware } = require('../admin/adminContext');
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
 });
 
-router.use(isAdminSession); // Apply middleware to all routes
+router.use(isAdminSession); // session or API key => req.adminId, req.adminAuth
+router.use(adminContextMiddleware); // admin_logs.origin => 'webapp'
 router.use(limiter);
+router.use(enforceRouteCapabilities); // capability check per route, unmapped routes are denied
 
 /*************************************************************
  * 1) Admin Monitoring Dashboard Endpoints
@@ -62,7 +148,8 @@ router.get('/metrics', async (req, res) => {
     // Possibly verify admin token or session here
     // e.g. if (!isAdminSession(req)) return res.status(403).json({ error: 'Not admin' });
 
-    const stats = await collectAggregatorMetrics(); 
+    // reuse the stream producer's snapshot while dashboards are connected
+    const stats = adminStream.getLatestMetrics() || await collectAggregatorMetrics();
     // e.g. stats => {
     //   tps, errorRate, avgLatencyMs, queueLength, vaultConflicts, rpcHealth ...
     // }
@@ -95,22 +182,55 @@ router.get('/live_trades', async (req, res) => {
 });
 
 
+/**
+ * GET /admin_webapp/stream
+ * Server-Sent Events: trade, metrics, meltdown, admin_action
+ * (admin.logs.read only); reconnects send Last-Event-ID for backfill,
+ * otherwise the first event is a 'snapshot'
+ */
+router.get('/stream', async (req, res) => {
+  try {
+    const canSeeAdminActions = await hasCapability(req.adminId, 'admin.logs.read');
+    await adminStream.subscribe(req, res, { adminId: req.adminId, canSeeAdminActions });
+  } catch (err) {
+    console.error('Error opening admin stream:', err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+
 /*************************************************************
  * 2) Vault Watch & Conflict Resolver
  *    References Prompt 9.2
  *************************************************************/
 
+// refused unlock / retry => 409, nothing to act on => 404,
+// RPC or trade executor unavailable => 503
+function sendVaultConflictError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (err.message.startsWith('Could not check transaction') || err.code === 'NO_TRADE_EXECUTOR') {
+    return res.status(503).json({ success: false, error: err.message });
+  }
+  if (/pending confirmation|is not locked|re-locked|is locked by|No failed trade|too old to retry/.test(err.message)) {
+    return res.status(409).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
 /**
  * GET /admin_webapp/vault_conflicts
- * Returns locked/stuck vaults, retry count, last trade
+ * Locked vaults and vaults with a stuck / failed last trade:
+ * lock holder, lock age, retry count, last error
  */
 router.get('/vault_conflicts', async (req, res) => {
   try {
-    // e.g. const lockedVaults = await getLockedVaults();
-    // lock data might be in user_vaults => vault_locked_until
-    // For demonstration:
-    const lockedVaults = []; // placeholder
-
+    const lockedVaults = await getLockedVaults(req.adminId);
     return res.json({
       success: true,
       data: lockedVaults
@@ -122,29 +242,47 @@ router.get('/vault_conflicts', async (req, res) => {
 
 /**
  * POST /admin_webapp/vault_conflicts/:userId/unlock
- * Force unlock a vault or re-try
+ * Force unlock a vault; refused (409) while its transaction may still confirm
+ * body: { reason }
  */
-router.post('/vault_conflicts/:userId/unlock', async (req, res) => {
+router.post('/vault_conflicts/:userId/unlock', [
+  param('userId').isInt().withMessage('User ID must be an integer'),
+  body('reason').optional().isString().withMessage('reason must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
   try {
     const userId = parseInt(req.params.userId, 10);
-    // e.g. await forceUnlockVault(userId);
-    return res.json({ success: true, message: `Vault for user ${userId} unlocked.` });
+    const data = await forceUnlockVault(req.adminId, userId, req.body.reason || null);
+    return res.json({ success: true, message: `Vault for user ${userId} unlocked.`, data });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+    return sendVaultConflictError(res, err);
   }
 });
 
 /**
  * POST /admin_webapp/vault_conflicts/:userId/retry
- * Force a trade re-try for last failed attempt
+ * Queue a retry of the last failed trade; repeating the call
+ * returns the same retry (duplicate: true)
  */
-router.post('/vault_conflicts/:userId/retry', async (req, res) => {
+router.post('/vault_conflicts/:userId/retry', [
+  param('userId').isInt().withMessage('User ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
   try {
     const userId = parseInt(req.params.userId, 10);
-    // e.g. await retryLastTrade(userId);
-    return res.json({ success: true, message: `Retriggered last trade for user ${userId}.` });
+    const data = await retryLastTrade(req.adminId, userId);
+    const message = data.duplicate
+      ? `Trade ${data.tradeId} already has retry #${data.retryId} (${data.status}).`
+      : `Queued retry #${data.retryId} of trade ${data.tradeId} for user ${userId}; it runs within a minute.`;
+    return res.json({ success: true, message, data });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+    return sendVaultConflictError(res, err);
   }
 });
 
@@ -154,18 +292,35 @@ router.post('/vault_conflicts/:userId/retry', async (req, res) => {
  *    References Prompt 9.3
  *************************************************************/
 
+// dual control => high-impact actions answer 202 with the pending request id
+function pendingApprovalResponse(res, result) {
+  return res.status(202).json({
+    success: true,
+    pendingApproval: true,
+    requestId: result.requestId,
+    expiresAt: result.expiresAt,
+    message: `Awaiting approval by a second admin (request #${result.requestId}).`
+  });
+}
+
 /**
  * POST /admin_webapp/control_center/pause_ai
  * Globally pause AI trading
+ * body: { reason, emergency } => emergency skips the second signer,
+ * the pause is reviewed afterwards
  */
 router.post('/control_center/pause_ai', async (req, res) => {
-  const adminRole = await getAdminRole(req.adminId);
-  if (adminRole !== 'superadmin') {
-    return res.status(403).json({ success: false, error: 'Permission denied' });
+  try {
+    const reason = req.body.reason || 'Manual Admin Pause';
+    const result = await forceMarketPause(req.adminId, reason, {
+      reason,
+      emergency: req.body.emergency === true
+    });
+    if (result?.pendingApproval) return pendingApprovalResponse(res, result);
+    return res.json({ success: true, message: 'AI Trading is paused globally.' });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
   }
-  const reason = req.body.reason || 'Manual Admin Pause';
-  await riskControl.pauseGlobalTrading(reason);
-  return res.json({ success: true, message: 'AI Trading is paused globally.' });
 });
 
 /**
@@ -174,39 +329,155 @@ router.post('/control_center/pause_ai', async (req, res) => {
  */
 router.post('/control_center/resume_ai', async (req, res) => {
   try {
-    await riskControl.resumeGlobalTrading();
+    const result = await resumeTrading(req.adminId, { reason: req.body.reason });
+    if (result?.pendingApproval) return pendingApprovalResponse(res, result);
     return res.json({ success: true, message: 'AI Trading resumed globally.' });
   } catch (err) {
+    if (err.message.includes('requires a reason')) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/control_center/meltdown
+ * Current meltdown level (0-4), active conditions and recent level changes
+ */
+router.get('/control_center/meltdown', async (req, res) => {
+  try {
+    const data = await getMeltdownStatus(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/control_center/meltdown_level
+ * body: { level, reason, emergency } => raise the level by hand
+ * (lowering: resume_ai); level 4 awaits a second signer unless
+ * emergency, which is reviewed afterwards
+ */
+router.post('/control_center/meltdown_level', [
+  body('level').isInt({ min: 1, max: 4 }).withMessage('level must be between 1 and 4'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await setMeltdownLevel(req.adminId, parseInt(req.body.level, 10), req.body.reason, {
+      reason: req.body.reason,
+      emergency: req.body.emergency === true
+    });
+    if (data?.pendingApproval) return pendingApprovalResponse(res, data);
+    return res.json({ success: true, data: data?.emergency ? data.result : data });
+  } catch (err) {
+    if (err.message.includes('Use resumeTrading') || err.message.includes('changed concurrently')) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
     return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
   }
 });
 
 /**
  * POST /admin_webapp/control_center/disable_trader
- * e.g. block or disable a specific trader
+ * Deactivate a trader, followers are migrated to their fallback
+ * body: { traderId, preview } => preview returns the impact only
  */
 router.post('/control_center/disable_trader', [
   body('traderId').isInt().withMessage('Trader ID must be an integer'),
+  body('preview').optional().isBoolean().withMessage('preview must be a boolean'),
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
-  const traderId = req.body.traderId;
-  // Proceed with disabling the trader...
+  const traderId = parseInt(req.body.traderId, 10);
+  try {
+    if (req.body.preview === true) {
+      const data = await previewFollowerMigration(req.adminId, traderId);
+      return res.json({ success: true, preview: true, data });
+    }
+    const result = await deactivateTrader(req.adminId, traderId, req.body.reason || 'Disabled from control center');
+    return res.status(202).json({
+      success: true,
+      data: result,
+      message: `Trader ${traderId} disabled, migrating ${result.total} followers (migration #${result.migrationId}).`
+    });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    if (err.message.includes('still running')) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
 });
 
 /**
  * POST /admin_webapp/control_center/force_switch
  * Force-switch all users from TraderX => TraderY
+ * body: { fromTrader, toTrader, preview, reason }
  */
-router.post('/control_center/force_switch', async (req, res) => {
+router.post('/control_center/force_switch', [
+  body('fromTrader').isInt().withMessage('fromTrader must be an integer'),
+  body('toTrader').isInt().withMessage('toTrader must be an integer'),
+  body('preview').optional().isBoolean().withMessage('preview must be a boolean'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const fromTrader = parseInt(req.body.fromTrader, 10);
+    const toTrader = parseInt(req.body.toTrader, 10);
+    if (req.body.preview === true) {
+      const data = await previewFollowerMigration(req.adminId, fromTrader, toTrader);
+      return res.json({ success: true, preview: true, data });
+    }
+    const result = await forceSwitchTrader(req.adminId, fromTrader, toTrader, { reason: req.body.reason });
+    if (result?.pendingApproval) return pendingApprovalResponse(res, result);
+    return res.status(202).json({
+      success: true,
+      data: result,
+      message: `Switching ${result.total} users from ${fromTrader} to ${toTrader} (migration #${result.migrationId}).`
+    });
+  } catch (err) {
+    if (err.message.includes('requires a reason')) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    if (err.message.includes('not active') || err.message.includes('still running')) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/control_center/follower_migrations/:migrationId
+ * Progress of a follower migration: total, processed, outcomes
+ */
+router.get('/control_center/follower_migrations/:migrationId', [
+  param('migrationId').isInt().withMessage('Migration ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
   try {
-    const fromTrader = req.body.fromTrader;
-    const toTrader = req.body.toTrader;
-    // e.g. await reassignUsersFromTrader(fromTrader, toTrader);
-    return res.json({ success: true, message: `Users forcibly switched from ${fromTrader} to ${toTrader}` });
+    const data = await getFollowerMigration(req.adminId, parseInt(req.params.migrationId, 10));
+    return res.json({ success: true, data });
   } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
     return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
   }
 });
@@ -217,15 +488,30 @@ router.post('/control_center/force_switch', async (req, res) => {
  *************************************************************/
 
 /**
- * GET /admin_webapp/strategy_analytics
- * Returns aggregated data: which traders are most followed, total allocations
+ * GET /admin_webapp/strategy_analytics?from=&to=&traderId=
+ * Followers / AUM per trader per day, follower inflow / outflow,
+ * cohort retention, follower vs leader PnL, AUM concentration
  */
-router.get('/strategy_analytics', async (req, res) => {
+router.get('/strategy_analytics', [
+  query('from').optional().isISO8601().withMessage('from must be an ISO date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO date'),
+  query('traderId').optional().isInt().withMessage('traderId must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
   try {
-    // e.g. const data = await getTraderFollowStats();
-    const data = []; // placeholder
+    const data = await getStrategyAnalytics(req.adminId, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      traderId: req.query.traderId || null
+    });
     return res.json({ success: true, data });
   } catch (err) {
+    if (err.message.startsWith('Invalid date range')) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
     return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
   }
 });
@@ -238,23 +524,1320 @@ router.get('/strategy_analytics', async (req, res) => {
 /**
  * GET /admin_webapp/trade_inspector/:tradeId
  * Return detailed info about a single user trade:
- * aggregator route, execution steps, slippage, partial fill, etc.
+ * signal, risk checks, quotes, route, submissions, confirmation,
+ * expected vs actual output, fees; copy trades vs the leader's trade
  */
-router.get('/trade_inspector/:tradeId', async (req, res) => {
+router.get('/trade_inspector/:tradeId', [
+  param('tradeId').isInt().withMessage('Trade ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
   try {
     const tradeId = parseInt(req.params.tradeId, 10);
-    // e.g. fetch from trade_executions + aggregator logs
-    const trade = {}; // placeholder
+    const trade = await inspectTrade(req.adminId, tradeId);
     return res.json({
       success: true,
       trade
     });
   } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+
+/*************************************************************
+ * 6) Broadcast Delivery Reports => from Prompt 1.5
+ *************************************************************/
+
+/**
+ * GET /admin_webapp/broadcasts
+ * Returns the most recent broadcasts with their status
+ */
+router.get('/broadcasts', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const data = await listBroadcasts(limit);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/broadcasts/:broadcastId/report
+ * Delivery report: counts per status (queued/sent/failed/blocked_bot/cancelled)
+ * plus the failed recipients
+ */
+router.get('/broadcasts/:broadcastId/report', [
+  param('broadcastId').isInt().withMessage('Broadcast ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const report = await getBroadcastReport(req.adminId, parseInt(req.params.broadcastId, 10));
+    return res.json({ success: true, data: report });
+  } catch (err) {
+    if (err.message.startsWith('Broadcast not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+// cancel errors => 403 / 404 / 409 (already finished) / 500
+function sendBroadcastError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.startsWith('Broadcast not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (err.code === 'BROADCAST_FINISHED') {
+    return res.status(409).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * POST /admin_webapp/broadcasts/:broadcastId/cancel
+ * Cancel a broadcast that is still queued or sending
+ */
+router.post('/broadcasts/:broadcastId/cancel', [
+  param('broadcastId').isInt().withMessage('Broadcast ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const result = await cancelBroadcast(req.adminId, parseInt(req.params.broadcastId, 10));
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return sendBroadcastError(res, err);
+  }
+});
+
+
+/*************************************************************
+ * 7) Four-Eyes Approvals => high-impact admin actions
+ *************************************************************/
+
+/**
+ * GET /admin_webapp/approvals
+ * Pending requests and emergency actions awaiting review
+ */
+router.get('/approvals', async (req, res) => {
+  try {
+    const data = await listApprovalRequests(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/approvals/:requestId/:decision
+ * decision => approve | reject | review, body: { note }
+ */
+const APPROVAL_DECISIONS = {
+  approve: approveAdminRequest,
+  reject: rejectAdminRequest,
+  review: reviewEmergencyAction
+};
+
+router.post('/approvals/:requestId/:decision', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+  param('decision').isIn(Object.keys(APPROVAL_DECISIONS)).withMessage('Decision must be approve, reject or review'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const decide = APPROVAL_DECISIONS[req.params.decision];
+    const data = await decide(req.adminId, parseInt(req.params.requestId, 10), req.body.note || '');
+    return res.json({ success: true, data });
+  } catch (err) {
+    if (err.code === 'PERMISSION_DENIED') {
+      return res.status(403).json({ success: false, error: 'Permission denied' });
+    }
+    return res.status(409).json({ success: false, error: err.message });
+  }
+});
+
+
+/*************************************************************
+ * 8) Admin Permissions => from Prompt 1.4
+ *************************************************************/
+
+/**
+ * GET /admin_webapp/permissions
+ * Role and capabilities of the logged-in admin
+ */
+router.get('/permissions', async (req, res) => {
+  try {
+    const data = await getAdminPermissions(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/permissions/:adminId
+ * "What can admin X do?"
+ */
+router.get('/permissions/:adminId', [
+  param('adminId').isInt().withMessage('Admin ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await getAdminPermissions(req.adminId, parseInt(req.params.adminId, 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    if (err.code === 'PERMISSION_DENIED') {
+      return res.status(403).json({ success: false, error: 'Permission denied' });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+
+/*************************************************************
+ * 9) Circuit Breakers => from Prompt 1.10
+ *************************************************************/
+
+/**
+ * GET /admin_webapp/circuit_breakers
+ * Every breaker config with the state of each scope (closed/open/half_open)
+ */
+router.get('/circuit_breakers', async (req, res) => {
+  try {
+    const data = await listCircuitBreakers(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/circuit_breakers/:breakerId/reset
+ * body: { scopeKey } => close an open breaker by hand (default 'global')
+ */
+router.post('/circuit_breakers/:breakerId/reset', [
+  param('breakerId').isInt().withMessage('Breaker ID must be an integer'),
+  body('scopeKey').optional().isString().withMessage('scopeKey must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    await resetCircuitBreaker(req.adminId, parseInt(req.params.breakerId, 10), req.body.scopeKey || 'global');
+    return res.json({ success: true, message: 'Circuit breaker reset.' });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+
+/*************************************************************
+ * 10) Admin Audit Log => from Prompt 1.3
+ *************************************************************/
+
+const LOG_FILTER_FIELDS = ['action', 'adminUser', 'since', 'until', 'targetType', 'targetId', 'origin', 'text'];
+
+function logFiltersFromQuery(q) {
+  const filters = {};
+  for (const field of LOG_FILTER_FIELDS) {
+    if (q[field] !== undefined && q[field] !== '') filters[field] = q[field];
+  }
+  return filters;
+}
+
+/**
+ * GET /admin_webapp/admin_logs
+ * ?text=&targetType=&targetId=&action=&adminUser=&origin=&since=&until=&limit=&cursor=
+ * Newest first; pass nextCursor back as `cursor` for the next page
+ */
+router.get('/admin_logs', [
+  query('since').optional().isISO8601().withMessage('since must be an ISO date'),
+  query('until').optional().isISO8601().withMessage('until must be an ISO date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be 1-100'),
+  query('origin').optional().isIn(['webapp', 'telegram', 'system']).withMessage('origin must be webapp, telegram or system'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await searchAdminLogs(req.adminId, logFiltersFromQuery(req.query), {
+      limit: req.query.limit,
+      cursor: req.query.cursor || null
+    });
+    return res.json({ success: true, data: data.rows, nextCursor: data.nextCursor });
+  } catch (err) {
+    if (err.message === 'Invalid cursor.') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/admin_logs/export?format=csv|jsonl&since=&until=
+ * Streams every matching entry, oldest first
+ */
+router.get('/admin_logs/export', [
+  query('format').optional().isIn(['csv', 'jsonl']).withMessage('format must be csv or jsonl'),
+  query('since').isISO8601().withMessage('since must be an ISO date'),
+  query('until').isISO8601().withMessage('until must be an ISO date'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  const format = req.query.format || 'csv';
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition',
+    `attachment; filename="admin_logs_${req.query.since.slice(0, 10)}_${req.query.until.slice(0, 10)}.${format}"`);
+  try {
+    await exportAdminLogs(req.adminId, logFiltersFromQuery(req.query), format, res);
+    return res.end();
+  } catch (err) {
+    // headers are gone once rows were streamed => just cut the response
+    if (res.headersSent) return res.destroy(err);
     return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
   }
 });
 
 
+/*************************************************************
+ * 11) Compliance Cases => from Prompt 7.10
+ *************************************************************/
+
+// case errors => 403 / 404 / 400 (validation, bad transition) / 500
+function sendCaseError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (/^Invalid|cannot move|is required|larger than/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * GET /admin_webapp/compliance/cases
+ * ?status=&severity=&ownerId=&userId=&wallet=&text=&limit=&cursor=
+ */
+router.get('/compliance/cases', [
+  query('status').optional().isIn(CASE_STATUSES).withMessage(`status must be one of: ${CASE_STATUSES.join(', ')}`),
+  query('severity').optional().isIn(CASE_SEVERITIES).withMessage(`severity must be one of: ${CASE_SEVERITIES.join(', ')}`),
+  query('ownerId').optional().isInt().withMessage('ownerId must be an integer'),
+  query('userId').optional().isInt().withMessage('userId must be an integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be 1-100'),
+  query('cursor').optional().isInt().withMessage('cursor must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { status, severity, ownerId, userId, wallet, text } = req.query;
+    const data = await listComplianceCases(req.adminId, { status, severity, ownerId, userId, wallet, text }, {
+      limit: req.query.limit,
+      cursor: req.query.cursor || null
+    });
+    return res.json({ success: true, data: data.rows, nextCursor: data.nextCursor });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases
+ * body: { title, severity, ownerId, userIds, wallets, tradeIds, note, status }
+ */
+router.post('/compliance/cases', [
+  body('title').isString().trim().notEmpty().withMessage('title is required'),
+  body('severity').optional().isIn(CASE_SEVERITIES).withMessage(`severity must be one of: ${CASE_SEVERITIES.join(', ')}`),
+  body('status').optional().isIn(['open', 'investigating', 'escalated']).withMessage('status must be open, investigating or escalated'),
+  body('ownerId').optional().isInt().withMessage('ownerId must be an integer'),
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('wallets').optional().isArray().withMessage('wallets must be an array'),
+  body('tradeIds').optional().isArray().withMessage('tradeIds must be an array'),
+  body('note').optional().isString().withMessage('note must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { title, severity, ownerId, userIds, wallets, tradeIds, note, status } = req.body;
+    const caseId = await openComplianceCase(req.adminId, { title, severity, ownerId, userIds, wallets, tradeIds, note, status });
+    return res.status(201).json({ success: true, data: { caseId } });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/cases/:caseId
+ * Case with linked users / wallets / trades, note thread and evidence
+ */
+router.get('/compliance/cases/:caseId', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await getComplianceCase(req.adminId, parseInt(req.params.caseId, 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases/:caseId/status
+ * body: { status, resolution (closing: cleared|confirmed), note }
+ * escalated => linked users blocked, closed/cleared => released
+ */
+router.post('/compliance/cases/:caseId/status', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+  body('status').isIn(CASE_STATUSES).withMessage(`status must be one of: ${CASE_STATUSES.join(', ')}`),
+  body('resolution').optional().isIn(['cleared', 'confirmed']).withMessage('resolution must be cleared or confirmed'),
+  body('note').optional().isString().withMessage('note must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await updateComplianceCaseStatus(req.adminId, parseInt(req.params.caseId, 10), req.body.status, {
+      resolution: req.body.resolution || null,
+      note: req.body.note || null
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases/:caseId/notes
+ * body: { body }
+ */
+router.post('/compliance/cases/:caseId/notes', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+  body('body').isString().trim().notEmpty().withMessage('body is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await addComplianceCaseNote(req.adminId, parseInt(req.params.caseId, 10), req.body.body);
+    return res.status(201).json({ success: true, data });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases/:caseId/links
+ * body: { userIds, wallets, tradeIds }
+ */
+router.post('/compliance/cases/:caseId/links', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('wallets').optional().isArray().withMessage('wallets must be an array'),
+  body('tradeIds').optional().isArray().withMessage('tradeIds must be an array'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { userIds, wallets, tradeIds } = req.body;
+    await linkComplianceCase(req.adminId, parseInt(req.params.caseId, 10), { userIds, wallets, tradeIds });
+    return res.json({ success: true, message: 'Case links updated.' });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases/:caseId/evidence
+ * body: { kind, reference, description, contentBase64 (kind 'file') }
+ */
+router.post('/compliance/cases/:caseId/evidence', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+  body('kind').isIn(EVIDENCE_KINDS).withMessage(`kind must be one of: ${EVIDENCE_KINDS.join(', ')}`),
+  body('reference').isString().trim().notEmpty().withMessage('reference is required'),
+  body('description').optional().isString().withMessage('description must be a string'),
+  body('contentBase64').optional().isBase64().withMessage('contentBase64 must be base64'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { kind, reference, description, contentBase64 } = req.body;
+    const data = await attachComplianceEvidence(req.adminId, parseInt(req.params.caseId, 10), {
+      kind,
+      reference,
+      description,
+      content: contentBase64 ? Buffer.from(contentBase64, 'base64') : null
+    });
+    return res.status(201).json({ success: true, data });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/cases/:caseId/assign
+ * body: { ownerId, severity }
+ */
+router.post('/compliance/cases/:caseId/assign', [
+  param('caseId').isInt().withMessage('Case ID must be an integer'),
+  body('ownerId').optional().isInt().withMessage('ownerId must be an integer'),
+  body('severity').optional().isIn(CASE_SEVERITIES).withMessage(`severity must be one of: ${CASE_SEVERITIES.join(', ')}`),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await assignComplianceCase(req.adminId, parseInt(req.params.caseId, 10), {
+      ownerId: req.body.ownerId,
+      severity: req.body.severity
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+
+/*************************************************************
+ * 12) Transaction Monitoring => from Prompt 7.9 / 7.10
+ *************************************************************/
+
+// rule / backtest errors => 404 / 400 (invalid config or range) / 500
+function sendMonitoringError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (/^Invalid|must be|is required|already/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * GET /admin_webapp/compliance/monitoring/rules
+ * Rules with their alert / dismissal counts of the last 30 days
+ */
+router.get('/compliance/monitoring/rules', async (req, res) => {
+  try {
+    const data = await listMonitoringRules(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/monitoring/rules
+ * body: { name, config: { type, ...thresholds, score, cooldownHours, ratingMode, openCase } }
+ */
+router.post('/compliance/monitoring/rules', [
+  body('name').isString().trim().notEmpty().withMessage('name is required'),
+  body('config').isObject().withMessage('config must be an object'),
+  body('config.type').isIn(MONITORING_RULE_TYPES).withMessage(`config.type must be one of: ${MONITORING_RULE_TYPES.join(', ')}`),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const ruleId = await defineMonitoringRule(req.adminId, req.body.name, req.body.config);
+    return res.status(201).json({ success: true, data: { ruleId } });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/monitoring/rules/:ruleId
+ * body: { enabled, config } => toggle and/or retune (type cannot change)
+ */
+router.post('/compliance/monitoring/rules/:ruleId', [
+  param('ruleId').isInt().withMessage('Rule ID must be an integer'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('config').optional().isObject().withMessage('config must be an object'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await updateMonitoringRule(req.adminId, parseInt(req.params.ruleId, 10), {
+      enabled: req.body.enabled,
+      ruleConfig: req.body.config
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/monitoring/alerts
+ * ?status=open|actioned|dismissed&ruleId=&userId=&limit=&cursor=
+ */
+router.get('/compliance/monitoring/alerts', [
+  query('status').optional().isIn(['open', 'actioned', 'dismissed']).withMessage('status must be open, actioned or dismissed'),
+  query('ruleId').optional().isInt().withMessage('ruleId must be an integer'),
+  query('userId').optional().isInt().withMessage('userId must be an integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+  query('cursor').optional().isInt().withMessage('cursor must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { status, ruleId, userId } = req.query;
+    const data = await listMonitoringAlerts(req.adminId, { status, ruleId, userId }, {
+      limit: req.query.limit,
+      cursor: req.query.cursor || null
+    });
+    return res.json({ success: true, data: data.rows, nextCursor: data.nextCursor });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/monitoring/alerts/:alertId/resolve
+ * body: { decision: 'apply' | 'dismiss', note }
+ */
+router.post('/compliance/monitoring/alerts/:alertId/resolve', [
+  param('alertId').isInt().withMessage('Alert ID must be an integer'),
+  body('decision').isIn(['apply', 'dismiss']).withMessage('decision must be apply or dismiss'),
+  body('note').optional().isString().withMessage('note must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await resolveMonitoringAlert(req.adminId, parseInt(req.params.alertId, 10), {
+      decision: req.body.decision,
+      note: req.body.note || null
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/monitoring/backtest
+ * body: { rules: [ruleId | { name, type, ...config }], from, to }
+ * Replays the rules over history; nothing is applied
+ */
+router.post('/compliance/monitoring/backtest', [
+  body('rules').isArray({ min: 1 }).withMessage('rules must be a non-empty array'),
+  body('from').isISO8601().withMessage('from must be an ISO date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO date'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await backtestMonitoringRules(req.adminId, req.body.rules, { from: req.body.from, to: req.body.to });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendMonitoringError(res, err);
+  }
+});
+
+
+/*************************************************************
+ * 13) Wallet Screening => sanctions / denylists
+ *************************************************************/
+
+/**
+ * GET /admin_webapp/compliance/screening
+ * Active list version, files and last reload error
+ */
+router.get('/compliance/screening', async (req, res) => {
+  try {
+    const data = await getScreeningStatus(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/screening/decisions
+ * ?address=&userId=&decision=clear|match|error&direction=&limit=&cursor=
+ */
+router.get('/compliance/screening/decisions', [
+  query('userId').optional().isInt().withMessage('userId must be an integer'),
+  query('decision').optional().isIn(['clear', 'match', 'error']).withMessage('decision must be clear, match or error'),
+  query('direction').optional().isIn(['deposit', 'withdrawal', 'manual']).withMessage('direction must be deposit, withdrawal or manual'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+  query('cursor').optional().isInt().withMessage('cursor must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const { address, userId, decision, direction } = req.query;
+    const data = await listScreeningDecisions(req.adminId, { address, userId, decision, direction }, {
+      limit: req.query.limit,
+      cursor: req.query.cursor || null
+    });
+    return res.json({ success: true, data: data.rows, nextCursor: data.nextCursor });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/screening/versions/:version
+ * Every list entry of a stored list version
+ */
+router.get('/compliance/screening/versions/:version', [
+  param('version').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('version must be a sha256 hex string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await getScreeningListVersion(req.adminId, req.params.version);
+    return res.json({ success: true, data });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/screening/check
+ * body: { address } => manual check, recorded like any other decision
+ */
+router.post('/compliance/screening/check', [
+  body('address').isString().trim().notEmpty().withMessage('address is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await screenWalletAddress(req.adminId, req.body.address);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/withdrawals/held
+ * Withdrawals on hold with the screening decision behind them
+ */
+router.get('/compliance/withdrawals/held', async (req, res) => {
+  try {
+    const data = await listHeldWithdrawals(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/withdrawals/:requestId/review
+ * body: { decision: 'release' | 'reject', note }
+ */
+router.post('/compliance/withdrawals/:requestId/review', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+  body('decision').isIn(['release', 'reject']).withMessage('decision must be release or reject'),
+  body('note').optional().isString().withMessage('note must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await reviewHeldWithdrawal(req.adminId, parseInt(req.params.requestId, 10), req.body.decision, req.body.note || null);
+    return res.json({ success: true, data });
+  } catch (err) {
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    if (err.message.includes('not held') || err.message.includes('still compliance-blocked')) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/*************************************************************
+ * 14) Region Policies => from Prompt 7.9
+ *************************************************************/
+
+// invalid region / policy => 400, unknown user => 404
+function sendRegionError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (/^Invalid|must be|is required/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * GET /admin_webapp/compliance/regions
+ * Every region with its own policy, DEFAULT first
+ */
+router.get('/compliance/regions', async (req, res) => {
+  try {
+    const data = await listRegionPolicies(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/regions/:region
+ * body: { copy_trading, ai_trading, premium_purchase, withdrawals,
+ *         max_deposit_sol, reason } => users re-evaluated in the background
+ */
+router.post('/compliance/regions/:region', [
+  param('region').isString().trim().notEmpty().withMessage('region is required'),
+  body(['copy_trading', 'ai_trading', 'premium_purchase', 'withdrawals']).optional().isBoolean({ strict: true })
+    .withMessage('feature flags must be true or false'),
+  body('max_deposit_sol').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('max_deposit_sol must be a non-negative number or null'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  const changes = {};
+  for (const key of ['copy_trading', 'ai_trading', 'premium_purchase', 'withdrawals', 'max_deposit_sol']) {
+    if (req.body[key] !== undefined) changes[key] = req.body[key];
+  }
+  try {
+    const data = await setRegionPolicy(req.adminId, req.params.region, changes, req.body.reason);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendRegionError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/compliance/regions/:region/history?limit=50
+ */
+router.get('/compliance/regions/:region/history', [
+  param('region').isString().trim().notEmpty().withMessage('region is required'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be 1-500'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await getRegionPolicyHistory(req.adminId, req.params.region, parseInt(req.query.limit || '50', 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendRegionError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/regions/:region/reevaluate
+ * Re-checks every user of the region; waits for the result
+ */
+router.post('/compliance/regions/:region/reevaluate', [
+  param('region').isString().trim().notEmpty().withMessage('region is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await reevaluateRegionPolicy(req.adminId, req.params.region);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendRegionError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/compliance/users/:userId/region
+ * body: { region, reason } => declared region, e.g. after KYC
+ */
+router.post('/compliance/users/:userId/region', [
+  param('userId').isInt().withMessage('User ID must be an integer'),
+  body('region').isString().trim().notEmpty().withMessage('region is required'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await setUserRegion(req.adminId, parseInt(req.params.userId, 10), req.body.region, req.body.reason);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendRegionError(res, err);
+  }
+});
+
+/*************************************************************
+ * 15) Data Subject Requests => personal data export / erasure
+ *************************************************************/
+
+// 404 unknown request / file, 409 wrong state or same admin, 400 bad input
+function sendDsrError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (/not pending approval|already has an open|different admin|not a completed export/.test(err.message)) {
+    return res.status(409).json({ success: false, error: err.message });
+  }
+  if (/^Invalid|is required/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * GET /admin_webapp/privacy/requests?status=&type=&userId=&overdue=true&limit=&cursor=
+ */
+router.get('/privacy/requests', [
+  query('status').optional().isIn(DSR_STATUSES).withMessage(`status must be one of: ${DSR_STATUSES.join(', ')}`),
+  query('type').optional().isIn(DSR_TYPES).withMessage(`type must be one of: ${DSR_TYPES.join(', ')}`),
+  query('userId').optional().isInt().withMessage('userId must be an integer'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+  query('cursor').optional().isInt().withMessage('cursor must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await listDataSubjectRequests(req.adminId, {
+      status: req.query.status,
+      type: req.query.type,
+      userId: req.query.userId ? parseInt(req.query.userId, 10) : undefined,
+      overdue: req.query.overdue === 'true'
+    }, { limit: parseInt(req.query.limit || '50', 10), cursor: req.query.cursor || null });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/privacy/requests
+ * body: { userId, type: 'export' | 'erasure', reason } => waits for another admin's approval
+ */
+router.post('/privacy/requests', [
+  body('userId').isInt().withMessage('userId must be an integer'),
+  body('type').isIn(DSR_TYPES).withMessage(`type must be one of: ${DSR_TYPES.join(', ')}`),
+  body('reason').optional().isString().withMessage('reason must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const requestId = await createDataSubjectRequest(req.adminId, parseInt(req.body.userId, 10), req.body.type, req.body.reason || null);
+    return res.json({ success: true, data: { requestId } });
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/privacy/requests/:requestId
+ * Request with its export manifest / erasure summary
+ */
+router.get('/privacy/requests/:requestId', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await getDataSubjectRequest(req.adminId, parseInt(req.params.requestId, 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/privacy/requests/:requestId/approve
+ * Runs the export / erasure; a failed run is returned with status 'failed'
+ */
+router.post('/privacy/requests/:requestId/approve', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await approveDataSubjectRequest(req.adminId, parseInt(req.params.requestId, 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/privacy/requests/:requestId/reject
+ * body: { reason } => sent to the user
+ */
+router.post('/privacy/requests/:requestId/reject', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await rejectDataSubjectRequest(req.adminId, parseInt(req.params.requestId, 10), req.body.reason);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/privacy/requests/:requestId/files/:fileName
+ * A file from a completed export's manifest (export.json, <section>.csv)
+ */
+router.get('/privacy/requests/:requestId/files/:fileName', [
+  param('requestId').isInt().withMessage('Request ID must be an integer'),
+  param('fileName').matches(/^[a-z_]+\.(json|csv)$/).withMessage('fileName must be an export file name'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const file = await getDataSubjectExportFile(req.adminId, parseInt(req.params.requestId, 10), req.params.fileName);
+    res.setHeader('X-Content-SHA256', file.sha256);
+    return res.download(file.filePath, `dsr_${req.params.requestId}_${req.params.fileName}`);
+  } catch (err) {
+    return sendDsrError(res, err);
+  }
+});
+
+/*************************************************************
+ * 16) Sessions & API Keys
+ *     API keys never reach these routes (isAdminSession)
+ *************************************************************/
+
+// 404 unknown session / key, 409 already revoked, 400 bad input
+function sendAuthError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (err.message.includes('already revoked')) {
+    return res.status(409).json({ success: false, error: err.message });
+  }
+  if (/is required|needs at least|must be between|not available to API keys|Cannot grant/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * POST /admin_webapp/auth/logout
+ * Revokes the current session and clears the cookie
+ */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await revokeAdminSession(req.adminId, req.adminAuth.sessionId, 'logout');
+    res.clearCookie(SESSION_COOKIE, { path: SESSION_COOKIE_PATH });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/auth/sessions?adminId=&includeInactive=true
+ * Own sessions; another admin's need admin.sessions.manage
+ */
+router.get('/auth/sessions', [
+  query('adminId').optional().isInt().withMessage('adminId must be an integer'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const targetAdminId = req.query.adminId ? parseInt(req.query.adminId, 10) : req.adminId;
+    const sessions = await listAdminSessions(req.adminId, targetAdminId, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    const data = sessions.map((s) => ({ ...s, current: String(s.id) === String(req.adminAuth.sessionId) }));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/auth/sessions/:sessionId/revoke
+ * body: { reason }
+ */
+router.post('/auth/sessions/:sessionId/revoke', [
+  param('sessionId').isInt().withMessage('Session ID must be an integer'),
+  body('reason').optional().isString().trim(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    await revokeAdminSession(req.adminId, parseInt(req.params.sessionId, 10), req.body.reason || '');
+    return res.json({ success: true });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/auth/admins/:adminId/revoke_sessions
+ * body: { reason } => every live session of that admin
+ */
+router.post('/auth/admins/:adminId/revoke_sessions', [
+  param('adminId').isInt().withMessage('Admin ID must be an integer'),
+  body('reason').isString().trim().notEmpty().withMessage('reason is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const revoked = await revokeAllAdminSessions(req.adminId, parseInt(req.params.adminId, 10), req.body.reason);
+    return res.json({ success: true, data: { revoked } });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/auth/api_keys?adminId=&includeRevoked=true
+ * Keys (never the secrets) plus the routes a key can be scoped to
+ */
+router.get('/auth/api_keys', [
+  query('adminId').optional().isInt().withMessage('adminId must be an integer'),
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be true or false'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const keys = await listAdminApiKeys(req.adminId, {
+      userId: req.query.adminId ? parseInt(req.query.adminId, 10) : null,
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+    return res.json({ success: true, data: { keys, scopableRoutes: listScopableRoutes() } });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/auth/api_keys
+ * body: { name, routes: ["GET /metrics", ...], expiresInDays }
+ * The key is in the response once; it acts as the creating admin.
+ */
+router.post('/auth/api_keys', [
+  body('name').isString().trim().notEmpty().withMessage('name is required'),
+  body('routes').isArray({ min: 1 }).withMessage('routes must be a non-empty array'),
+  body('routes.*').isString().withMessage('each route must be "METHOD /path"'),
+  body('expiresInDays').optional().isInt({ min: 1 }).withMessage('expiresInDays must be a positive integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await createAdminApiKey(req.adminId, req.body.name, req.body.routes,
+      req.body.expiresInDays === undefined ? undefined : parseInt(req.body.expiresInDays, 10));
+    return res.status(201).json({ success: true, data });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/auth/api_keys/:keyId/revoke
+ */
+router.post('/auth/api_keys/:keyId/revoke', [
+  param('keyId').isInt().withMessage('Key ID must be an integer'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await revokeAdminApiKey(req.adminId, parseInt(req.params.keyId, 10));
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendAuthError(res, err);
+  }
+});
+
+/*************************************************************
+ * 17) Flash-Crash Watchlist => from Prompt 1.9
+ *************************************************************/
+
+// 404 unknown asset, 400 bad config
+function sendFlashCrashError(res, err) {
+  if (err.code === 'PERMISSION_DENIED') {
+    return res.status(403).json({ success: false, error: 'Permission denied' });
+  }
+  if (err.message.includes('not on the flash-crash watchlist')) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (/^Invalid|^No price source|must be/.test(err.message)) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+}
+
+/**
+ * GET /admin_webapp/flash_crash/watchlist
+ * Every watched asset (disabled ones too) with its windows and reaction
+ */
+router.get('/flash_crash/watchlist', async (req, res) => {
+  try {
+    const data = await listFlashCrashWatchlist(req.adminId);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendFlashCrashError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/flash_crash/watchlist/:symbol
+ * body: { config: { windows, reaction, pauseMinutes, cooldownMinutes }, enabled }
+ */
+router.post('/flash_crash/watchlist/:symbol', [
+  param('symbol').isString().trim().notEmpty().withMessage('symbol is required'),
+  body('config').optional().isObject().withMessage('config must be an object'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await setFlashCrashWatch(req.adminId, req.params.symbol, req.body.config || {},
+      req.body.enabled === undefined ? true : req.body.enabled === true || req.body.enabled === 'true');
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendFlashCrashError(res, err);
+  }
+});
+
+/**
+ * POST /admin_webapp/flash_crash/watchlist/:symbol/remove
+ */
+router.post('/flash_crash/watchlist/:symbol/remove', [
+  param('symbol').isString().trim().notEmpty().withMessage('symbol is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    await removeFlashCrashWatch(req.adminId, req.params.symbol);
+    return res.json({ success: true, message: 'Removed from the flash-crash watchlist.' });
+  } catch (err) {
+    return sendFlashCrashError(res, err);
+  }
+});
+
+/**
+ * GET /admin_webapp/flash_crash/events?symbol=SOL&limit=50
+ * Detected crashes, newest first, with window, drop and reaction
+ */
+router.get('/flash_crash/events', [
+  query('symbol').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  try {
+    const data = await listFlashCrashEvents(req.adminId, {
+      symbol: req.query.symbol || null,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 50
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return sendFlashCrashError(res, err);
+  }
+});
+
 /*************************************************************
  * Export
  *************************************************************/
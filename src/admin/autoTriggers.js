@@ -0,0 +1,443 @@
+/*************************************************************
+ * autoTriggers.js
+ *
+ * Location: /src/admin/autoTriggers.js
+ *
+ * Auto-Triggers & Auto-Responses (Prompt 1.7)
+ * Evaluates the rules admins store via admin.defineAutoTrigger.
+ *
+ * Rule config (admin_triggers.trigger_config):
+ *   {
+ *     type: 'trader_roi' | 'trader_drawdown' | 'aggregator_error_rate'
+ *         | 'user_loss_streak' | 'vault_balance',
+ *     operator: '<' | '<=' | '>' | '>=',
+ *     threshold: -0.10,
+ *     traderId / userId: optional, restrict to one subject,
+ *     action: {
+ *       type: 'deactivateTrader' | 'forceMarketPause' | 'setUserRiskRating'
+ *           | 'notifyAdmins' | 'webhook',
+ *       rating, url, message   (depending on type)
+ *     },
+ *     cooldownMinutes: 60,
+ *     dryRun: false
+ *   }
+ *   e.g. auto-block trader if ROI < -10%:
+ *   { type: 'trader_roi', operator: '<', threshold: -0.10,
+ *     action: { type: 'deactivateTrader' } }
+ *
+ * Runs on a schedule (every 5 minutes) and on events
+ * (handleTriggerEvent), with per-subject cooldowns, dry-run
+ * and a firing history in admin_trigger_firings.
+ *************************************************************/
+
+const cron = require('node-cron');
+const fetch = require('node-fetch');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const { collectAggregatorMetrics } = require('../aggregator/aggregatorStats');
+const complianceTools = require('./complianceTools');
+
+const CONDITION_TYPES = ['trader_roi', 'trader_drawdown', 'aggregator_error_rate', 'user_loss_streak', 'vault_balance'];
+const ACTION_TYPES = ['deactivateTrader', 'forceMarketPause', 'setUserRiskRating', 'notifyAdmins', 'webhook'];
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// which subject each condition produces, and which actions make sense for it
+const CONDITION_SUBJECT = {
+  trader_roi: 'trader',
+  trader_drawdown: 'trader',
+  aggregator_error_rate: 'system',
+  user_loss_streak: 'user',
+  vault_balance: 'user'
+};
+const ACTION_SUBJECT = {
+  deactivateTrader: 'trader',
+  setUserRiskRating: 'user'
+};
+
+// actions run as the rule's creator, who must hold the same
+// capability the action needs when run by hand (adminRoles.js)
+const ACTION_CAPABILITY = {
+  deactivateTrader: 'traders.manage',
+  forceMarketPause: 'trading.pause',
+  setUserRiskRating: 'compliance.rating'
+};
+
+// events => which condition types to re-evaluate
+const EVENT_CONDITIONS = {
+  trade_executed: ['user_loss_streak', 'vault_balance'],
+  trader_stats_updated: ['trader_roi', 'trader_drawdown'],
+  aggregator_stats: ['aggregator_error_rate'],
+  vault_balance_changed: ['vault_balance']
+};
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/*************************************************************
+ * normalizeTriggerConfig(config)
+ * - Validates a rule before it is stored; throws on bad input.
+ *************************************************************/
+function normalizeTriggerConfig(config = {}) {
+  const { type, operator = '<', action = {} } = config;
+  if (!CONDITION_TYPES.includes(type)) {
+    throw new Error(`Invalid trigger type "${type}". Must be one of: ${CONDITION_TYPES.join(', ')}`);
+  }
+  if (!OPERATORS[operator]) {
+    throw new Error(`Invalid operator "${operator}". Must be one of: ${Object.keys(OPERATORS).join(' ')}`);
+  }
+  const threshold = Number(config.threshold);
+  if (!Number.isFinite(threshold)) {
+    throw new Error('Trigger threshold must be a number.');
+  }
+  if (!ACTION_TYPES.includes(action.type)) {
+    throw new Error(`Invalid trigger action "${action.type}". Must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+  const requiredSubject = ACTION_SUBJECT[action.type];
+  if (requiredSubject && requiredSubject !== CONDITION_SUBJECT[type]) {
+    throw new Error(`Action ${action.type} needs a ${requiredSubject} condition, ${type} is about a ${CONDITION_SUBJECT[type]}.`);
+  }
+  if (action.type === 'setUserRiskRating' && !action.rating) {
+    throw new Error('setUserRiskRating action requires a rating.');
+  }
+  if (action.type === 'webhook' && !/^https?:\/\//.test(action.url || '')) {
+    throw new Error('webhook action requires an http(s) url.');
+  }
+  const cooldownMinutes = config.cooldownMinutes === undefined ? 60 : parseInt(config.cooldownMinutes, 10);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0) {
+    throw new Error('cooldownMinutes must be a non-negative integer.');
+  }
+
+  return {
+    ...config,
+    type,
+    operator,
+    threshold,
+    action,
+    cooldownMinutes,
+    dryRun: Boolean(config.dryRun)
+  };
+}
+
+/*************************************************************
+ * Condition evaluators
+ * - each returns [{ subjectType, subjectId, value }]
+ *************************************************************/
+async function observeTraderMetric(column, filter) {
+  const params = [];
+  let where = 'is_active = true';
+  if (filter.traderId) {
+    params.push(filter.traderId);
+    where += ` AND id = $${params.length}`;
+  }
+  const res = await query(`
+    SELECT id, ${column} AS value
+    FROM traders
+    WHERE ${where} AND ${column} IS NOT NULL
+  `, params);
+  return res.rows.map((r) => ({ subjectType: 'trader', subjectId: String(r.id), value: parseFloat(r.value) }));
+}
+
+async function observeAggregatorErrorRate() {
+  const stats = await collectAggregatorMetrics();
+  if (!stats) return [];
+  return [{ subjectType: 'system', subjectId: 'aggregator', value: stats.trade_error_rate }];
+}
+
+// number of consecutive losing trades, counted back from the latest trade
+async function observeUserLossStreaks(filter) {
+  const params = [];
+  let userFilter = '';
+  if (filter.userId) {
+    params.push(filter.userId);
+    userFilter = `AND user_id = $${params.length}`;
+  }
+  const res = await query(`
+    SELECT user_id, COUNT(*) AS streak
+    FROM (
+      SELECT user_id,
+             SUM(CASE WHEN pnl >= 0 THEN 1 ELSE 0 END)
+               OVER (PARTITION BY user_id ORDER BY executed_at DESC) AS wins_since
+      FROM trade_executions
+      WHERE status = 'SUCCESS'
+        AND pnl IS NOT NULL
+        AND executed_at > NOW() - INTERVAL '30 days'
+        ${userFilter}
+    ) t
+    WHERE wins_since = 0
+    GROUP BY user_id
+  `, params);
+  return res.rows.map((r) => ({ subjectType: 'user', subjectId: String(r.user_id), value: parseInt(r.streak, 10) }));
+}
+
+async function observeVaultBalances(filter) {
+  const params = [];
+  let where = 'balance_sol IS NOT NULL';
+  if (filter.userId) {
+    params.push(filter.userId);
+    where += ` AND user_id = $${params.length}`;
+  }
+  const res = await query(`
+    SELECT user_id, balance_sol
+    FROM user_vaults
+    WHERE ${where}
+  `, params);
+  return res.rows.map((r) => ({ subjectType: 'user', subjectId: String(r.user_id), value: parseFloat(r.balance_sol) }));
+}
+
+async function observe(config, filter = {}) {
+  const scoped = {
+    traderId: config.traderId || filter.traderId,
+    userId: config.userId || filter.userId
+  };
+  // a rule pinned to one subject ignores events about other subjects
+  if ((config.traderId && filter.traderId && String(config.traderId) !== String(filter.traderId)) ||
+      (config.userId && filter.userId && String(config.userId) !== String(filter.userId))) {
+    return [];
+  }
+  switch (config.type) {
+    case 'trader_roi': return observeTraderMetric('roi_30d', scoped);
+    case 'trader_drawdown': return observeTraderMetric('max_drawdown_30d', scoped);
+    case 'aggregator_error_rate': return observeAggregatorErrorRate();
+    case 'user_loss_streak': return observeUserLossStreaks(scoped);
+    case 'vault_balance': return observeVaultBalances(scoped);
+    default: return [];
+  }
+}
+
+/*************************************************************
+ * isInCooldown(trigger, subject)
+ * - Only a successful, real firing starts the cooldown; dry runs
+ *   and failed actions are recorded but can fire again.
+ *************************************************************/
+async function isInCooldown(trigger, subject) {
+  if (!trigger.cooldown_minutes) return false;
+  const res = await query(`
+    SELECT 1
+    FROM admin_trigger_firings
+    WHERE trigger_id = $1 AND subject_type = $2 AND subject_id = $3
+      AND success = true AND dry_run = false
+      AND fired_at > NOW() - ($4 || ' minutes')::interval
+    LIMIT 1
+  `, [trigger.id, subject.subjectType, subject.subjectId, trigger.cooldown_minutes]);
+  return res.rows.length > 0;
+}
+
+/*************************************************************
+ * executeAction(trigger, config, subject)
+ * - Admin-level actions run as the admin who defined the rule,
+ *   so they show up under that admin in admin_logs; defining the
+ *   rule required the action's capability (ACTION_CAPABILITY).
+ *************************************************************/
+async function executeAction(trigger, config, subject) {
+  // required lazily: admin.js loads this module at startup
+  const admin = require('./admin');
+  const { action } = config;
+  const description = `Auto-trigger #${trigger.id} (${config.type} ${config.operator} ${config.threshold}) ` +
+    `fired for ${subject.subjectType} ${subject.subjectId}: value=${subject.value}`;
+
+  switch (action.type) {
+    case 'deactivateTrader':
+      await admin.deactivateTrader(trigger.created_by, parseInt(subject.subjectId, 10));
+      break;
+    case 'forceMarketPause':
+      // automated pause never waits for a second signer => emergency, reviewed afterwards
+      await admin.forceMarketPause(trigger.created_by, action.message || description,
+        { emergency: true, reason: description });
+      break;
+    case 'setUserRiskRating':
+      await complianceTools.setUserRiskRating(trigger.created_by, parseInt(subject.subjectId, 10), action.rating);
+      break;
+    case 'notifyAdmins':
+      notifications.sendAdminGlobalAlert(`⚡ *Auto-Trigger*\n${action.message ? `${action.message}\n` : ''}${description}`);
+      break;
+    case 'webhook': {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+      try {
+        const response = await fetch(action.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            triggerId: trigger.id,
+            type: config.type,
+            operator: config.operator,
+            threshold: config.threshold,
+            subject,
+            firedAt: new Date().toISOString()
+          }),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`Webhook responded ${response.status}`);
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown trigger action: ${action.type}`);
+  }
+}
+
+async function recordFiring(trigger, config, subject, dryRun, error = null) {
+  await query(`
+    INSERT INTO admin_trigger_firings
+      (trigger_id, subject_type, subject_id, observed_value, action, dry_run, success, error, fired_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+  `, [trigger.id, subject.subjectType, subject.subjectId, subject.value, config.action.type,
+    dryRun, !error, error]);
+}
+
+/*************************************************************
+ * evaluateTrigger(trigger, { dryRun, filter, record })
+ * - dryRun (or the rule's own dry_run flag) => nothing executes,
+ *   the would-be firings are returned (and recorded as dry runs
+ *   unless record=false)
+ *************************************************************/
+async function evaluateTrigger(trigger, { dryRun = false, filter = {}, record = true } = {}) {
+  const config = typeof trigger.trigger_config === 'string'
+    ? JSON.parse(trigger.trigger_config)
+    : trigger.trigger_config;
+  const effectiveDryRun = dryRun || trigger.dry_run;
+  const compare = OPERATORS[config.operator || '<'];
+  const results = [];
+
+  const subjects = await observe(config, filter);
+  for (const subject of subjects) {
+    if (!compare(subject.value, Number(config.threshold))) continue;
+    if (await isInCooldown(trigger, subject)) {
+      results.push({ triggerId: trigger.id, subject, action: config.action.type, skipped: 'cooldown' });
+      continue;
+    }
+
+    let error = null;
+    if (!effectiveDryRun) {
+      try {
+        await executeAction(trigger, config, subject);
+      } catch (err) {
+        console.error(`Error executing auto-trigger ${trigger.id}:`, err);
+        error = err.message;
+      }
+    }
+    if (record) {
+      await recordFiring(trigger, config, subject, effectiveDryRun, error);
+    }
+    results.push({ triggerId: trigger.id, subject, action: config.action.type, dryRun: effectiveDryRun, error });
+  }
+  return results;
+}
+
+/*************************************************************
+ * evaluateAutoTriggers({ dryRun, types, filter })
+ * - Evaluates every enabled rule (optionally only some types).
+ * - dryRun=true => report only, nothing executed or recorded.
+ *************************************************************/
+async function evaluateAutoTriggers({ dryRun = false, types = null, filter = {} } = {}) {
+  const params = [];
+  let where = 'enabled = true';
+  if (types) {
+    params.push(types);
+    where += ` AND trigger_type = ANY($${params.length})`;
+  }
+  const res = await query(`
+    SELECT id, trigger_type, trigger_config, created_by, dry_run, cooldown_minutes
+    FROM admin_triggers
+    WHERE ${where}
+    ORDER BY id
+  `, params);
+
+  const fired = [];
+  for (const trigger of res.rows) {
+    try {
+      fired.push(...await evaluateTrigger(trigger, { dryRun, filter, record: !dryRun }));
+    } catch (err) {
+      console.error(`Error evaluating auto-trigger ${trigger.id}:`, err);
+    }
+  }
+  return fired;
+}
+
+/*************************************************************
+ * handleTriggerEvent(eventType, { traderId, userId })
+ * - Event hook, e.g. after a trade or a trader stats refresh:
+ *   re-evaluates only the rules that depend on that event.
+ *************************************************************/
+async function handleTriggerEvent(eventType, filter = {}) {
+  const types = EVENT_CONDITIONS[eventType];
+  if (!types) return [];
+  return evaluateAutoTriggers({ types, filter });
+}
+
+/*************************************************************
+ * Rule management
+ *************************************************************/
+async function listAutoTriggers() {
+  const res = await query(`
+    SELECT id, trigger_type, trigger_config, created_by, enabled, dry_run, cooldown_minutes, created_at
+    FROM admin_triggers
+    ORDER BY id
+  `);
+  return res.rows;
+}
+
+async function updateAutoTrigger(triggerId, { enabled, dryRun }) {
+  const res = await query(`
+    UPDATE admin_triggers
+    SET enabled = COALESCE($2, enabled),
+        dry_run = COALESCE($3, dry_run)
+    WHERE id = $1
+    RETURNING id, enabled, dry_run
+  `, [triggerId, enabled ?? null, dryRun ?? null]);
+  if (res.rows.length === 0) {
+    throw new Error(`Auto-trigger not found: ${triggerId}`);
+  }
+  return res.rows[0];
+}
+
+async function getTriggerFiringHistory(triggerId, limit = 50) {
+  const res = await query(`
+    SELECT id, subject_type, subject_id, observed_value, action, dry_run, success, error, fired_at
+    FROM admin_trigger_firings
+    WHERE trigger_id = $1
+    ORDER BY fired_at DESC
+    LIMIT $2
+  `, [triggerId, Math.min(limit, 500)]);
+  return res.rows;
+}
+
+/*************************************************************
+ * scheduleTriggerEvaluator()
+ *************************************************************/
+function scheduleTriggerEvaluator() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await evaluateAutoTriggers();
+    } catch (err) {
+      console.error('Error in auto-trigger cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  CONDITION_TYPES,
+  ACTION_TYPES,
+  ACTION_CAPABILITY,
+  normalizeTriggerConfig,
+  evaluateAutoTriggers,
+  handleTriggerEvent,
+  listAutoTriggers,
+  updateAutoTrigger,
+  getTriggerFiringHistory,
+  scheduleTriggerEvaluator
+};
@@ -0,0 +1,442 @@
+/*************************************************************
+ * broadcast.js
+ *
+ * Location: /src/admin/broadcast.js
+ *
+ * Segmented broadcast delivery behind admin.broadcastAlert
+ * (Prompt 1.5 Broadcast Alerts & Custom Admin Notifications).
+ *
+ * Provides:
+ *  1) Audience selection => all, premium, free, admins,
+ *     followers of a trader, everyone copying any trader,
+ *     users with a given risk_rating.
+ *     Compliance-blocked users are always excluded.
+ *  2) Persistent delivery queue => broadcasts + broadcast_deliveries
+ *  3) Rate-limited sender (Telegram allows ~30 msg/s per bot)
+ *  4) Per-recipient status: queued / sending / sent / failed / blocked_bot / cancelled
+ *  5) Retries with backoff, cancellation of in-flight broadcasts
+ *  6) Delivery report per broadcast
+ *************************************************************/
+
+const cron = require('node-cron');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+
+const BROADCAST_CONFIG = {
+  messagesPerSecond: parseInt(process.env.BROADCAST_MESSAGES_PER_SECOND || 25, 10), // stay under Telegram's 30/s
+  batchSize: 50,
+  maxAttempts: 3,
+  retryBaseSeconds: 30,     // 30s, 60s, 120s ...
+  stuckSendingMinutes: 5,   // rows left in 'sending' by a crashed worker
+  maxFailuresInReport: 100
+};
+
+const AUDIENCE_TYPES = ['all', 'premium', 'free', 'admins', 'copiers', 'trader', 'risk'];
+
+/*************************************************************
+ * parseAudience(targetGroup)
+ * - Accepts the /send_alert group string or an object:
+ *     'all' | 'premium' | 'free' | 'admins'
+ *     'copiers'            => active followers of any trader
+ *     'trader:<traderId>'  => active followers of that trader
+ *     'risk:<rating>'      => users with that risk_rating
+ *   or { type: 'trader', value: 42 }
+ *************************************************************/
+function parseAudience(targetGroup) {
+  let type;
+  let value;
+  if (targetGroup && typeof targetGroup === 'object') {
+    ({ type, value } = targetGroup);
+  } else {
+    [type, value] = String(targetGroup || '').trim().split(':');
+  }
+  type = (type || '').toLowerCase();
+
+  if (!AUDIENCE_TYPES.includes(type)) {
+    throw new Error(`Invalid broadcast audience "${targetGroup}". Must be one of: all, premium, free, admins, copiers, trader:<id>, risk:<rating>`);
+  }
+  if (type === 'trader') {
+    const traderId = parseInt(value, 10);
+    if (!Number.isInteger(traderId)) {
+      throw new Error('Trader audience requires a numeric trader id, e.g. trader:42');
+    }
+    return { type, value: traderId };
+  }
+  if (type === 'risk') {
+    if (!value) {
+      throw new Error('Risk audience requires a rating, e.g. risk:high');
+    }
+    return { type, value };
+  }
+  return { type, value: null };
+}
+
+function audienceLabel(audience) {
+  return audience.value === null ? audience.type : `${audience.type}:${audience.value}`;
+}
+
+/*************************************************************
+ * buildAudienceQuery(audience)
+ * - Returns { where, params } over users u.
+ *   compliance_blocked users never receive broadcasts.
+ *************************************************************/
+function buildAudienceQuery(audience) {
+  const base = 'COALESCE(u.compliance_blocked, false) = false';
+  switch (audience.type) {
+    case 'premium':
+      return { where: `${base} AND u.user_type = 'premium'`, params: [] };
+    case 'free':
+      return { where: `${base} AND COALESCE(u.user_type, 'free') = 'free'`, params: [] };
+    case 'admins':
+      return { where: `${base} AND u.id IN (SELECT user_id FROM admin_roles)`, params: [] };
+    case 'copiers':
+      return {
+        where: `${base} AND u.id IN (
+          SELECT user_id FROM trader_followers
+          WHERE is_active = true
+        )`,
+        params: []
+      };
+    case 'trader':
+      return {
+        where: `${base} AND u.id IN (
+          SELECT user_id FROM trader_followers
+          WHERE trader_id = $2 AND is_active = true
+        )`,
+        params: [audience.value]
+      };
+    case 'risk':
+      return { where: `${base} AND u.risk_rating = $2`, params: [audience.value] };
+    default:
+      return { where: base, params: [] };
+  }
+}
+
+/*************************************************************
+ * createBroadcast(adminId, targetGroup, message)
+ * - Stores the broadcast and enqueues one delivery per recipient.
+ * - adminId null => sent by the system (meltdownMode.js)
+ * - Returns { broadcastId, audience, recipientCount }
+ *************************************************************/
+async function createBroadcast(adminId, targetGroup, message) {
+  if (!message || !String(message).trim()) {
+    throw new Error('Broadcast message must not be empty.');
+  }
+  const audience = parseAudience(targetGroup);
+  const { where, params } = buildAudienceQuery(audience);
+
+  await query('BEGIN');
+  try {
+    const bRes = await query(`
+      INSERT INTO broadcasts (admin_id, audience, message, status, created_at)
+      VALUES ($1, $2, $3, 'queued', NOW())
+      RETURNING id
+    `, [adminId, audienceLabel(audience), message]);
+    const broadcastId = bRes.rows[0].id;
+
+    const dRes = await query(`
+      INSERT INTO broadcast_deliveries (broadcast_id, user_id, status, next_attempt_at, updated_at)
+      SELECT $1, u.id, 'queued', NOW(), NOW()
+      FROM users u
+      WHERE ${where}
+      ON CONFLICT (broadcast_id, user_id) DO NOTHING
+    `, [broadcastId, ...params]);
+    const recipientCount = dRes.rowCount || 0;
+
+    await query(`
+      UPDATE broadcasts
+      SET recipient_count = $2,
+          status = CASE WHEN $2 = 0 THEN 'completed' ELSE status END,
+          completed_at = CASE WHEN $2 = 0 THEN NOW() ELSE NULL END
+      WHERE id = $1
+    `, [broadcastId, recipientCount]);
+    await query('COMMIT');
+
+    return { broadcastId, audience: audienceLabel(audience), recipientCount };
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+}
+
+/*************************************************************
+ * cancelBroadcast(adminId, broadcastId)
+ * - Stops an in-flight broadcast: every still-queued delivery
+ *   is marked 'cancelled'. Messages already handed to Telegram
+ *   cannot be recalled; deliveries in flight that fail later
+ *   are cancelled instead of requeued (markDelivery).
+ *************************************************************/
+async function cancelBroadcast(adminId, broadcastId) {
+  const bRes = await query(`
+    UPDATE broadcasts
+    SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2
+    WHERE id = $1 AND status IN ('queued', 'sending')
+    RETURNING id
+  `, [broadcastId, adminId]);
+  if (bRes.rows.length === 0) {
+    const existing = await query(`SELECT status FROM broadcasts WHERE id = $1`, [broadcastId]);
+    if (existing.rows.length === 0) {
+      throw new Error(`Broadcast not found: ${broadcastId}`);
+    }
+    const err = new Error(`Broadcast ${broadcastId} is already ${existing.rows[0].status}.`);
+    err.code = 'BROADCAST_FINISHED';
+    throw err;
+  }
+
+  const dRes = await query(`
+    UPDATE broadcast_deliveries
+    SET status = 'cancelled', updated_at = NOW()
+    WHERE broadcast_id = $1 AND status = 'queued'
+  `, [broadcastId]);
+  return { broadcastId, cancelledDeliveries: dRes.rowCount || 0 };
+}
+
+/*************************************************************
+ * classifySendError(err)
+ * - Maps a Telegram/Telegraf error to a delivery outcome:
+ *     'blocked_bot' => user blocked the bot / deactivated account (403)
+ *     'rate_limited' => 429, honour retry_after
+ *     'retry' => anything else, retried until maxAttempts
+ *************************************************************/
+function classifySendError(err) {
+  const code = err?.response?.error_code || err?.code;
+  const description = String(err?.response?.description || err?.description || err?.message || '');
+  if (code === 403 || /bot was blocked|user is deactivated|chat not found/i.test(description)) {
+    return { outcome: 'blocked_bot', description };
+  }
+  if (code === 429) {
+    const retryAfter = parseInt(err?.response?.parameters?.retry_after || err?.parameters?.retry_after || 5, 10);
+    return { outcome: 'rate_limited', retryAfter, description };
+  }
+  return { outcome: 'retry', description };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*************************************************************
+ * claimDeliveryBatch(limit)
+ * - Atomically moves due deliveries to 'sending' so concurrent
+ *   workers never pick the same row.
+ *************************************************************/
+async function claimDeliveryBatch(limit) {
+  const res = await query(`
+    UPDATE broadcast_deliveries d
+    SET status = 'sending', attempts = d.attempts + 1, updated_at = NOW()
+    FROM broadcasts b
+    WHERE b.id = d.broadcast_id
+      AND d.id IN (
+        SELECT d2.id
+        FROM broadcast_deliveries d2
+        JOIN broadcasts b2 ON b2.id = d2.broadcast_id
+        WHERE d2.status = 'queued'
+          AND d2.next_attempt_at <= NOW()
+          AND b2.status IN ('queued', 'sending')
+        ORDER BY d2.id
+        LIMIT $1
+        FOR UPDATE OF d2 SKIP LOCKED
+      )
+    RETURNING d.id, d.broadcast_id, d.user_id, d.attempts, b.message
+  `, [limit]);
+  return res.rows;
+}
+
+// a retry of a cancelled broadcast is cancelled, not requeued
+const REQUEUE_STATUS_SQL = `
+  CASE WHEN EXISTS (
+    SELECT 1 FROM broadcasts b
+    WHERE b.id = broadcast_deliveries.broadcast_id AND b.status = 'cancelled'
+  ) THEN 'cancelled' ELSE 'queued' END`;
+
+async function markDelivery(deliveryId, status, { error = null, retryInSeconds = null } = {}) {
+  await query(`
+    UPDATE broadcast_deliveries
+    SET status = CASE WHEN $2 = 'queued' THEN ${REQUEUE_STATUS_SQL} ELSE $2 END,
+        last_error = $3,
+        sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END,
+        next_attempt_at = CASE WHEN $4::int IS NULL THEN next_attempt_at
+                               ELSE NOW() + ($4::int || ' seconds')::interval END,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [deliveryId, status, error, retryInSeconds]);
+}
+
+/*************************************************************
+ * deliverOne(delivery)
+ * - Sends one message and records the outcome.
+ *************************************************************/
+async function deliverOne(delivery) {
+  try {
+    await notifications.sendCustomNotification(delivery.user_id, delivery.message);
+    await markDelivery(delivery.id, 'sent');
+    return null;
+  } catch (err) {
+    const { outcome, retryAfter, description } = classifySendError(err);
+    if (outcome === 'blocked_bot') {
+      await markDelivery(delivery.id, 'blocked_bot', { error: description });
+    } else if (outcome === 'rate_limited') {
+      // a 429 is not the recipient's fault => give the attempt back
+      await query(`
+        UPDATE broadcast_deliveries SET attempts = attempts - 1 WHERE id = $1
+      `, [delivery.id]);
+      await markDelivery(delivery.id, 'queued', { error: description, retryInSeconds: retryAfter });
+      return retryAfter;
+    } else if (delivery.attempts >= BROADCAST_CONFIG.maxAttempts) {
+      await markDelivery(delivery.id, 'failed', { error: description });
+    } else {
+      const backoff = BROADCAST_CONFIG.retryBaseSeconds * (2 ** (delivery.attempts - 1));
+      await markDelivery(delivery.id, 'queued', { error: description, retryInSeconds: backoff });
+    }
+    return null;
+  }
+}
+
+/*************************************************************
+ * refreshBroadcastStatuses()
+ * - queued => sending once the first delivery was claimed
+ * - sending => completed once nothing is queued/sending anymore
+ *************************************************************/
+async function refreshBroadcastStatuses() {
+  await query(`
+    UPDATE broadcasts b
+    SET status = 'sending', started_at = COALESCE(b.started_at, NOW())
+    WHERE b.status = 'queued'
+      AND EXISTS (
+        SELECT 1 FROM broadcast_deliveries d
+        WHERE d.broadcast_id = b.id AND d.status <> 'queued'
+      )
+  `);
+  await query(`
+    UPDATE broadcasts b
+    SET status = 'completed', completed_at = NOW()
+    WHERE b.status = 'sending'
+      AND NOT EXISTS (
+        SELECT 1 FROM broadcast_deliveries d
+        WHERE d.broadcast_id = b.id AND d.status IN ('queued', 'sending')
+      )
+  `);
+}
+
+/*************************************************************
+ * processBroadcastQueue()
+ * - Drains due deliveries at BROADCAST_CONFIG.messagesPerSecond.
+ * - Requeues rows stuck in 'sending' after a worker crash.
+ * - Only one drain per process at a time.
+ *************************************************************/
+let draining = false;
+
+async function processBroadcastQueue() {
+  if (draining) return 0;
+  draining = true;
+  let sentCount = 0;
+  try {
+    await query(`
+      UPDATE broadcast_deliveries
+      SET status = ${REQUEUE_STATUS_SQL}, updated_at = NOW()
+      WHERE status = 'sending'
+        AND updated_at < NOW() - ($1 || ' minutes')::interval
+    `, [BROADCAST_CONFIG.stuckSendingMinutes]);
+
+    const spacingMs = Math.ceil(1000 / Math.max(1, BROADCAST_CONFIG.messagesPerSecond));
+    let batch = await claimDeliveryBatch(BROADCAST_CONFIG.batchSize);
+    while (batch.length > 0) {
+      await refreshBroadcastStatuses();
+      for (const delivery of batch) {
+        const pauseSeconds = await deliverOne(delivery);
+        sentCount++;
+        // Telegram told us to slow down => back off before the next message
+        if (pauseSeconds) {
+          await sleep(pauseSeconds * 1000);
+        } else {
+          await sleep(spacingMs);
+        }
+      }
+      batch = await claimDeliveryBatch(BROADCAST_CONFIG.batchSize);
+    }
+    await refreshBroadcastStatuses();
+  } catch (err) {
+    console.error('Error processing broadcast queue:', err);
+  } finally {
+    draining = false;
+  }
+  return sentCount;
+}
+
+/*************************************************************
+ * scheduleBroadcastWorker()
+ * - Picks up queued deliveries and retries every 15 seconds.
+ *************************************************************/
+function scheduleBroadcastWorker() {
+  cron.schedule('*/15 * * * * *', async () => {
+    await processBroadcastQueue();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * getBroadcastReport(broadcastId)
+ * - Delivery report: counts per status + failed recipients
+ *************************************************************/
+async function getBroadcastReport(broadcastId) {
+  const bRes = await query(`
+    SELECT id, admin_id, audience, message, status, recipient_count,
+           created_at, started_at, completed_at, cancelled_at, cancelled_by
+    FROM broadcasts
+    WHERE id = $1
+  `, [broadcastId]);
+  if (bRes.rows.length === 0) {
+    throw new Error(`Broadcast not found: ${broadcastId}`);
+  }
+
+  const countRes = await query(`
+    SELECT status, COUNT(*) AS count
+    FROM broadcast_deliveries
+    WHERE broadcast_id = $1
+    GROUP BY status
+  `, [broadcastId]);
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0, blocked_bot: 0, cancelled: 0 };
+  for (const row of countRes.rows) {
+    counts[row.status] = parseInt(row.count, 10);
+  }
+
+  const failRes = await query(`
+    SELECT user_id, status, attempts, last_error, updated_at
+    FROM broadcast_deliveries
+    WHERE broadcast_id = $1 AND status IN ('failed', 'blocked_bot')
+    ORDER BY id
+    LIMIT $2
+  `, [broadcastId, BROADCAST_CONFIG.maxFailuresInReport]);
+
+  return {
+    ...bRes.rows[0],
+    counts,
+    failures: failRes.rows
+  };
+}
+
+/*************************************************************
+ * listBroadcasts(limit=20)
+ *************************************************************/
+async function listBroadcasts(limit = 20) {
+  const res = await query(`
+    SELECT id, admin_id, audience, status, recipient_count, created_at, completed_at
+    FROM broadcasts
+    ORDER BY id DESC
+    LIMIT $1
+  `, [Math.min(limit, 100)]);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  parseAudience,
+  createBroadcast,
+  cancelBroadcast,
+  processBroadcastQueue,
+  scheduleBroadcastWorker,
+  getBroadcastReport,
+  listBroadcasts
+};
@@ -0,0 +1,448 @@
+/*************************************************************
+ * complianceCases.js
+ *
+ * Location: /src/admin/complianceCases.js
+ *
+ * Compliance case management (Prompt 7.10 Compliance Override).
+ * Replaces the ' | ...' string that used to grow in
+ * users.compliance_notes.
+ *
+ *  - A case has an owner, status, severity, linked users, wallets
+ *    and trades, a timestamped note thread and evidence.
+ *  - Status drives the user block (the only writer of
+ *    users.compliance_blocked):
+ *      escalated            => every linked user is blocked
+ *      closed / 'cleared'   => users this case blocked are unblocked,
+ *      or de-escalated         unless another case still holds them
+ *      closed / 'confirmed' => block stays in place (also on reopen)
+ *    unblockCaseUser lifts the block of one user only; the case
+ *    and its other users are left as they are.
+ *  - Allowed transitions are listed in TRANSITIONS.
+ *************************************************************/
+
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+
+const STATUSES = ['open', 'investigating', 'escalated', 'closed'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RESOLUTIONS = ['cleared', 'confirmed'];
+const EVIDENCE_KINDS = ['file', 'url', 'tx', 'text'];
+const MAX_EVIDENCE_BYTES = 5 * 1024 * 1024;
+const MAX_LIST_LIMIT = 100;
+
+const TRANSITIONS = {
+  open: ['investigating', 'escalated', 'closed'],
+  investigating: ['open', 'escalated', 'closed'],
+  escalated: ['investigating', 'closed'],
+  closed: ['open'] // reopen
+};
+
+const MESSAGES = {
+  USER_BLOCKED: 'Your account has been restricted pending a compliance review. Please contact support.',
+  USER_UNBLOCKED: 'The compliance restriction on your account has been lifted.'
+};
+
+function assertOneOf(value, allowed, label) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${label} "${value}". Must be one of: ${allowed.join(', ')}`);
+  }
+}
+
+/*************************************************************
+ * addNote(caseId, authorId, body, kind)
+ *************************************************************/
+async function addNote(caseId, authorId, body, kind = 'note') {
+  if (!body || !String(body).trim()) {
+    throw new Error('Note text is required.');
+  }
+  const res = await query(`
+    INSERT INTO compliance_case_notes (case_id, author_admin_id, kind, body, created_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    RETURNING id, created_at
+  `, [caseId, authorId, kind, String(body).trim()]);
+  await query(`UPDATE compliance_cases SET updated_at=NOW() WHERE id=$1`, [caseId]);
+  return res.rows[0];
+}
+
+async function getCaseRow(caseId) {
+  const res = await query(`
+    SELECT id, title, status, severity, owner_admin_id, opened_by, resolution, source,
+           created_at, updated_at, closed_at
+    FROM compliance_cases
+    WHERE id=$1
+  `, [caseId]);
+  if (!res.rows.length) {
+    throw new Error(`Compliance case ${caseId} not found.`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * Block handling
+ *************************************************************/
+async function blockCaseUsers(caseRow) {
+  const res = await query(`
+    UPDATE compliance_case_users
+    SET blocked_by_case = true
+    WHERE case_id=$1
+    RETURNING user_id
+  `, [caseRow.id]);
+  for (const { user_id: userId } of res.rows) {
+    const updated = await query(`
+      UPDATE users SET compliance_blocked = true
+      WHERE id=$1 AND compliance_blocked IS DISTINCT FROM true
+      RETURNING id
+    `, [userId]);
+    if (updated.rows.length) {
+      notifications.sendUserNotification(userId, MESSAGES.USER_BLOCKED);
+    }
+  }
+  return res.rows.map((r) => r.user_id);
+}
+
+// users stay blocked while any other case still holds them
+async function releaseCaseUsers(caseRow) {
+  const res = await query(`
+    UPDATE compliance_case_users
+    SET blocked_by_case = false
+    WHERE case_id=$1 AND blocked_by_case = true
+    RETURNING user_id
+  `, [caseRow.id]);
+  const released = [];
+  for (const { user_id: userId } of res.rows) {
+    const held = await query(`
+      SELECT 1
+      FROM compliance_case_users cu
+      JOIN compliance_cases c ON c.id = cu.case_id
+      WHERE cu.user_id=$1 AND cu.blocked_by_case = true AND c.id <> $2
+      LIMIT 1
+    `, [userId, caseRow.id]);
+    if (held.rows.length) continue;
+    await query(`UPDATE users SET compliance_blocked = false WHERE id=$1`, [userId]);
+    notifications.sendUserNotification(userId, MESSAGES.USER_UNBLOCKED);
+    released.push(userId);
+  }
+  return released;
+}
+
+/*************************************************************
+ * unblockCaseUser(adminId, userId, note)
+ * - releases this user's blocked_by_case links (every case keeps
+ *   its status and its other users) and the user's block
+ * - Returns the ids of the cases that held the user
+ *************************************************************/
+async function unblockCaseUser(adminId, userId, note) {
+  const res = await query(`
+    UPDATE compliance_case_users
+    SET blocked_by_case = false
+    WHERE user_id=$1 AND blocked_by_case = true
+    RETURNING case_id
+  `, [userId]);
+  const caseIds = res.rows.map((r) => r.case_id).sort((a, b) => a - b);
+  for (const caseId of caseIds) {
+    await addNote(caseId, adminId, `User ${userId} unblocked: ${note}`, 'status_change');
+  }
+  // blocks set outside any case (e.g. before cases existed) go too
+  const updated = await query(`
+    UPDATE users SET compliance_blocked = false
+    WHERE id=$1 AND compliance_blocked = true
+    RETURNING id
+  `, [userId]);
+  if (updated.rows.length) {
+    notifications.sendUserNotification(userId, MESSAGES.USER_UNBLOCKED);
+  }
+  return caseIds;
+}
+
+/*************************************************************
+ * changesBlocks(from, to)
+ * - true when moving a case from => to blocks or unblocks its
+ *   users: escalating, closing, or leaving 'escalated'
+ *************************************************************/
+function changesBlocks(from, to) {
+  return to === 'escalated' || to === 'closed' || from === 'escalated';
+}
+
+async function getCaseStatus(caseId) {
+  return (await getCaseRow(caseId)).status;
+}
+
+/*************************************************************
+ * openCase(adminId, { title, severity, ownerId, userIds,
+ *                     wallets, tradeIds, note, status, source })
+ * - status may be 'escalated' straight away (immediate block)
+ *************************************************************/
+async function openCase(adminId, options = {}) {
+  const {
+    title, severity = 'medium', ownerId = adminId, userIds = [], wallets = [],
+    tradeIds = [], note = null, status = 'open', source = 'admin'
+  } = options;
+  if (!title || !String(title).trim()) {
+    throw new Error('Case title is required.');
+  }
+  assertOneOf(severity, SEVERITIES, 'severity');
+  assertOneOf(status, ['open', 'investigating', 'escalated'], 'initial status');
+
+  const res = await query(`
+    INSERT INTO compliance_cases (title, status, severity, owner_admin_id, opened_by, source, created_at, updated_at)
+    VALUES ($1, 'open', $2, $3, $4, $5, NOW(), NOW())
+    RETURNING id
+  `, [String(title).trim(), severity, ownerId, adminId, source]);
+  const caseId = res.rows[0].id;
+
+  await linkToCase(caseId, { userIds, wallets, tradeIds });
+  if (note) await addNote(caseId, adminId, note);
+  if (status !== 'open') {
+    await transitionCase(adminId, caseId, status, { note: `Opened as ${status}` });
+  }
+  return caseId;
+}
+
+/*************************************************************
+ * linkToCase(caseId, { userIds, wallets, tradeIds })
+ * - wallets: ['addr', ...] or [{ address, label }]
+ * - users linked to an escalated case are blocked right away
+ *************************************************************/
+async function linkToCase(caseId, { userIds = [], wallets = [], tradeIds = [] } = {}) {
+  for (const userId of userIds) {
+    await query(`
+      INSERT INTO compliance_case_users (case_id, user_id, added_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (case_id, user_id) DO NOTHING
+    `, [caseId, userId]);
+  }
+  for (const wallet of wallets) {
+    const { address, label = null } = typeof wallet === 'string' ? { address: wallet } : wallet;
+    await query(`
+      INSERT INTO compliance_case_wallets (case_id, address, label, added_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (case_id, address) DO UPDATE SET label = COALESCE($3, compliance_case_wallets.label)
+    `, [caseId, address, label]);
+  }
+  for (const tradeId of tradeIds) {
+    await query(`
+      INSERT INTO compliance_case_trades (case_id, trade_id, added_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (case_id, trade_id) DO NOTHING
+    `, [caseId, tradeId]);
+  }
+
+  const caseRow = await getCaseRow(caseId);
+  if (caseRow.status === 'escalated' && userIds.length) {
+    await blockCaseUsers(caseRow);
+  }
+  await query(`UPDATE compliance_cases SET updated_at=NOW() WHERE id=$1`, [caseId]);
+}
+
+/*************************************************************
+ * transitionCase(adminId, caseId, status, { note, resolution })
+ * - Returns { from, to, blocked: [...], unblocked: [...] }
+ *************************************************************/
+async function transitionCase(adminId, caseId, status, { note = null, resolution = null } = {}) {
+  assertOneOf(status, STATUSES, 'status');
+  const caseRow = await getCaseRow(caseId);
+  if (!TRANSITIONS[caseRow.status].includes(status)) {
+    throw new Error(`Case ${caseId} cannot move from ${caseRow.status} to ${status}.`);
+  }
+  if (status === 'closed') {
+    assertOneOf(resolution, RESOLUTIONS, 'resolution');
+  }
+
+  await query(`
+    UPDATE compliance_cases
+    SET status=$2,
+        resolution=$3,
+        closed_at = CASE WHEN $2 = 'closed' THEN NOW() ELSE NULL END,
+        updated_at=NOW()
+    WHERE id=$1
+  `, [caseId, status, status === 'closed' ? resolution : null]);
+
+  let blocked = [];
+  let unblocked = [];
+  if (status === 'escalated') {
+    blocked = await blockCaseUsers(caseRow);
+  } else if ((status === 'closed' && resolution === 'cleared') || (caseRow.status === 'escalated' && status !== 'closed')) {
+    unblocked = await releaseCaseUsers(caseRow);
+  }
+
+  const summary = `Status ${caseRow.status} => ${status}${status === 'closed' ? ` (${resolution})` : ''}`;
+  await addNote(caseId, adminId, note ? `${summary}: ${note}` : summary, 'status_change');
+  if (status === 'escalated') {
+    notifications.sendAdminGlobalAlert(`⚠️ Compliance case #${caseId} escalated (${caseRow.severity}): ${caseRow.title}`);
+  }
+  return { from: caseRow.status, to: status, blocked, unblocked };
+}
+
+/*************************************************************
+ * assignCase(caseId, ownerId) / setCaseSeverity(caseId, severity)
+ *************************************************************/
+async function assignCase(caseId, ownerId) {
+  const caseRow = await getCaseRow(caseId);
+  await query(`
+    UPDATE compliance_cases SET owner_admin_id=$2, updated_at=NOW() WHERE id=$1
+  `, [caseId, ownerId]);
+  return { previousOwner: caseRow.owner_admin_id, owner: ownerId };
+}
+
+async function setCaseSeverity(caseId, severity) {
+  assertOneOf(severity, SEVERITIES, 'severity');
+  const caseRow = await getCaseRow(caseId);
+  await query(`
+    UPDATE compliance_cases SET severity=$2, updated_at=NOW() WHERE id=$1
+  `, [caseId, severity]);
+  return { previousSeverity: caseRow.severity, severity };
+}
+
+/*************************************************************
+ * addEvidence(caseId, adminId, { kind, reference, description, content })
+ * - content: Buffer for kind 'file', hashed for integrity
+ *************************************************************/
+async function addEvidence(caseId, adminId, { kind, reference, description = null, content = null }) {
+  assertOneOf(kind, EVIDENCE_KINDS, 'evidence kind');
+  if (!reference) {
+    throw new Error('Evidence reference is required.');
+  }
+  if (content && content.length > MAX_EVIDENCE_BYTES) {
+    throw new Error('Evidence file is larger than 5 MB.');
+  }
+  await getCaseRow(caseId);
+  const sha256 = content ? crypto.createHash('sha256').update(content).digest('hex') : null;
+  const res = await query(`
+    INSERT INTO compliance_case_evidence (case_id, added_by, kind, reference, description, content, sha256, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    RETURNING id
+  `, [caseId, adminId, kind, reference, description, content, sha256]);
+  await query(`UPDATE compliance_cases SET updated_at=NOW() WHERE id=$1`, [caseId]);
+  return { evidenceId: res.rows[0].id, sha256 };
+}
+
+/*************************************************************
+ * getCase(caseId)
+ * - case + links, note thread and evidence (without file bytes)
+ *************************************************************/
+async function getCase(caseId) {
+  const caseRow = await getCaseRow(caseId);
+  const [users, wallets, trades, notes, evidence] = await Promise.all([
+    query(`
+      SELECT cu.user_id, cu.blocked_by_case, cu.added_at, u.compliance_blocked, u.risk_rating
+      FROM compliance_case_users cu
+      LEFT JOIN users u ON u.id = cu.user_id
+      WHERE cu.case_id=$1
+      ORDER BY cu.added_at
+    `, [caseId]),
+    query(`
+      SELECT address, label, added_at FROM compliance_case_wallets WHERE case_id=$1 ORDER BY added_at
+    `, [caseId]),
+    query(`
+      SELECT ct.trade_id, ct.added_at, t.user_id, t.status, t.from_token, t.to_token, t.amount, t.executed_at
+      FROM compliance_case_trades ct
+      LEFT JOIN trade_executions t ON t.id = ct.trade_id
+      WHERE ct.case_id=$1
+      ORDER BY ct.added_at
+    `, [caseId]),
+    query(`
+      SELECT id, author_admin_id, kind, body, created_at
+      FROM compliance_case_notes
+      WHERE case_id=$1
+      ORDER BY created_at, id
+    `, [caseId]),
+    query(`
+      SELECT id, added_by, kind, reference, description, sha256, created_at
+      FROM compliance_case_evidence
+      WHERE case_id=$1
+      ORDER BY created_at
+    `, [caseId])
+  ]);
+  return {
+    ...caseRow,
+    users: users.rows,
+    wallets: wallets.rows,
+    trades: trades.rows,
+    notes: notes.rows,
+    evidence: evidence.rows
+  };
+}
+
+/*************************************************************
+ * listCases(filters, { limit, cursor })
+ * - filters: { status, severity, ownerId, userId, wallet, text }
+ * - newest first, cursor = last id of the previous page
+ *************************************************************/
+async function listCases(filters = {}, { limit = 20, cursor = null } = {}) {
+  limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIST_LIMIT);
+  const params = [];
+  const where = [];
+  const add = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (filters.status) {
+    assertOneOf(filters.status, STATUSES, 'status');
+    add('c.status = ?', filters.status);
+  }
+  if (filters.severity) {
+    assertOneOf(filters.severity, SEVERITIES, 'severity');
+    add('c.severity = ?', filters.severity);
+  }
+  if (filters.ownerId) add('c.owner_admin_id = ?', filters.ownerId);
+  if (filters.userId) add('EXISTS (SELECT 1 FROM compliance_case_users cu WHERE cu.case_id = c.id AND cu.user_id = ?)', filters.userId);
+  if (filters.wallet) add('EXISTS (SELECT 1 FROM compliance_case_wallets cw WHERE cw.case_id = c.id AND cw.address = ?)', filters.wallet);
+  if (filters.text) add(`c.title ILIKE '%' || ? || '%'`, filters.text);
+  if (cursor) add('c.id < ?', parseInt(cursor, 10));
+  params.push(limit + 1);
+
+  const res = await query(`
+    SELECT c.id, c.title, c.status, c.severity, c.owner_admin_id, c.resolution, c.created_at, c.updated_at,
+           (SELECT COUNT(*) FROM compliance_case_users cu WHERE cu.case_id = c.id) AS user_count,
+           (SELECT COUNT(*) FROM compliance_case_notes n WHERE n.case_id = c.id) AS note_count
+    FROM compliance_cases c
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY c.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  const rows = res.rows.slice(0, limit);
+  return { rows, nextCursor: res.rows.length > limit ? String(rows[rows.length - 1].id) : null };
+}
+
+/*************************************************************
+ * getActiveCaseForUser(userId)
+ * - newest case that is not closed, or null
+ *************************************************************/
+async function getActiveCaseForUser(userId) {
+  const res = await query(`
+    SELECT c.id
+    FROM compliance_cases c
+    JOIN compliance_case_users cu ON cu.case_id = c.id
+    WHERE cu.user_id=$1 AND c.status <> 'closed'
+    ORDER BY c.id DESC
+    LIMIT 1
+  `, [userId]);
+  return res.rows.length ? res.rows[0].id : null;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  STATUSES,
+  SEVERITIES,
+  RESOLUTIONS,
+  EVIDENCE_KINDS,
+  TRANSITIONS,
+  changesBlocks,
+  getCaseStatus,
+  openCase,
+  linkToCase,
+  transitionCase,
+  unblockCaseUser,
+  assignCase,
+  setCaseSeverity,
+  addNote,
+  addEvidence,
+  getCase,
+  listCases,
+  getActiveCaseForUser
+};
@@ -5,31 +5,25 @@
  * 
  * Consolidates references from:
  *  - Prompt 7.9: setUserRiskRating(...), region detection, KYC
- *  - Prompt 7.10: compliance override => block/unblock user, store compliance notes
+ *  - Prompt 7.10: compliance override => block/unblock user, compliance notes
+ *    (kept as compliance cases, see complianceCases.js)
  * 
  * Exports:
  *  1) setUserRiskRating(adminId, userId, newRating)
  *  2) getUserRiskRating(userId)
- *  3) blockUserCompliance(adminId, userId, reason)
- *  4) unblockUserCompliance(adminId, userId)
- *  5) setComplianceNotes(adminId, userId, notes)
+ *  3) blockUserCompliance(adminId, userId, reason) => caseId
+ *  4) unblockUserCompliance(adminId, userId, reason) => [caseId]
+ *  5) setComplianceNotes(adminId, userId, notes) => caseId
  *************************************************************/
 
 const { query } = require('../database/database');
 const { logAdminAction } = require('./adminLogs');
+const complianceCases = require('./complianceCases');
 const notifications = require('../utils/notifications');
 
 const MESSAGES = {
   BLOCK_REASON: (reason) => `Blocked reason: ${reason}`,
-};
-
-const SQL_QUERIES = {
-  BLOCK_USER: `
-    UPDATE users
-    SET compliance_blocked = true,
-        compliance_notes = CONCAT(COALESCE(compliance_notes,''), ' | ', $2)
-    WHERE id = $1
-  `,
+  UNBLOCKED_BY: (adminId) => `Unblocked by adminId=${adminId}`,
 };
 
 /*******************************************************************************************************
@@ -51,7 +45,7 @@ async function setUserRiskRating(adminId, userId, newRating = 'medium') {
     `, [newRating, userId]);
 
     // Log admin action
-    await logAdminAction(adminId, 'setUserRisk', `userId=${userId}, rating=${newRating}`);
+    await logAdminAction(adminId, 'setUserRisk', `userId=${userId}, rating=${newRating}`, { userId, rating: newRating });
   } catch (err) {
     console.error('Error setting user risk rating:', err);
     throw err;
@@ -79,60 +73,74 @@ async function getUserRiskRating(userId) {
  * blockUserCompliance
  * - Admin forcibly blocks a user from trading for compliance reasons
  *   e.g. restricted region, suspicious activity
+ * - Opens an escalated compliance case (complianceCases.js) that
+ *   holds the block; returns its id
  *************************************************************/
 async function blockUserCompliance(adminId, userId, reason = 'No reason provided') {
   if (reason.length > 255) {
     throw new Error('Reason must be 255 characters or less.');
   }
 
-  await query(`
-    UPDATE users
-    SET compliance_blocked = true,
-        compliance_notes = CONCAT(COALESCE(compliance_notes,''), ' | Blocked reason: ', $2)
-    WHERE id = $1
-  `, [userId, reason]);
+  const caseId = await complianceCases.openCase(adminId, {
+    title: `Compliance block for user ${userId}`,
+    severity: 'high',
+    userIds: [userId],
+    note: MESSAGES.BLOCK_REASON(reason),
+    status: 'escalated'
+  });
 
-  await logAdminAction(adminId, 'block_user_compliance', `userId=${userId}, reason=${reason}`);
+  await logAdminAction(adminId, 'block_user_compliance', `userId=${userId}, reason=${reason}, caseId=${caseId}`, { userId, reason, caseId }, {
+    targetType: 'user',
+    targetId: userId,
+    after: { compliance_blocked: true, caseId }
+  });
 
   // Notify compliance team
   notifications.sendAdminGlobalAlert(`User ${userId} has been blocked for compliance reasons: ${reason}`);
+  return caseId;
 }
 
 /*************************************************************
  * unblockUserCompliance
  * - Admin re-allows a user to trade
+ * - Only this user's block is released; the cases that held it
+ *   stay open (with a note) and keep their other users blocked
  *************************************************************/
-async function unblockUserCompliance(adminId, userId) {
-  await query(`
-    UPDATE users
-    SET compliance_blocked = false
-    WHERE id = $1
-  `, [userId]);
-
-  // Optionally log a note in compliance_notes
-  await query(`
-    UPDATE users
-    SET compliance_notes = CONCAT(COALESCE(compliance_notes,''), ' | Unblocked by adminId=', $2)
-    WHERE id = $1
-  `, [userId, adminId]);
-
-  await logAdminAction(adminId, 'unblock_user_compliance', `userId=${userId}`);
+async function unblockUserCompliance(adminId, userId, reason = null) {
+  const note = reason || MESSAGES.UNBLOCKED_BY(adminId);
+  const caseIds = await complianceCases.unblockCaseUser(adminId, userId, note);
+
+  await logAdminAction(adminId, 'unblock_user_compliance', `userId=${userId}`, { userId, caseIds }, {
+    targetType: 'user',
+    targetId: userId,
+    after: { compliance_blocked: false }
+  });
+  return caseIds;
 }
 
 /*************************************************************
  * setComplianceNotes
- * - Admin can add a note to a user's compliance_notes
+ * - Admin adds a note to the user's active compliance case,
+ *   opening one if there is none
  *************************************************************/
 async function setComplianceNotes(adminId, userId, notes) {
-  // Append a timestamp or something if desired
-  const noteEntry = `Admin(${adminId}) => ${notes}`;
-  await query(`
-    UPDATE users
-    SET compliance_notes = CONCAT(COALESCE(compliance_notes,''), ' | ', $2)
-    WHERE id = $1
-  `, [userId, noteEntry]);
+  let caseId = await complianceCases.getActiveCaseForUser(userId);
+  if (caseId) {
+    await complianceCases.addNote(caseId, adminId, notes);
+  } else {
+    caseId = await complianceCases.openCase(adminId, {
+      title: `Compliance notes for user ${userId}`,
+      severity: 'low',
+      userIds: [userId],
+      note: notes
+    });
+  }
 
-  await logAdminAction(adminId, 'setComplianceNotes', `userId=${userId}, notes="${notes}"`);
+  await logAdminAction(adminId, 'setComplianceNotes', `userId=${userId}, caseId=${caseId}, notes="${notes}"`, { userId, caseId, notes }, {
+    targetType: 'compliance_case',
+    targetId: caseId
+  });
+  return caseId;
 }
 
 /*************************************************************
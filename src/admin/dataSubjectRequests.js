@@ -0,0 +1,474 @@
+/*************************************************************
+ * dataSubjectRequests.js
+ *
+ * Location: /src/admin/dataSubjectRequests.js
+ *
+ * Personal data export and erasure requests (GDPR-style).
+ *  - A request is filed by the user (bot) or by an admin and
+ *    waits in 'pending_approval' until an admin approves it; an
+ *    admin cannot approve a request they filed themselves.
+ *  - export  => JSON plus one CSV per section of everything tied
+ *    to the user id, under DSR_EXPORT_DIR, listed with sha256
+ *    in the request's manifest. Key material is never exported;
+ *    compliance investigation records are withheld (AML).
+ *  - erasure => personal fields on users are cleared and the user
+ *    gets a keyed pseudonym; financial records (vault and trade
+ *    history, withdrawals), compliance records and the
+ *    hash-chained admin_logs are retained as legally required.
+ *    Refused while the user is compliance-blocked or has an
+ *    open case or withdrawal.
+ *  - admin.js writes every step to admin_logs.
+ *************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+
+const REQUEST_TYPES = ['export', 'erasure'];
+const STATUSES = ['pending_approval', 'processing', 'completed', 'rejected', 'failed'];
+const RESPONSE_DAYS = 30;
+const EXPORT_DIR = process.env.DSR_EXPORT_DIR || path.join(process.cwd(), 'data', 'dsr_exports');
+
+// users columns cleared on erasure (only those present in this schema)
+const PERSONAL_USER_COLUMNS = [
+  'username', 'first_name', 'last_name', 'phone_number', 'email',
+  'language_code', 'declared_region', 'detected_region', 'detected_region_source'
+];
+
+// users columns in the profile section (only those present in this
+// schema); anything else on users, e.g. compliance_notes,
+// compliance_blocked and risk_rating, stays out of the export
+const PROFILE_COLUMNS = [
+  'id', 'username', 'first_name', 'last_name', 'phone_number', 'email',
+  'language_code', 'declared_region', 'detected_region', 'detected_region_source', 'region_updated_at',
+  'user_type', 'premium_expires_at', 'plan_id', 'plan_interval', 'plan_currency', 'subscription_credit_usd',
+  'created_at', 'erased_at'
+];
+
+// never part of an export
+const REDACTED_COLUMN_PATTERN = /priv|secret|encrypted|password|seed/i;
+
+// section => rows tied to the user ($1 = user id); profile is built
+// from PROFILE_COLUMNS in runExport
+const EXPORT_SECTIONS = [
+  { name: 'profile', sql: null },
+  { name: 'vaults', sql: `SELECT * FROM user_vaults WHERE user_id=$1` },
+  { name: 'vault_transactions', sql: `SELECT * FROM vault_transactions WHERE user_id=$1 ORDER BY id` },
+  { name: 'withdrawal_requests', sql: `
+      SELECT id, destination, amount, token, status, tx_signature, created_at, updated_at
+      FROM withdrawal_requests WHERE user_id=$1 ORDER BY id` },
+  { name: 'trade_executions', sql: `SELECT * FROM trade_executions WHERE user_id=$1 ORDER BY id` },
+  { name: 'trader_follows', sql: `SELECT * FROM trader_followers WHERE user_id=$1` },
+  { name: 'follower_migrations', sql: `SELECT * FROM follower_migration_items WHERE user_id=$1 ORDER BY id` },
+  { name: 'position_exit_requests', sql: `SELECT * FROM position_exit_requests WHERE user_id=$1 ORDER BY id` },
+  { name: 'broadcast_deliveries', sql: `
+      SELECT d.broadcast_id, b.message, d.status, d.updated_at
+      FROM broadcast_deliveries d
+      JOIN broadcasts b ON b.id = d.broadcast_id
+      WHERE d.user_id=$1 ORDER BY d.id` },
+  { name: 'region_policy_state', sql: `SELECT regions, features, evaluated_at FROM user_policy_state WHERE user_id=$1` },
+  // what was done to the account, without internal reasoning
+  { name: 'account_actions', sql: `
+      SELECT action, origin, created_at
+      FROM admin_logs
+      WHERE target_type='user' AND target_id=$1::text
+      ORDER BY id` },
+  { name: 'data_subject_requests', sql: `
+      SELECT id, request_type, status, created_at, completed_at
+      FROM data_subject_requests WHERE user_id=$1 ORDER BY id` }
+];
+
+const WITHHELD_SECTIONS = [
+  'compliance cases and notes (anti-money-laundering obligations)',
+  'compliance notes, compliance block and risk rating on the account (anti-money-laundering obligations)',
+  'transaction monitoring alerts (anti-money-laundering obligations)',
+  'wallet screening decisions (sanctions screening obligations)'
+];
+
+const MESSAGES = {
+  FILED: (type) => `📨 Your ${type === 'export' ? 'data export' : 'data deletion'} request has been received. ` +
+    `We will respond within ${RESPONSE_DAYS} days.`,
+  EXPORT_READY: (id) => `📦 Your data export (request #${id}) is ready. Our support team will send it to you securely.`,
+  ERASED: '🗑 Your personal data has been deleted. Records we are legally required to keep (e.g. transaction history) are retained in pseudonymized form.',
+  REJECTED: (id, reason) => `❌ Your data request #${id} was declined: ${reason}`
+};
+
+/*************************************************************
+ * createRequest({ userId, type, requestedBy, source, reason })
+ * - Returns the request id
+ *************************************************************/
+async function createRequest({ userId, type, requestedBy = null, source = 'admin', reason = null }) {
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new Error(`Invalid request type "${type}". Must be one of: ${REQUEST_TYPES.join(', ')}`);
+  }
+  if (!['user', 'admin'].includes(source)) {
+    throw new Error('Invalid source. Must be user or admin.');
+  }
+  const user = await query(`SELECT id FROM users WHERE id=$1`, [userId]);
+  if (!user.rows.length) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  const open = await query(`
+    SELECT id FROM data_subject_requests
+    WHERE user_id=$1 AND request_type=$2 AND status IN ('pending_approval', 'processing')
+  `, [userId, type]);
+  if (open.rows.length) {
+    throw new Error(`User ${userId} already has an open ${type} request (#${open.rows[0].id}).`);
+  }
+
+  const res = await query(`
+    INSERT INTO data_subject_requests
+      (user_id, request_type, source, requested_by, reason, due_at, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '1 day' * $6, NOW(), NOW())
+    RETURNING id
+  `, [userId, type, source, requestedBy, reason, RESPONSE_DAYS]);
+  const requestId = res.rows[0].id;
+
+  if (source === 'user') {
+    notifications.sendUserNotification(userId, MESSAGES.FILED(type));
+  }
+  notifications.sendAdminGlobalAlert(
+    `📨 Data ${type} request #${requestId} for user ${userId} awaits approval (due in ${RESPONSE_DAYS} days).`
+  );
+  return requestId;
+}
+
+async function loadRequest(requestId) {
+  const res = await query(`SELECT * FROM data_subject_requests WHERE id=$1`, [requestId]);
+  if (!res.rows.length) {
+    throw new Error(`Data subject request ${requestId} not found.`);
+  }
+  return res.rows[0];
+}
+
+async function finishRequest(requestId, status, { result = null, error = null } = {}) {
+  await query(`
+    UPDATE data_subject_requests
+    SET status=$2, result=$3, error=$4, updated_at=NOW(), completed_at=NOW()
+    WHERE id=$1
+  `, [requestId, status, result ? JSON.stringify(result) : null, error]);
+}
+
+/*************************************************************
+ * approveRequest(adminId, requestId)
+ * - runs the export / erasure right away
+ * - Returns { requestId, type, status, result?, error? }
+ *************************************************************/
+async function approveRequest(adminId, requestId) {
+  const request = await loadRequest(requestId);
+  if (request.status !== 'pending_approval') {
+    throw new Error(`Data subject request ${requestId} is ${request.status}, not pending approval.`);
+  }
+  if (request.requested_by !== null && String(request.requested_by) === String(adminId)) {
+    throw new Error('A request must be approved by a different admin than the one who filed it.');
+  }
+
+  // status guard => two approvers cannot both start it
+  const claimed = await query(`
+    UPDATE data_subject_requests
+    SET status='processing', approved_by=$2, approved_at=NOW(), updated_at=NOW()
+    WHERE id=$1 AND status='pending_approval'
+    RETURNING id
+  `, [requestId, adminId]);
+  if (!claimed.rows.length) {
+    throw new Error(`Data subject request ${requestId} is no longer pending approval.`);
+  }
+
+  try {
+    const result = request.request_type === 'export'
+      ? await runExport(request)
+      : await runErasure(request);
+    await finishRequest(requestId, 'completed', { result });
+    notifications.sendUserNotification(request.user_id,
+      request.request_type === 'export' ? MESSAGES.EXPORT_READY(requestId) : MESSAGES.ERASED);
+    return { requestId, type: request.request_type, status: 'completed', result };
+  } catch (err) {
+    console.error(`Error processing data subject request ${requestId}:`, err);
+    await finishRequest(requestId, 'failed', { error: err.message });
+    return { requestId, type: request.request_type, status: 'failed', error: err.message };
+  }
+}
+
+async function rejectRequest(adminId, requestId, reason) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to reject a data subject request.');
+  }
+  const res = await query(`
+    UPDATE data_subject_requests
+    SET status='rejected', rejected_by=$2, rejection_reason=$3, updated_at=NOW(), completed_at=NOW()
+    WHERE id=$1 AND status='pending_approval'
+    RETURNING user_id, request_type
+  `, [requestId, adminId, reason]);
+  if (!res.rows.length) {
+    const request = await loadRequest(requestId);
+    throw new Error(`Data subject request ${requestId} is ${request.status}, not pending approval.`);
+  }
+  notifications.sendUserNotification(res.rows[0].user_id, MESSAGES.REJECTED(requestId, reason));
+  return { requestId, type: res.rows[0].request_type, status: 'rejected' };
+}
+
+/*************************************************************
+ * Export
+ *************************************************************/
+function exportValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  return value;
+}
+
+function cleanRow(row) {
+  const out = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (REDACTED_COLUMN_PATTERN.test(column)) continue;
+    out[column] = exportValue(value);
+  }
+  return out;
+}
+
+function csvEscape(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => {
+      const v = row[c];
+      return csvEscape(v !== null && typeof v === 'object' ? JSON.stringify(v) : v);
+    }).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function writeExportFile(dir, name, content) {
+  fs.writeFileSync(path.join(dir, name), content, { mode: 0o600 });
+  return {
+    name,
+    bytes: Buffer.byteLength(content),
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+/*************************************************************
+ * runExport(request)
+ * - Returns the manifest { directory, files, sections, withheld }
+ *************************************************************/
+async function profileSql() {
+  const cols = await query(`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_name='users' AND column_name = ANY($1)
+  `, [PROFILE_COLUMNS]);
+  const present = PROFILE_COLUMNS.filter((c) => cols.rows.some((r) => r.column_name === c));
+  return `SELECT ${present.join(', ')} FROM users WHERE id=$1`;
+}
+
+async function runExport(request) {
+  const sections = {};
+  for (const section of EXPORT_SECTIONS) {
+    const res = await query(section.sql || await profileSql(), [request.user_id]);
+    sections[section.name] = res.rows.map(cleanRow);
+  }
+
+  const dir = path.join(EXPORT_DIR, `dsr_${request.id}_user_${request.user_id}`);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const generatedAt = new Date().toISOString();
+  const files = [writeExportFile(dir, 'export.json', JSON.stringify({
+    userId: String(request.user_id),
+    requestId: request.id,
+    generatedAt,
+    withheld: WITHHELD_SECTIONS,
+    sections
+  }, null, 2))];
+  for (const [name, rows] of Object.entries(sections)) {
+    if (rows.length) {
+      files.push(writeExportFile(dir, `${name}.csv`, toCsv(rows)));
+    }
+  }
+
+  const manifest = {
+    directory: dir,
+    generatedAt,
+    files,
+    sections: Object.fromEntries(Object.entries(sections).map(([name, rows]) => [name, rows.length])),
+    withheld: WITHHELD_SECTIONS
+  };
+  writeExportFile(dir, 'manifest.json', JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/*************************************************************
+ * getExportFile(requestId, fileName)
+ * - absolute path of a file listed in a completed export
+ *************************************************************/
+async function getExportFile(requestId, fileName) {
+  const request = await loadRequest(requestId);
+  if (request.request_type !== 'export' || request.status !== 'completed') {
+    throw new Error(`Data subject request ${requestId} is not a completed export.`);
+  }
+  const manifest = request.result;
+  const file = manifest.files.find((f) => f.name === fileName);
+  if (!file) {
+    throw new Error(`Export file ${fileName} not found.`);
+  }
+  const filePath = path.join(manifest.directory, file.name);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Export file ${fileName} not found on disk.`);
+  }
+  return { filePath, sha256: file.sha256 };
+}
+
+/*************************************************************
+ * Erasure
+ *************************************************************/
+function pseudonymFor(userId) {
+  const key = process.env.DSR_PSEUDONYM_KEY;
+  if (!key) {
+    throw new Error('DSR_PSEUDONYM_KEY is not set; cannot pseudonymize.');
+  }
+  return `erased-${crypto.createHmac('sha256', key).update(String(userId)).digest('hex').slice(0, 16)}`;
+}
+
+// Returns the reasons the user's data must be kept for now
+async function getLegalHolds(userId) {
+  const holds = [];
+  const user = await query(`SELECT compliance_blocked FROM users WHERE id=$1`, [userId]);
+  if (!user.rows.length) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  if (user.rows[0].compliance_blocked) {
+    holds.push('user is compliance-blocked');
+  }
+  const cases = await query(`
+    SELECT c.id FROM compliance_cases c
+    JOIN compliance_case_users cu ON cu.case_id = c.id
+    WHERE cu.user_id=$1 AND c.status <> 'closed'
+  `, [userId]);
+  if (cases.rows.length) {
+    holds.push(`open compliance case(s): ${cases.rows.map((r) => `#${r.id}`).join(', ')}`);
+  }
+  const withdrawals = await query(`
+    SELECT id FROM withdrawal_requests
+    WHERE user_id=$1 AND status IN ('screening', 'pending', 'held', 'approved')
+  `, [userId]);
+  if (withdrawals.rows.length) {
+    holds.push(`open withdrawal(s): ${withdrawals.rows.map((r) => `#${r.id}`).join(', ')}`);
+  }
+  return holds;
+}
+
+/*************************************************************
+ * runErasure(request)
+ * - Returns { pseudonym, clearedColumns, followsDeactivated,
+ *   retained }
+ *************************************************************/
+async function runErasure(request) {
+  const userId = request.user_id;
+  const holds = await getLegalHolds(userId);
+  if (holds.length) {
+    throw new Error(`Erasure blocked by legal hold: ${holds.join('; ')}`);
+  }
+  const pseudonym = pseudonymFor(userId);
+
+  const cols = await query(`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_name='users' AND column_name = ANY($1)
+  `, [PERSONAL_USER_COLUMNS]);
+  const clearedColumns = cols.rows.map((r) => r.column_name);
+  const sets = clearedColumns.map((c) => `${c}=NULL`);
+
+  let followsDeactivated = 0;
+  await query('BEGIN');
+  try {
+    await query(`
+      UPDATE users
+      SET ${[...sets, 'pseudonym=$2', 'erased_at=NOW()'].join(', ')}
+      WHERE id=$1
+    `, [userId, pseudonym]);
+    const follows = await query(`
+      UPDATE trader_followers SET is_active=false
+      WHERE user_id=$1 AND is_active=true
+      RETURNING trader_id
+    `, [userId]);
+    followsDeactivated = follows.rows.length;
+    await query(`DELETE FROM user_policy_state WHERE user_id=$1`, [userId]);
+    await query('COMMIT');
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+
+  return {
+    pseudonym,
+    clearedColumns,
+    followsDeactivated,
+    retained: [
+      'vault_transactions', 'trade_executions', 'withdrawal_requests',
+      'compliance records', 'admin_logs (hash-chained audit trail)'
+    ]
+  };
+}
+
+/*************************************************************
+ * Listing
+ *************************************************************/
+async function getRequest(requestId) {
+  return loadRequest(requestId);
+}
+
+/*************************************************************
+ * listRequests({ status, type, userId, overdue }, { limit, cursor })
+ * - newest first, id cursor
+ *************************************************************/
+async function listRequests(filters = {}, { limit = 50, cursor = null } = {}) {
+  const where = [];
+  const params = [];
+  const add = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace('?', `$${params.length}`));
+  };
+  if (filters.status) {
+    if (!STATUSES.includes(filters.status)) {
+      throw new Error(`Invalid status "${filters.status}". Must be one of: ${STATUSES.join(', ')}`);
+    }
+    add('status = ?', filters.status);
+  }
+  if (filters.type) add('request_type = ?', filters.type);
+  if (filters.userId) add('user_id = ?', filters.userId);
+  if (filters.overdue) where.push(`status IN ('pending_approval', 'processing') AND due_at < NOW()`);
+  if (cursor) add('id < ?', parseInt(cursor, 10));
+
+  const pageSize = Math.min(limit, 200);
+  params.push(pageSize + 1);
+  const res = await query(`
+    SELECT id, user_id, request_type, status, source, requested_by, due_at,
+           approved_by, rejected_by, error, created_at, completed_at
+    FROM data_subject_requests
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  const rows = res.rows.slice(0, pageSize);
+  const nextCursor = res.rows.length > pageSize ? String(rows[rows.length - 1].id) : null;
+  return { rows, nextCursor };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  REQUEST_TYPES,
+  STATUSES,
+  createRequest,
+  approveRequest,
+  rejectRequest,
+  getRequest,
+  listRequests,
+  getExportFile,
+  getLegalHolds
+};
@@ -0,0 +1,443 @@
+/*************************************************************
+ * regionPolicy.js
+ *
+ * Location: /src/admin/regionPolicy.js
+ *
+ * Region-based feature gating (Prompt 7.9 region detection).
+ *  - region_policies maps an ISO 3166 region ('DE', 'US-NY') to
+ *    allowed features; 'US-NY' falls back to 'US', then 'DEFAULT'.
+ *  - A user's regions are the declared and the detected one;
+ *    when both are known and differ, the stricter policy wins.
+ *  - risk_rating 'restricted' turns off every trading feature
+ *    and premium purchases, whatever the region allows.
+ *  - Checked by bot commands (requireFeature middleware), the
+ *    aggregator and the vault flows; refusals are localized
+ *    through i18n.js.
+ *  - Every policy change is versioned in region_policy_versions;
+ *    reevaluateRegion re-checks every user of a region after a
+ *    change and pauses what they may no longer use.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const i18n = require('../bot/i18n');
+
+// feature => region_policies column
+const FEATURES = {
+  copy_trading: 'copy_trading',
+  ai_trading: 'ai_trading',
+  premium_purchase: 'premium_purchase',
+  withdrawals: 'withdrawals'
+};
+const FEATURE_LABELS = {
+  copy_trading: 'FEATURE_COPY_TRADING',
+  ai_trading: 'FEATURE_AI_TRADING',
+  premium_purchase: 'FEATURE_PREMIUM_PURCHASE',
+  withdrawals: 'FEATURE_WITHDRAWALS'
+};
+const RESTRICTED_RATING_FEATURES = ['copy_trading', 'ai_trading', 'premium_purchase'];
+const DEFAULT_REGION = 'DEFAULT';
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+const POLICY_CACHE_MS = 30 * 1000;
+const REEVALUATION_BATCH_SIZE = 500;
+
+let policyCache = null; // { loadedAt, byRegion: Map }
+
+function normalizeRegion(region) {
+  if (region === undefined || region === null || region === '') return null;
+  const upper = String(region).trim().toUpperCase();
+  if (upper !== DEFAULT_REGION && !REGION_PATTERN.test(upper)) {
+    throw new Error(`Invalid region "${region}". Use an ISO 3166 code such as DE or US-NY.`);
+  }
+  return upper;
+}
+
+function rowToPolicy(row) {
+  return {
+    region: row.region,
+    copy_trading: row.copy_trading,
+    ai_trading: row.ai_trading,
+    premium_purchase: row.premium_purchase,
+    withdrawals: row.withdrawals,
+    max_deposit_sol: row.max_deposit_sol === null ? null : parseFloat(row.max_deposit_sol),
+    version: row.version
+  };
+}
+
+async function loadPolicies() {
+  if (policyCache && Date.now() - policyCache.loadedAt < POLICY_CACHE_MS) {
+    return policyCache.byRegion;
+  }
+  const res = await query(`
+    SELECT region, copy_trading, ai_trading, premium_purchase, withdrawals, max_deposit_sol, version
+    FROM region_policies
+  `);
+  policyCache = { loadedAt: Date.now(), byRegion: new Map(res.rows.map((r) => [r.region, rowToPolicy(r)])) };
+  return policyCache.byRegion;
+}
+
+function invalidatePolicyCache() {
+  policyCache = null;
+}
+
+// 'US-NY' => US-NY row, else US row, else DEFAULT
+function policyForRegion(byRegion, region) {
+  if (region && byRegion.has(region)) return byRegion.get(region);
+  const country = region ? region.split('-')[0] : null;
+  if (country && byRegion.has(country)) return byRegion.get(country);
+  return byRegion.get(DEFAULT_REGION) || {
+    region: DEFAULT_REGION, copy_trading: true, ai_trading: true, premium_purchase: true,
+    withdrawals: true, max_deposit_sol: null, version: 0
+  };
+}
+
+/*************************************************************
+ * getEffectivePolicy(userId)
+ * - strictest combination of the user's declared / detected
+ *   region policies, then the 'restricted' rating on top
+ * - Returns { regions, features: { copy_trading, ... },
+ *   maxDepositSol, policyVersions, restrictedRating }
+ *************************************************************/
+async function getEffectivePolicy(userId) {
+  const res = await query(`
+    SELECT declared_region, detected_region, risk_rating
+    FROM users
+    WHERE id=$1
+  `, [userId]);
+  if (!res.rows.length) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  return combinePolicies(res.rows[0], await loadPolicies());
+}
+
+function combinePolicies(user, byRegion) {
+  const regions = [...new Set([user.declared_region, user.detected_region].filter(Boolean))];
+  const policies = (regions.length ? regions : [null]).map((r) => policyForRegion(byRegion, r));
+
+  const features = {};
+  for (const [feature, column] of Object.entries(FEATURES)) {
+    features[feature] = policies.every((p) => p[column]);
+  }
+  const limits = policies.map((p) => p.max_deposit_sol).filter((v) => v !== null);
+  const restrictedRating = user.risk_rating === 'restricted';
+  if (restrictedRating) {
+    for (const feature of RESTRICTED_RATING_FEATURES) features[feature] = false;
+  }
+
+  return {
+    regions: regions.length ? regions : [DEFAULT_REGION],
+    features,
+    maxDepositSol: limits.length ? Math.min(...limits) : null,
+    policyVersions: Object.fromEntries(policies.map((p) => [p.region, p.version])),
+    restrictedRating
+  };
+}
+
+function deniedMessage(lang, feature, policy) {
+  const label = i18n.t(lang, FEATURE_LABELS[feature]);
+  // region allows it, so the restricted rating is the reason
+  if (policy.restrictedRating && RESTRICTED_RATING_FEATURES.includes(feature)) {
+    return i18n.t(lang, 'ACCOUNT_FEATURE_RESTRICTED', { feature: label });
+  }
+  return i18n.t(lang, 'REGION_FEATURE_DENIED', { feature: label, region: policy.regions.join('/') });
+}
+
+/*************************************************************
+ * checkFeature(userId, feature, { amount, language })
+ * - feature: copy_trading | ai_trading | premium_purchase |
+ *   withdrawals | deposit (needs amount, checked against
+ *   max_deposit_sol)
+ * - Returns { allowed, feature, regions, message }
+ *   (message localized, null when allowed)
+ *************************************************************/
+async function checkFeature(userId, feature, { amount = null, language = null } = {}) {
+  if (feature !== 'deposit' && !FEATURES[feature]) {
+    throw new Error(`Unknown feature "${feature}". Must be one of: ${[...Object.keys(FEATURES), 'deposit'].join(', ')}`);
+  }
+  const policy = await getEffectivePolicy(userId);
+  const lang = language ? i18n.resolveLanguage(language) : await i18n.getUserLanguage(userId);
+
+  if (feature === 'deposit') {
+    const allowed = policy.maxDepositSol === null || amount === null || Number(amount) <= policy.maxDepositSol;
+    return {
+      allowed,
+      feature,
+      regions: policy.regions,
+      message: allowed ? null : i18n.t(lang, 'REGION_DEPOSIT_LIMIT', {
+        max: policy.maxDepositSol, amount, region: policy.regions.join('/')
+      })
+    };
+  }
+  const allowed = policy.features[feature];
+  return {
+    allowed,
+    feature,
+    regions: policy.regions,
+    message: allowed ? null : deniedMessage(lang, feature, policy)
+  };
+}
+
+/*************************************************************
+ * requireFeature(feature)
+ * - Telegraf middleware for bot commands, e.g.
+ *   bot.command('follow', requireFeature('copy_trading'), handler)
+ *************************************************************/
+function requireFeature(feature) {
+  return async (ctx, next) => {
+    try {
+      const check = await checkFeature(ctx.from.id, feature, { language: ctx.from.language_code });
+      if (!check.allowed) {
+        return ctx.reply(check.message);
+      }
+    } catch (err) {
+      console.error(`Error checking feature ${feature} for user ${ctx.from.id}:`, err);
+      return ctx.reply('An unexpected error occurred. Please try again later.');
+    }
+    return next();
+  };
+}
+
+/*************************************************************
+ * User regions
+ *************************************************************/
+async function setDeclaredRegion(userId, region) {
+  await query(`
+    UPDATE users SET declared_region=$2, region_updated_at=NOW() WHERE id=$1
+  `, [userId, normalizeRegion(region)]);
+  return reevaluateUser(userId);
+}
+
+// source: 'phone' | 'ip' | 'kyc' | ...
+async function setDetectedRegion(userId, region, source) {
+  await query(`
+    UPDATE users SET detected_region=$2, detected_region_source=$3, region_updated_at=NOW() WHERE id=$1
+  `, [userId, normalizeRegion(region), source || null]);
+  return reevaluateUser(userId);
+}
+
+/*************************************************************
+ * Policy management
+ *************************************************************/
+async function listPolicies() {
+  const res = await query(`
+    SELECT region, copy_trading, ai_trading, premium_purchase, withdrawals, max_deposit_sol,
+           version, updated_by, reason, updated_at
+    FROM region_policies
+    ORDER BY (region = 'DEFAULT') DESC, region
+  `);
+  return res.rows;
+}
+
+/*************************************************************
+ * setPolicy(adminId, region, changes, reason)
+ * - changes: any of copy_trading, ai_trading, premium_purchase,
+ *   withdrawals (booleans), max_deposit_sol (number or null)
+ * - Returns { region, before, after, version }
+ *************************************************************/
+async function setPolicy(adminId, region, changes = {}, reason) {
+  const key = normalizeRegion(region);
+  if (!key) {
+    throw new Error('Region is required.');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to change a region policy.');
+  }
+  for (const column of Object.values(FEATURES)) {
+    if (changes[column] !== undefined && typeof changes[column] !== 'boolean') {
+      throw new Error(`${column} must be true or false.`);
+    }
+  }
+  if (changes.max_deposit_sol !== undefined && changes.max_deposit_sol !== null &&
+      !(Number.isFinite(Number(changes.max_deposit_sol)) && Number(changes.max_deposit_sol) >= 0)) {
+    throw new Error('max_deposit_sol must be a non-negative number or null.');
+  }
+
+  const existing = await query(`
+    SELECT region, copy_trading, ai_trading, premium_purchase, withdrawals, max_deposit_sol, version
+    FROM region_policies WHERE region=$1
+  `, [key]);
+  // a new region starts from what it inherited
+  const before = existing.rows.length
+    ? rowToPolicy(existing.rows[0])
+    : { ...policyForRegion(await loadPolicies(), key), region: key, version: 0 };
+  const after = {
+    region: key,
+    copy_trading: changes.copy_trading ?? before.copy_trading,
+    ai_trading: changes.ai_trading ?? before.ai_trading,
+    premium_purchase: changes.premium_purchase ?? before.premium_purchase,
+    withdrawals: changes.withdrawals ?? before.withdrawals,
+    max_deposit_sol: changes.max_deposit_sol === undefined ? before.max_deposit_sol
+      : (changes.max_deposit_sol === null ? null : Number(changes.max_deposit_sol)),
+    version: before.version + 1
+  };
+
+  await query('BEGIN');
+  try {
+    await query(`
+      INSERT INTO region_policies
+        (region, copy_trading, ai_trading, premium_purchase, withdrawals, max_deposit_sol, version, updated_by, reason, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      ON CONFLICT (region) DO UPDATE SET
+        copy_trading=$2, ai_trading=$3, premium_purchase=$4, withdrawals=$5, max_deposit_sol=$6,
+        version=$7, updated_by=$8, reason=$9, updated_at=NOW()
+    `, [key, after.copy_trading, after.ai_trading, after.premium_purchase, after.withdrawals,
+      after.max_deposit_sol, after.version, adminId, reason]);
+    await query(`
+      INSERT INTO region_policy_versions (region, version, policy, changed_by, reason, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+    `, [key, after.version, JSON.stringify(after), adminId, reason]);
+    await query('COMMIT');
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+  invalidatePolicyCache();
+  return { region: key, before: existing.rows.length ? before : null, after, version: after.version };
+}
+
+async function getPolicyHistory(region, limit = 50) {
+  const res = await query(`
+    SELECT id, region, version, policy, changed_by, reason, created_at
+    FROM region_policy_versions
+    WHERE region=$1
+    ORDER BY version DESC
+    LIMIT $2
+  `, [normalizeRegion(region), Math.min(limit, 500)]);
+  return res.rows;
+}
+
+/*************************************************************
+ * reevaluateUser(userId, { notify })
+ * - compares the effective features with the last evaluation;
+ *   anything taken away is enforced:
+ *     copy_trading => active follows paused
+ *     withdrawals  => open withdrawal requests held
+ *   and the user is told (localized)
+ * - Returns { userId, lost: [...], gained: [...] }
+ *************************************************************/
+async function reevaluateUser(userId, { notify = true } = {}) {
+  const policy = await getEffectivePolicy(userId);
+  const prev = await query(`SELECT features FROM user_policy_state WHERE user_id=$1`, [userId]);
+  const previous = prev.rows.length ? prev.rows[0].features : null;
+
+  const lost = [];
+  const gained = [];
+  for (const feature of Object.keys(FEATURES)) {
+    const was = previous ? previous[feature] !== false : true;
+    if (was && !policy.features[feature]) lost.push(feature);
+    if (previous && previous[feature] === false && policy.features[feature]) gained.push(feature);
+  }
+
+  await query(`
+    INSERT INTO user_policy_state (user_id, regions, features, evaluated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET regions=$2, features=$3, evaluated_at=NOW()
+  `, [userId, policy.regions, JSON.stringify(policy.features)]);
+
+  let pausedFollows = 0;
+  if (lost.includes('copy_trading')) {
+    const paused = await query(`
+      UPDATE trader_followers SET is_active=false
+      WHERE user_id=$1 AND is_active=true
+      RETURNING trader_id
+    `, [userId]);
+    pausedFollows = paused.rows.length;
+  }
+  if (lost.includes('withdrawals')) {
+    await query(`
+      UPDATE withdrawal_requests
+      SET status='held', hold_reason='region policy', updated_at=NOW()
+      WHERE user_id=$1 AND status IN ('screening', 'pending', 'approved')
+    `, [userId]);
+  }
+
+  // a first evaluation only records the state, nothing was taken away
+  if (notify && previous && lost.length) {
+    const lang = await i18n.getUserLanguage(userId);
+    const features = lost.map((f) => i18n.t(lang, FEATURE_LABELS[f])).join(', ');
+    let msg = i18n.t(lang, 'REGION_POLICY_CHANGED', { region: policy.regions.join('/'), features });
+    if (pausedFollows) msg += `\n${i18n.t(lang, 'REGION_FOLLOWS_PAUSED')}`;
+    notifications.sendUserNotification(userId, msg);
+  }
+  return { userId, lost: previous ? lost : [], gained };
+}
+
+/*************************************************************
+ * reevaluateRegion(region, { adminId })
+ * - every user whose declared or detected region falls under
+ *   `region` ('US' covers 'US-NY'; 'DEFAULT' => users whose
+ *   region has no row of its own, or no region at all)
+ * - batched, progress in region_policy_reevaluations
+ * - Returns { reevaluationId, total, changed }
+ *************************************************************/
+async function reevaluateRegion(region, { adminId = null } = {}) {
+  const key = normalizeRegion(region);
+  const run = await query(`
+    INSERT INTO region_policy_reevaluations (region, started_by, status, created_at)
+    VALUES ($1, $2, 'running', NOW())
+    RETURNING id
+  `, [key, adminId]);
+  const reevaluationId = run.rows[0].id;
+
+  const match = key === DEFAULT_REGION
+    ? `(declared_region IS NULL AND detected_region IS NULL)
+       OR declared_region NOT IN (SELECT region FROM region_policies)
+       OR detected_region NOT IN (SELECT region FROM region_policies)`
+    : `declared_region = $2 OR detected_region = $2
+       OR declared_region LIKE $2 || '-%' OR detected_region LIKE $2 || '-%'`;
+
+  let total = 0;
+  let changed = 0;
+  let lastId = 0;
+  try {
+    for (;;) {
+      const params = key === DEFAULT_REGION ? [lastId, REEVALUATION_BATCH_SIZE] : [lastId, key, REEVALUATION_BATCH_SIZE];
+      const batch = await query(`
+        SELECT id FROM users
+        WHERE id > $1 AND (${match})
+        ORDER BY id
+        LIMIT $${params.length}
+      `, params);
+      if (!batch.rows.length) break;
+
+      for (const { id } of batch.rows) {
+        const result = await reevaluateUser(id);
+        total += 1;
+        if (result.lost.length || result.gained.length) changed += 1;
+      }
+      lastId = batch.rows[batch.rows.length - 1].id;
+      await query(`
+        UPDATE region_policy_reevaluations SET total=$2, changed=$3 WHERE id=$1
+      `, [reevaluationId, total, changed]);
+    }
+    await query(`
+      UPDATE region_policy_reevaluations SET status='completed', total=$2, changed=$3, completed_at=NOW() WHERE id=$1
+    `, [reevaluationId, total, changed]);
+  } catch (err) {
+    await query(`
+      UPDATE region_policy_reevaluations SET status='failed', total=$2, changed=$3, error=$4, completed_at=NOW() WHERE id=$1
+    `, [reevaluationId, total, changed, err.message]);
+    throw err;
+  }
+  return { reevaluationId, total, changed };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  FEATURES,
+  DEFAULT_REGION,
+  normalizeRegion,
+  getEffectivePolicy,
+  checkFeature,
+  requireFeature,
+  setDeclaredRegion,
+  setDetectedRegion,
+  listPolicies,
+  setPolicy,
+  getPolicyHistory,
+  reevaluateUser,
+  reevaluateRegion,
+  invalidatePolicyCache
+};
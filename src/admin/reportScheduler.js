@@ -0,0 +1,422 @@
+/*************************************************************
+ * reportScheduler.js
+ *
+ * Location: /src/admin/reportScheduler.js
+ *
+ * Scheduled System Reports (Prompt 1.6), per admin:
+ *  - cadence: daily, weekly or a custom cron expression, in any time zone
+ *  - stored in admin_report_schedules (next_run computed from the cron)
+ *  - templates pick sections:
+ *      aggregator            => aggregator KPIs (TPS, error rate, latency, queue)
+ *      new_users             => sign-ups in the report window
+ *      subscription_revenue  => successful subscription charges
+ *      meltdown_events       => meltdown triggers, level changes (incl. forced pauses)
+ *      top_traders           => best ROI traders and their followers
+ *      prices                => oracle prices and price source health
+ *  - admins list, pause, resume and delete their own schedules
+ *  - each run sends a Telegram summary plus a CSV attachment
+ *************************************************************/
+
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const { collectAggregatorMetrics } = require('../aggregator/aggregatorStats');
+const priceOracle = require('../oracle/priceOracle');
+
+const REPORT_SECTIONS = ['aggregator', 'new_users', 'subscription_revenue', 'meltdown_events', 'top_traders', 'prices'];
+
+// symbols in the prices section
+const REPORT_PRICE_SYMBOLS = ['BTC', 'SOL', 'ETH'];
+
+const REPORT_TEMPLATES = {
+  ops: ['aggregator', 'meltdown_events', 'prices'],
+  business: ['new_users', 'subscription_revenue', 'top_traders'],
+  full: REPORT_SECTIONS
+};
+
+const FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+// default look-back when a schedule has never run
+const DEFAULT_WINDOW_HOURS = { daily: 24, weekly: 24 * 7, custom: 24 };
+
+/*************************************************************
+ * resolveSections(template)
+ * - template: a name from REPORT_TEMPLATES or an array of sections
+ *************************************************************/
+function resolveSections(template = 'ops') {
+  const sections = Array.isArray(template) ? template : REPORT_TEMPLATES[template];
+  if (!sections) {
+    throw new Error(`Unknown report template "${template}". Use one of: ${Object.keys(REPORT_TEMPLATES).join(', ')} or a list of sections.`);
+  }
+  const invalid = sections.filter((s) => !REPORT_SECTIONS.includes(s));
+  if (invalid.length > 0 || sections.length === 0) {
+    throw new Error(`Invalid report sections: ${invalid.join(', ') || '(none)'}. Must be from: ${REPORT_SECTIONS.join(', ')}`);
+  }
+  return [...new Set(sections)];
+}
+
+/*************************************************************
+ * buildCronExpression(frequency, options)
+ * - daily  => every day at options.hour:options.minute
+ * - weekly => options.dayOfWeek (0=Sun) at options.hour:options.minute
+ * - custom => options.cron as given (5-field cron)
+ *************************************************************/
+function buildCronExpression(frequency, { hour = 0, minute = 0, dayOfWeek = 1, cron: cronExpr } = {}) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Invalid frequency "${frequency}". Must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (frequency === 'custom') {
+    if (!cronExpr) {
+      throw new Error('Custom frequency requires a cron expression.');
+    }
+    return cronExpr.trim();
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+    throw new Error('Report hour must be 0-23 and minute 0-59.');
+  }
+  if (frequency === 'weekly') {
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new Error('Weekly reports need dayOfWeek 0-6 (0 = Sunday).');
+    }
+    return `${minute} ${hour} * * ${dayOfWeek}`;
+  }
+  return `${minute} ${hour} * * *`;
+}
+
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Invalid time zone "${timezone}".`);
+  }
+}
+
+/*************************************************************
+ * computeNextRun(cronExpression, timezone, fromDate=new Date())
+ * - next occurrence strictly after fromDate, evaluated in timezone
+ *************************************************************/
+function computeNextRun(cronExpression, timezone = 'UTC', fromDate = new Date()) {
+  let interval;
+  try {
+    interval = cronParser.parseExpression(cronExpression, { currentDate: fromDate, tz: timezone });
+  } catch (err) {
+    throw new Error(`Invalid cron expression "${cronExpression}": ${err.message}`);
+  }
+  return interval.next().toDate();
+}
+
+/*************************************************************
+ * Schedule management (own schedules only)
+ *************************************************************/
+async function createReportSchedule(adminId, frequency = 'daily', options = {}) {
+  const timezone = options.timezone || 'UTC';
+  assertTimezone(timezone);
+  const cronExpression = buildCronExpression(frequency, options);
+  const sections = resolveSections(options.template || options.sections || 'ops');
+  const nextRun = computeNextRun(cronExpression, timezone);
+
+  const res = await query(`
+    INSERT INTO admin_report_schedules
+      (admin_id, frequency, cron_expression, timezone, sections, paused, next_run, created_at)
+    VALUES ($1, $2, $3, $4, $5, false, $6, NOW())
+    RETURNING id, admin_id, frequency, cron_expression, timezone, sections, paused, next_run
+  `, [adminId, frequency, cronExpression, timezone, JSON.stringify(sections), nextRun]);
+  return res.rows[0];
+}
+
+async function listReportSchedules(adminId) {
+  const res = await query(`
+    SELECT id, frequency, cron_expression, timezone, sections, paused, next_run, last_run, created_at
+    FROM admin_report_schedules
+    WHERE admin_id = $1
+    ORDER BY id
+  `, [adminId]);
+  return res.rows;
+}
+
+async function setReportSchedulePaused(adminId, scheduleId, paused) {
+  const current = await query(`
+    SELECT cron_expression, timezone
+    FROM admin_report_schedules
+    WHERE id = $1 AND admin_id = $2
+  `, [scheduleId, adminId]);
+  if (current.rows.length === 0) {
+    throw new Error(`Report schedule not found: ${scheduleId}`);
+  }
+  // on resume, skip the runs missed while paused
+  const { cron_expression, timezone } = current.rows[0];
+  const nextRun = computeNextRun(cron_expression, timezone);
+  const res = await query(`
+    UPDATE admin_report_schedules
+    SET paused = $3,
+        next_run = CASE WHEN $3 THEN next_run ELSE $4 END
+    WHERE id = $1 AND admin_id = $2
+    RETURNING id, paused, next_run
+  `, [scheduleId, adminId, paused, nextRun]);
+  return res.rows[0];
+}
+
+async function deleteReportSchedule(adminId, scheduleId) {
+  const res = await query(`
+    DELETE FROM admin_report_schedules
+    WHERE id = $1 AND admin_id = $2
+  `, [scheduleId, adminId]);
+  if (res.rowCount === 0) {
+    throw new Error(`Report schedule not found: ${scheduleId}`);
+  }
+}
+
+/*************************************************************
+ * Section builders
+ * - each returns { title, lines: [text], rows: [[metric, value]] }
+ *************************************************************/
+async function buildAggregatorSection() {
+  const stats = await collectAggregatorMetrics();
+  if (!stats) {
+    return { title: 'Aggregator', lines: ['Aggregator metrics unavailable.'], rows: [] };
+  }
+  const rows = [
+    ['tps', stats.aggregator_tps],
+    ['error_rate_pct', (stats.trade_error_rate * 100).toFixed(1)],
+    ['avg_latency_ms', stats.avgLatencyMs],
+    ['queue_length', stats.queueLength]
+  ];
+  return {
+    title: 'Aggregator',
+    lines: [
+      `TPS: ${stats.aggregator_tps}`,
+      `ErrorRate: ${(stats.trade_error_rate * 100).toFixed(1)}%`,
+      `Avg Latency: ${stats.avgLatencyMs} ms`,
+      `QueueLength: ${stats.queueLength}`
+    ],
+    rows
+  };
+}
+
+async function buildNewUsersSection(since, until) {
+  const res = await query(`
+    SELECT COUNT(*) AS new_users,
+           COUNT(*) FILTER (WHERE user_type = 'premium') AS new_premium
+    FROM users
+    WHERE created_at > $1 AND created_at <= $2
+  `, [since, until]);
+  const newUsers = parseInt(res.rows[0]?.new_users || '0', 10);
+  const newPremium = parseInt(res.rows[0]?.new_premium || '0', 10);
+  return {
+    title: 'New Users',
+    lines: [`New users: ${newUsers} (premium: ${newPremium})`],
+    rows: [['new_users', newUsers], ['new_premium_users', newPremium]]
+  };
+}
+
+async function buildSubscriptionRevenueSection(since, until) {
+  const res = await query(`
+    SELECT token, COUNT(*) AS charges, COALESCE(SUM(amount), 0) AS total
+    FROM vault_transactions
+    WHERE type = 'subscription' AND success = true
+      AND created_at > $1 AND created_at <= $2
+    GROUP BY token
+    ORDER BY token
+  `, [since, until]);
+  if (res.rows.length === 0) {
+    return { title: 'Subscription Revenue', lines: ['No subscription charges.'], rows: [] };
+  }
+  return {
+    title: 'Subscription Revenue',
+    lines: res.rows.map((r) => `${parseFloat(r.total)} ${r.token} from ${r.charges} charges`),
+    rows: res.rows.flatMap((r) => [
+      [`revenue_${r.token.toLowerCase()}`, parseFloat(r.total)],
+      [`charges_${r.token.toLowerCase()}`, parseInt(r.charges, 10)]
+    ])
+  };
+}
+
+async function buildMeltdownSection(since, until) {
+  const res = await query(`
+    SELECT source, reason, created_at
+    FROM meltdown_events
+    WHERE created_at > $1 AND created_at <= $2
+    UNION ALL
+    SELECT source, 'level ' || from_level || ' => ' || to_level || ': ' || reason, created_at
+    FROM meltdown_level_changes
+    WHERE created_at > $1 AND created_at <= $2
+    ORDER BY created_at
+  `, [since, until]);
+  if (res.rows.length === 0) {
+    return { title: 'Meltdown Events', lines: ['No meltdown events.'], rows: [['meltdown_events', 0]] };
+  }
+  return {
+    title: 'Meltdown Events',
+    lines: res.rows.map((r) => `${new Date(r.created_at).toISOString()} | ${r.source} | ${r.reason}`),
+    rows: [
+      ['meltdown_events', res.rows.length],
+      ...res.rows.map((r) => [`meltdown_${new Date(r.created_at).toISOString()}`, `${r.source}: ${r.reason}`])
+    ]
+  };
+}
+
+async function buildTopTradersSection(limit = 5) {
+  const res = await query(`
+    SELECT t.id, t.name, t.roi_30d,
+           (SELECT COUNT(*) FROM trader_followers f
+             WHERE f.trader_id = t.id AND f.is_active = true) AS followers
+    FROM traders t
+    WHERE t.is_active = true
+    ORDER BY t.roi_30d DESC NULLS LAST
+    LIMIT $1
+  `, [limit]);
+  return {
+    title: 'Top Traders',
+    lines: res.rows.map((r, i) =>
+      `${i + 1}. ${r.name || `#${r.id}`} ROI ${(parseFloat(r.roi_30d || 0) * 100).toFixed(1)}% (${r.followers} followers)`),
+    rows: res.rows.map((r) => [`trader_${r.id}_roi_30d`, parseFloat(r.roi_30d || 0)])
+  };
+}
+
+async function buildPricesSection() {
+  const quotes = await priceOracle.getPrices(REPORT_PRICE_SYMBOLS);
+  const health = await priceOracle.getSourceHealth();
+  const unhealthy = health.filter((h) => h.healthy === false);
+  return {
+    title: 'Prices',
+    lines: [
+      ...Object.values(quotes).map((q) => (q.price === null
+        ? `${q.symbol}: no price (${q.status})`
+        : `${q.symbol}: $${q.price} (${q.status}, ${q.sourceCount} sources)`)),
+      unhealthy.length
+        ? `Unhealthy sources: ${unhealthy.map((h) => `${h.source}${h.lastError ? ` (${h.lastError})` : ''}`).join(', ')}`
+        : `All ${health.length} price sources healthy.`
+    ],
+    rows: [
+      ...Object.values(quotes).flatMap((q) => [
+        [`price_${q.symbol.toLowerCase()}_usd`, q.price],
+        [`price_${q.symbol.toLowerCase()}_status`, q.status]
+      ]),
+      ...health.map((h) => [`source_${h.source}_healthy`, h.healthy])
+    ]
+  };
+}
+
+const SECTION_BUILDERS = {
+  aggregator: buildAggregatorSection,
+  new_users: buildNewUsersSection,
+  subscription_revenue: buildSubscriptionRevenueSection,
+  meltdown_events: buildMeltdownSection,
+  top_traders: () => buildTopTradersSection(),
+  prices: buildPricesSection
+};
+
+/*************************************************************
+ * buildReport(sections, since, until)
+ * - Returns { summary, csv } for the requested sections.
+ *   A failing section is reported inline, it never aborts the report.
+ *************************************************************/
+async function buildReport(sections = ['aggregator'], since = null, until = new Date()) {
+  since = since || new Date(until.getTime() - DEFAULT_WINDOW_HOURS.daily * 3600 * 1000);
+  const parts = [];
+  for (const section of sections) {
+    try {
+      parts.push({ section, ...(await SECTION_BUILDERS[section](since, until)) });
+    } catch (err) {
+      console.error(`Error building report section ${section}:`, err);
+      parts.push({ section, title: section, lines: ['Section unavailable.'], rows: [] });
+    }
+  }
+
+  const summary = [
+    'System Report:',
+    `${since.toISOString()} → ${until.toISOString()}`,
+    ...parts.flatMap((p) => ['', `*${p.title}*`, ...p.lines])
+  ].join('\n');
+
+  const csvLines = ['section,metric,value'];
+  for (const p of parts) {
+    for (const [metric, value] of p.rows) {
+      csvLines.push([p.section, metric, value].map(csvEscape).join(','));
+    }
+  }
+  return { summary, csv: csvLines.join('\n') + '\n' };
+}
+
+function csvEscape(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/*************************************************************
+ * runDueReports()
+ * - Claims each due schedule by moving next_run forward first
+ *   (only while it is still due), so a second instance of this
+ *   cron cannot send it twice.
+ *************************************************************/
+async function runDueReports() {
+  const due = await query(`
+    SELECT id, admin_id, frequency, cron_expression, timezone, sections, next_run, last_run
+    FROM admin_report_schedules
+    WHERE paused = false AND next_run <= NOW()
+    ORDER BY next_run
+  `);
+
+  for (const schedule of due.rows) {
+    try {
+      const nextRun = computeNextRun(schedule.cron_expression, schedule.timezone);
+      const claim = await query(`
+        UPDATE admin_report_schedules
+        SET next_run = $2, last_run = NOW()
+        WHERE id = $1 AND next_run <= NOW() AND paused = false
+        RETURNING id
+      `, [schedule.id, nextRun]);
+      if (claim.rows.length === 0) continue;
+
+      const until = new Date();
+      const since = schedule.last_run
+        ? new Date(schedule.last_run)
+        : new Date(until.getTime() - (DEFAULT_WINDOW_HOURS[schedule.frequency] || 24) * 3600 * 1000);
+      const sections = Array.isArray(schedule.sections) ? schedule.sections : JSON.parse(schedule.sections);
+      const { summary, csv } = await buildReport(sections, since, until);
+
+      await notifications.sendAdminNotification(schedule.admin_id, summary);
+      await notifications.sendAdminDocument(schedule.admin_id, {
+        filename: `system_report_${until.toISOString().slice(0, 10)}_${schedule.id}.csv`,
+        content: Buffer.from(csv, 'utf8')
+      }, 'System report (CSV)');
+    } catch (err) {
+      console.error(`Error running report schedule ${schedule.id}:`, err);
+    }
+  }
+}
+
+/*************************************************************
+ * scheduleReportRunner()
+ * - Checks for due reports every minute; the cadence itself
+ *   lives in each schedule's cron_expression.
+ *************************************************************/
+function scheduleReportRunner() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runDueReports();
+    } catch (err) {
+      console.error('Error in report scheduler cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  REPORT_SECTIONS,
+  REPORT_TEMPLATES,
+  buildReport,
+  computeNextRun,
+  createReportSchedule,
+  listReportSchedules,
+  setReportSchedulePaused,
+  deleteReportSchedule,
+  runDueReports,
+  scheduleReportRunner
+};
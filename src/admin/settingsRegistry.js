@@ -0,0 +1,388 @@
+/*************************************************************
+ * settingsRegistry.js
+ *
+ * Location: /src/admin/settingsRegistry.js
+ *
+ * Typed, versioned registry for global_settings (Prompt 1.8
+ * System-Wide Risk & Hedging).
+ *
+ *  - SETTINGS declares every key: type, range, default, description.
+ *    Unknown keys and out-of-range values are rejected.
+ *  - global_settings holds the current value, every change also
+ *    appends a row to global_settings_versions (author + reason).
+ *  - Snapshots, diffs and rollback to any earlier version; a
+ *    rollback is itself a new version.
+ *  - Consumers (risk_control.js, riskScanner.js, aggregatorMonitor.js,
+ *    adminApprovals.js, adminLogArchive.js, priceOracle.js,
+ *    meltdownMode.js) call getSetting()/getSettings(); values are
+ *    cached per process and reloaded when the latest version changes,
+ *    so no restart is needed.
+ *************************************************************/
+
+const { query } = require('../database/database');
+
+const CACHE_TTL_MS = 15 * 1000;
+
+/*************************************************************
+ * Setting declarations
+ * - type: 'number' | 'integer' | 'boolean' | 'string' | 'enum'
+ *************************************************************/
+const SETTINGS = {
+  // riskScanner.js => meltdown triggers
+  risk_scanner_price_drop_threshold: {
+    type: 'number', min: 0.01, max: 0.9, default: 0.10,
+    description: 'Drop (fraction from the window high) for static flash-crash windows without their own dropPct'
+  },
+  risk_scanner_aggregator_error_rate: {
+    type: 'number', min: 0, max: 1, default: 0.15,
+    description: 'Aggregator error rate that triggers a meltdown'
+  },
+  risk_scanner_consecutive_fail_threshold: {
+    type: 'integer', min: 1, max: 1000, default: 5,
+    description: 'Failed trades within 2 minutes that trigger a meltdown'
+  },
+  risk_scanner_volatility_lookback_hours: {
+    type: 'integer', min: 1, max: 168, default: 24,
+    description: 'Price history used for the volatility of sigma flash-crash windows'
+  },
+  risk_scanner_price_history_days: {
+    type: 'integer', min: 1, max: 90, default: 7,
+    description: 'Days of per-minute prices kept in global_metrics'
+  },
+
+  // meltdownMode.js => level changes
+  meltdown_escalate_hold_minutes: {
+    type: 'integer', min: 0, max: 60, default: 0,
+    description: 'Minutes a higher meltdown level must be called for before escalating (0 => at once)'
+  },
+  meltdown_deescalate_cooldown_minutes: {
+    type: 'integer', min: 1, max: 1440, default: 15,
+    description: 'Minutes conditions must stay lower before the meltdown level steps down one level'
+  },
+
+  // aggregatorMonitor.js => admin alerts
+  monitor_error_rate_threshold: {
+    type: 'number', min: 0, max: 1, default: parseFloat(process.env.ERROR_RATE_THRESHOLD || 0.1),
+    description: 'Aggregator error rate above which admins are alerted'
+  },
+  monitor_queue_length_threshold: {
+    type: 'integer', min: 0, max: 100000, default: parseInt(process.env.QUEUE_LENGTH_THRESHOLD || 20, 10),
+    description: 'Queued trades above which admins are alerted'
+  },
+
+  // risk_control.js => per-trade limits
+  risk_max_position_pct: {
+    type: 'number', min: 0.01, max: 1, default: 0.25,
+    description: 'Largest share of a vault a single position may use'
+  },
+  risk_max_slippage_pct: {
+    type: 'number', min: 0.001, max: 0.5, default: 0.03,
+    description: 'Maximum accepted slippage per trade'
+  },
+  risk_max_daily_loss_pct: {
+    type: 'number', min: 0.01, max: 1, default: 0.20,
+    description: 'Daily vault loss after which a user stops trading for the day'
+  },
+
+  // adminApprovals.js => four-eyes mode
+  dual_control_enabled: {
+    type: 'boolean', default: false,
+    description: 'Require a second admin to approve high-impact actions'
+  },
+  dual_control_expiry_hours: {
+    type: 'number', min: 1, max: 168, default: 24,
+    description: 'Hours before a pending approval request expires'
+  },
+  dual_control_premium_days: {
+    type: 'integer', min: 1, max: 3650, default: 90,
+    description: 'grantPremium above this many days needs approval'
+  },
+
+  // adminLogArchive.js => audit log retention
+  admin_log_retention_days: {
+    type: 'integer', min: 30, max: 3650, default: 365,
+    description: 'Admin log entries older than this are moved to the archive'
+  },
+  admin_log_archive_storage: {
+    type: 'enum', values: ['table', 'file'], default: 'table',
+    description: 'Where archived admin log batches are kept (compressed)'
+  },
+
+  // priceOracle.js => multi-source prices
+  price_oracle_max_age_seconds: {
+    type: 'integer', min: 5, max: 3600, default: 120,
+    description: 'A source price older than this is stale and not used'
+  },
+  price_oracle_outlier_pct: {
+    type: 'number', min: 0.001, max: 0.5, default: 0.02,
+    description: 'Sources further than this (fraction) from the median are rejected'
+  },
+  price_oracle_min_sources: {
+    type: 'integer', min: 1, max: 10, default: 2,
+    description: 'Agreeing fresh sources needed for a usable price (fewer => degraded, no new positions)'
+  }
+};
+
+/*************************************************************
+ * parseSettingValue(key, raw)
+ * - Validates and converts a raw value (string from the DB or
+ *   any value from an admin) to the declared type.
+ *************************************************************/
+function parseSettingValue(key, raw) {
+  const def = SETTINGS[key];
+  if (!def) {
+    throw new Error(`Unknown setting "${key}".`);
+  }
+  let value;
+  switch (def.type) {
+    case 'number':
+    case 'integer':
+      value = Number(raw);
+      if (raw === '' || raw === null || !Number.isFinite(value)) {
+        throw new Error(`Setting ${key} must be a number.`);
+      }
+      if (def.type === 'integer' && !Number.isInteger(value)) {
+        throw new Error(`Setting ${key} must be an integer.`);
+      }
+      if ((def.min !== undefined && value < def.min) || (def.max !== undefined && value > def.max)) {
+        throw new Error(`Setting ${key} must be between ${def.min} and ${def.max}.`);
+      }
+      return value;
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      throw new Error(`Setting ${key} must be true or false.`);
+    case 'enum':
+      if (!def.values.includes(raw)) {
+        throw new Error(`Setting ${key} must be one of: ${def.values.join(', ')}`);
+      }
+      return raw;
+    default:
+      return String(raw);
+  }
+}
+
+function serialize(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+/*************************************************************
+ * In-process cache
+ * - reloaded when the newest version differs, checked at most
+ *   every CACHE_TTL_MS
+ *************************************************************/
+const cache = { values: null, version: null, checkedAt: 0 };
+
+async function latestVersion() {
+  const res = await query(`
+    SELECT COALESCE(MAX(version), 0) AS version FROM global_settings_versions
+  `);
+  return parseInt(res.rows[0].version, 10);
+}
+
+async function reload() {
+  const version = await latestVersion();
+  const res = await query(`
+    SELECT setting_key, setting_value FROM global_settings
+  `);
+  const values = {};
+  for (const row of res.rows) {
+    if (!SETTINGS[row.setting_key]) continue;
+    try {
+      values[row.setting_key] = parseSettingValue(row.setting_key, row.setting_value);
+    } catch (err) {
+      console.error(`Ignoring invalid stored value for ${row.setting_key}:`, err.message);
+    }
+  }
+  cache.values = values;
+  cache.version = version;
+  cache.checkedAt = Date.now();
+}
+
+async function ensureFresh() {
+  if (cache.values && Date.now() - cache.checkedAt < CACHE_TTL_MS) return;
+  try {
+    if (!cache.values || (await latestVersion()) !== cache.version) {
+      await reload();
+    } else {
+      cache.checkedAt = Date.now();
+    }
+  } catch (err) {
+    // keep serving the last known values (or defaults) if the DB hiccups
+    console.error('Error refreshing settings registry:', err);
+    if (!cache.values) cache.values = {};
+    cache.checkedAt = Date.now();
+  }
+}
+
+/*************************************************************
+ * getSetting(key) / getSettings(keys)
+ *************************************************************/
+async function getSetting(key) {
+  if (!SETTINGS[key]) {
+    throw new Error(`Unknown setting "${key}".`);
+  }
+  await ensureFresh();
+  return key in cache.values ? cache.values[key] : SETTINGS[key].default;
+}
+
+async function getSettings(keys = Object.keys(SETTINGS)) {
+  const result = {};
+  for (const key of keys) {
+    result[key] = await getSetting(key);
+  }
+  return result;
+}
+
+/*************************************************************
+ * listSettings()
+ * - declarations + current value, for the admin UI
+ *************************************************************/
+async function listSettings() {
+  await ensureFresh();
+  return Object.entries(SETTINGS).map(([key, def]) => ({
+    key,
+    ...def,
+    value: key in cache.values ? cache.values[key] : def.default,
+    isDefault: !(key in cache.values)
+  }));
+}
+
+/*************************************************************
+ * writeVersion(adminId, key, value, reason, rollbackOf)
+ * - caller owns the transaction
+ *************************************************************/
+async function writeVersion(adminId, key, value, reason, rollbackOf = null) {
+  const prev = await query(`
+    SELECT setting_value FROM global_settings WHERE setting_key = $1 FOR UPDATE
+  `, [key]);
+  const previousValue = prev.rows[0]?.setting_value ?? null;
+
+  await query(`
+    INSERT INTO global_settings (setting_key, setting_value)
+    VALUES ($1, $2)
+    ON CONFLICT (setting_key)
+    DO UPDATE SET setting_value=$2
+  `, [key, serialize(value)]);
+  const res = await query(`
+    INSERT INTO global_settings_versions
+      (setting_key, setting_value, previous_value, changed_by, reason, rollback_of, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    RETURNING version
+  `, [key, serialize(value), previousValue, adminId, reason, rollbackOf]);
+  return { version: res.rows[0].version, key, previousValue, value };
+}
+
+/*************************************************************
+ * setSetting(adminId, key, rawValue, reason)
+ *************************************************************/
+async function setSetting(adminId, key, rawValue, reason) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to change a setting.');
+  }
+  const value = parseSettingValue(key, rawValue);
+
+  await query('BEGIN');
+  try {
+    const change = await writeVersion(adminId, key, value, reason);
+    await query('COMMIT');
+    cache.checkedAt = 0; // pick up our own change immediately
+    return change;
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+}
+
+/*************************************************************
+ * getSettingHistory(key, limit)
+ *************************************************************/
+async function getSettingHistory(key, limit = 50) {
+  const res = await query(`
+    SELECT version, setting_key, setting_value, previous_value, changed_by, reason, rollback_of, created_at
+    FROM global_settings_versions
+    WHERE ($1::text IS NULL OR setting_key = $1)
+    ORDER BY version DESC
+    LIMIT $2
+  `, [key || null, Math.min(limit, 500)]);
+  return res.rows;
+}
+
+/*************************************************************
+ * getSnapshotAtVersion(version)
+ * - every declared key as it was right after that version
+ *   (declared default when it had never been set)
+ *************************************************************/
+async function getSnapshotAtVersion(version) {
+  const res = await query(`
+    SELECT DISTINCT ON (setting_key) setting_key, setting_value
+    FROM global_settings_versions
+    WHERE version <= $1
+    ORDER BY setting_key, version DESC
+  `, [version]);
+  const stored = Object.fromEntries(res.rows.map((r) => [r.setting_key, r.setting_value]));
+  const snapshot = {};
+  for (const [key, def] of Object.entries(SETTINGS)) {
+    snapshot[key] = key in stored && stored[key] !== null ? parseSettingValue(key, stored[key]) : def.default;
+  }
+  return snapshot;
+}
+
+/*************************************************************
+ * diffVersions(fromVersion, toVersion)
+ * - toVersion defaults to the latest
+ *************************************************************/
+async function diffVersions(fromVersion, toVersion = null) {
+  const to = toVersion || await latestVersion();
+  const [a, b] = await Promise.all([getSnapshotAtVersion(fromVersion), getSnapshotAtVersion(to)]);
+  return Object.keys(SETTINGS)
+    .filter((key) => a[key] !== b[key])
+    .map((key) => ({ key, from: a[key], to: b[key] }));
+}
+
+/*************************************************************
+ * rollbackToVersion(adminId, version, reason, key=null)
+ * - restores one key (or every key that differs) to its value
+ *   at `version`, each as a new version pointing at rollback_of
+ *************************************************************/
+async function rollbackToVersion(adminId, version, reason, key = null) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to roll back settings.');
+  }
+  if (key && !SETTINGS[key]) {
+    throw new Error(`Unknown setting "${key}".`);
+  }
+  const target = await getSnapshotAtVersion(version);
+  const changes = (await diffVersions(version))
+    .filter((d) => !key || d.key === key);
+
+  await query('BEGIN');
+  try {
+    const written = [];
+    for (const change of changes) {
+      written.push(await writeVersion(adminId, change.key, target[change.key], reason, version));
+    }
+    await query('COMMIT');
+    cache.checkedAt = 0;
+    return written;
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  SETTINGS,
+  parseSettingValue,
+  getSetting,
+  getSettings,
+  listSettings,
+  setSetting,
+  getSettingHistory,
+  getSnapshotAtVersion,
+  diffVersions,
+  rollbackToVersion
+};
@@ -0,0 +1,142 @@
+/*************************************************************
+ * tradeInspector.js
+ *
+ * Location: /src/admin/tradeInspector.js
+ *
+ * Single-trade deep dive (Prompt 9.5 trade inspector).
+ * Assembles the trade_executions row and its execution events
+ * (aggregator/executionTrace.js) into a timeline: signal, risk
+ * checks, quotes, chosen route, submissions, confirmation and
+ * settlement. Copy trades are compared with the leader's trade
+ * captured in the signal.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const executionTrace = require('../aggregator/executionTrace');
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function msBetween(from, to) {
+  if (!from || !to) return null;
+  return new Date(to).getTime() - new Date(from).getTime();
+}
+
+/*************************************************************
+ * compareWithLeader(trade, signal, settlement, confirmedAt)
+ * - prices are output per unit of input
+ * - priceDiffPct > 0 => the follower got a better fill
+ *************************************************************/
+function compareWithLeader(trade, signal, settlement, confirmedAt) {
+  const leader = signal && signal.leaderTrade;
+  if (!leader) return null;
+
+  const leaderIn = toNumber(leader.amountIn);
+  const leaderOut = toNumber(leader.amountOut);
+  const followerIn = toNumber(trade.amount);
+  const followerOut = toNumber(settlement ? settlement.actualOut : null);
+  const leaderPrice = leaderIn && leaderOut !== null ? leaderOut / leaderIn : null;
+  const followerPrice = followerIn && followerOut !== null ? followerOut / followerIn : null;
+
+  return {
+    leaderTxSignature: leader.txSignature || null,
+    traderId: signal.traderId || trade.trader_id || null,
+    sameDirection: leader.fromToken === undefined
+      ? null
+      : leader.fromToken === trade.from_token && leader.toToken === trade.to_token,
+    leaderExecutedAt: leader.executedAt || null,
+    delayMs: msBetween(leader.executedAt, confirmedAt || trade.executed_at),
+    leaderAmountIn: leaderIn,
+    leaderAmountOut: leaderOut,
+    followerAmountIn: followerIn,
+    followerAmountOut: followerOut,
+    leaderPrice,
+    followerPrice,
+    priceDiffPct: leaderPrice && followerPrice !== null ? (followerPrice - leaderPrice) / leaderPrice : null
+  };
+}
+
+/*************************************************************
+ * inspectTrade(tradeId)
+ * - Returns { trade, traced, executionId, signal, riskChecks,
+ *   quotes, route, submissions, confirmation, outcome,
+ *   leaderComparison, timeline }
+ *************************************************************/
+async function inspectTrade(tradeId) {
+  const res = await query(`SELECT * FROM trade_executions WHERE id=$1`, [tradeId]);
+  if (!res.rows.length) {
+    throw new Error(`Trade ${tradeId} not found.`);
+  }
+  const trade = res.rows[0];
+  const events = await executionTrace.getEvents({ tradeId, executionId: trade.execution_id || null });
+
+  const start = events.length ? events[0].created_at : null;
+  // the event's own fields last: a payload key (the signal's type) must not replace them
+  const timeline = events.map((e) => ({
+    ...e.payload,
+    at: e.created_at,
+    offsetMs: msBetween(start, e.created_at),
+    type: e.event_type
+  }));
+  const ofType = (type) => timeline.filter((e) => e.type === type);
+  const lastOf = (type) => ofType(type).pop() || null;
+
+  const signalEvent = events.filter((e) => e.event_type === 'signal').pop();
+  // 'copy' | 'ai', recorded as the signal payload's type
+  const signalSource = signalEvent && signalEvent.payload ? signalEvent.payload.type || null : null;
+  const lastSignal = lastOf('signal');
+  const signal = lastSignal && { ...lastSignal, source: signalSource };
+  const submissions = ofType('submission');
+  const confirmation = lastOf('confirmation');
+  const settlement = lastOf('settlement');
+
+  // from the submission that landed, else the first one
+  const landed = confirmation
+    ? submissions.find((s) => s.txSignature && s.txSignature === confirmation.txSignature) || submissions[0]
+    : null;
+
+  const expectedOut = toNumber(settlement ? settlement.expectedOut : null);
+  const actualOut = toNumber(settlement ? settlement.actualOut : null);
+
+  return {
+    trade,
+    traced: events.length > 0,
+    executionId: trade.execution_id || (events[0] ? events[0].execution_id : null),
+    signal,
+    riskChecks: ofType('risk_check').map((e) => ({ check: e.check, passed: e.passed, reason: e.reason, details: e.details, at: e.at })),
+    blocked: lastOf('blocked'),
+    quotes: ofType('quote'),
+    route: lastOf('route'),
+    submissions,
+    confirmation: confirmation && {
+      ...confirmation,
+      sinceSubmissionMs: landed ? msBetween(landed.at, confirmation.at) : null,
+      sinceSignalMs: signal ? msBetween(signal.at, confirmation.at) : null
+    },
+    outcome: settlement && {
+      success: settlement.success,
+      txSignature: settlement.txSignature || trade.tx_signature || null,
+      expectedOut,
+      actualOut,
+      slippage: toNumber(settlement.slippage ?? trade.slippage),
+      // measured against the chosen quote, independent of what the executor reported
+      outputShortfallPct: expectedOut && actualOut !== null ? (expectedOut - actualOut) / expectedOut : null,
+      feeLamports: toNumber(settlement.feeLamports),
+      error: settlement.error || trade.error_reason || null
+    },
+    leaderComparison: signal && signal.source === 'copy'
+      ? compareWithLeader(trade, signal, settlement, confirmation ? confirmation.at : null)
+      : null,
+    timeline
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  inspectTrade
+};
@@ -0,0 +1,729 @@
+/*************************************************************
+ * transactionMonitoring.js
+ *
+ * Location: /src/admin/transactionMonitoring.js
+ *
+ * Automated transaction monitoring (Prompt 7.9 Risk Rating,
+ * Prompt 7.10 Compliance Override).
+ * Scans vault_transactions and trade_executions with the rules
+ * admins store in monitoring_rules:
+ *
+ *   rapid_in_out          => deposit >= minDeposit, then withdrawals of
+ *                            >= withdrawRatio of it within windowHours
+ *   structuring           => minCount deposits just under threshold
+ *                            (within marginPct) inside windowHours
+ *   shared_funding_source => one counterparty wallet funds >= minAccounts
+ *                            users within windowDays
+ *   trade_velocity        => >= maxTrades trades inside windowMinutes and
+ *                            >= baselineMultiplier x the user's own rate
+ *
+ * Every hit becomes a monitoring_alerts row with the rule's score.
+ * A user's score (open + actioned alerts, last 30 days) maps to a
+ * risk rating, which is suggested or applied (ratingMode) through
+ * complianceTools.setUserRiskRating; openCase links the hit to a
+ * compliance case (complianceCases.js).
+ *
+ * Runs every 15 minutes, on events (handleMonitoringEvent), and
+ * as a backtest over history (backtestRules) to tune thresholds
+ * against cases already closed as confirmed / cleared.
+ *************************************************************/
+
+const cron = require('node-cron');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const complianceTools = require('./complianceTools');
+const complianceCases = require('./complianceCases');
+
+const RULE_DEFAULTS = {
+  rapid_in_out: { minDeposit: 10, withdrawRatio: 0.8, windowHours: 24, token: 'SOL', score: 40 },
+  structuring: { threshold: 100, marginPct: 0.1, minCount: 3, windowHours: 72, token: 'SOL', score: 50 },
+  shared_funding_source: { minAccounts: 3, windowDays: 7, ignoreAddresses: [], score: 35 },
+  trade_velocity: { maxTrades: 100, windowMinutes: 60, baselineDays: 14, baselineMultiplier: 5, score: 25 }
+};
+const RULE_TYPES = Object.keys(RULE_DEFAULTS);
+const RATING_MODES = ['none', 'suggest', 'apply'];
+
+// cumulative user score => rating, highest first
+const RATING_THRESHOLDS = [[80, 'restricted'], [50, 'high'], [25, 'medium']];
+const RATING_ORDER = ['low', 'medium', 'high', 'restricted'];
+const SCORE_WINDOW_DAYS = 30;
+const MAX_BACKTEST_DAYS = 366;
+const BACKTEST_SAMPLE_SIZE = 20;
+
+// events => which rule types to re-evaluate for that user
+const EVENT_RULE_TYPES = {
+  deposit: ['structuring', 'shared_funding_source'],
+  withdrawal: ['rapid_in_out'],
+  trade_executed: ['trade_velocity']
+};
+
+/*************************************************************
+ * normalizeRuleConfig(config)
+ * - defaults per type, validated before storing; throws on bad input
+ *************************************************************/
+function normalizeRuleConfig(config = {}) {
+  const { type } = config;
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Invalid monitoring rule type "${type}". Must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+  const normalized = {
+    ...RULE_DEFAULTS[type],
+    cooldownHours: 24,
+    ratingMode: 'suggest',
+    openCase: false,
+    ...config
+  };
+
+  for (const [key, fallback] of Object.entries(RULE_DEFAULTS[type])) {
+    if (typeof fallback !== 'number') continue;
+    const value = Number(normalized[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${key} must be a positive number.`);
+    }
+    normalized[key] = value;
+  }
+  if (normalized.score > 100) {
+    throw new Error('score must be between 1 and 100.');
+  }
+  if (type === 'rapid_in_out' && normalized.withdrawRatio > 1) {
+    throw new Error('withdrawRatio must be between 0 and 1.');
+  }
+  if (type === 'structuring' && normalized.marginPct >= 1) {
+    throw new Error('marginPct must be between 0 and 1.');
+  }
+  if (type === 'shared_funding_source' && !Array.isArray(normalized.ignoreAddresses)) {
+    throw new Error('ignoreAddresses must be an array of wallet addresses.');
+  }
+  const cooldownHours = Number(normalized.cooldownHours);
+  if (!Number.isFinite(cooldownHours) || cooldownHours < 0) {
+    throw new Error('cooldownHours must be a non-negative number.');
+  }
+  if (!RATING_MODES.includes(normalized.ratingMode)) {
+    throw new Error(`Invalid ratingMode "${normalized.ratingMode}". Must be one of: ${RATING_MODES.join(', ')}`);
+  }
+
+  return {
+    ...normalized,
+    score: Math.round(normalized.score),
+    cooldownHours,
+    openCase: Boolean(normalized.openCase)
+  };
+}
+
+// how far back a scheduled scan looks so no event in a rule's window is missed
+function lookbackHours(config) {
+  switch (config.type) {
+    case 'rapid_in_out': return config.windowHours + 1;
+    case 'structuring': return config.windowHours + 1;
+    case 'shared_funding_source': return config.windowDays * 24 + 1;
+    case 'trade_velocity': return config.windowMinutes / 60 + 1;
+    default: return 24;
+  }
+}
+
+/*************************************************************
+ * Rule evaluators
+ * - evaluate(config, { from, to, userId }) => hits
+ *   [{ userId, at, value, key, details, tradeIds, wallets }]
+ * - `at` is when the pattern completed; only hits with at in
+ *   [from, to) are returned, so a scan and a backtest see the
+ *   same hits for the same range
+ *************************************************************/
+async function evaluateRapidInOut(config, { from, to, userId }) {
+  const params = [from, to, config.token, config.minDeposit, config.windowHours, config.withdrawRatio];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND d.user_id = $${params.length}`;
+  }
+  const res = await query(`
+    SELECT d.id, d.user_id, d.amount, d.created_at AS deposit_at, d.counterparty_address,
+           w.total AS withdrawn, w.ids AS withdrawal_ids, w.last_at AS at
+    FROM vault_transactions d
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(SUM(x.amount), 0) AS total, array_agg(x.id ORDER BY x.id) AS ids, MAX(x.created_at) AS last_at
+      FROM vault_transactions x
+      WHERE x.user_id = d.user_id AND x.type = 'withdrawal' AND x.success = true AND x.token = d.token
+        AND x.created_at > d.created_at
+        AND x.created_at <= d.created_at + INTERVAL '1 hour' * $5
+    ) w
+    WHERE d.type = 'deposit' AND d.success = true AND d.token = $3 AND d.amount >= $4
+      AND d.created_at >= $1::timestamptz - INTERVAL '1 hour' * $5 AND d.created_at < $2
+      AND w.total >= d.amount * $6
+      AND w.last_at >= $1 AND w.last_at < $2
+      ${userFilter}
+  `, params);
+  return res.rows.map((r) => ({
+    userId: String(r.user_id),
+    at: new Date(r.at),
+    value: parseFloat(r.withdrawn) / parseFloat(r.amount),
+    key: `deposit:${r.id}`,
+    details: {
+      depositTxId: r.id,
+      depositAmount: parseFloat(r.amount),
+      depositAt: r.deposit_at,
+      withdrawn: parseFloat(r.withdrawn),
+      withdrawalTxIds: r.withdrawal_ids,
+      token: config.token
+    },
+    wallets: r.counterparty_address ? [r.counterparty_address] : []
+  }));
+}
+
+async function evaluateStructuring(config, { from, to, userId }) {
+  const low = config.threshold * (1 - config.marginPct);
+  const params = [from, to, config.token, low, config.threshold, config.windowHours, config.minCount];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND user_id = $${params.length}`;
+  }
+  const res = await query(`
+    WITH d AS (
+      SELECT id, user_id, created_at,
+             COUNT(*) OVER w AS cnt,
+             SUM(amount) OVER w AS total,
+             MIN(id) OVER w AS first_id
+      FROM vault_transactions
+      WHERE type = 'deposit' AND success = true AND token = $3
+        AND amount >= $4 AND amount < $5
+        AND created_at >= $1::timestamptz - INTERVAL '1 hour' * $6 AND created_at < $2
+        ${userFilter}
+      WINDOW w AS (PARTITION BY user_id ORDER BY created_at
+                   RANGE BETWEEN INTERVAL '1 hour' * $6 PRECEDING AND CURRENT ROW)
+    )
+    SELECT DISTINCT ON (user_id, first_id) id, user_id, created_at AS at, cnt, total, first_id
+    FROM d
+    WHERE created_at >= $1 AND cnt >= $7
+    ORDER BY user_id, first_id, created_at
+  `, params);
+  return res.rows.map((r) => ({
+    userId: String(r.user_id),
+    at: new Date(r.at),
+    value: parseInt(r.cnt, 10),
+    key: `structuring:${r.first_id}`,
+    details: {
+      firstTxId: r.first_id,
+      lastTxId: r.id,
+      deposits: parseInt(r.cnt, 10),
+      total: parseFloat(r.total),
+      band: [low, config.threshold],
+      token: config.token
+    }
+  }));
+}
+
+async function evaluateSharedFundingSource(config, { from, to, userId }) {
+  const params = [from, to, config.windowDays, config.minAccounts, config.ignoreAddresses];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND d.user_id = $${params.length}`;
+  }
+  const res = await query(`
+    SELECT DISTINCT ON (d.user_id, d.counterparty_address)
+           d.id, d.user_id, d.counterparty_address, d.created_at AS at, s.users
+    FROM vault_transactions d
+    CROSS JOIN LATERAL (
+      SELECT array_agg(DISTINCT x.user_id) AS users
+      FROM vault_transactions x
+      WHERE x.counterparty_address = d.counterparty_address
+        AND x.type = 'deposit' AND x.success = true
+        AND x.created_at > d.created_at - INTERVAL '1 day' * $3
+        AND x.created_at <= d.created_at
+    ) s
+    WHERE d.type = 'deposit' AND d.success = true
+      AND d.counterparty_address IS NOT NULL
+      AND NOT (d.counterparty_address = ANY($5::text[]))
+      AND d.created_at >= $1 AND d.created_at < $2
+      AND cardinality(s.users) >= $4
+      ${userFilter}
+    ORDER BY d.user_id, d.counterparty_address, d.created_at
+  `, params);
+  return res.rows.map((r) => ({
+    userId: String(r.user_id),
+    at: new Date(r.at),
+    value: r.users.length,
+    key: `funding:${r.counterparty_address}`,
+    details: {
+      depositTxId: r.id,
+      sourceWallet: r.counterparty_address,
+      fundedUserIds: r.users.map(String)
+    },
+    wallets: [r.counterparty_address]
+  }));
+}
+
+async function evaluateTradeVelocity(config, { from, to, userId }) {
+  const params = [from, to, config.windowMinutes, config.maxTrades, config.baselineDays, config.baselineMultiplier];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND user_id = $${params.length}`;
+  }
+  // one row per user and hour => a sustained burst is one alert per cooldown
+  const res = await query(`
+    WITH t AS (
+      SELECT id, user_id, executed_at,
+             COUNT(*) OVER w AS cnt,
+             MIN(id) OVER w AS first_id
+      FROM trade_executions
+      WHERE executed_at >= $1::timestamptz - INTERVAL '1 minute' * $3 AND executed_at < $2
+        ${userFilter}
+      WINDOW w AS (PARTITION BY user_id ORDER BY executed_at
+                   RANGE BETWEEN INTERVAL '1 minute' * $3 PRECEDING AND CURRENT ROW)
+    )
+    SELECT DISTINCT ON (t.user_id, date_trunc('hour', t.executed_at))
+           t.id, t.user_id, t.executed_at AS at, t.cnt, t.first_id, b.baseline
+    FROM t
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*)::numeric / GREATEST($5 * 1440.0 / $3, 1) AS baseline
+      FROM trade_executions x
+      WHERE x.user_id = t.user_id
+        AND x.executed_at >= t.executed_at - INTERVAL '1 day' * $5
+        AND x.executed_at < t.executed_at - INTERVAL '1 minute' * $3
+    ) b
+    WHERE t.executed_at >= $1 AND t.cnt >= $4 AND t.cnt >= b.baseline * $6
+    ORDER BY t.user_id, date_trunc('hour', t.executed_at), t.cnt DESC
+  `, params);
+  return res.rows.map((r) => ({
+    userId: String(r.user_id),
+    at: new Date(r.at),
+    value: parseInt(r.cnt, 10),
+    key: `velocity:${r.first_id}`,
+    details: {
+      trades: parseInt(r.cnt, 10),
+      windowMinutes: config.windowMinutes,
+      baselinePerWindow: parseFloat(r.baseline),
+      firstTradeId: r.first_id,
+      lastTradeId: r.id
+    },
+    tradeIds: [r.first_id, r.id]
+  }));
+}
+
+const RULE_EVALUATORS = {
+  rapid_in_out: evaluateRapidInOut,
+  structuring: evaluateStructuring,
+  shared_funding_source: evaluateSharedFundingSource,
+  trade_velocity: evaluateTradeVelocity
+};
+
+/*************************************************************
+ * Scores & ratings
+ *************************************************************/
+function ratingForScore(score) {
+  const match = RATING_THRESHOLDS.find(([min]) => score >= min);
+  return match ? match[1] : null;
+}
+
+// open + actioned alerts of the last 30 days, dismissed ones do not count
+async function getUserMonitoringScore(userId) {
+  const res = await query(`
+    SELECT COALESCE(SUM(score), 0) AS score
+    FROM monitoring_alerts
+    WHERE user_id = $1 AND status <> 'dismissed'
+      AND created_at > NOW() - INTERVAL '1 day' * $2
+  `, [userId, SCORE_WINDOW_DAYS]);
+  return Math.min(100, parseInt(res.rows[0].score, 10));
+}
+
+// rating the score calls for, only if it is above the current one
+async function suggestRating(userId, score) {
+  const target = ratingForScore(score);
+  if (!target) return null;
+  const current = await complianceTools.getUserRiskRating(userId);
+  return RATING_ORDER.indexOf(target) > RATING_ORDER.indexOf(current || 'low') ? target : null;
+}
+
+/*************************************************************
+ * raiseAlert(rule, config, hit)
+ * - Returns the alert row, or null if the event already raised
+ *   one or the user is in cooldown for this rule
+ *************************************************************/
+async function raiseAlert(rule, config, hit) {
+  if (config.cooldownHours > 0) {
+    const recent = await query(`
+      SELECT 1 FROM monitoring_alerts
+      WHERE rule_id = $1 AND user_id = $2
+        AND created_at > NOW() - INTERVAL '1 hour' * $3
+      LIMIT 1
+    `, [rule.id, hit.userId, config.cooldownHours]);
+    if (recent.rows.length) return null;
+  }
+
+  const inserted = await query(`
+    INSERT INTO monitoring_alerts (rule_id, user_id, score, observed_value, dedup_key, details, status, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, 'open', NOW())
+    ON CONFLICT (rule_id, user_id, dedup_key) DO NOTHING
+    RETURNING id
+  `, [rule.id, hit.userId, config.score, hit.value, hit.key, JSON.stringify({ ...hit.details, at: hit.at })]);
+  if (!inserted.rows.length) return null;
+  const alertId = inserted.rows[0].id;
+
+  const userScore = await getUserMonitoringScore(hit.userId);
+  const suggested = config.ratingMode === 'none' ? null : await suggestRating(hit.userId, userScore);
+  let applied = null;
+  if (suggested && config.ratingMode === 'apply') {
+    // runs as the admin who defined the rule, like auto-triggers
+    await complianceTools.setUserRiskRating(rule.created_by, hit.userId, suggested);
+    applied = suggested;
+  }
+
+  let caseId = null;
+  if (config.openCase) {
+    caseId = await attachToCase(rule, config, hit, alertId, userScore);
+  }
+
+  await query(`
+    UPDATE monitoring_alerts
+    SET suggested_rating = $2, applied_rating = $3, case_id = $4
+    WHERE id = $1
+  `, [alertId, suggested, applied, caseId]);
+
+  if (applied || caseId) {
+    notifications.sendAdminGlobalAlert(
+      `🔎 *Monitoring alert #${alertId}* (${rule.name}) for user ${hit.userId}\n` +
+      `Score ${config.score}, user score ${userScore}` +
+      `${applied ? `\nRisk rating set to ${applied}` : ''}${caseId ? `\nCompliance case #${caseId}` : ''}`
+    );
+  }
+  return { id: alertId, userId: hit.userId, score: config.score, userScore, suggested, applied, caseId };
+}
+
+// the user's active case gets the new evidence, otherwise a new case is opened
+async function attachToCase(rule, config, hit, alertId, userScore) {
+  const summary = `Monitoring alert #${alertId} (${rule.name}, ${config.type}): value=${hit.value}, ` +
+    `score=${config.score}, user score=${userScore}`;
+  const links = { userIds: [hit.userId], wallets: hit.wallets || [], tradeIds: hit.tradeIds || [] };
+
+  const activeCaseId = await complianceCases.getActiveCaseForUser(hit.userId);
+  if (activeCaseId) {
+    await complianceCases.linkToCase(activeCaseId, links);
+    await complianceCases.addNote(activeCaseId, null, summary, 'system');
+    return activeCaseId;
+  }
+  return complianceCases.openCase(rule.created_by, {
+    title: `Monitoring: ${rule.name} (user ${hit.userId})`,
+    severity: userScore >= 50 ? 'high' : 'medium',
+    ...links,
+    note: summary,
+    source: 'monitoring'
+  });
+}
+
+function parseRuleConfig(rule) {
+  return typeof rule.rule_config === 'string' ? JSON.parse(rule.rule_config) : rule.rule_config;
+}
+
+/*************************************************************
+ * runMonitoringScan({ types, userId })
+ * - every enabled rule over its own lookback window
+ * - Returns the alerts raised
+ *************************************************************/
+async function runMonitoringScan({ types = null, userId = null } = {}) {
+  const params = [];
+  let where = 'enabled = true';
+  if (types) {
+    params.push(types);
+    where += ` AND rule_type = ANY($${params.length})`;
+  }
+  const rules = await query(`
+    SELECT id, name, rule_type, rule_config, created_by
+    FROM monitoring_rules
+    WHERE ${where}
+    ORDER BY id
+  `, params);
+
+  const raised = [];
+  const to = new Date();
+  for (const rule of rules.rows) {
+    try {
+      const config = parseRuleConfig(rule);
+      const from = new Date(to.getTime() - lookbackHours(config) * 3600 * 1000);
+      const hits = await RULE_EVALUATORS[config.type](config, { from, to, userId });
+      for (const hit of hits) {
+        const alert = await raiseAlert(rule, config, hit);
+        if (alert) raised.push({ ruleId: rule.id, ...alert });
+      }
+    } catch (err) {
+      console.error(`Error evaluating monitoring rule ${rule.id}:`, err);
+    }
+  }
+  return raised;
+}
+
+/*************************************************************
+ * handleMonitoringEvent(eventType, { userId })
+ * - event hook after a deposit, withdrawal or trade: re-runs
+ *   only the rule types that event can complete, for that user
+ *************************************************************/
+async function handleMonitoringEvent(eventType, { userId } = {}) {
+  const types = EVENT_RULE_TYPES[eventType];
+  if (!types || !userId) return [];
+  return runMonitoringScan({ types, userId });
+}
+
+/*************************************************************
+ * backtestRules(rules, { from, to, runBy })
+ * - rules: stored rule ids and/or unsaved configs ({ name, ...config })
+ * - nothing is written except the monitoring_backtests summary
+ * - hits are labelled with what compliance already decided about
+ *   the user: confirmed (case closed as confirmed), cleared (case
+ *   closed as cleared or alert dismissed, never confirmed)
+ * - Returns { backtestId, from, to, rules: [{ hits, users,
+ *   confirmed, cleared, unlabelled, precision, perDay, sample }] }
+ *************************************************************/
+async function backtestRules(rules, { from, to, runBy = null } = {}) {
+  const rangeFrom = new Date(from);
+  const rangeTo = to ? new Date(to) : new Date();
+  if (Number.isNaN(rangeFrom.getTime()) || Number.isNaN(rangeTo.getTime()) || rangeFrom >= rangeTo) {
+    throw new Error('Invalid backtest range.');
+  }
+  const days = (rangeTo - rangeFrom) / (24 * 3600 * 1000);
+  if (days > MAX_BACKTEST_DAYS) {
+    throw new Error(`Backtest range must be ${MAX_BACKTEST_DAYS} days or less.`);
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('At least one rule is required.');
+  }
+
+  const tested = [];
+  for (const rule of rules) {
+    if (typeof rule === 'number' || typeof rule === 'string') {
+      const res = await query(`
+        SELECT id, name, rule_config FROM monitoring_rules WHERE id = $1
+      `, [rule]);
+      if (!res.rows.length) throw new Error(`Monitoring rule ${rule} not found.`);
+      tested.push({ ruleId: res.rows[0].id, name: res.rows[0].name, config: parseRuleConfig(res.rows[0]) });
+    } else {
+      const { name = 'unsaved rule', ...config } = rule;
+      tested.push({ ruleId: null, name, config: normalizeRuleConfig(config) });
+    }
+  }
+
+  const labels = await loadOutcomeLabels();
+  const summary = [];
+  for (const { ruleId, name, config } of tested) {
+    const hits = (await RULE_EVALUATORS[config.type](config, { from: rangeFrom, to: rangeTo }))
+      .sort((a, b) => a.at - b.at);
+
+    // same cooldown + dedup as a live scan
+    const lastAlertAt = new Map();
+    const seenKeys = new Set();
+    const alerts = [];
+    for (const hit of hits) {
+      const dedup = `${hit.userId}:${hit.key}`;
+      if (seenKeys.has(dedup)) continue;
+      const last = lastAlertAt.get(hit.userId);
+      if (last && hit.at - last < config.cooldownHours * 3600 * 1000) continue;
+      seenKeys.add(dedup);
+      lastAlertAt.set(hit.userId, hit.at);
+      alerts.push(hit);
+    }
+
+    const users = [...new Set(alerts.map((a) => a.userId))];
+    const confirmed = users.filter((u) => labels.confirmed.has(u)).length;
+    const cleared = users.filter((u) => !labels.confirmed.has(u) && labels.cleared.has(u)).length;
+    summary.push({
+      ruleId,
+      name,
+      type: config.type,
+      config,
+      hits: alerts.length,
+      users: users.length,
+      confirmed,
+      cleared,
+      unlabelled: users.length - confirmed - cleared,
+      precision: confirmed + cleared > 0 ? confirmed / (confirmed + cleared) : null,
+      perDay: alerts.length / days,
+      sample: alerts.slice(0, BACKTEST_SAMPLE_SIZE)
+    });
+  }
+
+  const res = await query(`
+    INSERT INTO monitoring_backtests (run_by, range_from, range_to, rules, summary, created_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    RETURNING id
+  `, [
+    runBy,
+    rangeFrom,
+    rangeTo,
+    JSON.stringify(tested),
+    JSON.stringify(summary.map(({ sample, ...rest }) => rest))
+  ]);
+  return { backtestId: res.rows[0].id, from: rangeFrom, to: rangeTo, rules: summary };
+}
+
+async function loadOutcomeLabels() {
+  const res = await query(`
+    SELECT cu.user_id::text AS user_id, c.resolution AS outcome
+    FROM compliance_cases c
+    JOIN compliance_case_users cu ON cu.case_id = c.id
+    WHERE c.status = 'closed'
+    UNION ALL
+    SELECT user_id::text, 'cleared'
+    FROM monitoring_alerts
+    WHERE status = 'dismissed'
+  `);
+  const confirmed = new Set();
+  const cleared = new Set();
+  for (const row of res.rows) {
+    (row.outcome === 'confirmed' ? confirmed : cleared).add(row.user_id);
+  }
+  return { confirmed, cleared };
+}
+
+/*************************************************************
+ * Rule management
+ *************************************************************/
+async function createRule(adminId, name, ruleConfig) {
+  if (!name || !String(name).trim()) {
+    throw new Error('Rule name is required.');
+  }
+  const config = normalizeRuleConfig(ruleConfig);
+  const res = await query(`
+    INSERT INTO monitoring_rules (name, rule_type, rule_config, enabled, created_by, created_at, updated_at)
+    VALUES ($1, $2, $3, true, $4, NOW(), NOW())
+    RETURNING id
+  `, [String(name).trim(), config.type, JSON.stringify(config), adminId]);
+  return { id: res.rows[0].id, config };
+}
+
+async function updateRule(ruleId, { enabled, ruleConfig } = {}) {
+  const existing = await query(`
+    SELECT id, rule_config, enabled FROM monitoring_rules WHERE id = $1
+  `, [ruleId]);
+  if (!existing.rows.length) {
+    throw new Error(`Monitoring rule ${ruleId} not found.`);
+  }
+  const before = parseRuleConfig(existing.rows[0]);
+  const config = ruleConfig ? normalizeRuleConfig({ ...before, ...ruleConfig, type: before.type }) : before;
+  const res = await query(`
+    UPDATE monitoring_rules
+    SET enabled = COALESCE($2, enabled),
+        rule_config = $3,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING id, name, rule_type, enabled
+  `, [ruleId, enabled ?? null, JSON.stringify(config)]);
+  return { ...res.rows[0], before, config, wasEnabled: existing.rows[0].enabled };
+}
+
+async function listRules() {
+  const res = await query(`
+    SELECT r.id, r.name, r.rule_type, r.rule_config, r.enabled, r.created_by, r.created_at, r.updated_at,
+           (SELECT COUNT(*) FROM monitoring_alerts a
+            WHERE a.rule_id = r.id AND a.created_at > NOW() - INTERVAL '30 days') AS alerts_30d,
+           (SELECT COUNT(*) FROM monitoring_alerts a
+            WHERE a.rule_id = r.id AND a.status = 'dismissed' AND a.created_at > NOW() - INTERVAL '30 days') AS dismissed_30d
+    FROM monitoring_rules r
+    ORDER BY r.id
+  `);
+  return res.rows;
+}
+
+/*************************************************************
+ * Alerts
+ *************************************************************/
+async function listAlerts({ status, ruleId, userId } = {}, { limit = 50, cursor = null } = {}) {
+  limit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const params = [];
+  const where = [];
+  const add = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace(/\?/g, `$${params.length}`));
+  };
+  if (status) add('a.status = ?', status);
+  if (ruleId) add('a.rule_id = ?', ruleId);
+  if (userId) add('a.user_id = ?', userId);
+  if (cursor) add('a.id < ?', parseInt(cursor, 10));
+  params.push(limit + 1);
+
+  const res = await query(`
+    SELECT a.id, a.rule_id, r.name AS rule_name, r.rule_type, a.user_id, a.score, a.observed_value,
+           a.details, a.status, a.suggested_rating, a.applied_rating, a.case_id,
+           a.resolved_by, a.resolution_note, a.created_at, a.resolved_at
+    FROM monitoring_alerts a
+    JOIN monitoring_rules r ON r.id = a.rule_id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY a.id DESC
+    LIMIT $${params.length}
+  `, params);
+  const rows = res.rows.slice(0, limit);
+  return { rows, nextCursor: res.rows.length > limit ? String(rows[rows.length - 1].id) : null };
+}
+
+/*************************************************************
+ * resolveAlert(adminId, alertId, { decision, note })
+ * - 'apply'   => applies the suggested rating (if still higher),
+ *                alert becomes 'actioned'
+ * - 'dismiss' => false positive; drops out of the user's score
+ *                and counts as 'cleared' in backtests
+ *************************************************************/
+async function resolveAlert(adminId, alertId, { decision, note = null } = {}) {
+  if (!['apply', 'dismiss'].includes(decision)) {
+    throw new Error('Invalid decision. Must be apply or dismiss.');
+  }
+  const res = await query(`
+    SELECT id, user_id, status, suggested_rating, applied_rating FROM monitoring_alerts WHERE id = $1
+  `, [alertId]);
+  if (!res.rows.length) {
+    throw new Error(`Monitoring alert ${alertId} not found.`);
+  }
+  const alert = res.rows[0];
+  if (alert.status !== 'open') {
+    throw new Error(`Monitoring alert ${alertId} is already ${alert.status}.`);
+  }
+
+  let applied = alert.applied_rating;
+  if (decision === 'apply' && alert.suggested_rating && !alert.applied_rating) {
+    const current = await complianceTools.getUserRiskRating(alert.user_id);
+    if (RATING_ORDER.indexOf(alert.suggested_rating) > RATING_ORDER.indexOf(current || 'low')) {
+      await complianceTools.setUserRiskRating(adminId, alert.user_id, alert.suggested_rating);
+      applied = alert.suggested_rating;
+    }
+  }
+  await query(`
+    UPDATE monitoring_alerts
+    SET status = $2, applied_rating = $3, resolved_by = $4, resolution_note = $5, resolved_at = NOW()
+    WHERE id = $1
+  `, [alertId, decision === 'apply' ? 'actioned' : 'dismissed', applied, adminId, note]);
+  return { alertId, userId: alert.user_id, status: decision === 'apply' ? 'actioned' : 'dismissed', appliedRating: applied };
+}
+
+/*************************************************************
+ * scheduleMonitoringScan()
+ *************************************************************/
+function scheduleMonitoringScan() {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await runMonitoringScan();
+    } catch (err) {
+      console.error('Error in transaction monitoring cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  RULE_TYPES,
+  RULE_DEFAULTS,
+  normalizeRuleConfig,
+  ratingForScore,
+  getUserMonitoringScore,
+  runMonitoringScan,
+  handleMonitoringEvent,
+  backtestRules,
+  createRule,
+  updateRule,
+  listRules,
+  listAlerts,
+  resolveAlert,
+  scheduleMonitoringScan
+};
@@ -0,0 +1,225 @@
+/*************************************************************
+ * aggregator.js
+ *
+ * Location: /src/aggregator/aggregator.js
+ *
+ * Entry point every copy-trade execution goes through.
+ *  - Prompt 1.10: consults circuitBreakers before the swap and
+ *    feeds the outcome back so breakers can trip / recover.
+ *  - the follower's region must allow copy trading (or AI
+ *    trading for trade.source 'ai'), see regionPolicy.js, and
+ *    their subscription plan must include it (subscription.js);
+ *    exits and stop-losses always pass the region check and skip
+ *    the plan check, so a user is never locked into a position
+ *  - the meltdown level (meltdownMode.js) may halve a new
+ *    position (level 2), allow only exits (3) or halt (4)
+ *  - a new position must stay within the risk_max_* limits
+ *    (risk_control.js); exits are not checked
+ *  - a traded token the price oracle quotes must have a usable
+ *    price (priceOracle.js): no copying into a market whose
+ *    price is stale, disputed or degraded (fewer than
+ *    price_oracle_min_sources agree); exits and stop-losses still go
+ *    through, with the unusable quote recorded on the trace
+ *  - the swap runs under the follower's vault lock
+ *    (vaultLock.js); every submission executeFn records on the
+ *    trace is recorded on the lock, so vaultConflictResolver can
+ *    tell whether a stuck vault has a transaction in flight
+ *  - every run is traced (executionTrace.js) for the trade
+ *    inspector, from the signal to the settlement
+ *************************************************************/
+
+const circuitBreakers = require('../risk/circuitBreakers');
+const regionPolicy = require('../admin/regionPolicy');
+const executionTrace = require('./executionTrace');
+const priceOracle = require('../oracle/priceOracle');
+const meltdownMode = require('../risk/meltdownMode');
+const riskControl = require('../risk/risk_control');
+const subscription = require('../vault/subscription');
+const vaultLock = require('../vault/vaultLock');
+
+/*************************************************************
+ * checkOraclePrices(trade)
+ * - tokens no provider quotes are not checked
+ * - Returns { passed, reason, details: { prices } }
+ *************************************************************/
+async function checkOraclePrices(trade) {
+  const tokens = [trade.fromToken, trade.toToken].filter((t) => t && priceOracle.supports(t));
+  if (!tokens.length) {
+    return { passed: true, reason: null, details: { prices: {} } };
+  }
+  const quotes = await priceOracle.getPrices(tokens);
+  const unusable = Object.values(quotes).filter((q) => !q.usable);
+  const prices = {};
+  for (const q of Object.values(quotes)) {
+    prices[q.symbol] = { price: q.price, status: q.status, sourceCount: q.sourceCount, asOf: q.asOf };
+  }
+  return {
+    passed: unusable.length === 0,
+    reason: unusable.length ? `No usable price for ${unusable.map((q) => `${q.symbol} (${q.status})`).join(', ')}` : null,
+    details: { prices }
+  };
+}
+
+/*************************************************************
+ * executeWithSafeguards(trade, executeFn)
+ * - trade: { userId, traderId, fromToken, toToken, amount, source,
+ *   side: 'entry' | 'exit' (optional, else guessed from the tokens),
+ *   stopLoss, expectedSlippage (optional),
+ *   signal: { leaderTrade } for copies | { aiDecision } for 'ai' }
+ * - executeFn(trade, trace) performs the swap, records quotes /
+ *   route / submissions / confirmation on trace, stores
+ *   trace.executionId on its trade_executions row and resolves to
+ *   { success, tradeId, slippage, pnlSol, txSignature,
+ *     expectedOut, actualOut, feeLamports, ... }
+ * - Returns { executed: false, blockedBy: [...], executionId }
+ *   when the region policy or the user's plan denies it, the meltdown level does
+ *   not allow it, it exceeds a risk limit, a token has no usable oracle price, a
+ *   breaker is open or another signer holds the vault lock,
+ *   otherwise { executed: true, result, executionId }
+ *************************************************************/
+async function executeWithSafeguards(trade, executeFn) {
+  const trace = executionTrace.startTrace(trade);
+  const signal = trade.signal || {};
+  await trace.record('signal', {
+    type: trade.source === 'ai' ? 'ai' : 'copy',
+    userId: trade.userId,
+    traderId: trade.traderId || null,
+    fromToken: trade.fromToken,
+    toToken: trade.toToken,
+    amount: trade.amount,
+    leaderTrade: signal.leaderTrade || null,
+    aiDecision: signal.aiDecision || null
+  });
+
+  const feature = trade.source === 'ai' ? 'ai_trading' : 'copy_trading';
+  const isExit = meltdownMode.classifyTrade(trade) === 'exit';
+  const regionCheck = await regionPolicy.checkFeature(trade.userId, feature);
+  await trace.record('risk_check', {
+    check: 'region_policy', passed: regionCheck.allowed || isExit, reason: regionCheck.message,
+    details: { feature, regions: regionCheck.regions, exitExempt: !regionCheck.allowed && isExit }
+  });
+  if (!regionCheck.allowed && !isExit) {
+    const blockedBy = [{ type: 'region_policy', feature, regions: regionCheck.regions, message: regionCheck.message }];
+    await trace.record('blocked', { reason: 'region_policy', blockedBy });
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+
+  // a lapsed plan must not trap a position
+  const planCheck = isExit
+    ? { allowed: true, message: null, planId: null }
+    : await subscription.checkEntitlement(trade.userId, feature);
+  await trace.record('risk_check', {
+    check: 'plan_entitlement', passed: planCheck.allowed, reason: planCheck.message,
+    details: { feature, planId: planCheck.planId, exitExempt: isExit }
+  });
+  if (!planCheck.allowed) {
+    const blockedBy = [{ type: 'plan_entitlement', feature, planId: planCheck.planId, message: planCheck.message }];
+    await trace.record('blocked', { reason: 'plan_entitlement', blockedBy });
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+
+  const meltdownCheck = await meltdownMode.checkTrade(trade);
+  await trace.record('risk_check', {
+    check: 'meltdown_level', passed: meltdownCheck.allowed, reason: meltdownCheck.reason,
+    details: { level: meltdownCheck.level, side: meltdownCheck.side, sizeFactor: meltdownCheck.sizeFactor }
+  });
+  if (!meltdownCheck.allowed) {
+    const blockedBy = [{ type: 'meltdown_level', level: meltdownCheck.level, side: meltdownCheck.side, message: meltdownCheck.reason }];
+    await trace.record('blocked', { reason: 'meltdown_level', blockedBy });
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+  if (meltdownCheck.sizeFactor < 1) {
+    trade = { ...trade, amount: trade.amount * meltdownCheck.sizeFactor, requestedAmount: trade.amount };
+  }
+
+  // position / slippage / daily loss limits (risk_control.js); never block an exit
+  const limitCheck = isExit
+    ? { allowed: true, reason: null, details: null }
+    : await riskControl.checkTradeRisk(trade);
+  await trace.record('risk_check', {
+    check: 'risk_limits', passed: limitCheck.allowed, reason: limitCheck.reason,
+    details: { ...limitCheck.details, exitExempt: isExit }
+  });
+  if (!limitCheck.allowed) {
+    const blockedBy = [{ type: 'risk_limits', message: limitCheck.reason }];
+    await trace.record('blocked', { reason: 'risk_limits', blockedBy });
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+
+  const priceCheck = await checkOraclePrices(trade);
+  await trace.record('risk_check', {
+    check: 'price_oracle', passed: priceCheck.passed || isExit, reason: priceCheck.reason,
+    details: { ...priceCheck.details, exitExempt: !priceCheck.passed && isExit }
+  });
+  if (!priceCheck.passed && !isExit) {
+    const blockedBy = [{ type: 'price_oracle', prices: priceCheck.details.prices, message: priceCheck.reason }];
+    await trace.record('blocked', { reason: 'price_oracle', blockedBy });
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+
+  const check = await circuitBreakers.checkExecution(trade);
+  await trace.record('risk_check', {
+    check: 'circuit_breakers', passed: check.allowed, reason: null, details: { blockedBy: check.blockedBy, probes: check.probes }
+  });
+  if (!check.allowed) {
+    await trace.record('blocked', { reason: 'circuit_breaker', blockedBy: check.blockedBy });
+    return { executed: false, blockedBy: check.blockedBy, executionId: trace.executionId };
+  }
+
+  const lock = await vaultLock.acquireVaultLock(trade.userId, `aggregator:${trace.executionId}`);
+  if (!lock) {
+    const blockedBy = [{ type: 'vault_locked', message: 'The vault is busy with another transaction.' }];
+    await trace.record('blocked', { reason: 'vault_locked', blockedBy });
+    await circuitBreakers.releaseProbes(check.probes);
+    return { executed: false, blockedBy, executionId: trace.executionId };
+  }
+  // submissions executeFn records are what the lock has in flight
+  const lockedTrace = {
+    ...trace,
+    async record(eventType, payload = {}) {
+      if (eventType === 'submission' && payload.txSignature) {
+        await vaultLock.recordLockTransaction(lock, payload.txSignature);
+      }
+      return trace.record(eventType, payload);
+    }
+  };
+
+  let result;
+  try {
+    result = await executeFn({ ...trade, executionId: trace.executionId }, lockedTrace);
+  } catch (err) {
+    // a submitted transaction may still land: keep the lock for vaultConflictResolver
+    if (!lock.txSignature) await vaultLock.releaseVaultLock(lock);
+    await trace.record('error', { reason: err.message });
+    await circuitBreakers.recordExecutionResult(trade, { success: false }, check.probes);
+    throw err;
+  }
+  await vaultLock.releaseVaultLock(lock);
+
+  if (result && result.tradeId) {
+    await trace.linkTrade(result.tradeId);
+  }
+  await trace.record('settlement', {
+    success: Boolean(result && result.success),
+    txSignature: result ? result.txSignature : null,
+    expectedOut: result ? result.expectedOut : null,
+    actualOut: result ? result.actualOut : null,
+    slippage: result ? result.slippage : null,
+    feeLamports: result ? result.feeLamports : null,
+    error: result ? result.error : null
+  });
+
+  await circuitBreakers.recordExecutionResult(trade, {
+    success: Boolean(result && result.success),
+    slippage: result ? result.slippage : undefined,
+    pnlSol: result ? result.pnlSol : undefined
+  }, check.probes);
+  return { executed: true, result, executionId: trace.executionId };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  executeWithSafeguards
+};
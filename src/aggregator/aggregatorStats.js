@@ -0,0 +1,137 @@
+/*************************************************************
+ * aggregatorStats.js
+ *
+ * Location: /src/aggregator/aggregatorStats.js
+ *
+ * Aggregator KPIs (Prompt 8.5) for everything that watches the
+ * aggregator: scripts/aggregatorMonitor.js (storing + alerts),
+ * scripts/riskScanner.js (error-rate meltdown condition), the
+ * admin stream / web app, auto triggers and scheduled reports.
+ *  - collectAggregatorMetrics() => one snapshot:
+ *      aggregator_tps        # trades per second in the last 60s
+ *      trade_error_rate      # share of failed trades, last 5 min
+ *      avgLatencyMs          # successful trades, last 5 min
+ *      queueLength           # trades waiting for execution
+ *      vault_conflict_count  # vault lock collisions, last minute
+ *      rpcHealthy            # RPC answers getLatestBlockhash
+ *      meltdownWarnings      # meltdown level >= 1 (meltdownLevel / meltdownLevelName)
+ *      recentTrades          # last 20 trades, for the live feed
+ *  - getRecentTradesFeed(limit, offset) => the live trade feed
+ *************************************************************/
+
+const web3 = require('@solana/web3.js');
+const { query } = require('../database/database');
+const meltdownMode = require('../risk/meltdownMode');
+
+/*************************************************************
+ * getRecentTradesFeed(limit, offset)
+ * - newest first
+ *************************************************************/
+async function getRecentTradesFeed(limit = 20, offset = 0) {
+  const res = await query(`
+    SELECT user_id, from_token, to_token, amount, status, slippage, tx_signature,
+           EXTRACT(EPOCH FROM (executed_at)) AS time_epoch
+    FROM trade_executions
+    ORDER BY executed_at DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset]);
+  return res.rows.map((row) => ({
+    userId: row.user_id,
+    pair: `${row.from_token}→${row.to_token}`,
+    amount: row.amount,
+    status: row.status,
+    slippage: row.slippage,
+    txSignature: row.tx_signature,
+    time: new Date(row.time_epoch * 1000).toISOString()
+  }));
+}
+
+async function checkRpcHealth() {
+  try {
+    const connection = new web3.Connection(web3.clusterApiUrl('mainnet-beta'), 'confirmed');
+    await connection.getLatestBlockhash();
+    return true;
+  } catch (err) {
+    console.error('RPC health check failed:', err);
+    return false;
+  }
+}
+
+/*************************************************************
+ * collectAggregatorMetrics()
+ * - Returns the snapshot described above, null when the trade
+ *   table cannot be read
+ *************************************************************/
+async function collectAggregatorMetrics() {
+  let tpsRes;
+  let errorRes;
+  try {
+    tpsRes = await query(`
+      SELECT COUNT(*) AS trades_in_60s
+      FROM trade_executions
+      WHERE executed_at > NOW() - INTERVAL '60 seconds'
+    `);
+    errorRes = await query(`
+      SELECT COUNT(*) FILTER (WHERE status='FAILED') AS fail_count,
+             COUNT(*) AS total_count
+      FROM trade_executions
+      WHERE executed_at > NOW() - INTERVAL '5 minutes'
+    `);
+  } catch (err) {
+    console.error('Error fetching aggregator trade counts:', err);
+    return null;
+  }
+  if (!tpsRes.rows || tpsRes.rows.length === 0) {
+    console.error('No data returned for TPS query');
+    return null;
+  }
+
+  const tradesIn60 = parseInt(tpsRes.rows[0].trades_in_60s || '0', 10);
+  const aggregator_tps = (tradesIn60 / 60).toFixed(2);
+
+  const failCount = parseInt(errorRes.rows[0]?.fail_count || '0', 10);
+  const totalCount = parseInt(errorRes.rows[0]?.total_count || '0', 10);
+  const trade_error_rate = totalCount > 0 ? failCount / totalCount : 0;
+
+  const latencyRes = await query(`
+    SELECT AVG(latency_ms)::numeric(10,2) AS avg_latency
+    FROM trade_executions
+    WHERE executed_at > NOW() - INTERVAL '5 minutes'
+      AND status='SUCCESS'
+  `);
+  const avgLatencyMs = parseFloat(latencyRes.rows[0]?.avg_latency || 0);
+
+  // trades run inline in the aggregator; there is no queue yet
+  const queueLength = 0;
+
+  const conflictRes = await query(`
+    SELECT COUNT(*) AS conflicts
+    FROM aggregator_conflicts
+    WHERE created_at > NOW() - INTERVAL '1 minute'
+  `);
+  const vault_conflict_count = parseInt(conflictRes.rows[0]?.conflicts || '0', 10);
+
+  const rpcHealthy = await checkRpcHealth();
+  const meltdown = await meltdownMode.getState();
+
+  return {
+    aggregator_tps,
+    trade_error_rate,
+    avgLatencyMs,
+    queueLength,
+    vault_conflict_count,
+    rpcHealthy,
+    meltdownWarnings: meltdown.level >= 1,
+    meltdownLevel: meltdown.level,
+    meltdownLevelName: meltdown.levelName,
+    recentTrades: await getRecentTradesFeed(20)
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  collectAggregatorMetrics,
+  getRecentTradesFeed
+};
@@ -0,0 +1,136 @@
+/*************************************************************
+ * executionTrace.js
+ *
+ * Location: /src/aggregator/executionTrace.js
+ *
+ * Persists what happened during one trade execution, for the
+ * trade inspector (admin/tradeInspector.js).
+ *  - aggregator.executeWithSafeguards opens a trace per trade and
+ *    records the signal and the risk checks; the swap executor
+ *    gets the trace as executeFn's second argument and records
+ *    quotes, the chosen route, every submission and confirmation.
+ *  - Events are keyed by execution_id until the executor's
+ *    trade_executions row exists, then linked with linkTrade.
+ *  - Writing a trace event never fails the trade: errors are
+ *    logged and swallowed.
+ *
+ * Event payloads:
+ *   signal       { type: 'copy' | 'ai', traderId, leaderTrade: { txSignature,
+ *                  fromToken, toToken, amountIn, amountOut, executedAt },
+ *                  aiDecision: { model, confidence, reason } }
+ *   risk_check   { check, passed, reason, details }
+ *   quote        { source, inAmount, outAmount, priceImpactPct, route }
+ *   route        { source, outAmount, minOutAmount, route, reason }
+ *   submission   { attempt, txSignature, rpcEndpoint, error }
+ *   confirmation { txSignature, status, slot, error }
+ *   settlement   { expectedOut, actualOut, slippage, feeLamports, txSignature }
+ *   blocked / error { reason, ... }
+ *************************************************************/
+
+const crypto = require('crypto');
+const { query } = require('../database/database');
+
+const EVENT_TYPES = [
+  'signal', 'risk_check', 'quote', 'route', 'submission',
+  'confirmation', 'settlement', 'blocked', 'error'
+];
+
+async function insertEvent(executionId, tradeId, eventType, payload) {
+  try {
+    await query(`
+      INSERT INTO trade_execution_events (execution_id, trade_id, event_type, payload, created_at)
+      VALUES ($1, $2, $3, $4, clock_timestamp())
+    `, [executionId, tradeId, eventType, JSON.stringify(payload || {})]);
+  } catch (err) {
+    console.error(`Error recording ${eventType} event for execution ${executionId}:`, err);
+  }
+}
+
+/*************************************************************
+ * startTrace(trade)
+ * - Returns { executionId, record(eventType, payload), linkTrade(tradeId) }
+ * - record resolves once the event is stored; callers on the hot
+ *   path may skip awaiting it
+ *************************************************************/
+function startTrace(trade = {}) {
+  const executionId = trade.executionId || crypto.randomUUID();
+  let tradeId = trade.tradeId || null;
+
+  return {
+    executionId,
+    record(eventType, payload = {}) {
+      if (!EVENT_TYPES.includes(eventType)) {
+        console.error(`Unknown trade execution event type "${eventType}" for execution ${executionId}`);
+        return Promise.resolve();
+      }
+      return insertEvent(executionId, tradeId, eventType, payload);
+    },
+    async linkTrade(id) {
+      if (!id || tradeId) return;
+      tradeId = id;
+      try {
+        await query(`
+          UPDATE trade_execution_events SET trade_id=$2 WHERE execution_id=$1 AND trade_id IS NULL
+        `, [executionId, id]);
+        await query(`
+          UPDATE trade_executions SET execution_id=$2 WHERE id=$1 AND execution_id IS NULL
+        `, [id, executionId]);
+      } catch (err) {
+        console.error(`Error linking execution ${executionId} to trade ${id}:`, err);
+      }
+    }
+  };
+}
+
+/*************************************************************
+ * getEvents({ tradeId, executionId })
+ * - oldest first
+ *************************************************************/
+async function getEvents({ tradeId = null, executionId = null }) {
+  const res = await query(`
+    SELECT id, execution_id, trade_id, event_type, payload, created_at
+    FROM trade_execution_events
+    WHERE ($1::bigint IS NOT NULL AND trade_id = $1)
+       OR ($2::text IS NOT NULL AND execution_id = $2)
+    ORDER BY created_at, id
+  `, [tradeId, executionId]);
+  return res.rows;
+}
+
+/*************************************************************
+ * getRecentAiSignals(limit)
+ * - the AI decisions of the last day, newest first; one per
+ *   decision, however many followers it was executed for
+ * - Returns [{ fromToken, toToken, aiDecision, at }]
+ *************************************************************/
+async function getRecentAiSignals(limit = 10) {
+  const res = await query(`
+    SELECT payload, created_at
+    FROM (
+      SELECT DISTINCT ON (payload->'aiDecision', payload->>'fromToken', payload->>'toToken') payload, created_at
+      FROM trade_execution_events
+      WHERE event_type = 'signal' AND payload->>'type' = 'ai'
+        AND jsonb_typeof(payload->'aiDecision') = 'object'
+        AND created_at > NOW() - INTERVAL '1 day'
+      ORDER BY payload->'aiDecision', payload->>'fromToken', payload->>'toToken', created_at
+    ) signals
+    ORDER BY created_at DESC
+    LIMIT $1
+  `, [limit]);
+  return res.rows.map((row) => ({
+    fromToken: row.payload.fromToken,
+    toToken: row.payload.toToken,
+    aiDecision: row.payload.aiDecision,
+    at: row.created_at
+  }));
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  EVENT_TYPES,
+  startTrace,
+  getEvents,
+  getRecentAiSignals
+};
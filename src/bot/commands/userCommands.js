@@ -0,0 +1,299 @@
+/*************************************************************
+ * userCommands.js
+ *
+ * Location: /src/bot/commands/userCommands.js
+ *
+ * Telegram commands for users.
+ *  - /plans => the plan catalog with monthly / yearly prices
+ *  - /plan  => the user's plan, credit and entitlements
+ *  - /plan <plan> [monthly|yearly] [SOL|USDC] => what switching
+ *    would cost (prorated, see subscription.js); add "confirm"
+ *    to switch and pay from the vault
+ *  - /signals => the latest AI signals (ai_signals plan entitlement)
+ *  - /follow <trader id>, /unfollow <trader id>; following counts
+ *    against the plan's max_follows (followTrader.js)
+ *  - /withdraw <amount> <address> => SOL from the vault
+ *  - registerUserCommands(bot) mounts them; region-gated commands
+ *    go through regionPolicy.requireFeature first, plan-gated ones
+ *    through subscription.requireEntitlement
+ *  - every reply comes from the i18n catalog (bot/i18n.js)
+ *************************************************************/
+
+const subscription = require('../../vault/subscription');
+const followTrader = require('../../portfolio/followTrader');
+const withdrawFlow = require('../../vault/withdrawFlow');
+const regionPolicy = require('../../admin/regionPolicy');
+const executionTrace = require('../../aggregator/executionTrace');
+const i18n = require('../../bot/i18n');
+
+// i18n keys; limits get { limit }
+const ENTITLEMENT_TEXT = {
+  copy_trading: 'FEATURE_COPY_TRADING',
+  max_follows: 'PLAN_MAX_FOLLOWS',
+  ai_signals: 'FEATURE_AI_SIGNALS',
+  ai_trading: 'FEATURE_AI_TRADING',
+  priority_execution: 'FEATURE_PRIORITY_EXECUTION'
+};
+const INTERVAL_TEXT = {
+  monthly: 'INTERVAL_MONTHLY',
+  yearly: 'INTERVAL_YEARLY'
+};
+const SIGNALS_SHOWN = 10;
+
+function formatUsd(usd) {
+  return `$${Number(usd).toFixed(2)}`;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function txUrl(txSignature) {
+  return `https://solscan.io/tx/${txSignature}`;
+}
+
+function describeEntitlements(lang, entitlements) {
+  return Object.entries(entitlements)
+    .filter(([, value]) => value)
+    .map(([feature, value]) => i18n.t(lang, ENTITLEMENT_TEXT[feature], { limit: value }))
+    .join(', ');
+}
+
+// /plan <plan> [monthly|yearly] [SOL|USDC] [confirm], any order after the plan
+function parsePlanCommand(ctx, lang) {
+  const [, planId, ...rest] = (ctx.message?.text || '').trim().split(/\s+/);
+  const parsed = { planId: planId ? planId.toLowerCase() : null, interval: null, currency: null, confirm: false };
+  for (const arg of rest) {
+    if (subscription.INTERVALS[arg.toLowerCase()]) parsed.interval = arg.toLowerCase();
+    else if (subscription.PAYMENT_TOKENS[arg.toUpperCase()]) parsed.currency = arg.toUpperCase();
+    else if (arg.toLowerCase() === 'confirm') parsed.confirm = true;
+    else throw new Error(i18n.t(lang, 'PLAN_USAGE'));
+  }
+  return parsed;
+}
+
+/*************************************************************
+ * commandPlans(ctx)
+ *************************************************************/
+async function commandPlans(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  try {
+    const [plans, current] = await Promise.all([
+      subscription.getPlans(),
+      subscription.getUserSubscription(ctx.from.id)
+    ]);
+    const lines = [i18n.t(lang, 'PLANS_HEADER')];
+    plans.forEach((p) => {
+      const price = p.id === subscription.FREE_PLAN_ID
+        ? i18n.t(lang, 'PLANS_PRICE_FREE')
+        : i18n.t(lang, 'PLANS_PRICE', { monthly: formatUsd(p.prices.monthly), yearly: formatUsd(p.prices.yearly) });
+      lines.push('');
+      lines.push(i18n.t(lang, p.id === current.plan.id ? 'PLANS_ENTRY_CURRENT' : 'PLANS_ENTRY', { name: p.name, id: p.id }));
+      lines.push(`  ${price}`);
+      lines.push(`  ${describeEntitlements(lang, p.entitlements)}`);
+    });
+    lines.push('');
+    lines.push(i18n.t(lang, 'PLANS_FOOTER'));
+    return ctx.reply(lines.join('\n'));
+  } catch (err) {
+    return ctx.reply(i18n.t(lang, 'PLANS_FAILED', { error: err.message }));
+  }
+}
+
+async function replyCurrentPlan(ctx, lang) {
+  const current = await subscription.getUserSubscription(ctx.from.id);
+  const lines = [];
+  if (current.active) {
+    lines.push(i18n.t(lang, 'PLAN_CURRENT_PAID', {
+      plan: current.plan.name,
+      interval: i18n.t(lang, INTERVAL_TEXT[current.interval]),
+      price: formatUsd(current.plan.prices[current.interval])
+    }));
+    lines.push(i18n.t(lang, 'PLAN_RENEWS', { date: formatDate(current.expiresAt), currency: current.currency }));
+  } else {
+    lines.push(i18n.t(lang, 'PLAN_CURRENT', { plan: current.plan.name }));
+  }
+  if (current.creditUsd > 0) {
+    lines.push(i18n.t(lang, 'PLAN_CREDIT', { amount: formatUsd(current.creditUsd) }));
+  }
+  lines.push(i18n.t(lang, 'PLAN_INCLUDES', { features: describeEntitlements(lang, current.plan.entitlements) }));
+  lines.push(i18n.t(lang, 'PLAN_SEE_PLANS'));
+  return ctx.reply(lines.join('\n'));
+}
+
+function previewLines(lang, current, preview) {
+  const { change, target } = preview;
+  const free = target.plan.id === subscription.FREE_PLAN_ID;
+  const lines = [free
+    ? i18n.t(lang, 'PLAN_CHANGE', { from: current.plan.name, to: target.plan.name })
+    : i18n.t(lang, 'PLAN_CHANGE_INTERVAL', {
+      from: current.plan.name, to: target.plan.name, interval: i18n.t(lang, INTERVAL_TEXT[target.interval])
+    })];
+  if (change.unusedCreditUsd > 0) lines.push(i18n.t(lang, 'PLAN_UNUSED_TIME', { amount: formatUsd(change.unusedCreditUsd) }));
+  if (!free) lines.push(i18n.t(lang, change.kind === 'new' ? 'PLAN_PRICE_NEW' : 'PLAN_PRICE_REST', { amount: formatUsd(change.priceUsd) }));
+  if (change.creditUsedUsd > 0) lines.push(i18n.t(lang, 'PLAN_CREDIT_USED', { amount: formatUsd(change.creditUsedUsd) }));
+  lines.push(change.chargeUsd > 0
+    ? i18n.t(lang, 'PLAN_TO_PAY_ESTIMATE', {
+      amount: formatUsd(change.chargeUsd), tokenAmount: preview.estimatedTokenAmount, currency: preview.currency
+    })
+    : i18n.t(lang, 'PLAN_TO_PAY', { amount: formatUsd(change.chargeUsd) }));
+  if (change.creditAfterUsd > 0) lines.push(i18n.t(lang, 'PLAN_CREDIT_KEPT', { amount: formatUsd(change.creditAfterUsd) }));
+  if (!free) lines.push(i18n.t(lang, 'PLAN_PAID_UNTIL', { date: formatDate(change.expiresAt) }));
+  lines.push(i18n.t(lang, 'PLAN_CONFIRM_HINT', {
+    args: free ? target.plan.id : `${target.plan.id} ${target.interval} ${preview.currency}`
+  }));
+  return lines;
+}
+
+/*************************************************************
+ * commandPlan(ctx)
+ * - previews first; only "confirm" charges the vault
+ *************************************************************/
+async function commandPlan(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  try {
+    const parsed = parsePlanCommand(ctx, lang);
+    if (!parsed.planId) {
+      return await replyCurrentPlan(ctx, lang);
+    }
+    const current = await subscription.getUserSubscription(ctx.from.id);
+    // keep the current interval unless another one is asked for
+    const interval = parsed.interval || (current.active ? current.interval : 'monthly');
+    const currency = parsed.currency || current.currency;
+
+    if (!parsed.confirm) {
+      const preview = await subscription.previewPlanChange(ctx.from.id, parsed.planId, interval, currency);
+      return ctx.reply(previewLines(lang, current, preview).join('\n'));
+    }
+
+    const payment = await subscription.changePlan(ctx.from.id, parsed.planId, interval, currency);
+    const lines = [i18n.t(lang, 'PLAN_SWITCHED', { plan: (await subscription.getPlan(payment.planId)).name })];
+    if (payment.txSignature) {
+      lines.push(i18n.t(lang, 'PLAN_PAID', {
+        amount: payment.amountToken, currency: payment.currency, usd: formatUsd(payment.chargeUsd)
+      }));
+      lines.push(i18n.t(lang, 'PLAN_TX', { url: txUrl(payment.txSignature) }));
+    }
+    if (payment.creditAfterUsd > 0) lines.push(i18n.t(lang, 'PLAN_CREDIT_KEPT', { amount: formatUsd(payment.creditAfterUsd) }));
+    if (payment.expiresAt) lines.push(i18n.t(lang, 'PLAN_PAID_UNTIL', { date: formatDate(payment.expiresAt) }));
+    return ctx.reply(lines.join('\n'));
+  } catch (err) {
+    if (err.code === 'PAYMENT_PENDING') {
+      return ctx.reply(i18n.t(lang, 'PLAN_PAYMENT_PENDING', { url: txUrl(err.txSignature) }));
+    }
+    return ctx.reply(i18n.t(lang, 'PLAN_CHANGE_FAILED', { error: err.message }));
+  }
+}
+
+/*************************************************************
+ * commandSignals(ctx)
+ * - the latest AI signals; registered behind the ai_signals
+ *   entitlement
+ *************************************************************/
+async function commandSignals(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  try {
+    const signals = await executionTrace.getRecentAiSignals(SIGNALS_SHOWN);
+    if (!signals.length) {
+      return ctx.reply(i18n.t(lang, 'SIGNALS_NONE'));
+    }
+    const lines = [i18n.t(lang, 'SIGNALS_HEADER')];
+    for (const signal of signals) {
+      const confidence = Number(signal.aiDecision.confidence);
+      lines.push('');
+      lines.push(i18n.t(lang, 'SIGNALS_ENTRY', {
+        time: new Date(signal.at).toISOString().slice(11, 16),
+        pair: `${signal.fromToken}→${signal.toToken}`,
+        confidence: Number.isFinite(confidence) ? `${Math.round(confidence * 100)}%` : '-'
+      }));
+      if (signal.aiDecision.reason) lines.push(String(signal.aiDecision.reason));
+    }
+    return ctx.reply(lines.join('\n'));
+  } catch (err) {
+    return ctx.reply(i18n.t(lang, 'COMMAND_FAILED', { error: err.message }));
+  }
+}
+
+function commandArgs(ctx) {
+  return (ctx.message?.text || '').trim().split(/\s+/).slice(1);
+}
+
+function parseTraderId(ctx) {
+  const [id] = commandArgs(ctx);
+  return /^\d+$/.test(id || '') ? parseInt(id, 10) : null;
+}
+
+/*************************************************************
+ * commandFollow(ctx) / commandUnfollow(ctx)
+ *************************************************************/
+async function commandFollow(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  const traderId = parseTraderId(ctx);
+  if (!traderId) {
+    return ctx.reply(i18n.t(lang, 'FOLLOW_USAGE'));
+  }
+  try {
+    const trader = await followTrader.followTrader(ctx.from.id, traderId, { language: ctx.from.language_code });
+    return ctx.reply(i18n.t(lang, 'FOLLOW_DONE', { trader: trader.name || `#${trader.traderId}` }));
+  } catch (err) {
+    return ctx.reply(i18n.t(lang, 'COMMAND_FAILED', { error: err.message }));
+  }
+}
+
+// stopping a follow is always allowed, also where copy trading is not
+async function commandUnfollow(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  const traderId = parseTraderId(ctx);
+  if (!traderId) {
+    return ctx.reply(i18n.t(lang, 'UNFOLLOW_USAGE'));
+  }
+  try {
+    await followTrader.unfollowTrader(ctx.from.id, traderId);
+    return ctx.reply(i18n.t(lang, 'UNFOLLOW_DONE', { traderId }));
+  } catch (err) {
+    return ctx.reply(i18n.t(lang, 'COMMAND_FAILED', { error: err.message }));
+  }
+}
+
+/*************************************************************
+ * commandWithdraw(ctx)
+ * - withdrawFlow notifies the user when it is sent / held
+ *************************************************************/
+async function commandWithdraw(ctx) {
+  const lang = i18n.resolveLanguage(ctx.from.language_code);
+  const [amount, destination] = commandArgs(ctx);
+  if (!amount || !destination) {
+    return ctx.reply(i18n.t(lang, 'WITHDRAW_USAGE'));
+  }
+  try {
+    const result = await withdrawFlow.requestWithdrawal(ctx.from.id, { destination, amount });
+    return ctx.reply(i18n.t(lang, 'WITHDRAW_SUBMITTED', { id: result.requestId }));
+  } catch (err) {
+    return ctx.reply(i18n.t(lang, 'COMMAND_FAILED', { error: err.message }));
+  }
+}
+
+/*************************************************************
+ * registerUserCommands(bot)
+ *************************************************************/
+function registerUserCommands(bot) {
+  bot.command('plans', commandPlans);
+  bot.command('plan', commandPlan);
+  bot.command('signals', subscription.requireEntitlement('ai_signals'), commandSignals);
+  bot.command('follow', regionPolicy.requireFeature('copy_trading'), commandFollow);
+  bot.command('unfollow', commandUnfollow);
+  bot.command('withdraw', regionPolicy.requireFeature('withdrawals'), commandWithdraw);
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  commandPlans,
+  commandPlan,
+  commandSignals,
+  commandFollow,
+  commandUnfollow,
+  commandWithdraw,
+  registerUserCommands
+};
@@ -0,0 +1,290 @@
+/*************************************************************
+ * i18n.js
+ *
+ * Location: /src/bot/i18n.js
+ *
+ * User-facing message catalog. t(lang, key, params) falls back
+ * to English for unknown languages or keys; {name} placeholders
+ * are filled from params.
+ *************************************************************/
+
+const { query } = require('../database/database');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LOCALES = {
+  en: {
+    FEATURE_COPY_TRADING: 'Copy trading',
+    FEATURE_AI_TRADING: 'AI trading',
+    FEATURE_PREMIUM_PURCHASE: 'Premium purchases',
+    FEATURE_WITHDRAWALS: 'Withdrawals',
+    REGION_FEATURE_DENIED: '🚫 {feature} is not available in your region ({region}).',
+    REGION_DEPOSIT_LIMIT: '🚫 Deposits above {max} SOL are not accepted in your region ({region}). Please contact support about your deposit of {amount} SOL.',
+    ACCOUNT_FEATURE_RESTRICTED: '🚫 {feature} is not available for your account. Please contact support.',
+    REGION_POLICY_CHANGED: 'ℹ️ Due to regulations in your region ({region}), these features are no longer available: {features}.',
+    REGION_FOLLOWS_PAUSED: 'Your copy-trading follows have been paused.',
+    FEATURE_AI_SIGNALS: 'AI signals',
+    FEATURE_PRIORITY_EXECUTION: 'Priority execution',
+    FEATURE_MAX_FOLLOWS: 'followed traders',
+    ENTITLEMENT_REQUIRED: '🚫 {feature} is not included in your {plan} plan. See /plans to upgrade.',
+    ENTITLEMENT_LIMIT: '🚫 Your {plan} plan allows up to {limit} {feature}. See /plans to upgrade.',
+    FOLLOW_USAGE: 'Usage: /follow <trader id>',
+    FOLLOW_DONE: '✅ You are now copying {trader}.',
+    UNFOLLOW_USAGE: 'Usage: /unfollow <trader id>',
+    UNFOLLOW_DONE: 'You stopped copying trader #{traderId}.',
+    WITHDRAW_USAGE: 'Usage: /withdraw <amount> <address>',
+    WITHDRAW_SUBMITTED: 'Withdrawal #{id} submitted. You will get a message once it is sent or reviewed.',
+    PLAN_MAX_FOLLOWS: 'Followed traders: up to {limit}',
+    INTERVAL_MONTHLY: 'monthly',
+    INTERVAL_YEARLY: 'yearly',
+    PLAN_USAGE: 'Usage: /plan <plan> [monthly|yearly] [SOL|USDC] [confirm]',
+    PLANS_HEADER: 'Plans:',
+    PLANS_ENTRY: '{name} ({id})',
+    PLANS_ENTRY_CURRENT: '{name} ({id}) ← your plan',
+    PLANS_PRICE_FREE: 'free',
+    PLANS_PRICE: '{monthly}/month or {yearly}/year',
+    PLANS_FOOTER: 'Paid from your vault in SOL or USDC at the current price. Switch with /plan <plan> [monthly|yearly] [SOL|USDC].',
+    PLANS_FAILED: 'Could not load plans: {error}',
+    PLAN_CURRENT: 'Your plan: {plan}',
+    PLAN_CURRENT_PAID: 'Your plan: {plan} ({interval}, {price})',
+    PLAN_RENEWS: 'Renews on {date}, paid in {currency}',
+    PLAN_CREDIT: 'Credit: {amount}, used for your next charge',
+    PLAN_INCLUDES: 'Includes: {features}',
+    PLAN_SEE_PLANS: 'See /plans to switch.',
+    PLAN_CHANGE: '{from} => {to}',
+    PLAN_CHANGE_INTERVAL: '{from} => {to} ({interval})',
+    PLAN_UNUSED_TIME: 'Unused time on your plan: -{amount}',
+    PLAN_PRICE_NEW: 'Price: {amount}',
+    PLAN_PRICE_REST: 'Price for the rest of the period: {amount}',
+    PLAN_CREDIT_USED: 'Credit used: -{amount}',
+    PLAN_TO_PAY: 'To pay now: {amount}',
+    PLAN_TO_PAY_ESTIMATE: 'To pay now: {amount} (about {tokenAmount} {currency})',
+    PLAN_CREDIT_KEPT: 'Credit kept for later: {amount}',
+    PLAN_PAID_UNTIL: 'Paid until: {date}',
+    PLAN_CONFIRM_HINT: 'Send /plan {args} confirm to switch.',
+    PLAN_SWITCHED: '✅ You are now on the {plan} plan.',
+    PLAN_PAID: 'Paid {amount} {currency} ({usd}) from your vault.',
+    PLAN_TX: 'Tx: {url}',
+    PLAN_PAYMENT_PENDING: '⏳ Your payment was sent but is not confirmed yet. Your plan changes once it lands, there is no need to pay again.\nTx: {url}',
+    PLAN_CHANGE_FAILED: 'Could not change plan: {error}',
+    SIGNALS_HEADER: 'AI signals (last 24 hours):',
+    SIGNALS_NONE: 'No AI signals in the last 24 hours.',
+    SIGNALS_ENTRY: '{time} UTC | {pair} | confidence {confidence}',
+    COMMAND_FAILED: '❌ {error}'
+  },
+  es: {
+    FEATURE_COPY_TRADING: 'El copy trading',
+    FEATURE_AI_TRADING: 'El trading con IA',
+    FEATURE_PREMIUM_PURCHASE: 'La compra de Premium',
+    FEATURE_WITHDRAWALS: 'Los retiros',
+    REGION_FEATURE_DENIED: '🚫 {feature} no está disponible en tu región ({region}).',
+    REGION_DEPOSIT_LIMIT: '🚫 No se aceptan depósitos de más de {max} SOL en tu región ({region}). Contacta con soporte sobre tu depósito de {amount} SOL.',
+    ACCOUNT_FEATURE_RESTRICTED: '🚫 {feature} no está disponible para tu cuenta. Contacta con soporte.',
+    REGION_POLICY_CHANGED: 'ℹ️ Debido a la normativa de tu región ({region}), estas funciones ya no están disponibles: {features}.',
+    REGION_FOLLOWS_PAUSED: 'Tus seguimientos de copy trading se han pausado.',
+    FEATURE_AI_SIGNALS: 'Las señales de IA',
+    FEATURE_PRIORITY_EXECUTION: 'La ejecución prioritaria',
+    FEATURE_MAX_FOLLOWS: 'traders seguidos',
+    ENTITLEMENT_REQUIRED: '🚫 {feature} no está incluido en tu plan {plan}. Consulta /plans para mejorarlo.',
+    ENTITLEMENT_LIMIT: '🚫 Tu plan {plan} permite hasta {limit} {feature}. Consulta /plans para mejorarlo.',
+    FOLLOW_USAGE: 'Uso: /follow <id del trader>',
+    FOLLOW_DONE: '✅ Ahora copias a {trader}.',
+    UNFOLLOW_USAGE: 'Uso: /unfollow <id del trader>',
+    UNFOLLOW_DONE: 'Has dejado de copiar al trader #{traderId}.',
+    WITHDRAW_USAGE: 'Uso: /withdraw <cantidad> <dirección>',
+    WITHDRAW_SUBMITTED: 'Retiro #{id} enviado. Recibirás un mensaje cuando se envíe o se revise.',
+    PLAN_MAX_FOLLOWS: 'Traders seguidos: hasta {limit}',
+    INTERVAL_MONTHLY: 'mensual',
+    INTERVAL_YEARLY: 'anual',
+    PLAN_USAGE: 'Uso: /plan <plan> [monthly|yearly] [SOL|USDC] [confirm]',
+    PLANS_HEADER: 'Planes:',
+    PLANS_ENTRY: '{name} ({id})',
+    PLANS_ENTRY_CURRENT: '{name} ({id}) ← tu plan',
+    PLANS_PRICE_FREE: 'gratis',
+    PLANS_PRICE: '{monthly}/mes o {yearly}/año',
+    PLANS_FOOTER: 'Se paga desde tu vault en SOL o USDC al precio actual. Cambia con /plan <plan> [monthly|yearly] [SOL|USDC].',
+    PLANS_FAILED: 'No se pudieron cargar los planes: {error}',
+    PLAN_CURRENT: 'Tu plan: {plan}',
+    PLAN_CURRENT_PAID: 'Tu plan: {plan} ({interval}, {price})',
+    PLAN_RENEWS: 'Se renueva el {date}, pagado en {currency}',
+    PLAN_CREDIT: 'Crédito: {amount}, se usa en tu próximo cobro',
+    PLAN_INCLUDES: 'Incluye: {features}',
+    PLAN_SEE_PLANS: 'Consulta /plans para cambiar.',
+    PLAN_CHANGE: '{from} => {to}',
+    PLAN_CHANGE_INTERVAL: '{from} => {to} ({interval})',
+    PLAN_UNUSED_TIME: 'Tiempo no usado de tu plan: -{amount}',
+    PLAN_PRICE_NEW: 'Precio: {amount}',
+    PLAN_PRICE_REST: 'Precio por el resto del periodo: {amount}',
+    PLAN_CREDIT_USED: 'Crédito usado: -{amount}',
+    PLAN_TO_PAY: 'A pagar ahora: {amount}',
+    PLAN_TO_PAY_ESTIMATE: 'A pagar ahora: {amount} (unos {tokenAmount} {currency})',
+    PLAN_CREDIT_KEPT: 'Crédito guardado para después: {amount}',
+    PLAN_PAID_UNTIL: 'Pagado hasta: {date}',
+    PLAN_CONFIRM_HINT: 'Envía /plan {args} confirm para cambiar.',
+    PLAN_SWITCHED: '✅ Ahora tienes el plan {plan}.',
+    PLAN_PAID: 'Se pagaron {amount} {currency} ({usd}) desde tu vault.',
+    PLAN_TX: 'Tx: {url}',
+    PLAN_PAYMENT_PENDING: '⏳ Tu pago se envió pero aún no está confirmado. Tu plan cambiará en cuanto se confirme, no hace falta pagar de nuevo.\nTx: {url}',
+    PLAN_CHANGE_FAILED: 'No se pudo cambiar el plan: {error}',
+    SIGNALS_HEADER: 'Señales de IA (últimas 24 horas):',
+    SIGNALS_NONE: 'No hay señales de IA en las últimas 24 horas.',
+    SIGNALS_ENTRY: '{time} UTC | {pair} | confianza {confidence}',
+    COMMAND_FAILED: '❌ {error}'
+  },
+  de: {
+    FEATURE_COPY_TRADING: 'Copy-Trading',
+    FEATURE_AI_TRADING: 'KI-Trading',
+    FEATURE_PREMIUM_PURCHASE: 'Der Premium-Kauf',
+    FEATURE_WITHDRAWALS: 'Auszahlungen',
+    REGION_FEATURE_DENIED: '🚫 {feature} ist in deiner Region ({region}) nicht verfügbar.',
+    REGION_DEPOSIT_LIMIT: '🚫 Einzahlungen über {max} SOL werden in deiner Region ({region}) nicht akzeptiert. Bitte wende dich wegen deiner Einzahlung von {amount} SOL an den Support.',
+    ACCOUNT_FEATURE_RESTRICTED: '🚫 {feature} ist für dein Konto nicht verfügbar. Bitte wende dich an den Support.',
+    REGION_POLICY_CHANGED: 'ℹ️ Aufgrund der Vorschriften in deiner Region ({region}) sind diese Funktionen nicht mehr verfügbar: {features}.',
+    REGION_FOLLOWS_PAUSED: 'Deine Copy-Trading-Follows wurden pausiert.',
+    FEATURE_AI_SIGNALS: 'KI-Signale',
+    FEATURE_PRIORITY_EXECUTION: 'Priorisierte Ausführung',
+    FEATURE_MAX_FOLLOWS: 'gefolgte Trader',
+    ENTITLEMENT_REQUIRED: '🚫 {feature} ist in deinem {plan}-Tarif nicht enthalten. Mit /plans kannst du upgraden.',
+    ENTITLEMENT_LIMIT: '🚫 Dein {plan}-Tarif erlaubt bis zu {limit} {feature}. Mit /plans kannst du upgraden.',
+    FOLLOW_USAGE: 'Verwendung: /follow <Trader-ID>',
+    FOLLOW_DONE: '✅ Du kopierst jetzt {trader}.',
+    UNFOLLOW_USAGE: 'Verwendung: /unfollow <Trader-ID>',
+    UNFOLLOW_DONE: 'Du kopierst Trader #{traderId} nicht mehr.',
+    WITHDRAW_USAGE: 'Verwendung: /withdraw <Betrag> <Adresse>',
+    WITHDRAW_SUBMITTED: 'Auszahlung #{id} eingereicht. Du erhältst eine Nachricht, sobald sie gesendet oder geprüft wurde.',
+    PLAN_MAX_FOLLOWS: 'Gefolgte Trader: bis zu {limit}',
+    INTERVAL_MONTHLY: 'monatlich',
+    INTERVAL_YEARLY: 'jährlich',
+    PLAN_USAGE: 'Verwendung: /plan <Tarif> [monthly|yearly] [SOL|USDC] [confirm]',
+    PLANS_HEADER: 'Tarife:',
+    PLANS_ENTRY: '{name} ({id})',
+    PLANS_ENTRY_CURRENT: '{name} ({id}) ← dein Tarif',
+    PLANS_PRICE_FREE: 'kostenlos',
+    PLANS_PRICE: '{monthly}/Monat oder {yearly}/Jahr',
+    PLANS_FOOTER: 'Bezahlt aus deinem Vault in SOL oder USDC zum aktuellen Kurs. Wechseln mit /plan <Tarif> [monthly|yearly] [SOL|USDC].',
+    PLANS_FAILED: 'Tarife konnten nicht geladen werden: {error}',
+    PLAN_CURRENT: 'Dein Tarif: {plan}',
+    PLAN_CURRENT_PAID: 'Dein Tarif: {plan} ({interval}, {price})',
+    PLAN_RENEWS: 'Verlängert sich am {date}, bezahlt in {currency}',
+    PLAN_CREDIT: 'Guthaben: {amount}, wird mit der nächsten Zahlung verrechnet',
+    PLAN_INCLUDES: 'Enthält: {features}',
+    PLAN_SEE_PLANS: 'Mit /plans kannst du wechseln.',
+    PLAN_CHANGE: '{from} => {to}',
+    PLAN_CHANGE_INTERVAL: '{from} => {to} ({interval})',
+    PLAN_UNUSED_TIME: 'Ungenutzte Zeit deines Tarifs: -{amount}',
+    PLAN_PRICE_NEW: 'Preis: {amount}',
+    PLAN_PRICE_REST: 'Preis für den Rest des Zeitraums: {amount}',
+    PLAN_CREDIT_USED: 'Verwendetes Guthaben: -{amount}',
+    PLAN_TO_PAY: 'Jetzt zu zahlen: {amount}',
+    PLAN_TO_PAY_ESTIMATE: 'Jetzt zu zahlen: {amount} (etwa {tokenAmount} {currency})',
+    PLAN_CREDIT_KEPT: 'Guthaben für später: {amount}',
+    PLAN_PAID_UNTIL: 'Bezahlt bis: {date}',
+    PLAN_CONFIRM_HINT: 'Sende /plan {args} confirm, um zu wechseln.',
+    PLAN_SWITCHED: '✅ Du hast jetzt den Tarif {plan}.',
+    PLAN_PAID: '{amount} {currency} ({usd}) aus deinem Vault bezahlt.',
+    PLAN_TX: 'Tx: {url}',
+    PLAN_PAYMENT_PENDING: '⏳ Deine Zahlung wurde gesendet, ist aber noch nicht bestätigt. Dein Tarif ändert sich, sobald sie bestätigt ist, du musst nicht erneut zahlen.\nTx: {url}',
+    PLAN_CHANGE_FAILED: 'Tarif konnte nicht gewechselt werden: {error}',
+    SIGNALS_HEADER: 'KI-Signale (letzte 24 Stunden):',
+    SIGNALS_NONE: 'Keine KI-Signale in den letzten 24 Stunden.',
+    SIGNALS_ENTRY: '{time} UTC | {pair} | Konfidenz {confidence}',
+    COMMAND_FAILED: '❌ {error}'
+  },
+  fr: {
+    FEATURE_COPY_TRADING: 'Le copy trading',
+    FEATURE_AI_TRADING: 'Le trading par IA',
+    FEATURE_PREMIUM_PURCHASE: "L'achat Premium",
+    FEATURE_WITHDRAWALS: 'Les retraits',
+    REGION_FEATURE_DENIED: "🚫 {feature} n'est pas disponible dans votre région ({region}).",
+    REGION_DEPOSIT_LIMIT: '🚫 Les dépôts supérieurs à {max} SOL ne sont pas acceptés dans votre région ({region}). Contactez le support au sujet de votre dépôt de {amount} SOL.',
+    ACCOUNT_FEATURE_RESTRICTED: "🚫 {feature} n'est pas disponible pour votre compte. Contactez le support.",
+    REGION_POLICY_CHANGED: 'ℹ️ En raison de la réglementation de votre région ({region}), ces fonctionnalités ne sont plus disponibles : {features}.',
+    REGION_FOLLOWS_PAUSED: 'Vos suivis de copy trading ont été mis en pause.',
+    FEATURE_AI_SIGNALS: 'Les signaux IA',
+    FEATURE_PRIORITY_EXECUTION: "L'exécution prioritaire",
+    FEATURE_MAX_FOLLOWS: 'traders suivis',
+    ENTITLEMENT_REQUIRED: "🚫 {feature} n'est pas inclus dans votre offre {plan}. Voir /plans pour passer à une offre supérieure.",
+    ENTITLEMENT_LIMIT: "🚫 Votre offre {plan} permet jusqu'à {limit} {feature}. Voir /plans pour passer à une offre supérieure.",
+    FOLLOW_USAGE: 'Utilisation : /follow <id du trader>',
+    FOLLOW_DONE: '✅ Vous copiez maintenant {trader}.',
+    UNFOLLOW_USAGE: 'Utilisation : /unfollow <id du trader>',
+    UNFOLLOW_DONE: 'Vous ne copiez plus le trader #{traderId}.',
+    WITHDRAW_USAGE: 'Utilisation : /withdraw <montant> <adresse>',
+    WITHDRAW_SUBMITTED: 'Retrait #{id} soumis. Vous recevrez un message dès qu\'il sera envoyé ou examiné.',
+    PLAN_MAX_FOLLOWS: "Traders suivis : jusqu'à {limit}",
+    INTERVAL_MONTHLY: 'mensuel',
+    INTERVAL_YEARLY: 'annuel',
+    PLAN_USAGE: 'Utilisation : /plan <offre> [monthly|yearly] [SOL|USDC] [confirm]',
+    PLANS_HEADER: 'Offres :',
+    PLANS_ENTRY: '{name} ({id})',
+    PLANS_ENTRY_CURRENT: '{name} ({id}) ← votre offre',
+    PLANS_PRICE_FREE: 'gratuit',
+    PLANS_PRICE: '{monthly}/mois ou {yearly}/an',
+    PLANS_FOOTER: 'Payé depuis votre vault en SOL ou USDC au prix actuel. Changez avec /plan <offre> [monthly|yearly] [SOL|USDC].',
+    PLANS_FAILED: 'Impossible de charger les offres : {error}',
+    PLAN_CURRENT: 'Votre offre : {plan}',
+    PLAN_CURRENT_PAID: 'Votre offre : {plan} ({interval}, {price})',
+    PLAN_RENEWS: 'Renouvellement le {date}, payé en {currency}',
+    PLAN_CREDIT: 'Crédit : {amount}, utilisé pour votre prochain paiement',
+    PLAN_INCLUDES: 'Inclus : {features}',
+    PLAN_SEE_PLANS: 'Voir /plans pour changer.',
+    PLAN_CHANGE: '{from} => {to}',
+    PLAN_CHANGE_INTERVAL: '{from} => {to} ({interval})',
+    PLAN_UNUSED_TIME: 'Temps non utilisé de votre offre : -{amount}',
+    PLAN_PRICE_NEW: 'Prix : {amount}',
+    PLAN_PRICE_REST: 'Prix pour le reste de la période : {amount}',
+    PLAN_CREDIT_USED: 'Crédit utilisé : -{amount}',
+    PLAN_TO_PAY: 'À payer maintenant : {amount}',
+    PLAN_TO_PAY_ESTIMATE: 'À payer maintenant : {amount} (environ {tokenAmount} {currency})',
+    PLAN_CREDIT_KEPT: 'Crédit conservé pour plus tard : {amount}',
+    PLAN_PAID_UNTIL: "Payé jusqu'au : {date}",
+    PLAN_CONFIRM_HINT: 'Envoyez /plan {args} confirm pour changer.',
+    PLAN_SWITCHED: "✅ Vous êtes maintenant sur l'offre {plan}.",
+    PLAN_PAID: '{amount} {currency} ({usd}) payés depuis votre vault.',
+    PLAN_TX: 'Tx : {url}',
+    PLAN_PAYMENT_PENDING: "⏳ Votre paiement a été envoyé mais n'est pas encore confirmé. Votre offre changera dès sa confirmation, inutile de payer à nouveau.\nTx : {url}",
+    PLAN_CHANGE_FAILED: "Impossible de changer d'offre : {error}",
+    SIGNALS_HEADER: 'Signaux IA (dernières 24 heures) :',
+    SIGNALS_NONE: 'Aucun signal IA ces dernières 24 heures.',
+    SIGNALS_ENTRY: '{time} UTC | {pair} | confiance {confidence}',
+    COMMAND_FAILED: '❌ {error}'
+  }
+};
+
+function resolveLanguage(lang) {
+  const base = String(lang || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/*************************************************************
+ * t(lang, key, params)
+ *************************************************************/
+function t(lang, key, params = {}) {
+  const template = LOCALES[resolveLanguage(lang)][key] || LOCALES[DEFAULT_LANGUAGE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/*************************************************************
+ * getUserLanguage(userId)
+ * - users.language_code, e.g. from ctx.from.language_code
+ *************************************************************/
+async function getUserLanguage(userId) {
+  const res = await query(`SELECT language_code FROM users WHERE id=$1`, [userId]);
+  return resolveLanguage(res.rows[0] ? res.rows[0].language_code : null);
+}
+
+async function setUserLanguage(userId, lang) {
+  await query(`UPDATE users SET language_code=$2 WHERE id=$1`, [userId, resolveLanguage(lang)]);
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LOCALES,
+  resolveLanguage,
+  t,
+  getUserLanguage,
+  setUserLanguage
+};
@@ -0,0 +1,32 @@
+-- 001_broadcast_delivery.sql
+-- Segmented broadcast delivery (Prompt 1.5) => src/admin/broadcast.js
+
+CREATE TABLE IF NOT EXISTS broadcasts (
+  id               SERIAL PRIMARY KEY,
+  admin_id         BIGINT NOT NULL,
+  audience         TEXT NOT NULL,
+  message          TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'queued',  -- queued | sending | completed | cancelled
+  recipient_count  INTEGER NOT NULL DEFAULT 0,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at       TIMESTAMPTZ,
+  completed_at     TIMESTAMPTZ,
+  cancelled_at     TIMESTAMPTZ,
+  cancelled_by     BIGINT
+);
+
+CREATE TABLE IF NOT EXISTS broadcast_deliveries (
+  id               SERIAL PRIMARY KEY,
+  broadcast_id     INTEGER NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+  user_id          BIGINT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'queued',  -- queued | sending | sent | failed | blocked_bot | cancelled
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error       TEXT,
+  sent_at          TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (broadcast_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_broadcast_deliveries_queue
+  ON broadcast_deliveries (status, next_attempt_at);
@@ -0,0 +1,28 @@
+-- 002_report_schedules.sql
+-- Configurable system report scheduler (Prompt 1.6) => src/admin/reportScheduler.js
+
+CREATE TABLE IF NOT EXISTS admin_report_schedules (
+  id          SERIAL PRIMARY KEY,
+  admin_id    BIGINT NOT NULL,
+  next_run    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE admin_report_schedules
+  ADD COLUMN IF NOT EXISTS frequency        TEXT NOT NULL DEFAULT 'daily',      -- daily | weekly | custom
+  ADD COLUMN IF NOT EXISTS cron_expression  TEXT NOT NULL DEFAULT '0 0 * * *',
+  ADD COLUMN IF NOT EXISTS timezone         TEXT NOT NULL DEFAULT 'UTC',
+  ADD COLUMN IF NOT EXISTS sections         JSONB NOT NULL DEFAULT '["aggregator"]',
+  ADD COLUMN IF NOT EXISTS paused           BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS last_run         TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_admin_report_schedules_due
+  ON admin_report_schedules (next_run) WHERE paused = false;
+
+-- meltdown events, written by scripts/riskScanner.js, read by the meltdown report section
+CREATE TABLE IF NOT EXISTS meltdown_events (
+  id          SERIAL PRIMARY KEY,
+  source      TEXT NOT NULL,
+  reason      TEXT NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
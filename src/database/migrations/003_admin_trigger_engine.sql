@@ -0,0 +1,31 @@
+-- 003_admin_trigger_engine.sql
+-- Auto-trigger rule engine (Prompt 1.7) => src/admin/autoTriggers.js
+
+CREATE TABLE IF NOT EXISTS admin_triggers (
+  id              SERIAL PRIMARY KEY,
+  trigger_type    TEXT NOT NULL,
+  trigger_config  JSONB NOT NULL,
+  created_by      BIGINT NOT NULL
+);
+
+ALTER TABLE admin_triggers
+  ADD COLUMN IF NOT EXISTS enabled           BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS dry_run           BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS cooldown_minutes  INTEGER NOT NULL DEFAULT 60,
+  ADD COLUMN IF NOT EXISTS created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS admin_trigger_firings (
+  id              SERIAL PRIMARY KEY,
+  trigger_id      INTEGER NOT NULL REFERENCES admin_triggers(id) ON DELETE CASCADE,
+  subject_type    TEXT NOT NULL,          -- trader | user | system
+  subject_id      TEXT NOT NULL,
+  observed_value  NUMERIC,
+  action          TEXT NOT NULL,
+  dry_run         BOOLEAN NOT NULL DEFAULT false,
+  success         BOOLEAN NOT NULL DEFAULT true,
+  error           TEXT,
+  fired_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_trigger_firings_cooldown
+  ON admin_trigger_firings (trigger_id, subject_type, subject_id, fired_at DESC);
@@ -0,0 +1,16 @@
+-- 004_admin_custom_roles.sql
+-- Capability-based admin permissions (Prompt 1.4) => src/admin/adminRoles.js
+
+CREATE TABLE IF NOT EXISTS admin_roles (
+  user_id  BIGINT PRIMARY KEY,
+  role     TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_custom_roles (
+  role          TEXT PRIMARY KEY,
+  capabilities  JSONB NOT NULL DEFAULT '[]',
+  description   TEXT,
+  created_by    BIGINT NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,33 @@
+-- 005_admin_approvals.sql
+-- Four-eyes approval for high-impact admin actions => src/admin/adminApprovals.js
+
+CREATE TABLE IF NOT EXISTS admin_approval_requests (
+  id               SERIAL PRIMARY KEY,
+  action           TEXT NOT NULL,
+  params           JSONB NOT NULL DEFAULT '[]',
+  reason           TEXT NOT NULL,
+  requested_by     BIGINT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'pending',  -- pending | approved | rejected | expired | executed | failed
+  emergency        BOOLEAN NOT NULL DEFAULT false,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at       TIMESTAMPTZ NOT NULL,
+  decided_by       BIGINT,
+  decided_at       TIMESTAMPTZ,
+  decision_note    TEXT,
+  executed_at      TIMESTAMPTZ,
+  error            TEXT,
+  review_required  BOOLEAN NOT NULL DEFAULT false,   -- emergency single-signer actions
+  reviewed_by      BIGINT,
+  reviewed_at      TIMESTAMPTZ,
+  review_note      TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_approval_requests_open
+  ON admin_approval_requests (status, expires_at);
+
+-- dual control is off until enabled
+INSERT INTO global_settings (setting_key, setting_value) VALUES
+  ('dual_control_enabled', 'false'),
+  ('dual_control_expiry_hours', '24'),
+  ('dual_control_premium_days', '90')
+ON CONFLICT (setting_key) DO NOTHING;
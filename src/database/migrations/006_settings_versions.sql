@@ -0,0 +1,29 @@
+-- 006_settings_versions.sql
+-- Typed, versioned global settings registry => src/admin/settingsRegistry.js
+
+CREATE TABLE IF NOT EXISTS global_settings (
+  setting_key    TEXT PRIMARY KEY,
+  setting_value  TEXT
+);
+
+CREATE TABLE IF NOT EXISTS global_settings_versions (
+  version         SERIAL PRIMARY KEY,
+  setting_key     TEXT NOT NULL,
+  setting_value   TEXT,
+  previous_value  TEXT,
+  changed_by      BIGINT,
+  reason          TEXT NOT NULL,
+  rollback_of     INTEGER REFERENCES global_settings_versions(version),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_global_settings_versions_key
+  ON global_settings_versions (setting_key, version DESC);
+
+-- version 1..n => whatever was in global_settings before the registry existed
+INSERT INTO global_settings_versions (setting_key, setting_value, previous_value, changed_by, reason, created_at)
+SELECT s.setting_key, s.setting_value, NULL, NULL, 'initial import', NOW()
+FROM global_settings s
+WHERE NOT EXISTS (
+  SELECT 1 FROM global_settings_versions v WHERE v.setting_key = s.setting_key
+);
@@ -0,0 +1,46 @@
+-- 007_circuit_breaker_runtime.sql
+-- Circuit breaker state machine (Prompt 1.10) => src/risk/circuitBreakers.js
+
+CREATE TABLE IF NOT EXISTS circuit_breakers (
+  id          SERIAL PRIMARY KEY,
+  config      JSONB NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by  BIGINT
+);
+
+-- rows stored before this runtime existed were never enforced =>
+-- they start disabled and an admin enables each one deliberately;
+-- breakers created from now on are enabled
+ALTER TABLE circuit_breakers
+  ADD COLUMN IF NOT EXISTS enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE circuit_breakers
+  ALTER COLUMN enabled SET DEFAULT true;
+
+-- one row per breaker and scope instance (e.g. breaker 3 for pair SOL/USDC)
+CREATE TABLE IF NOT EXISTS circuit_breaker_states (
+  breaker_id        INTEGER NOT NULL REFERENCES circuit_breakers(id) ON DELETE CASCADE,
+  scope_key         TEXT NOT NULL,
+  state             TEXT NOT NULL DEFAULT 'closed',   -- closed | open | half_open
+  opened_at         TIMESTAMPTZ,
+  probes_in_flight  INTEGER NOT NULL DEFAULT 0,
+  probe_successes   INTEGER NOT NULL DEFAULT 0,
+  probe_claimed_at  TIMESTAMPTZ,                      -- last probe slot handed out
+  last_reason       TEXT,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (breaker_id, scope_key)
+);
+
+-- execution outcomes seen by each breaker, for the trip window
+CREATE TABLE IF NOT EXISTS circuit_breaker_events (
+  id          SERIAL PRIMARY KEY,
+  breaker_id  INTEGER NOT NULL REFERENCES circuit_breakers(id) ON DELETE CASCADE,
+  scope_key   TEXT NOT NULL,
+  success     BOOLEAN NOT NULL,
+  slippage    NUMERIC,
+  pnl_sol     NUMERIC,
+  probe       BOOLEAN NOT NULL DEFAULT false,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_circuit_breaker_events_window
+  ON circuit_breaker_events (breaker_id, scope_key, created_at DESC);
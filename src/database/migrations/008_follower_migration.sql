@@ -0,0 +1,48 @@
+-- 008_follower_migration.sql
+-- Follower fallback when a trader is deactivated => src/portfolio/followerMigration.js
+
+-- what each follower wants to happen if this trader goes away
+ALTER TABLE trader_followers
+  ADD COLUMN IF NOT EXISTS fallback_mode TEXT NOT NULL DEFAULT 'top_ranked',  -- backup_trader | top_ranked | cash | close_positions
+  ADD COLUMN IF NOT EXISTS backup_trader_id INTEGER REFERENCES traders(id);
+
+CREATE TABLE IF NOT EXISTS follower_migrations (
+  id              SERIAL PRIMARY KEY,
+  trader_id       INTEGER NOT NULL REFERENCES traders(id),
+  initiated_by    BIGINT,
+  reason          TEXT,
+  force_target_trader_id INTEGER REFERENCES traders(id),  -- force_switch => everyone to this trader
+  status          TEXT NOT NULL DEFAULT 'running',         -- running | completed | failed
+  total           INTEGER NOT NULL DEFAULT 0,
+  processed       INTEGER NOT NULL DEFAULT 0,
+  error           TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at    TIMESTAMPTZ
+);
+
+-- one row per follower, snapshotted when the migration starts
+CREATE TABLE IF NOT EXISTS follower_migration_items (
+  id                SERIAL PRIMARY KEY,
+  migration_id      INTEGER NOT NULL REFERENCES follower_migrations(id) ON DELETE CASCADE,
+  user_id           BIGINT NOT NULL,
+  fallback_mode     TEXT NOT NULL,
+  outcome           TEXT,            -- switched | already_following | cash | exit_requested | failed
+  target_trader_id  INTEGER,
+  error             TEXT,
+  processed_at      TIMESTAMPTZ,
+  UNIQUE (migration_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_follower_migration_items_pending
+  ON follower_migration_items (migration_id) WHERE processed_at IS NULL;
+
+-- close_positions => exits picked up by the copy-trading executor
+CREATE TABLE IF NOT EXISTS position_exit_requests (
+  id            SERIAL PRIMARY KEY,
+  user_id       BIGINT NOT NULL,
+  trader_id     INTEGER NOT NULL,
+  migration_id  INTEGER REFERENCES follower_migrations(id),
+  reason        TEXT,
+  status        TEXT NOT NULL DEFAULT 'pending',  -- pending | done | failed
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
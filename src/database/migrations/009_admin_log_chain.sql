@@ -0,0 +1,49 @@
+-- 009_admin_log_chain.sql
+-- Hash-chained admin_logs + anchors of the chain head => src/admin/adminLogs.js
+
+CREATE TABLE IF NOT EXISTS admin_logs (
+  id          SERIAL PRIMARY KEY,
+  admin_user  BIGINT,
+  action      TEXT NOT NULL,
+  details     TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- rows written before this migration keep seq NULL and stay outside the chain
+ALTER TABLE admin_logs
+  ADD COLUMN IF NOT EXISTS seq BIGINT,
+  ADD COLUMN IF NOT EXISTS payload JSONB,
+  ADD COLUMN IF NOT EXISTS prev_hash TEXT,
+  ADD COLUMN IF NOT EXISTS entry_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_logs_seq
+  ON admin_logs (seq) WHERE seq IS NOT NULL;
+
+-- chained rows are append-only for everyone going through the app role
+CREATE OR REPLACE FUNCTION admin_logs_append_only() RETURNS trigger AS $$
+BEGIN
+  IF OLD.seq IS NOT NULL THEN
+    RAISE EXCEPTION 'admin_logs entry % is part of the audit chain and cannot be modified', OLD.seq;
+  END IF;
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_admin_logs_append_only ON admin_logs;
+CREATE TRIGGER trg_admin_logs_append_only
+  BEFORE UPDATE OR DELETE ON admin_logs
+  FOR EACH ROW EXECUTE FUNCTION admin_logs_append_only();
+
+-- published chain heads (signed checkpoint file or Solana memo)
+CREATE TABLE IF NOT EXISTS admin_log_anchors (
+  id          SERIAL PRIMARY KEY,
+  seq         BIGINT NOT NULL,
+  entry_hash  TEXT NOT NULL,
+  method      TEXT NOT NULL,     -- checkpoint_file | solana_memo
+  reference   TEXT,              -- file path or transaction signature
+  signature   TEXT,              -- ed25519 signature for checkpoint_file
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
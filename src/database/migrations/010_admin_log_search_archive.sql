@@ -0,0 +1,63 @@
+-- 010_admin_log_search_archive.sql
+-- Structured admin_logs details, full-text search and archival
+-- => src/admin/adminLogs.js, src/admin/adminLogArchive.js
+
+ALTER TABLE admin_logs
+  ADD COLUMN IF NOT EXISTS target_type TEXT,      -- user | trader | setting | broadcast | ...
+  ADD COLUMN IF NOT EXISTS target_id TEXT,
+  ADD COLUMN IF NOT EXISTS before_value JSONB,
+  ADD COLUMN IF NOT EXISTS after_value JSONB,
+  ADD COLUMN IF NOT EXISTS origin TEXT;           -- webapp | telegram | system
+
+ALTER TABLE admin_logs
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', COALESCE(action, '') || ' ' || COALESCE(details, '') || ' ' || COALESCE(payload::text, ''))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_admin_logs_search
+  ON admin_logs USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_admin_logs_target
+  ON admin_logs (target_type, target_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_logs_created_at
+  ON admin_logs (created_at);
+
+-- archived ranges of the chain, gzipped JSONL in `content` or in a file
+CREATE TABLE IF NOT EXISTS admin_log_archives (
+  id                SERIAL PRIMARY KEY,
+  from_seq          BIGINT,          -- NULL => only pre-chain rows
+  to_seq            BIGINT,
+  prev_hash         TEXT,            -- prev_hash of the first archived entry
+  last_entry_hash   TEXT,            -- entry_hash of the last archived entry
+  entry_count       INTEGER NOT NULL,
+  first_created_at  TIMESTAMPTZ,
+  last_created_at   TIMESTAMPTZ,
+  storage           TEXT NOT NULL,   -- table | file
+  content           BYTEA,
+  file_path         TEXT,
+  content_sha256    TEXT NOT NULL,   -- of the uncompressed JSONL
+  archived_by       BIGINT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- chained rows stay append-only, except for deletes made by the
+-- archiver inside its own transaction
+CREATE OR REPLACE FUNCTION admin_logs_append_only() RETURNS trigger AS $$
+BEGIN
+  IF OLD.seq IS NOT NULL THEN
+    IF TG_OP = 'DELETE' AND current_setting('alphalink.admin_log_archiving', true) = 'on' THEN
+      RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'admin_logs entry % is part of the audit chain and cannot be modified', OLD.seq;
+  END IF;
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO global_settings (setting_key, setting_value) VALUES
+  ('admin_log_retention_days', '365'),
+  ('admin_log_archive_storage', 'table')
+ON CONFLICT (setting_key) DO NOTHING;
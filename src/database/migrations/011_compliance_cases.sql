@@ -0,0 +1,100 @@
+-- 011_compliance_cases.sql
+-- Compliance case management => src/admin/complianceCases.js
+-- replaces appending ' | ...' to users.compliance_notes
+
+CREATE TABLE IF NOT EXISTS compliance_cases (
+  id               SERIAL PRIMARY KEY,
+  title            TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'open',     -- open | investigating | escalated | closed
+  severity         TEXT NOT NULL DEFAULT 'medium',   -- low | medium | high | critical
+  owner_admin_id   BIGINT,
+  opened_by        BIGINT,
+  resolution       TEXT,                             -- cleared | confirmed (closed cases)
+  source           TEXT NOT NULL DEFAULT 'admin',    -- admin | system | migration:<userId>
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_cases_status
+  ON compliance_cases (status, severity, id DESC);
+
+CREATE TABLE IF NOT EXISTS compliance_case_users (
+  case_id          INTEGER NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+  user_id          BIGINT NOT NULL,
+  blocked_by_case  BOOLEAN NOT NULL DEFAULT false,   -- this case is why the user is blocked
+  added_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (case_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_case_users_user
+  ON compliance_case_users (user_id);
+
+CREATE TABLE IF NOT EXISTS compliance_case_wallets (
+  case_id   INTEGER NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+  address   TEXT NOT NULL,
+  label     TEXT,
+  added_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (case_id, address)
+);
+
+CREATE TABLE IF NOT EXISTS compliance_case_trades (
+  case_id   INTEGER NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+  trade_id  BIGINT NOT NULL,                          -- trade_executions.id
+  added_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (case_id, trade_id)
+);
+
+CREATE TABLE IF NOT EXISTS compliance_case_notes (
+  id               SERIAL PRIMARY KEY,
+  case_id          INTEGER NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+  author_admin_id  BIGINT,                            -- NULL => imported or system
+  kind             TEXT NOT NULL DEFAULT 'note',      -- note | status_change | migrated | system
+  body             TEXT NOT NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_case_notes_case
+  ON compliance_case_notes (case_id, created_at);
+
+CREATE TABLE IF NOT EXISTS compliance_case_evidence (
+  id           SERIAL PRIMARY KEY,
+  case_id      INTEGER NOT NULL REFERENCES compliance_cases(id) ON DELETE CASCADE,
+  added_by     BIGINT,
+  kind         TEXT NOT NULL,                         -- file | url | tx | text
+  reference    TEXT NOT NULL,                         -- filename, URL, tx signature or text
+  description  TEXT,
+  content      BYTEA,                                 -- uploaded file
+  sha256       TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- import of users.compliance_notes:
+-- one case per user with notes (or a block), each ' | ' segment becomes a 'migrated' note;
+-- blocked users get an escalated case that holds the block, everyone else a
+-- closed one. Users that already have an imported case are skipped.
+INSERT INTO compliance_cases (title, status, severity, resolution, source, created_at, updated_at, closed_at)
+SELECT 'Imported compliance notes for user ' || u.id,
+       CASE WHEN u.compliance_blocked THEN 'escalated' ELSE 'closed' END,
+       CASE WHEN u.compliance_blocked THEN 'high' ELSE 'low' END,
+       CASE WHEN u.compliance_blocked THEN NULL ELSE 'cleared' END,
+       'migration:' || u.id,
+       NOW(), NOW(),
+       CASE WHEN u.compliance_blocked THEN NULL ELSE NOW() END
+FROM users u
+WHERE (COALESCE(TRIM(u.compliance_notes), '') <> '' OR u.compliance_blocked)
+  AND NOT EXISTS (SELECT 1 FROM compliance_cases c WHERE c.source = 'migration:' || u.id);
+
+INSERT INTO compliance_case_users (case_id, user_id, blocked_by_case)
+SELECT c.id, u.id, u.compliance_blocked
+FROM compliance_cases c
+JOIN users u ON c.source = 'migration:' || u.id
+ON CONFLICT (case_id, user_id) DO NOTHING;
+
+INSERT INTO compliance_case_notes (case_id, author_admin_id, kind, body, created_at)
+SELECT c.id, NULL, 'migrated', TRIM(part.body), NOW() + (part.ord * INTERVAL '1 microsecond')
+FROM compliance_cases c
+JOIN users u ON c.source = 'migration:' || u.id
+CROSS JOIN LATERAL regexp_split_to_table(u.compliance_notes, '\s*\|\s*') WITH ORDINALITY AS part(body, ord)
+WHERE TRIM(part.body) <> ''
+  AND NOT EXISTS (SELECT 1 FROM compliance_case_notes n WHERE n.case_id = c.id AND n.kind = 'migrated');
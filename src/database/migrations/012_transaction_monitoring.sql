@@ -0,0 +1,64 @@
+-- 012_transaction_monitoring.sql
+-- Transaction monitoring rules + alerts => src/admin/transactionMonitoring.js
+
+-- source / destination wallet of a deposit or withdrawal,
+-- needed to spot many accounts funded from one wallet
+ALTER TABLE vault_transactions
+  ADD COLUMN IF NOT EXISTS counterparty_address TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vault_transactions_monitoring
+  ON vault_transactions (type, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_vault_transactions_counterparty
+  ON vault_transactions (counterparty_address, created_at)
+  WHERE counterparty_address IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS monitoring_rules (
+  id              SERIAL PRIMARY KEY,
+  name            TEXT NOT NULL,
+  rule_type       TEXT NOT NULL,                     -- rapid_in_out | structuring | shared_funding_source | trade_velocity
+  rule_config     JSONB NOT NULL,                    -- normalized by transactionMonitoring.normalizeRuleConfig
+  enabled         BOOLEAN NOT NULL DEFAULT true,
+  created_by      BIGINT NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS monitoring_alerts (
+  id                SERIAL PRIMARY KEY,
+  rule_id           INTEGER NOT NULL REFERENCES monitoring_rules(id) ON DELETE CASCADE,
+  user_id           BIGINT NOT NULL,
+  score             INTEGER NOT NULL,
+  observed_value    NUMERIC,
+  dedup_key         TEXT NOT NULL,                   -- triggering event, e.g. 'deposit:123'
+  details           JSONB NOT NULL DEFAULT '{}',     -- tx / trade ids, wallets, window
+  status            TEXT NOT NULL DEFAULT 'open',    -- open | actioned | dismissed
+  suggested_rating  TEXT,
+  applied_rating    TEXT,
+  case_id           INTEGER REFERENCES compliance_cases(id) ON DELETE SET NULL,
+  resolved_by       BIGINT,
+  resolution_note   TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at       TIMESTAMPTZ
+);
+
+-- the same event never raises two alerts for one rule
+CREATE UNIQUE INDEX IF NOT EXISTS idx_monitoring_alerts_dedup
+  ON monitoring_alerts (rule_id, user_id, dedup_key);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_cooldown
+  ON monitoring_alerts (rule_id, user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_status
+  ON monitoring_alerts (status, id DESC);
+
+-- stored so a tuning session can be compared run by run
+CREATE TABLE IF NOT EXISTS monitoring_backtests (
+  id           SERIAL PRIMARY KEY,
+  run_by       BIGINT,
+  range_from   TIMESTAMPTZ NOT NULL,
+  range_to     TIMESTAMPTZ NOT NULL,
+  rules        JSONB NOT NULL,                       -- rule configs as tested
+  summary      JSONB NOT NULL,                       -- per rule: hits, users, labelled outcomes
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
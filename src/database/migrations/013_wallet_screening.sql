@@ -0,0 +1,71 @@
+-- 013_wallet_screening.sql
+-- Counterparty screening for deposits / withdrawals => src/vault/walletScreening.js
+
+-- every list set that was ever loaded, so a decision's list_version
+-- can be shown to an examiner with the exact entries it was checked against
+CREATE TABLE IF NOT EXISTS wallet_screening_list_versions (
+  version      TEXT PRIMARY KEY,                    -- sha256 over the list files
+  files        JSONB NOT NULL,                      -- [{ file, kind, name, sha256, entries }]
+  entry_count  INTEGER NOT NULL,
+  content      BYTEA NOT NULL,                      -- gzipped JSON of every entry
+  loaded_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS wallet_screening_decisions (
+  id            SERIAL PRIMARY KEY,
+  address       TEXT NOT NULL,
+  direction     TEXT NOT NULL,                      -- deposit | withdrawal | manual
+  user_id       BIGINT,
+  reference     TEXT,                               -- tx signature, withdrawal:<id>, ...
+  decision      TEXT NOT NULL,                      -- clear | match | error
+  matches       JSONB NOT NULL DEFAULT '[]',        -- [{ list, kind, reason }]
+  list_version  TEXT REFERENCES wallet_screening_list_versions(version),
+  screened_by   BIGINT,                             -- admin for manual checks
+  error         TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_screening_decisions_address
+  ON wallet_screening_decisions (address, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_screening_decisions_user
+  ON wallet_screening_decisions (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS withdrawal_requests (
+  id                     SERIAL PRIMARY KEY,
+  user_id                BIGINT NOT NULL,
+  destination            TEXT NOT NULL,
+  amount                 NUMERIC NOT NULL,
+  token                  TEXT NOT NULL DEFAULT 'SOL',
+  status                 TEXT NOT NULL DEFAULT 'screening', -- screening | pending | held | approved | executing | submitted | rejected | completed | failed
+  screening_decision_id  INTEGER REFERENCES wallet_screening_decisions(id),
+  hold_reason            TEXT,
+  reviewed_by            BIGINT,
+  review_note            TEXT,
+  tx_signature           TEXT,
+  last_valid_block_height BIGINT,                          -- of tx_signature's blockhash, for reconciliation
+  error                  TEXT,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_status
+  ON withdrawal_requests (status, id);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_user
+  ON withdrawal_requests (user_id, id DESC);
+
+-- a compliance release of a held withdrawal = confirmed false positive
+-- for this destination against this exact list version; a new list
+-- version is screened again from scratch
+CREATE TABLE IF NOT EXISTS wallet_screening_overrides (
+  id            SERIAL PRIMARY KEY,
+  address       TEXT NOT NULL,
+  list_version  TEXT NOT NULL REFERENCES wallet_screening_list_versions(version),
+  decision_id   INTEGER REFERENCES wallet_screening_decisions(id),  -- the match that was overridden
+  approved_by   BIGINT NOT NULL,
+  reference     TEXT,                               -- withdrawal:<id>
+  note          TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (address, list_version)
+);
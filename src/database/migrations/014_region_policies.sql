@@ -0,0 +1,61 @@
+-- 014_region_policies.sql
+-- Region-based feature gating => src/admin/regionPolicy.js
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS declared_region         TEXT,          -- ISO 3166 code the user gave us, e.g. 'DE', 'US-NY'
+  ADD COLUMN IF NOT EXISTS detected_region         TEXT,          -- from phone / IP / KYC
+  ADD COLUMN IF NOT EXISTS detected_region_source  TEXT,
+  ADD COLUMN IF NOT EXISTS region_updated_at       TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS language_code           TEXT;          -- for localized refusal messages
+
+CREATE INDEX IF NOT EXISTS idx_users_declared_region ON users (declared_region);
+CREATE INDEX IF NOT EXISTS idx_users_detected_region ON users (detected_region);
+
+-- 'DEFAULT' applies to every region without its own row
+CREATE TABLE IF NOT EXISTS region_policies (
+  region            TEXT PRIMARY KEY,
+  copy_trading      BOOLEAN NOT NULL DEFAULT true,
+  ai_trading        BOOLEAN NOT NULL DEFAULT true,
+  premium_purchase  BOOLEAN NOT NULL DEFAULT true,
+  withdrawals       BOOLEAN NOT NULL DEFAULT true,
+  max_deposit_sol   NUMERIC,                                -- NULL => no limit
+  version           INTEGER NOT NULL DEFAULT 1,
+  updated_by        BIGINT,
+  reason            TEXT,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO region_policies (region, reason)
+VALUES ('DEFAULT', 'initial policy')
+ON CONFLICT (region) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS region_policy_versions (
+  id          SERIAL PRIMARY KEY,
+  region      TEXT NOT NULL,
+  version     INTEGER NOT NULL,
+  policy      JSONB,                                        -- NULL => region row removed
+  changed_by  BIGINT,
+  reason      TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (region, version)
+);
+
+-- features each user had at the last evaluation, to detect what a policy change takes away
+CREATE TABLE IF NOT EXISTS user_policy_state (
+  user_id        BIGINT PRIMARY KEY,
+  regions        TEXT[] NOT NULL,
+  features       JSONB NOT NULL,
+  evaluated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS region_policy_reevaluations (
+  id            SERIAL PRIMARY KEY,
+  region        TEXT NOT NULL,
+  started_by    BIGINT,
+  status        TEXT NOT NULL DEFAULT 'running',           -- running | completed | failed
+  total         INTEGER NOT NULL DEFAULT 0,
+  changed       INTEGER NOT NULL DEFAULT 0,
+  error         TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at  TIMESTAMPTZ
+);
@@ -0,0 +1,34 @@
+-- 015_data_subject_requests.sql
+-- Personal data export / erasure requests => src/admin/dataSubjectRequests.js
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS erased_at  TIMESTAMPTZ,   -- personal fields pseudonymized
+  ADD COLUMN IF NOT EXISTS pseudonym  TEXT;
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id                SERIAL PRIMARY KEY,
+  user_id           BIGINT NOT NULL,
+  request_type      TEXT NOT NULL,                           -- export | erasure
+  status            TEXT NOT NULL DEFAULT 'pending_approval', -- pending_approval | processing | completed | rejected | failed
+  source            TEXT NOT NULL DEFAULT 'admin',           -- user (bot) | admin
+  requested_by      BIGINT,                                  -- admin, NULL when the user filed it
+  reason            TEXT,
+  due_at            TIMESTAMPTZ NOT NULL,                    -- statutory deadline
+  approved_by       BIGINT,
+  approved_at       TIMESTAMPTZ,
+  rejected_by       BIGINT,
+  rejection_reason  TEXT,
+  result            JSONB,                                   -- export manifest / erasure summary
+  error             TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at      TIMESTAMPTZ
+);
+
+-- one open request per user and type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_subject_requests_open
+  ON data_subject_requests (user_id, request_type)
+  WHERE status IN ('pending_approval', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_status
+  ON data_subject_requests (status, due_at);
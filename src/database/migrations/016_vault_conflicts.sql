@@ -0,0 +1,33 @@
+-- 016_vault_conflicts.sql
+-- Vault locks, stuck trades and admin retries => src/vault/vaultConflictResolver.js
+
+-- every signer takes the lock before it signs for a vault (vaultLock.js) and records
+-- the transaction it submitted under it until the transaction confirms
+ALTER TABLE user_vaults
+  ADD COLUMN IF NOT EXISTS vault_locked_until        TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS vault_locked_at           TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS vault_lock_holder         TEXT,          -- the operation, e.g. 'withdrawal:12'
+  ADD COLUMN IF NOT EXISTS vault_lock_tx_signature   TEXT,
+  ADD COLUMN IF NOT EXISTS vault_lock_tx_submitted_at TIMESTAMPTZ;
+
+ALTER TABLE trade_executions
+  ADD COLUMN IF NOT EXISTS error_reason TEXT;
+
+-- retries of failed trades, run by vaultConflictResolver.processTradeRetries;
+-- one per trade so a repeated click cannot queue it twice
+CREATE TABLE IF NOT EXISTS trade_retry_requests (
+  id               SERIAL PRIMARY KEY,
+  trade_id         BIGINT NOT NULL UNIQUE,          -- trade_executions.id being retried
+  user_id          BIGINT NOT NULL,
+  requested_by     BIGINT,
+  status           TEXT NOT NULL DEFAULT 'pending', -- pending | executing | done | failed
+  result_trade_id  BIGINT,                          -- trade_executions.id of the new attempt
+  error            TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_retry_requests_user
+  ON trade_retry_requests (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trade_executions_user_status
+  ON trade_executions (user_id, executed_at DESC, status);
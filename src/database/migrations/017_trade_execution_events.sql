@@ -0,0 +1,25 @@
+-- 017_trade_execution_events.sql
+-- Per-trade execution trace for the trade inspector => src/aggregator/executionTrace.js
+
+-- one id per run through aggregator.executeWithSafeguards; the executor
+-- stores it on the trade_executions row it writes
+ALTER TABLE trade_executions
+  ADD COLUMN IF NOT EXISTS execution_id  TEXT,
+  ADD COLUMN IF NOT EXISTS signal_type   TEXT;    -- copy | ai
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trade_executions_execution_id
+  ON trade_executions (execution_id) WHERE execution_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS trade_execution_events (
+  id            BIGSERIAL PRIMARY KEY,
+  execution_id  TEXT NOT NULL,
+  trade_id      BIGINT,                 -- trade_executions.id once known
+  event_type    TEXT NOT NULL,          -- signal | risk_check | quote | route | submission | confirmation | settlement | blocked | error
+  payload       JSONB NOT NULL DEFAULT '{}',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_execution_events_execution
+  ON trade_execution_events (execution_id, id);
+CREATE INDEX IF NOT EXISTS idx_trade_execution_events_trade
+  ON trade_execution_events (trade_id, id) WHERE trade_id IS NOT NULL;
@@ -0,0 +1,91 @@
+-- 018_trader_follow_analytics.sql
+-- Followership analytics => src/portfolio/traderAnalytics.js
+
+-- when the current follow started (getFollows orders by it); the
+-- history lives in trader_follow_intervals
+ALTER TABLE trader_followers
+  ADD COLUMN IF NOT EXISTS followed_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- one row per follow interval, so re-following keeps the earlier ones;
+-- rows from before this migration get the migration time
+CREATE TABLE IF NOT EXISTS trader_follow_intervals (
+  id             BIGSERIAL PRIMARY KEY,
+  user_id        BIGINT NOT NULL,
+  trader_id      INTEGER NOT NULL,
+  followed_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  unfollowed_at  TIMESTAMPTZ                        -- NULL while the follow is active
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trader_follow_intervals_open
+  ON trader_follow_intervals (user_id, trader_id) WHERE unfollowed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_trader_follow_intervals_followed_at ON trader_follow_intervals (followed_at);
+CREATE INDEX IF NOT EXISTS idx_trader_follow_intervals_unfollowed_at ON trader_follow_intervals (unfollowed_at)
+  WHERE unfollowed_at IS NOT NULL;
+
+INSERT INTO trader_follow_intervals (user_id, trader_id, followed_at, unfollowed_at)
+SELECT user_id, trader_id, followed_at, CASE WHEN is_active THEN NULL ELSE NOW() END
+FROM trader_followers
+WHERE NOT EXISTS (SELECT 1 FROM trader_follow_intervals);
+
+-- every code path follows / unfollows by inserting or flipping
+-- is_active; record the intervals here so none of them can forget
+DROP TRIGGER IF EXISTS trg_trader_followers_stamp_interval ON trader_followers;
+DROP FUNCTION IF EXISTS trader_followers_stamp_interval();
+
+CREATE OR REPLACE FUNCTION trader_followers_record_interval() RETURNS trigger AS $$
+DECLARE
+  was_active BOOLEAN := false;
+  now_active BOOLEAN := false;
+BEGIN
+  IF TG_OP <> 'INSERT' THEN was_active := OLD.is_active; END IF;
+  IF TG_OP <> 'DELETE' THEN now_active := NEW.is_active; END IF;
+
+  IF was_active AND NOT now_active THEN
+    UPDATE trader_follow_intervals SET unfollowed_at = NOW()
+    WHERE user_id = OLD.user_id AND trader_id = OLD.trader_id AND unfollowed_at IS NULL;
+  ELSIF now_active AND NOT was_active THEN
+    INSERT INTO trader_follow_intervals (user_id, trader_id)
+    VALUES (NEW.user_id, NEW.trader_id)
+    ON CONFLICT (user_id, trader_id) WHERE unfollowed_at IS NULL DO NOTHING;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION trader_followers_stamp_followed_at() RETURNS trigger AS $$
+BEGIN
+  IF NOT OLD.is_active AND NEW.is_active THEN
+    NEW.followed_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_trader_followers_record_interval ON trader_followers;
+CREATE TRIGGER trg_trader_followers_record_interval
+  AFTER INSERT OR UPDATE OF is_active OR DELETE ON trader_followers
+  FOR EACH ROW EXECUTE FUNCTION trader_followers_record_interval();
+
+DROP TRIGGER IF EXISTS trg_trader_followers_stamp_followed_at ON trader_followers;
+CREATE TRIGGER trg_trader_followers_stamp_followed_at
+  BEFORE UPDATE OF is_active ON trader_followers
+  FOR EACH ROW EXECUTE FUNCTION trader_followers_stamp_followed_at();
+
+-- daily per-trader figures that cannot be rebuilt later (AUM, leader ROI)
+CREATE TABLE IF NOT EXISTS trader_follow_snapshots (
+  snapshot_date     DATE NOT NULL,
+  trader_id         INTEGER NOT NULL,
+  followers         INTEGER NOT NULL,
+  aum_sol           NUMERIC NOT NULL,   -- follower vault balances, split evenly across each follower's traders
+  follower_pnl_sol  NUMERIC NOT NULL,   -- realised PnL of the day's copy trades of this trader
+  leader_roi_30d    NUMERIC,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (snapshot_date, trader_id)
+);
+
+CREATE TABLE IF NOT EXISTS platform_aum_snapshots (
+  snapshot_date      DATE PRIMARY KEY,
+  aum_sol            NUMERIC NOT NULL,  -- every vault
+  following_aum_sol  NUMERIC NOT NULL,  -- vaults with at least one active follow
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
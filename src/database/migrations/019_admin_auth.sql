@@ -0,0 +1,87 @@
+-- 019_admin_auth.sql
+-- Admin login, TOTP, sessions and scoped API keys => src/admin/adminAuth.js
+
+-- one authenticator per admin; confirmed_at NULL => enrollment pending
+CREATE TABLE IF NOT EXISTS admin_totp (
+  user_id         BIGINT PRIMARY KEY,
+  secret_enc      TEXT NOT NULL,          -- AES-256-GCM, key from ADMIN_TOTP_KEY
+  confirmed_at    TIMESTAMPTZ,
+  last_used_step  BIGINT,                 -- a code is accepted once
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- one-time codes sent by the bot (first factor)
+CREATE TABLE IF NOT EXISTS admin_login_codes (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL,
+  code_hash   TEXT NOT NULL,
+  ip          TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_login_codes_user ON admin_login_codes (user_id, created_at DESC);
+
+-- first factor passed, waiting for the TOTP code
+CREATE TABLE IF NOT EXISTS admin_login_challenges (
+  token_hash  TEXT PRIMARY KEY,
+  user_id     BIGINT NOT NULL,
+  method      TEXT NOT NULL CHECK (method IN ('bot_code', 'telegram_widget')),
+  ip          TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ
+);
+
+-- per-account lockout counts these
+CREATE TABLE IF NOT EXISTS admin_login_failures (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL,
+  stage       TEXT NOT NULL,              -- 'login_code', 'telegram_widget', 'totp', ...
+  ip          TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_login_failures_user ON admin_login_failures (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_login_failures_ip ON admin_login_failures (ip, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id             BIGSERIAL PRIMARY KEY,
+  token_hash     TEXT NOT NULL UNIQUE,    -- sha256 of the bearer token, never the token
+  user_id        BIGINT NOT NULL,
+  method         TEXT NOT NULL,
+  ip             TEXT,
+  user_agent     TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at     TIMESTAMPTZ NOT NULL,
+  revoked_at     TIMESTAMPTZ,
+  revoked_by     BIGINT,
+  revoke_reason  TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id, created_at DESC);
+
+-- a key acts as the admin who created it, limited to the listed
+-- adminWebApp routes and to that admin's current capabilities
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id            SERIAL PRIMARY KEY,
+  user_id       BIGINT NOT NULL,
+  name          TEXT NOT NULL,
+  key_prefix    TEXT NOT NULL UNIQUE,
+  key_hash      TEXT NOT NULL,
+  routes        JSONB NOT NULL,           -- ["GET /metrics", "POST /vault_conflicts/:userId/unlock"]
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at    TIMESTAMPTZ,
+  last_used_at  TIMESTAMPTZ,
+  last_used_ip  TEXT,
+  revoked_at    TIMESTAMPTZ,
+  revoked_by    BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_api_keys_user ON admin_api_keys (user_id);
+
+-- admin_logs.origin gains 'api' (web app calls made with an API key)
+COMMENT ON COLUMN admin_logs.origin IS 'webapp | api | telegram | system';
@@ -0,0 +1,18 @@
+-- 020_price_oracle.sql
+-- Per-source health of the price oracle => src/oracle/priceOracle.js
+-- Counters are added to by every process reading prices.
+
+CREATE TABLE IF NOT EXISTS price_oracle_sources (
+  source                TEXT PRIMARY KEY,    -- provider name: 'coingecko', 'pyth', ...
+  kind                  TEXT NOT NULL,       -- 'http' | 'onchain' | 'file'
+  successes             BIGINT NOT NULL DEFAULT 0,
+  failures              BIGINT NOT NULL DEFAULT 0,
+  consecutive_failures  INTEGER NOT NULL DEFAULT 0,
+  outliers              BIGINT NOT NULL DEFAULT 0,   -- prices rejected as too far from the median
+  stale_reads           BIGINT NOT NULL DEFAULT 0,   -- prices older than price_oracle_max_age_seconds
+  last_success_at       TIMESTAMPTZ,
+  last_error            TEXT,
+  last_error_at         TIMESTAMPTZ,
+  last_latency_ms       INTEGER,
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,51 @@
+-- 021_flash_crash_watch.sql
+-- Multi-asset flash-crash detection => src/risk/flashCrashWatch.js, scripts/riskScanner.js
+
+-- assets the scanner watches; config is validated by flashCrashWatch.normalizeWatchConfig
+CREATE TABLE IF NOT EXISTS flash_crash_watchlist (
+  symbol      TEXT PRIMARY KEY,                -- oracle symbol: 'SOL', 'BTC', ...
+  config      JSONB NOT NULL,                  -- { windows: [...], reaction, pauseMinutes, cooldownMinutes }
+  enabled     BOOLEAN NOT NULL DEFAULT true,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by  BIGINT,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- BTC was the only asset watched before; SOL is what vaults hold
+INSERT INTO flash_crash_watchlist (symbol, config) VALUES
+  ('BTC', '{"reaction": "global"}'),
+  ('SOL', '{"reaction": "global"}'),
+  ('ETH', '{"reaction": "token"}')
+ON CONFLICT (symbol) DO NOTHING;
+
+-- one row per detected crash (also the cooldown source)
+CREATE TABLE IF NOT EXISTS flash_crash_events (
+  id               SERIAL PRIMARY KEY,
+  symbol           TEXT NOT NULL,
+  window_minutes   INTEGER NOT NULL,
+  mode             TEXT NOT NULL,               -- 'static' | 'sigma'
+  drop_pct         NUMERIC NOT NULL,            -- from the window high
+  threshold_pct    NUMERIC NOT NULL,
+  price            NUMERIC NOT NULL,
+  peak_price       NUMERIC NOT NULL,
+  reaction         TEXT NOT NULL,               -- 'token' | 'global'
+  breaker_id       INTEGER,                     -- token breaker that was opened
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flash_crash_events_symbol
+  ON flash_crash_events (symbol, created_at DESC);
+
+-- global_metrics now holds a per-minute price series ('<symbol>_price')
+CREATE INDEX IF NOT EXISTS idx_global_metrics_metric_time
+  ON global_metrics (metric, timestamp DESC);
+
+-- a token pause lasts the watch's pauseMinutes, not the breaker's openMinutes
+-- (circuitBreakers.openScopedBreaker); NULL => config.openMinutes
+ALTER TABLE circuit_breaker_states
+  ADD COLUMN IF NOT EXISTS open_minutes INTEGER;
+
+-- system breakers only open when told to (autoTrip false)
+UPDATE circuit_breakers
+SET config = config || '{"autoTrip": false}'::jsonb
+WHERE created_by IS NULL AND config->>'scope' = 'token' AND NOT config ? 'autoTrip';
@@ -0,0 +1,45 @@
+-- 022_meltdown_levels.sql
+-- Graduated meltdown levels 0-4 => src/risk/meltdownMode.js
+
+-- single row: the current level
+CREATE TABLE IF NOT EXISTS meltdown_state (
+  id             INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  level          INTEGER NOT NULL DEFAULT 0,   -- 0 normal .. 4 halted
+  floor_level    INTEGER NOT NULL DEFAULT 0,   -- set by an admin, automatic de-escalation stops here
+  reason         TEXT,
+  source         TEXT,                         -- 'riskScanner' | 'admin:<id>' | 'system'
+  changed_at     TIMESTAMPTZ,
+  pending_level  INTEGER,                      -- target waiting for its hold / cooldown
+  pending_since  TIMESTAMPTZ,
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO meltdown_state (id, level) VALUES (1, 0)
+ON CONFLICT (id) DO NOTHING;
+
+-- latest result of each scanner check ('aggregator_error_rate', 'flash_crash:SOL', ...)
+CREATE TABLE IF NOT EXISTS meltdown_conditions (
+  key         TEXT PRIMARY KEY,
+  level       INTEGER NOT NULL,                -- level the check asks for, 0 => cleared
+  reason      TEXT,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- every level change, read by the admin stream and the meltdown report section
+CREATE TABLE IF NOT EXISTS meltdown_level_changes (
+  id          SERIAL PRIMARY KEY,
+  from_level  INTEGER NOT NULL,
+  to_level    INTEGER NOT NULL,
+  reason      TEXT NOT NULL,
+  source      TEXT NOT NULL,
+  admin_id    BIGINT,
+  conditions  JSONB NOT NULL DEFAULT '[]',     -- active conditions at the time
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meltdown_level_changes_created
+  ON meltdown_level_changes (created_at DESC);
+
+-- level changes are broadcast to copy-trading users; NULL => sent by the system
+ALTER TABLE broadcasts
+  ALTER COLUMN admin_id DROP NOT NULL;
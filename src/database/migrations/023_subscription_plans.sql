@@ -0,0 +1,71 @@
+-- 023_subscription_plans.sql
+-- Subscription plans, entitlements and prorated plan changes
+-- => src/vault/subscription.js, scripts/subscriptionBilling.js
+
+-- tier orders the plans: a higher tier is an upgrade
+CREATE TABLE IF NOT EXISTS subscription_plans (
+  id                 TEXT PRIMARY KEY,                  -- 'free', 'premium', 'pro'
+  name               TEXT NOT NULL,
+  tier               INTEGER NOT NULL UNIQUE,
+  monthly_price_usd  NUMERIC NOT NULL DEFAULT 0,
+  yearly_price_usd   NUMERIC NOT NULL DEFAULT 0,
+  entitlements       JSONB NOT NULL DEFAULT '{}',       -- validated by subscription.normalizeEntitlements
+  active             BOOLEAN NOT NULL DEFAULT true,     -- false => existing subscribers renew, nobody new joins
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO subscription_plans (id, name, tier, monthly_price_usd, yearly_price_usd, entitlements) VALUES
+  ('free', 'Free', 0, 0, 0,
+   '{"copy_trading": true, "max_follows": 1, "ai_signals": false, "ai_trading": false, "priority_execution": false}'),
+  ('premium', 'Premium', 1, 14.99, 149.90,
+   '{"copy_trading": true, "max_follows": 5, "ai_signals": true, "ai_trading": false, "priority_execution": false}'),
+  ('pro', 'Pro', 2, 39.99, 399.90,
+   '{"copy_trading": true, "max_follows": 20, "ai_signals": true, "ai_trading": true, "priority_execution": true}')
+ON CONFLICT (id) DO NOTHING;
+
+-- premium_expires_at stays the end of the paid period;
+-- user_type stays 'premium' for every paid plan (broadcast audiences, reports)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS plan_id                  TEXT REFERENCES subscription_plans (id),
+  ADD COLUMN IF NOT EXISTS plan_interval            TEXT,                       -- 'monthly' | 'yearly'
+  ADD COLUMN IF NOT EXISTS plan_currency            TEXT NOT NULL DEFAULT 'SOL', -- 'SOL' | 'USDC', paid from the vault
+  ADD COLUMN IF NOT EXISTS subscription_credit_usd  NUMERIC NOT NULL DEFAULT 0,  -- unused time of a downgrade, spent on the next charge
+  ADD COLUMN IF NOT EXISTS billing_locked_until     TIMESTAMPTZ;                 -- one charge per user at a time
+
+-- the single 0.1 SOL / 30 days plan
+UPDATE users SET plan_id = 'premium', plan_interval = 'monthly'
+WHERE user_type = 'premium' AND plan_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_plan_expiry ON users (plan_id, premium_expires_at);
+
+CREATE TABLE IF NOT EXISTS subscription_payments (
+  id                  SERIAL PRIMARY KEY,
+  user_id             BIGINT NOT NULL,
+  kind                TEXT NOT NULL,          -- 'new' | 'renewal' | 'upgrade' | 'downgrade' | 'interval_change'
+  from_plan_id        TEXT,
+  plan_id             TEXT NOT NULL,
+  plan_interval       TEXT,
+  price_usd           NUMERIC NOT NULL,       -- prorated price of the new period
+  unused_credit_usd   NUMERIC NOT NULL DEFAULT 0,  -- unused time of the old plan
+  credit_used_usd     NUMERIC NOT NULL DEFAULT 0,  -- from subscription_credit_usd
+  charged_usd         NUMERIC NOT NULL DEFAULT 0,
+  currency            TEXT NOT NULL,
+  amount_token        NUMERIC NOT NULL DEFAULT 0,
+  token_price_usd     NUMERIC,                -- oracle price at charge time
+  tx_signature        TEXT,
+  success             BOOLEAN NOT NULL,       -- status = 'confirmed'
+  status              TEXT NOT NULL,          -- 'pending' (sent, not confirmed yet) | 'confirmed' | 'failed'
+  error_reason        TEXT,
+  expires_at          TIMESTAMPTZ,            -- paid until, after this payment
+  credit_after_usd    NUMERIC NOT NULL DEFAULT 0,  -- subscription_credit_usd once it is confirmed
+  last_valid_block_height BIGINT,             -- of the transfer's blockhash: past it, an unseen transfer never lands
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_payments_user
+  ON subscription_payments (user_id, created_at DESC);
+
+-- subscription.reconcilePendingPayments
+CREATE INDEX IF NOT EXISTS idx_subscription_payments_pending
+  ON subscription_payments (id) WHERE status = 'pending';
@@ -0,0 +1,47 @@
+/*************************************************************
+ * isAdminSession.js
+ *
+ * Location: /src/middleware/isAdminSession.js
+ *
+ * Express middleware for adminWebApp: authenticates the request
+ * (admin/adminAuth.js) and sets
+ *   req.adminId   => the admin's Telegram user id
+ *   req.adminAuth => { type: 'session' | 'api_key', sessionId | apiKeyId, routes }
+ * Credentials: "Authorization: Bearer <token>" (session token or
+ * API key) or the session cookie set at login.
+ * API keys are refused on routes outside their scope; the
+ * capability check itself stays in adminRoles.enforceRouteCapabilities.
+ *************************************************************/
+
+const adminAuth = require('../admin/adminAuth');
+
+function readToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (bearer) return bearer[1];
+
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === adminAuth.SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+async function isAdminSession(req, res, next) {
+  try {
+    const identity = await adminAuth.authenticate(readToken(req), { ip: req.ip });
+    if (!identity) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!adminAuth.isRouteInScope(identity, req.method, req.path)) {
+      return res.status(403).json({ success: false, error: 'Permission denied' });
+    }
+    req.adminId = identity.adminId;
+    req.adminAuth = identity;
+    return next();
+  } catch (err) {
+    console.error('Error authenticating admin request:', err);
+    return res.status(500).json({ success: false, error: 'An unexpected error occurred. Please try again later.' });
+  }
+}
+
+module.exports = isAdminSession;
@@ -0,0 +1,91 @@
+/*************************************************************
+ * fixturePriceProviders.js
+ *
+ * Location: /src/oracle/fixturePriceProviders.js
+ *
+ * Local price providers for priceOracle.js: tests, replays and
+ * offline runs.
+ *  - filePriceProvider: a JSON file, re-read on every call so a
+ *    test can rewrite it between reads (PRICE_ORACLE_FIXTURE)
+ *  - staticPriceProvider: prices held in memory, changed with set()
+ * Price entries: { "BTC": 65000 } or
+ *   { "BTC": { "price": 65000, "publishedAt": "2024-05-01T12:00:00Z" } }
+ * A missing publishedAt means "now".
+ *************************************************************/
+
+const fs = require('fs');
+
+function normalizeEntry(entry) {
+  if (entry === null || entry === undefined) return null;
+  const raw = typeof entry === 'object' ? entry : { price: entry };
+  const price = Number(raw.price);
+  if (!Number.isFinite(price)) return null;
+  return {
+    price,
+    publishedAt: raw.publishedAt === undefined ? Date.now() : new Date(raw.publishedAt).getTime()
+  };
+}
+
+function pick(entries, symbols) {
+  const prices = {};
+  for (const symbol of symbols) {
+    const entry = normalizeEntry(entries[symbol]);
+    if (entry) prices[symbol] = entry;
+  }
+  return prices;
+}
+
+/*************************************************************
+ * filePriceProvider(filePath, { name })
+ *************************************************************/
+function filePriceProvider(filePath = process.env.PRICE_ORACLE_FIXTURE, { name = 'file' } = {}) {
+  if (!filePath) {
+    throw new Error('filePriceProvider needs a file path (or PRICE_ORACLE_FIXTURE).');
+  }
+  const read = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    name,
+    kind: 'file',
+    symbols: Object.keys(read()),
+    async getPrices(symbols) {
+      return pick(read(), symbols);
+    }
+  };
+}
+
+/*************************************************************
+ * staticPriceProvider(prices, { name })
+ * - set(symbol, entry) / set({ SYMBOL: entry }) replaces prices;
+ *   fail(err) makes the next calls throw (null => recover)
+ *************************************************************/
+function staticPriceProvider(prices = {}, { name = 'static' } = {}) {
+  let entries = { ...prices };
+  let failure = null;
+  return {
+    name,
+    kind: 'file',
+    get symbols() {
+      return Object.keys(entries);
+    },
+    async getPrices(symbols) {
+      if (failure) throw failure;
+      return pick(entries, symbols);
+    },
+    set(symbolOrPrices, entry) {
+      entries = typeof symbolOrPrices === 'object'
+        ? { ...entries, ...symbolOrPrices }
+        : { ...entries, [symbolOrPrices]: entry };
+    },
+    fail(err) {
+      failure = err ? (err instanceof Error ? err : new Error(String(err))) : null;
+    }
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  filePriceProvider,
+  staticPriceProvider
+};
@@ -0,0 +1,167 @@
+/*************************************************************
+ * httpPriceProviders.js
+ *
+ * Location: /src/oracle/httpPriceProviders.js
+ *
+ * Price providers backed by public exchange / aggregator APIs,
+ * for priceOracle.js. All prices are in USD (Binance: USDT).
+ * APIs without a timestamp report the fetch time as publishedAt.
+ * Jupiter prices SPL tokens by mint, for the long tail the
+ * exchanges do not list.
+ *************************************************************/
+
+const fetch = require('node-fetch');
+
+const REQUEST_TIMEOUT_MS = 3000;
+
+async function getJson(url) {
+  const response = await fetch(url, { timeout: REQUEST_TIMEOUT_MS, headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  }
+  return response.json();
+}
+
+function toPrice(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/*************************************************************
+ * CoinGecko => one request for all symbols
+ *************************************************************/
+const COINGECKO_IDS = { BTC: 'bitcoin', SOL: 'solana', ETH: 'ethereum', USDC: 'usd-coin', USDT: 'tether' };
+
+function coingeckoProvider() {
+  return {
+    name: 'coingecko',
+    kind: 'http',
+    symbols: Object.keys(COINGECKO_IDS),
+    async getPrices(symbols) {
+      const wanted = symbols.filter((s) => COINGECKO_IDS[s]);
+      const ids = wanted.map((s) => COINGECKO_IDS[s]).join(',');
+      const data = await getJson(`https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_last_updated_at=true`);
+      const prices = {};
+      for (const symbol of wanted) {
+        const row = data[COINGECKO_IDS[symbol]];
+        if (!row || toPrice(row.usd) === null) continue;
+        prices[symbol] = {
+          price: toPrice(row.usd),
+          publishedAt: row.last_updated_at ? row.last_updated_at * 1000 : Date.now()
+        };
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * Binance => one request for all pairs
+ *************************************************************/
+const BINANCE_PAIRS = { BTC: 'BTCUSDT', SOL: 'SOLUSDT', ETH: 'ETHUSDT', USDC: 'USDCUSDT' };
+
+function binanceProvider() {
+  return {
+    name: 'binance',
+    kind: 'http',
+    symbols: Object.keys(BINANCE_PAIRS),
+    async getPrices(symbols) {
+      const wanted = symbols.filter((s) => BINANCE_PAIRS[s]);
+      const pairs = encodeURIComponent(JSON.stringify(wanted.map((s) => BINANCE_PAIRS[s])));
+      const fetchedAt = Date.now();
+      const data = await getJson(`https://api.binance.com/api/v3/ticker/price?symbols=${pairs}`);
+      const prices = {};
+      for (const symbol of wanted) {
+        const row = data.find((r) => r.symbol === BINANCE_PAIRS[symbol]);
+        if (!row || toPrice(row.price) === null) continue;
+        prices[symbol] = { price: toPrice(row.price), publishedAt: fetchedAt };
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * Coinbase => one request per symbol (spot price)
+ *************************************************************/
+const COINBASE_PAIRS = { BTC: 'BTC-USD', SOL: 'SOL-USD', ETH: 'ETH-USD', USDT: 'USDT-USD' };
+
+function coinbaseProvider() {
+  return {
+    name: 'coinbase',
+    kind: 'http',
+    symbols: Object.keys(COINBASE_PAIRS),
+    async getPrices(symbols) {
+      const wanted = symbols.filter((s) => COINBASE_PAIRS[s]);
+      const fetchedAt = Date.now();
+      const results = await Promise.allSettled(wanted.map((s) =>
+        getJson(`https://api.coinbase.com/v2/prices/${COINBASE_PAIRS[s]}/spot`)));
+      const prices = {};
+      results.forEach((result, i) => {
+        const price = result.status === 'fulfilled' ? toPrice(result.value?.data?.amount) : null;
+        if (price !== null) prices[wanted[i]] = { price, publishedAt: fetchedAt };
+      });
+      // every request failing is a provider failure, not "no prices"
+      if (wanted.length && results.every((r) => r.status === 'rejected')) {
+        throw results[0].reason;
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * jupiterProvider(tokens) => one request for all mints
+ * - tokens: { SYMBOL: mint }, JUPITER_PRICE_TOKENS (JSON) or the
+ *   defaults; provider.mints lets priceOracle resolve the mints
+ *************************************************************/
+const JUPITER_PRICE_URL = process.env.JUPITER_PRICE_URL || 'https://lite-api.jup.ag/price/v2';
+const DEFAULT_JUPITER_TOKENS = {
+  BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+  JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+  WIF: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm'
+};
+
+function jupiterTokensFromEnv() {
+  if (!process.env.JUPITER_PRICE_TOKENS) return DEFAULT_JUPITER_TOKENS;
+  try {
+    return JSON.parse(process.env.JUPITER_PRICE_TOKENS);
+  } catch (err) {
+    throw new Error(`JUPITER_PRICE_TOKENS must be JSON like {"BONK": "<mint>"}: ${err.message}`);
+  }
+}
+
+function jupiterProvider(tokens = jupiterTokensFromEnv()) {
+  const mints = {};
+  for (const [symbol, mint] of Object.entries(tokens)) {
+    mints[String(symbol).toUpperCase()] = String(mint);
+  }
+  return {
+    name: 'jupiter',
+    kind: 'http',
+    symbols: Object.keys(mints),
+    mints,
+    async getPrices(symbols) {
+      const wanted = symbols.filter((s) => mints[s]);
+      const fetchedAt = Date.now();
+      const data = await getJson(`${JUPITER_PRICE_URL}?ids=${wanted.map((s) => mints[s]).join(',')}`);
+      const prices = {};
+      for (const symbol of wanted) {
+        const row = data && data.data ? data.data[mints[symbol]] : null;
+        if (!row || toPrice(row.price) === null) continue;
+        prices[symbol] = { price: toPrice(row.price), publishedAt: fetchedAt };
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  coingeckoProvider,
+  binanceProvider,
+  coinbaseProvider,
+  jupiterProvider
+};
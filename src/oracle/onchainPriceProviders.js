@@ -0,0 +1,98 @@
+/*************************************************************
+ * onchainPriceProviders.js
+ *
+ * Location: /src/oracle/onchainPriceProviders.js
+ *
+ * Price providers reading oracle accounts on Solana, for
+ * priceOracle.js: Pyth price accounts and Switchboard
+ * aggregators. All feeds of a provider are read with a single
+ * getMultipleAccountsInfo call.
+ *  - feeds: { SYMBOL: account address }; overridable with the
+ *    PYTH_PRICE_FEEDS / SWITCHBOARD_PRICE_FEEDS env vars (JSON)
+ *  - a Pyth feed that is not trading (halted, unknown) gives no
+ *    price rather than its last one
+ *************************************************************/
+
+const web3 = require('@solana/web3.js');
+const { parsePriceData, PriceStatus } = require('@pythnetwork/client');
+const { AggregatorAccountData } = require('@switchboard-xyz/solana.js');
+const { getConnection } = require('../vault/vaultUtils');
+
+// Pyth mainnet USD price accounts
+const DEFAULT_PYTH_FEEDS = {
+  SOL: 'H6ARHf6YXhGYeQfUzQNGk6rDNnLBQKrenN712K4AQJEG',
+  BTC: 'GVXRSBjFk6e6J3NbVPXohDJetcTjaeeuykUpbQF8UoMU',
+  ETH: 'JBu1AL4obBcCMqKBBxhpWCNUt136ijcuMZLFvTP7iWdB'
+};
+
+function feedsFromEnv(envName, defaults = {}) {
+  if (!process.env[envName]) return defaults;
+  try {
+    return JSON.parse(process.env[envName]);
+  } catch (err) {
+    throw new Error(`${envName} must be JSON like {"SOL": "<account>"}: ${err.message}`);
+  }
+}
+
+async function loadAccounts(feeds, symbols) {
+  const wanted = symbols.filter((s) => feeds[s]);
+  const infos = await getConnection().getMultipleAccountsInfo(wanted.map((s) => new web3.PublicKey(feeds[s])));
+  return wanted.map((symbol, i) => ({ symbol, info: infos[i] })).filter((a) => a.info);
+}
+
+/*************************************************************
+ * pythProvider(feeds)
+ *************************************************************/
+function pythProvider(feeds = feedsFromEnv('PYTH_PRICE_FEEDS', DEFAULT_PYTH_FEEDS)) {
+  return {
+    name: 'pyth',
+    kind: 'onchain',
+    symbols: Object.keys(feeds),
+    async getPrices(symbols) {
+      const prices = {};
+      for (const { symbol, info } of await loadAccounts(feeds, symbols)) {
+        const data = parsePriceData(info.data);
+        if (data.status !== PriceStatus.Trading || data.price === undefined) continue;
+        prices[symbol] = {
+          price: data.price,
+          publishedAt: Number(data.timestamp) * 1000,
+          confidence: data.confidence
+        };
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * switchboardProvider(feeds)
+ * - no default feeds: aggregators are set per deployment
+ *************************************************************/
+function switchboardProvider(feeds = feedsFromEnv('SWITCHBOARD_PRICE_FEEDS')) {
+  return {
+    name: 'switchboard',
+    kind: 'onchain',
+    symbols: Object.keys(feeds),
+    async getPrices(symbols) {
+      const prices = {};
+      for (const { symbol, info } of await loadAccounts(feeds, symbols)) {
+        const round = AggregatorAccountData.decode(info.data).latestConfirmedRound;
+        if (!round || round.numSuccess === 0) continue;
+        prices[symbol] = {
+          price: round.result.toBig().toNumber(),
+          publishedAt: round.roundOpenTimestamp.toNumber() * 1000
+        };
+      }
+      return prices;
+    }
+  };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  DEFAULT_PYTH_FEEDS,
+  pythProvider,
+  switchboardProvider
+};
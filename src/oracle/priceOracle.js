@@ -0,0 +1,418 @@
+/*************************************************************
+ * priceOracle.js
+ *
+ * Location: /src/oracle/priceOracle.js
+ *
+ * One place to read market prices (USD) from several sources:
+ * riskScanner crash detection, the aggregator's copy / AI trade
+ * checks and the admin reports all go through getPrice(s).
+ *  - Providers (registerProvider): { name, kind: 'http' | 'onchain'
+ *    | 'file', symbols: ['BTC', ...], getPrices(symbols) =>
+ *    { SYMBOL: { price, publishedAt } }, mints: optional
+ *    { SYMBOL: mint } }. Built in: coingecko, binance, coinbase,
+ *    jupiter (by mint, httpPriceProviders.js), pyth, switchboard
+ *    (onchainPriceProviders.js), file (fixturePriceProviders.js);
+ *    PRICE_ORACLE_PROVIDERS picks them (comma separated).
+ *  - Tokens are symbols or mints; a mint resolves to the symbol a
+ *    provider's mints give it (resolveSymbol).
+ *  - A quote is the median of the fresh sources; a source further
+ *    than price_oracle_outlier_pct from that median is rejected
+ *    and the median is taken again without it.
+ *  - quote.status:
+ *      ok          => at least price_oracle_min_sources agree
+ *      degraded    => fewer agreeing sources; price for display
+ *                     only, not enough to trade or price on
+ *      disputed    => fresh sources disagree, no price
+ *      stale       => no fresh source; price is the last good one
+ *      unavailable => no price at all
+ *    quote.usable is true for ok only.
+ *  - Per-source health (successes, failures, outliers, stale
+ *    reads, latency) is kept in price_oracle_sources, shared by
+ *    every process; a source failing BACKOFF_AFTER_FAILURES times
+ *    in a row is skipped for BACKOFF_MS.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const settingsRegistry = require('../admin/settingsRegistry');
+const httpPriceProviders = require('./httpPriceProviders');
+const fixturePriceProviders = require('./fixturePriceProviders');
+
+const PROVIDER_TIMEOUT_MS = 4000;
+const QUOTE_CACHE_MS = 5000;
+const BACKOFF_AFTER_FAILURES = 3;
+const BACKOFF_MS = 60 * 1000;
+const HEALTHY_WITHIN_MS = 10 * 60 * 1000;
+const DEFAULT_PROVIDERS = 'coingecko,binance,coinbase,pyth,jupiter';
+
+// the on-chain providers load the Solana SDKs, so only on demand
+const PROVIDER_FACTORIES = {
+  coingecko: () => httpPriceProviders.coingeckoProvider(),
+  binance: () => httpPriceProviders.binanceProvider(),
+  coinbase: () => httpPriceProviders.coinbaseProvider(),
+  jupiter: () => httpPriceProviders.jupiterProvider(),
+  pyth: () => require('./onchainPriceProviders').pythProvider(),
+  switchboard: () => require('./onchainPriceProviders').switchboardProvider(),
+  file: () => fixturePriceProviders.filePriceProvider()
+};
+
+// token mints / wrapped names => oracle symbol
+const SYMBOL_ALIASES = {
+  So11111111111111111111111111111111111111112: 'SOL',
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 'USDC',
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 'USDT',
+  WSOL: 'SOL',
+  XBT: 'BTC'
+};
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const providers = new Map();  // name => { provider, health }
+const quoteCache = new Map(); // symbol => { at, quote }
+const lastGood = new Map();   // symbol => { price, asOf }
+let defaultsLoaded = false;
+
+/*************************************************************
+ * Provider registry
+ *************************************************************/
+function newHealth() {
+  return { consecutiveFailures: 0, lastErrorAt: null };
+}
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.getPrices !== 'function' || !Array.isArray(provider.symbols)) {
+    throw new Error('A price provider needs a name, a symbols array and getPrices(symbols).');
+  }
+  defaultsLoaded = true;
+  providers.set(provider.name, { provider, health: newHealth() });
+  quoteCache.clear();
+}
+
+function unregisterProvider(name) {
+  providers.delete(name);
+  quoteCache.clear();
+}
+
+/*************************************************************
+ * configureProviders(list)
+ * - replaces every provider; list items are provider objects or
+ *   built-in names ('coingecko', 'pyth', 'file', ...)
+ *************************************************************/
+function configureProviders(list) {
+  const resolved = list.map((item) => {
+    if (typeof item !== 'string') return item;
+    if (!PROVIDER_FACTORIES[item]) {
+      throw new Error(`Unknown price provider "${item}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    return PROVIDER_FACTORIES[item]();
+  });
+  providers.clear();
+  lastGood.clear();
+  resolved.forEach(registerProvider);
+}
+
+function ensureProviders() {
+  if (defaultsLoaded) return;
+  defaultsLoaded = true;
+  const names = (process.env.PRICE_ORACLE_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',').map((n) => n.trim()).filter(Boolean);
+  for (const name of names) {
+    try {
+      if (!PROVIDER_FACTORIES[name]) throw new Error('unknown provider');
+      registerProvider(PROVIDER_FACTORIES[name]());
+    } catch (err) {
+      console.error(`Price provider ${name} not loaded:`, err.message);
+    }
+  }
+}
+
+function listProviders() {
+  ensureProviders();
+  return [...providers.values()].map(({ provider }) => ({
+    name: provider.name, kind: provider.kind, symbols: [...provider.symbols]
+  }));
+}
+
+// a mint no provider knows stays as it is (mints are case-sensitive)
+function resolveSymbol(token) {
+  if (!token) return null;
+  const raw = String(token);
+  const alias = SYMBOL_ALIASES[raw] || SYMBOL_ALIASES[raw.toUpperCase()];
+  if (alias) return alias;
+  if (!MINT_PATTERN.test(raw)) return raw.toUpperCase();
+  ensureProviders();
+  for (const { provider } of providers.values()) {
+    const symbol = provider.mints && Object.keys(provider.mints).find((s) => provider.mints[s] === raw);
+    if (symbol) return symbol;
+  }
+  return raw;
+}
+
+// at least one provider quotes it
+function supports(token) {
+  ensureProviders();
+  const symbol = resolveSymbol(token);
+  return [...providers.values()].some(({ provider }) => provider.symbols.includes(symbol));
+}
+
+/*************************************************************
+ * Fetching
+ *************************************************************/
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function toMs(value) {
+  if (value === null || value === undefined) return null;
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function inBackoff(health, now) {
+  return health.consecutiveFailures >= BACKOFF_AFTER_FAILURES
+    && health.lastErrorAt !== null && now - health.lastErrorAt < BACKOFF_MS;
+}
+
+// one call per provider for all requested symbols, in parallel
+async function fetchRound(symbols) {
+  const observations = [];
+  const deltas = new Map(); // source => health changes of this round
+  const now = Date.now();
+
+  await Promise.all([...providers.values()].map(async ({ provider, health }) => {
+    const wanted = symbols.filter((s) => provider.symbols.includes(s));
+    if (!wanted.length || inBackoff(health, now)) return;
+    const delta = { kind: provider.kind, successes: 0, failures: 0, outliers: 0, stale: 0, lastError: null, latencyMs: null };
+    deltas.set(provider.name, delta);
+
+    const started = Date.now();
+    try {
+      const prices = await withTimeout(Promise.resolve(provider.getPrices(wanted)), PROVIDER_TIMEOUT_MS, provider.name);
+      delta.successes = 1;
+      delta.latencyMs = Date.now() - started;
+      health.consecutiveFailures = 0;
+      for (const symbol of wanted) {
+        const entry = prices && prices[symbol];
+        if (!entry) continue;
+        observations.push({
+          source: provider.name,
+          kind: provider.kind,
+          symbol,
+          price: Number(entry.price),
+          publishedAt: toMs(entry.publishedAt),
+          confidence: entry.confidence === undefined ? null : entry.confidence
+        });
+      }
+    } catch (err) {
+      delta.failures = 1;
+      delta.lastError = err.message;
+      health.consecutiveFailures += 1;
+      health.lastErrorAt = Date.now();
+    }
+  }));
+  return { observations, deltas };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/*************************************************************
+ * aggregate(symbol, observations, config, deltas)
+ * - median of fresh sources, outliers rejected (see header)
+ *************************************************************/
+function aggregate(symbol, observations, config, deltas) {
+  const now = Date.now();
+  const maxAgeMs = config.maxAgeSeconds * 1000;
+  const sources = observations.map((o) => {
+    const ageMs = o.publishedAt === null ? null : now - o.publishedAt;
+    let status = 'used';
+    if (!Number.isFinite(o.price) || o.price <= 0) status = 'invalid';
+    else if (ageMs === null || ageMs > maxAgeMs) status = 'stale';
+    return { source: o.source, kind: o.kind, price: o.price, publishedAt: o.publishedAt, ageMs, confidence: o.confidence, status };
+  });
+
+  const fresh = sources.filter((s) => s.status === 'used');
+  const firstMedian = median(fresh.map((s) => s.price));
+  for (const s of fresh) {
+    if (Math.abs(s.price - firstMedian) / firstMedian > config.outlierPct) s.status = 'outlier';
+  }
+  for (const s of sources) {
+    const delta = deltas.get(s.source);
+    if (delta && s.status === 'outlier') delta.outliers += 1;
+    if (delta && s.status === 'stale') delta.stale += 1;
+  }
+
+  const accepted = sources.filter((s) => s.status === 'used');
+  const quote = {
+    symbol,
+    price: null,
+    status: 'unavailable',
+    usable: false,
+    asOf: null,
+    ageMs: null,
+    sourceCount: accepted.length,
+    spreadPct: null,
+    sources: sources.map((s) => ({ ...s, publishedAt: s.publishedAt ? new Date(s.publishedAt).toISOString() : null })),
+    at: new Date(now).toISOString()
+  };
+
+  if (accepted.length) {
+    const prices = accepted.map((s) => s.price);
+    const asOf = median(accepted.map((s) => s.publishedAt));
+    quote.price = median(prices);
+    // a symbol only one provider quotes cannot need two sources
+    const quoting = [...providers.values()].filter(({ provider }) => provider.symbols.includes(symbol)).length;
+    quote.status = accepted.length >= Math.min(config.minSources, quoting) ? 'ok' : 'degraded';
+    quote.usable = quote.status === 'ok';
+    quote.asOf = new Date(asOf).toISOString();
+    quote.ageMs = now - asOf;
+    quote.spreadPct = (Math.max(...prices) - Math.min(...prices)) / quote.price;
+    lastGood.set(symbol, { price: quote.price, asOf });
+  } else if (fresh.length) {
+    quote.status = 'disputed';
+  } else if (lastGood.has(symbol)) {
+    const last = lastGood.get(symbol);
+    quote.status = 'stale';
+    quote.price = last.price;
+    quote.asOf = new Date(last.asOf).toISOString();
+    quote.ageMs = now - last.asOf;
+  }
+  return quote;
+}
+
+async function getOracleConfig() {
+  const settings = await settingsRegistry.getSettings([
+    'price_oracle_max_age_seconds',
+    'price_oracle_outlier_pct',
+    'price_oracle_min_sources'
+  ]);
+  return {
+    maxAgeSeconds: settings.price_oracle_max_age_seconds,
+    outlierPct: settings.price_oracle_outlier_pct,
+    minSources: settings.price_oracle_min_sources
+  };
+}
+
+/*************************************************************
+ * Source health
+ *************************************************************/
+async function persistHealth(deltas) {
+  for (const [source, d] of deltas) {
+    try {
+      await query(`
+        INSERT INTO price_oracle_sources
+          (source, kind, successes, failures, consecutive_failures, outliers, stale_reads,
+           last_success_at, last_error, last_error_at, last_latency_ms, updated_at)
+        VALUES ($1, $2, $3, $4, $4, $5, $6,
+                CASE WHEN $3::int > 0 THEN NOW() END, $7, CASE WHEN $4::int > 0 THEN NOW() END, $8, NOW())
+        ON CONFLICT (source) DO UPDATE SET
+          kind = EXCLUDED.kind,
+          successes = price_oracle_sources.successes + EXCLUDED.successes,
+          failures = price_oracle_sources.failures + EXCLUDED.failures,
+          consecutive_failures = CASE WHEN EXCLUDED.failures > 0
+                                      THEN price_oracle_sources.consecutive_failures + EXCLUDED.failures
+                                      ELSE 0 END,
+          outliers = price_oracle_sources.outliers + EXCLUDED.outliers,
+          stale_reads = price_oracle_sources.stale_reads + EXCLUDED.stale_reads,
+          last_success_at = COALESCE(EXCLUDED.last_success_at, price_oracle_sources.last_success_at),
+          last_error = COALESCE(EXCLUDED.last_error, price_oracle_sources.last_error),
+          last_error_at = COALESCE(EXCLUDED.last_error_at, price_oracle_sources.last_error_at),
+          last_latency_ms = COALESCE(EXCLUDED.last_latency_ms, price_oracle_sources.last_latency_ms),
+          updated_at = NOW()
+      `, [source, d.kind, d.successes, d.failures, d.outliers, d.stale, d.lastError, d.latencyMs]);
+    } catch (err) {
+      console.error(`Error recording price source health for ${source}:`, err);
+    }
+  }
+}
+
+/*************************************************************
+ * getSourceHealth()
+ * - every source seen by any process, plus the ones registered
+ *   here that have not been read yet
+ *************************************************************/
+async function getSourceHealth() {
+  ensureProviders();
+  const res = await query(`
+    SELECT source, kind, successes, failures, consecutive_failures, outliers, stale_reads,
+           last_success_at, last_error, last_error_at, last_latency_ms, updated_at
+    FROM price_oracle_sources
+    ORDER BY source
+  `);
+  const rows = res.rows.map((r) => ({
+    source: r.source,
+    kind: r.kind,
+    registered: providers.has(r.source),
+    successes: parseInt(r.successes, 10),
+    failures: parseInt(r.failures, 10),
+    consecutiveFailures: parseInt(r.consecutive_failures, 10),
+    outliers: parseInt(r.outliers, 10),
+    staleReads: parseInt(r.stale_reads, 10),
+    lastSuccessAt: r.last_success_at,
+    lastError: r.last_error,
+    lastErrorAt: r.last_error_at,
+    lastLatencyMs: r.last_latency_ms,
+    healthy: parseInt(r.consecutive_failures, 10) < BACKOFF_AFTER_FAILURES
+      && Boolean(r.last_success_at) && Date.now() - new Date(r.last_success_at).getTime() < HEALTHY_WITHIN_MS
+  }));
+  for (const { provider } of providers.values()) {
+    if (!rows.some((r) => r.source === provider.name)) {
+      rows.push({ source: provider.name, kind: provider.kind, registered: true, successes: 0, failures: 0, healthy: null });
+    }
+  }
+  return rows;
+}
+
+/*************************************************************
+ * getPrices(tokens, { maxCacheMs })
+ * - tokens: symbols or mints; Returns { SYMBOL: quote }
+ * - quotes younger than maxCacheMs are served from memory
+ *************************************************************/
+async function getPrices(tokens, { maxCacheMs = QUOTE_CACHE_MS } = {}) {
+  ensureProviders();
+  const symbols = [...new Set(tokens.map(resolveSymbol).filter(Boolean))];
+  const quotes = {};
+  const missing = [];
+  for (const symbol of symbols) {
+    const cached = quoteCache.get(symbol);
+    if (cached && Date.now() - cached.at < maxCacheMs) quotes[symbol] = cached.quote;
+    else missing.push(symbol);
+  }
+  if (!missing.length) return quotes;
+
+  const config = await getOracleConfig();
+  const { observations, deltas } = await fetchRound(missing);
+  for (const symbol of missing) {
+    const quote = aggregate(symbol, observations.filter((o) => o.symbol === symbol), config, deltas);
+    quoteCache.set(symbol, { at: Date.now(), quote });
+    quotes[symbol] = quote;
+  }
+  await persistHealth(deltas);
+  return quotes;
+}
+
+async function getPrice(token, options = {}) {
+  const quotes = await getPrices([token], options);
+  return quotes[resolveSymbol(token)];
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  configureProviders,
+  listProviders,
+  resolveSymbol,
+  supports,
+  getPrice,
+  getPrices,
+  getSourceHealth
+};
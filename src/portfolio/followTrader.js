@@ -0,0 +1,111 @@
+/*************************************************************
+ * followTrader.js
+ *
+ * Location: /src/portfolio/followTrader.js
+ *
+ * A user's follows (trader_followers), used by the /follow and
+ * /unfollow bot commands (userCommands.js).
+ *  - only active traders can be followed, and only as many as
+ *    the user's plan allows (max_follows, subscription.js)
+ *  - unfollowing deactivates the row; following the same trader
+ *    again re-activates it (018 records each follow interval)
+ *  - region gating is done by the commands (requireFeature)
+ *************************************************************/
+
+const { query } = require('../database/database');
+const subscription = require('../vault/subscription');
+
+async function getActiveTrader(traderId) {
+  const res = await query(`
+    SELECT id, name FROM traders WHERE id=$1 AND is_active=true
+  `, [traderId]);
+  return res.rows[0] || null;
+}
+
+async function countActiveFollows(userId) {
+  const res = await query(`
+    SELECT COUNT(*) AS follows FROM trader_followers WHERE user_id=$1 AND is_active=true
+  `, [userId]);
+  return parseInt(res.rows[0]?.follows || '0', 10);
+}
+
+/*************************************************************
+ * followTrader(userId, traderId, { language })
+ * - language: for the plan-limit message (else the user's)
+ * - Returns { traderId, name }
+ *************************************************************/
+async function followTrader(userId, traderId, { language = null } = {}) {
+  const trader = await getActiveTrader(traderId);
+  if (!trader) {
+    throw new Error(`Trader ${traderId} not found or not active.`);
+  }
+
+  const existing = await query(`
+    SELECT is_active FROM trader_followers WHERE user_id=$1 AND trader_id=$2
+  `, [userId, traderId]);
+  if (existing.rows[0] && existing.rows[0].is_active) {
+    throw new Error('You are already following this trader.');
+  }
+  const count = await countActiveFollows(userId);
+  const check = await subscription.checkEntitlement(userId, 'max_follows', { count, language });
+  if (!check.allowed) {
+    throw new Error(check.message);
+  }
+
+  if (existing.rows.length) {
+    const reactivated = await query(`
+      UPDATE trader_followers
+      SET is_active=true
+      WHERE user_id=$1 AND trader_id=$2 AND is_active=false
+      RETURNING trader_id
+    `, [userId, traderId]);
+    if (!reactivated.rows.length) {
+      throw new Error('You are already following this trader.');
+    }
+  } else {
+    await query(`
+      INSERT INTO trader_followers (user_id, trader_id, is_active)
+      VALUES ($1, $2, true)
+    `, [userId, traderId]);
+  }
+  return { traderId: trader.id, name: trader.name };
+}
+
+/*************************************************************
+ * unfollowTrader(userId, traderId)
+ *************************************************************/
+async function unfollowTrader(userId, traderId) {
+  const res = await query(`
+    UPDATE trader_followers
+    SET is_active=false
+    WHERE user_id=$1 AND trader_id=$2 AND is_active=true
+    RETURNING trader_id
+  `, [userId, traderId]);
+  if (!res.rows.length) {
+    throw new Error('You are not following this trader.');
+  }
+}
+
+/*************************************************************
+ * getFollows(userId)
+ * - active follows, oldest first
+ *************************************************************/
+async function getFollows(userId) {
+  const res = await query(`
+    SELECT f.trader_id, t.name, f.followed_at
+    FROM trader_followers f
+    JOIN traders t ON t.id = f.trader_id
+    WHERE f.user_id=$1 AND f.is_active=true
+    ORDER BY f.followed_at, f.trader_id
+  `, [userId]);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  followTrader,
+  unfollowTrader,
+  getFollows
+};
@@ -0,0 +1,463 @@
+/*************************************************************
+ * followerMigration.js
+ *
+ * Location: /src/portfolio/followerMigration.js
+ *
+ * Moves followers off a trader that was deactivated (Prompt 2.2
+ * Trader Deactivation) or force-switched (Prompt 9.3 Control Center).
+ *
+ * Each follow row carries the follower's fallback:
+ *   backup_trader   => switch to trader_followers.backup_trader_id
+ *   top_ranked      => switch to the best 30d ROI trader in the same risk band
+ *   cash            => stop copying, funds stay in the vault
+ *   close_positions => stop copying and exit the positions from this trader
+ * An unusable fallback (backup inactive, no trader in the band)
+ * degrades to cash so nobody keeps following an inactive trader.
+ *
+ * Runs in batches, progress lives in follower_migrations /
+ * follower_migration_items so a crashed run can be resumed.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+
+const FALLBACK_MODES = ['backup_trader', 'top_ranked', 'cash', 'close_positions'];
+const BATCH_SIZE = 100;
+const PREVIEW_SAMPLE_SIZE = 50;
+const MIGRATION_LOCK_NS = 0x464d4947; // pg advisory lock (ns, migration id) => one runner per migration
+
+// max_drawdown_30d (fraction) => band
+const RISK_BAND_SQL = `
+  CASE
+    WHEN COALESCE(max_drawdown_30d, 0) <= 0.10 THEN 'low'
+    WHEN COALESCE(max_drawdown_30d, 0) <= 0.25 THEN 'medium'
+    ELSE 'high'
+  END`;
+
+const MESSAGES = {
+  SWITCHED: (fromName, toName) =>
+    `ℹ️ ${fromName} is no longer available. You are now copying *${toName}*.`,
+  CASH: (fromName) =>
+    `ℹ️ ${fromName} is no longer available. Copy trading is paused and your funds stay in your vault.`,
+  CLOSING: (fromName) =>
+    `ℹ️ ${fromName} is no longer available. Positions opened from this trader are being closed.`
+};
+
+/*************************************************************
+ * setFollowerFallback(userId, traderId, mode, backupTraderId)
+ * - user setting, stored on the follow row
+ *************************************************************/
+async function setFollowerFallback(userId, traderId, mode, backupTraderId = null) {
+  if (!FALLBACK_MODES.includes(mode)) {
+    throw new Error(`Invalid fallback mode "${mode}". Must be one of: ${FALLBACK_MODES.join(', ')}`);
+  }
+  if (mode === 'backup_trader' && !backupTraderId) {
+    throw new Error('backup_trader fallback requires a backup trader id.');
+  }
+  if (mode === 'backup_trader' && Number(backupTraderId) === Number(traderId)) {
+    throw new Error('Backup trader must differ from the followed trader.');
+  }
+  const res = await query(`
+    UPDATE trader_followers
+    SET fallback_mode=$3, backup_trader_id=$4
+    WHERE user_id=$1 AND trader_id=$2 AND is_active=true
+  `, [userId, traderId, mode, mode === 'backup_trader' ? backupTraderId : null]);
+  if (!res.rowCount) {
+    throw new Error('You are not following this trader.');
+  }
+}
+
+async function getTrader(traderId) {
+  const res = await query(`
+    SELECT id, name, is_active, ${RISK_BAND_SQL} AS risk_band
+    FROM traders
+    WHERE id=$1
+  `, [traderId]);
+  return res.rows[0] || null;
+}
+
+/*************************************************************
+ * findTopRankedInBand(riskBand, excludeTraderId)
+ *************************************************************/
+async function findTopRankedInBand(riskBand, excludeTraderId) {
+  const res = await query(`
+    SELECT id, name
+    FROM traders
+    WHERE is_active = true AND id <> $2
+      AND ${RISK_BAND_SQL} = $1
+    ORDER BY roi_30d DESC NULLS LAST, id
+    LIMIT 1
+  `, [riskBand, excludeTraderId]);
+  return res.rows[0] || null;
+}
+
+async function isFollowing(userId, traderId) {
+  const res = await query(`
+    SELECT 1 FROM trader_followers
+    WHERE user_id=$1 AND trader_id=$2 AND is_active=true
+  `, [userId, traderId]);
+  return res.rows.length > 0;
+}
+
+/*************************************************************
+ * planFollower(follower, source, options, cache)
+ * - decides what happens to one follower, no writes
+ * - returns { mode, action, targetTraderId, targetName };
+ *   a switch to a trader the user already follows becomes
+ *   'already_following' (only the old follow is stopped)
+ *************************************************************/
+async function planFollower(follower, source, options, cache) {
+  const plan = await chooseFallback(follower, source, options, cache);
+  if (plan.action === 'switch' && await isFollowing(follower.user_id, plan.targetTraderId)) {
+    return { ...plan, action: 'already_following' };
+  }
+  return plan;
+}
+
+async function chooseFallback(follower, source, options, cache) {
+  const mode = follower.fallback_mode || 'top_ranked';
+
+  if (options.forceTargetTraderId) {
+    const target = cache.force || (cache.force = await getTrader(options.forceTargetTraderId));
+    return { mode, action: 'switch', targetTraderId: target.id, targetName: target.name };
+  }
+  if (mode === 'backup_trader' && follower.backup_trader_id) {
+    const backup = await getTrader(follower.backup_trader_id);
+    if (backup && backup.is_active && backup.id !== source.id) {
+      return { mode, action: 'switch', targetTraderId: backup.id, targetName: backup.name };
+    }
+  }
+  if (mode === 'top_ranked' || mode === 'backup_trader') {
+    if (cache.topRanked === undefined) {
+      cache.topRanked = await findTopRankedInBand(source.risk_band, source.id);
+    }
+    if (cache.topRanked) {
+      return { mode, action: 'switch', targetTraderId: cache.topRanked.id, targetName: cache.topRanked.name };
+    }
+    return { mode, action: 'cash', targetTraderId: null, targetName: null };
+  }
+  if (mode === 'close_positions') {
+    return { mode, action: 'close_positions', targetTraderId: null, targetName: null };
+  }
+  return { mode, action: 'cash', targetTraderId: null, targetName: null };
+}
+
+/*************************************************************
+ * previewFollowerMigration(traderId, options)
+ * - options: { forceTargetTraderId }
+ * - impact for admins before anything runs:
+ *   { trader, totalFollowers, byAction, byTarget, sample }
+ *************************************************************/
+async function previewFollowerMigration(traderId, options = {}) {
+  const source = await getTrader(traderId);
+  if (!source) {
+    throw new Error(`Trader ${traderId} not found.`);
+  }
+  if (options.forceTargetTraderId) {
+    const target = await getTrader(options.forceTargetTraderId);
+    if (!target || !target.is_active) {
+      throw new Error(`Target trader ${options.forceTargetTraderId} is not active.`);
+    }
+  }
+  const followers = await query(`
+    SELECT user_id, fallback_mode, backup_trader_id
+    FROM trader_followers
+    WHERE trader_id=$1 AND is_active=true
+    ORDER BY user_id
+  `, [traderId]);
+
+  const cache = {};
+  const byAction = {};
+  const byTarget = {};
+  const sample = [];
+  for (const follower of followers.rows) {
+    const plan = await planFollower(follower, source, options, cache);
+    byAction[plan.action] = (byAction[plan.action] || 0) + 1;
+    if (plan.targetTraderId) {
+      const key = `${plan.targetTraderId}`;
+      byTarget[key] = byTarget[key] || { traderId: plan.targetTraderId, name: plan.targetName, followers: 0 };
+      byTarget[key].followers += 1;
+    }
+    if (sample.length < PREVIEW_SAMPLE_SIZE) {
+      sample.push({ userId: follower.user_id, ...plan });
+    }
+  }
+  return {
+    trader: { id: source.id, name: source.name, riskBand: source.risk_band },
+    totalFollowers: followers.rows.length,
+    byAction,
+    byTarget: Object.values(byTarget),
+    sample
+  };
+}
+
+/*************************************************************
+ * startFollowerMigration(traderId, options)
+ * - options: { initiatedBy, reason, forceTargetTraderId }
+ * - snapshots the followers, then processes them in the
+ *   background; returns { migrationId, total }
+ *************************************************************/
+async function startFollowerMigration(traderId, options = {}) {
+  if (!await getTrader(traderId)) {
+    throw new Error(`Trader ${traderId} not found.`);
+  }
+  if (options.forceTargetTraderId) {
+    const target = await getTrader(options.forceTargetTraderId);
+    if (!target || !target.is_active) {
+      throw new Error(`Target trader ${options.forceTargetTraderId} is not active.`);
+    }
+  }
+  const running = await query(`
+    SELECT id FROM follower_migrations
+    WHERE trader_id=$1 AND status='running'
+  `, [traderId]);
+  if (running.rows.length) {
+    throw new Error(`Migration #${running.rows[0].id} for trader ${traderId} is still running.`);
+  }
+
+  await query('BEGIN');
+  let migrationId;
+  let total;
+  try {
+    const mig = await query(`
+      INSERT INTO follower_migrations (trader_id, initiated_by, reason, force_target_trader_id, status, created_at)
+      VALUES ($1, $2, $3, $4, 'running', NOW())
+      RETURNING id
+    `, [traderId, options.initiatedBy || null, options.reason || null, options.forceTargetTraderId || null]);
+    migrationId = mig.rows[0].id;
+
+    const items = await query(`
+      INSERT INTO follower_migration_items (migration_id, user_id, fallback_mode)
+      SELECT $1, user_id, fallback_mode
+      FROM trader_followers
+      WHERE trader_id=$2 AND is_active=true
+    `, [migrationId, traderId]);
+    total = items.rowCount || 0;
+
+    await query(`
+      UPDATE follower_migrations SET total=$2 WHERE id=$1
+    `, [migrationId, total]);
+    await query('COMMIT');
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+
+  runFollowerMigration(migrationId).catch((err) => {
+    console.error(`Follower migration #${migrationId} failed:`, err);
+  });
+  return { migrationId, total };
+}
+
+/*************************************************************
+ * applyPlan(migration, source, item, plan)
+ * - one follower, in its own transaction
+ *************************************************************/
+async function applyPlan(migration, source, item, plan) {
+  let outcome;
+  await query('BEGIN');
+  try {
+    await query(`
+      UPDATE trader_followers
+      SET is_active=false
+      WHERE user_id=$1 AND trader_id=$2
+    `, [item.user_id, source.id]);
+
+    if (plan.action === 'already_following') {
+      outcome = 'already_following';
+    } else if (plan.action === 'switch') {
+      // re-checked here: the user may have followed the target since planning
+      if (await isFollowing(item.user_id, plan.targetTraderId)) {
+        outcome = 'already_following';
+      } else {
+        await query(`
+          INSERT INTO trader_followers (user_id, trader_id, is_active)
+          VALUES ($1, $2, true)
+        `, [item.user_id, plan.targetTraderId]);
+        outcome = 'switched';
+      }
+    } else if (plan.action === 'close_positions') {
+      await query(`
+        INSERT INTO position_exit_requests (user_id, trader_id, migration_id, reason, status, created_at)
+        VALUES ($1, $2, $3, $4, 'pending', NOW())
+      `, [item.user_id, source.id, migration.id, migration.reason || 'trader deactivated']);
+      outcome = 'exit_requested';
+    } else {
+      outcome = 'cash';
+    }
+
+    await query(`
+      UPDATE follower_migration_items
+      SET outcome=$2, target_trader_id=$3, processed_at=NOW()
+      WHERE id=$1
+    `, [item.id, outcome, plan.targetTraderId]);
+    await query('COMMIT');
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+  return outcome;
+}
+
+// already_following => nothing changes for the user, no message
+function notifyFollower(userId, source, plan, outcome) {
+  const fromName = source.name || `Trader #${source.id}`;
+  if (outcome === 'already_following') return;
+  if (plan.action === 'switch') {
+    notifications.sendUserNotification(userId, MESSAGES.SWITCHED(fromName, plan.targetName || `Trader #${plan.targetTraderId}`));
+  } else if (plan.action === 'close_positions') {
+    notifications.sendUserNotification(userId, MESSAGES.CLOSING(fromName));
+  } else {
+    notifications.sendUserNotification(userId, MESSAGES.CASH(fromName));
+  }
+}
+
+/*************************************************************
+ * runFollowerMigration(migrationId)
+ * - processes the unprocessed items BATCH_SIZE at a time,
+ *   safe to call again on a migration left 'running'
+ * - holds an advisory lock on the migration, so a second
+ *   instance (or a resume racing the start) skips it
+ *************************************************************/
+async function runFollowerMigration(migrationId) {
+  const lockRes = await query(`
+    SELECT pg_try_advisory_lock($1, $2) AS got_lock
+  `, [MIGRATION_LOCK_NS, migrationId]);
+  if (!lockRes.rows[0].got_lock) {
+    console.log(`Follower migration #${migrationId} is already being processed.`);
+    return;
+  }
+  try {
+    await processFollowerMigration(migrationId);
+  } finally {
+    await query(`SELECT pg_advisory_unlock($1, $2)`, [MIGRATION_LOCK_NS, migrationId]);
+  }
+}
+
+async function processFollowerMigration(migrationId) {
+  const migRes = await query(`
+    SELECT id, trader_id, reason, force_target_trader_id, status, total
+    FROM follower_migrations
+    WHERE id=$1
+  `, [migrationId]);
+  const migration = migRes.rows[0];
+  if (!migration || migration.status !== 'running') return;
+
+  const source = await getTrader(migration.trader_id);
+  const options = { forceTargetTraderId: migration.force_target_trader_id };
+  const cache = {};
+
+  try {
+    for (;;) {
+      const batch = await query(`
+        SELECT i.id, i.user_id, i.fallback_mode,
+               (SELECT f.backup_trader_id FROM trader_followers f
+                WHERE f.user_id = i.user_id AND f.trader_id = $2
+                ORDER BY f.is_active DESC LIMIT 1) AS backup_trader_id
+        FROM follower_migration_items i
+        WHERE i.migration_id=$1 AND i.processed_at IS NULL
+        ORDER BY i.id
+        LIMIT $3
+      `, [migrationId, migration.trader_id, BATCH_SIZE]);
+      if (!batch.rows.length) break;
+
+      for (const item of batch.rows) {
+        try {
+          const plan = await planFollower(item, source, options, cache);
+          const outcome = await applyPlan(migration, source, item, plan);
+          notifyFollower(item.user_id, source, plan, outcome);
+        } catch (err) {
+          console.error(`Follower migration #${migrationId}, user ${item.user_id}:`, err);
+          await query(`
+            UPDATE follower_migration_items
+            SET outcome='failed', error=$2, processed_at=NOW()
+            WHERE id=$1
+          `, [item.id, err.message]);
+        }
+      }
+
+      await query(`
+        UPDATE follower_migrations
+        SET processed = (
+          SELECT COUNT(*) FROM follower_migration_items
+          WHERE migration_id=$1 AND processed_at IS NOT NULL
+        )
+        WHERE id=$1
+      `, [migrationId]);
+    }
+
+    await query(`
+      UPDATE follower_migrations
+      SET status='completed', completed_at=NOW()
+      WHERE id=$1
+    `, [migrationId]);
+    const progress = await getMigrationProgress(migrationId);
+    notifications.sendAdminGlobalAlert(
+      `🔀 Follower migration #${migrationId} for ${source.name || `trader #${source.id}`} completed: ` +
+      Object.entries(progress.outcomes).map(([k, v]) => `${k}=${v}`).join(', '));
+  } catch (err) {
+    await query(`
+      UPDATE follower_migrations
+      SET status='failed', error=$2, completed_at=NOW()
+      WHERE id=$1
+    `, [migrationId, err.message]);
+    throw err;
+  }
+}
+
+/*************************************************************
+ * getMigrationProgress(migrationId)
+ *************************************************************/
+async function getMigrationProgress(migrationId) {
+  const migRes = await query(`
+    SELECT id, trader_id, initiated_by, reason, force_target_trader_id, status,
+           total, processed, error, created_at, completed_at
+    FROM follower_migrations
+    WHERE id=$1
+  `, [migrationId]);
+  if (!migRes.rows.length) {
+    throw new Error(`Follower migration ${migrationId} not found.`);
+  }
+  const outcomes = await query(`
+    SELECT COALESCE(outcome, 'pending') AS outcome, COUNT(*) AS count
+    FROM follower_migration_items
+    WHERE migration_id=$1
+    GROUP BY 1
+  `, [migrationId]);
+  return {
+    ...migRes.rows[0],
+    outcomes: Object.fromEntries(outcomes.rows.map((r) => [r.outcome, parseInt(r.count, 10)]))
+  };
+}
+
+/*************************************************************
+ * resumeStalledMigrations()
+ * - after a restart, pick up migrations still marked running;
+ *   one failing migration does not stop the rest
+ *************************************************************/
+async function resumeStalledMigrations() {
+  const res = await query(`
+    SELECT id FROM follower_migrations WHERE status='running' ORDER BY id
+  `);
+  for (const row of res.rows) {
+    try {
+      await runFollowerMigration(row.id);
+    } catch (err) {
+      // already marked failed; the others still get resumed
+      console.error(`Error resuming follower migration #${row.id}:`, err);
+    }
+  }
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  FALLBACK_MODES,
+  setFollowerFallback,
+  previewFollowerMigration,
+  startFollowerMigration,
+  runFollowerMigration,
+  getMigrationProgress,
+  resumeStalledMigrations
+};
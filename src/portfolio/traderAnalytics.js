@@ -0,0 +1,427 @@
+/*************************************************************
+ * traderAnalytics.js
+ *
+ * Location: /src/portfolio/traderAnalytics.js
+ *
+ * Strategy / followership analytics (Prompt 9.4) for the admin
+ * web app:
+ *  - followers and AUM per trader per day
+ *  - follower inflow / outflow
+ *  - weekly follower cohorts and their retention
+ *  - follower PnL vs leader PnL (30d ROI ending at the range end)
+ *  - concentration: share of platform AUM behind one trader
+ *
+ * Follower counts come from trader_follow_intervals (one row per
+ * follow, kept when a user re-follows), so any date can be
+ * rebuilt. AUM, follower PnL and leader ROI are precomputed once a day into
+ * trader_follow_snapshots by scheduleFollowSnapshots; the current
+ * day is computed live. A follower's vault balance is split
+ * evenly across the traders they follow.
+ * Results are cached for CACHE_TTL_MS per filter set.
+ *************************************************************/
+
+const cron = require('node-cron');
+const { query } = require('../database/database');
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+const RETENTION_WEEKS = [1, 2, 4, 8, 12];
+const CONCENTRATION_WARN_SHARE = 0.25;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 100;
+
+const cache = new Map(); // key => { at, value }
+
+async function cached(key, compute) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) {
+    return hit.value;
+  }
+  const value = await compute();
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/*************************************************************
+ * normalizeRange({ from, to, traderId })
+ * - ISO dates, inclusive; default: the last 90 days
+ *************************************************************/
+function normalizeRange({ from = null, to = null, traderId = null } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+  if (Number.isNaN(end.getTime()) || Number.isNaN(start.getTime())) {
+    throw new Error('Invalid date range: from and to must be ISO dates.');
+  }
+  if (start > end) {
+    throw new Error('Invalid date range: from must be before to.');
+  }
+  if ((end - start) / 86400000 > MAX_RANGE_DAYS) {
+    throw new Error(`Invalid date range: at most ${MAX_RANGE_DAYS} days.`);
+  }
+  return {
+    from: toDateString(start),
+    to: toDateString(end),
+    traderId: traderId ? parseInt(traderId, 10) : null
+  };
+}
+
+/*************************************************************
+ * getLiveTraderAum()
+ * - current followers / AUM per trader from active follows
+ * - Returns { traders: Map(traderId => { followers, aumSol }),
+ *   platformAumSol, followingAumSol }
+ *************************************************************/
+async function getLiveTraderAum() {
+  const perTrader = await query(`
+    WITH follows AS (
+      SELECT f.user_id, f.trader_id,
+             COUNT(*) OVER (PARTITION BY f.user_id) AS follow_count
+      FROM trader_followers f
+      WHERE f.is_active = true
+    )
+    SELECT fo.trader_id,
+           COUNT(*) AS followers,
+           COALESCE(SUM(COALESCE(v.balance_sol, 0) / fo.follow_count), 0) AS aum_sol
+    FROM follows fo
+    LEFT JOIN user_vaults v ON v.user_id = fo.user_id
+    GROUP BY fo.trader_id
+  `);
+  const platform = await query(`
+    SELECT COALESCE(SUM(balance_sol), 0) AS aum_sol,
+           COALESCE(SUM(balance_sol) FILTER (
+             WHERE EXISTS (SELECT 1 FROM trader_followers f WHERE f.user_id = v.user_id AND f.is_active = true)
+           ), 0) AS following_aum_sol
+    FROM user_vaults v
+  `);
+  return {
+    traders: new Map(perTrader.rows.map((r) => [r.trader_id, {
+      followers: parseInt(r.followers, 10),
+      aumSol: parseFloat(r.aum_sol)
+    }])),
+    platformAumSol: parseFloat(platform.rows[0].aum_sol),
+    followingAumSol: parseFloat(platform.rows[0].following_aum_sol)
+  };
+}
+
+/*************************************************************
+ * snapshotTraderFollowStats(date)
+ * - today's AUM, the day's follower PnL and leader ROI per
+ *   trader; re-running the same day overwrites it
+ *************************************************************/
+async function snapshotTraderFollowStats(date = toDateString(new Date())) {
+  const live = await getLiveTraderAum();
+  const pnl = await query(`
+    SELECT trader_id, COALESCE(SUM(pnl), 0) AS pnl_sol
+    FROM trade_executions
+    WHERE trader_id IS NOT NULL AND status = 'SUCCESS' AND pnl IS NOT NULL
+      AND executed_at >= $1::date AND executed_at < $1::date + INTERVAL '1 day'
+    GROUP BY trader_id
+  `, [date]);
+  const pnlByTrader = new Map(pnl.rows.map((r) => [r.trader_id, parseFloat(r.pnl_sol)]));
+  const traders = await query(`SELECT id, roi_30d FROM traders`);
+
+  await query('BEGIN');
+  try {
+    for (const trader of traders.rows) {
+      const stats = live.traders.get(trader.id);
+      if (!stats && !pnlByTrader.has(trader.id)) continue;
+      await query(`
+        INSERT INTO trader_follow_snapshots
+          (snapshot_date, trader_id, followers, aum_sol, follower_pnl_sol, leader_roi_30d, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (snapshot_date, trader_id) DO UPDATE SET
+          followers=$3, aum_sol=$4, follower_pnl_sol=$5, leader_roi_30d=$6, created_at=NOW()
+      `, [date, trader.id, stats ? stats.followers : 0, stats ? stats.aumSol : 0,
+        pnlByTrader.get(trader.id) || 0, trader.roi_30d]);
+    }
+    await query(`
+      INSERT INTO platform_aum_snapshots (snapshot_date, aum_sol, following_aum_sol, created_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (snapshot_date) DO UPDATE SET aum_sol=$2, following_aum_sol=$3, created_at=NOW()
+    `, [date, live.platformAumSol, live.followingAumSol]);
+    await query('COMMIT');
+  } catch (err) {
+    await query('ROLLBACK');
+    throw err;
+  }
+  return { date, traders: live.traders.size };
+}
+
+/*************************************************************
+ * getFollowerSeries(range)
+ * - Returns [{ traderId, name, series: [{ date, followers, aumSol }] }]
+ *   aumSol null on days without a snapshot
+ *************************************************************/
+async function getFollowerSeries({ from, to, traderId }) {
+  const counts = await query(`
+    SELECT d::date::text AS day, f.trader_id, COUNT(DISTINCT f.user_id) AS followers
+    FROM generate_series($1::date, $2::date, INTERVAL '1 day') d
+    JOIN trader_follow_intervals f
+      ON f.followed_at < d + INTERVAL '1 day'
+     AND (f.unfollowed_at IS NULL OR f.unfollowed_at >= d + INTERVAL '1 day')
+    WHERE ($3::int IS NULL OR f.trader_id = $3)
+    GROUP BY d, f.trader_id
+  `, [from, to, traderId]);
+  const snapshots = await query(`
+    SELECT snapshot_date::text AS snapshot_date, trader_id, aum_sol
+    FROM trader_follow_snapshots
+    WHERE snapshot_date BETWEEN $1 AND $2 AND ($3::int IS NULL OR trader_id = $3)
+  `, [from, to, traderId]);
+  const names = await query(`
+    SELECT id, name FROM traders WHERE ($1::int IS NULL OR id = $1)
+  `, [traderId]);
+
+  const aum = new Map(snapshots.rows.map((r) => [`${r.snapshot_date}:${r.trader_id}`, parseFloat(r.aum_sol)]));
+  const today = toDateString(new Date());
+  const live = to >= today ? await getLiveTraderAum() : null;
+
+  const byTrader = new Map();
+  for (const r of counts.rows) {
+    const day = r.day;
+    if (!byTrader.has(r.trader_id)) byTrader.set(r.trader_id, new Map());
+    byTrader.get(r.trader_id).set(day, parseInt(r.followers, 10));
+  }
+
+  const days = [];
+  for (let d = new Date(from); toDateString(d) <= to; d = new Date(d.getTime() + 86400000)) {
+    days.push(toDateString(d));
+  }
+  return names.rows
+    .map((t) => ({
+      traderId: t.id,
+      name: t.name,
+      series: days.map((day) => {
+        let aumSol = aum.has(`${day}:${t.id}`) ? aum.get(`${day}:${t.id}`) : null;
+        if (day === today && live) aumSol = live.traders.has(t.id) ? live.traders.get(t.id).aumSol : 0;
+        return { date: day, followers: byTrader.has(t.id) ? byTrader.get(t.id).get(day) || 0 : 0, aumSol };
+      })
+    }))
+    .filter((t) => t.series.some((p) => p.followers > 0 || p.aumSol));
+}
+
+/*************************************************************
+ * getFollowerFlows(range)
+ * - Returns { daily: [{ date, inflow, outflow, net }],
+ *   byTrader: [{ traderId, inflow, outflow, net }] }
+ *************************************************************/
+async function getFollowerFlows({ from, to, traderId }) {
+  const res = await query(`
+    SELECT trader_id, day::text AS day, SUM(inflow) AS inflow, SUM(outflow) AS outflow
+    FROM (
+      SELECT trader_id, followed_at::date AS day, 1 AS inflow, 0 AS outflow
+      FROM trader_follow_intervals
+      WHERE followed_at >= $1::date AND followed_at < $2::date + INTERVAL '1 day'
+      UNION ALL
+      SELECT trader_id, unfollowed_at::date AS day, 0 AS inflow, 1 AS outflow
+      FROM trader_follow_intervals
+      WHERE unfollowed_at >= $1::date AND unfollowed_at < $2::date + INTERVAL '1 day'
+    ) flows
+    WHERE ($3::int IS NULL OR trader_id = $3)
+    GROUP BY trader_id, day
+  `, [from, to, traderId]);
+
+  const daily = new Map();
+  const byTrader = new Map();
+  for (const r of res.rows) {
+    const day = r.day;
+    const inflow = parseInt(r.inflow, 10);
+    const outflow = parseInt(r.outflow, 10);
+    const d = daily.get(day) || { date: day, inflow: 0, outflow: 0 };
+    d.inflow += inflow;
+    d.outflow += outflow;
+    daily.set(day, d);
+    const t = byTrader.get(r.trader_id) || { traderId: r.trader_id, inflow: 0, outflow: 0 };
+    t.inflow += inflow;
+    t.outflow += outflow;
+    byTrader.set(r.trader_id, t);
+  }
+  const withNet = (x) => ({ ...x, net: x.inflow - x.outflow });
+  return {
+    daily: [...daily.values()].sort((a, b) => a.date.localeCompare(b.date)).map(withNet),
+    byTrader: [...byTrader.values()].map(withNet).sort((a, b) => b.net - a.net)
+  };
+}
+
+/*************************************************************
+ * getCohortRetention(range)
+ * - cohorts = ISO week of followed_at; retention[k] = share of
+ *   the cohort's follows still active k weeks after following,
+ *   null when those k weeks have not passed yet
+ *************************************************************/
+async function getCohortRetention({ from, to, traderId }) {
+  const columns = RETENTION_WEEKS.map((w) => `
+    COUNT(*) FILTER (WHERE unfollowed_at IS NULL OR unfollowed_at > followed_at + INTERVAL '${w} weeks') AS w${w}`).join(',');
+  const res = await query(`
+    SELECT date_trunc('week', followed_at)::date::text AS cohort, COUNT(*) AS size, ${columns}
+    FROM trader_follow_intervals
+    WHERE followed_at >= $1::date AND followed_at < $2::date + INTERVAL '1 day'
+      AND ($3::int IS NULL OR trader_id = $3)
+    GROUP BY 1
+    ORDER BY 1
+  `, [from, to, traderId]);
+
+  const now = Date.now();
+  return res.rows.map((r) => {
+    const size = parseInt(r.size, 10);
+    const cohortStart = new Date(`${r.cohort}T00:00:00Z`).getTime();
+    const retention = {};
+    for (const w of RETENTION_WEEKS) {
+      // the cohort's last follow must have had w full weeks
+      const complete = cohortStart + (7 + w * 7) * 86400000 <= now;
+      retention[`week${w}`] = complete && size ? parseInt(r[`w${w}`], 10) / size : null;
+    }
+    return { cohort: r.cohort, size, retention };
+  });
+}
+
+/*************************************************************
+ * getPnlComparison(range)
+ * - over the 30 days ending at range.to:
+ *   followerRoi30d = followers' realised PnL / average AUM,
+ *   leaderRoi30d   = traders.roi_30d as snapshotted on range.to
+ *   (the live value when range.to is today)
+ *************************************************************/
+async function getPnlComparison({ to, traderId }) {
+  const res = await query(`
+    SELECT t.id AS trader_id, t.name, t.roi_30d AS live_roi_30d,
+           (SELECT COALESCE(SUM(x.pnl), 0) FROM trade_executions x
+             WHERE x.trader_id = t.id AND x.status = 'SUCCESS' AND x.pnl IS NOT NULL
+               AND x.executed_at >= $1::date - INTERVAL '29 days'
+               AND x.executed_at < $1::date + INTERVAL '1 day') AS follower_pnl_sol,
+           (SELECT AVG(s.aum_sol) FROM trader_follow_snapshots s
+             WHERE s.trader_id = t.id
+               AND s.snapshot_date BETWEEN $1::date - 29 AND $1::date) AS avg_aum_sol,
+           (SELECT s.leader_roi_30d FROM trader_follow_snapshots s
+             WHERE s.trader_id = t.id AND s.snapshot_date <= $1::date
+             ORDER BY s.snapshot_date DESC LIMIT 1) AS snapshot_roi_30d
+    FROM traders t
+    WHERE ($2::int IS NULL OR t.id = $2)
+  `, [to, traderId]);
+
+  const isToday = to >= toDateString(new Date());
+  return res.rows
+    .map((r) => {
+      const followerPnlSol = parseFloat(r.follower_pnl_sol);
+      const avgAumSol = r.avg_aum_sol === null ? null : parseFloat(r.avg_aum_sol);
+      const leaderRoi = isToday ? r.live_roi_30d : r.snapshot_roi_30d;
+      const leaderRoi30d = leaderRoi === null || leaderRoi === undefined ? null : parseFloat(leaderRoi);
+      const followerRoi30d = avgAumSol ? followerPnlSol / avgAumSol : null;
+      return {
+        traderId: r.trader_id,
+        name: r.name,
+        followerPnlSol,
+        avgAumSol,
+        followerRoi30d,
+        leaderRoi30d,
+        trackingGap: followerRoi30d !== null && leaderRoi30d !== null ? followerRoi30d - leaderRoi30d : null
+      };
+    })
+    .filter((r) => r.followerPnlSol !== 0 || r.avgAumSol);
+}
+
+/*************************************************************
+ * getConcentration(range)
+ * - as of range.to (snapshot, or live for today)
+ * - Returns { asOf, platformAumSol, followingAumSol, hhi,
+ *   topShare, warnShare, traders: [{ traderId, aumSol, share, concentrated }] }
+ *************************************************************/
+async function getConcentration({ to }) {
+  let traders;
+  let platformAumSol;
+  let followingAumSol;
+  let asOf = to;
+
+  if (to >= toDateString(new Date())) {
+    const live = await getLiveTraderAum();
+    traders = [...live.traders.entries()].map(([traderId, s]) => ({ traderId, aumSol: s.aumSol }));
+    platformAumSol = live.platformAumSol;
+    followingAumSol = live.followingAumSol;
+  } else {
+    const platform = await query(`
+      SELECT snapshot_date::text AS snapshot_date, aum_sol, following_aum_sol FROM platform_aum_snapshots
+      WHERE snapshot_date <= $1 ORDER BY snapshot_date DESC LIMIT 1
+    `, [to]);
+    if (!platform.rows.length) {
+      return { asOf: null, platformAumSol: null, followingAumSol: null, hhi: null, topShare: null, warnShare: CONCENTRATION_WARN_SHARE, traders: [] };
+    }
+    asOf = platform.rows[0].snapshot_date;
+    platformAumSol = parseFloat(platform.rows[0].aum_sol);
+    followingAumSol = parseFloat(platform.rows[0].following_aum_sol);
+    const res = await query(`
+      SELECT trader_id, aum_sol FROM trader_follow_snapshots WHERE snapshot_date = $1
+    `, [asOf]);
+    traders = res.rows.map((r) => ({ traderId: r.trader_id, aumSol: parseFloat(r.aum_sol) }));
+  }
+
+  const withShare = traders
+    .map((t) => {
+      const share = platformAumSol ? t.aumSol / platformAumSol : 0;
+      return { ...t, share, concentrated: share >= CONCENTRATION_WARN_SHARE };
+    })
+    .sort((a, b) => b.share - a.share);
+  return {
+    asOf,
+    platformAumSol,
+    followingAumSol,
+    // Herfindahl index over the following AUM: 1 => everyone behind one trader
+    hhi: followingAumSol ? withShare.reduce((sum, t) => sum + (t.aumSol / followingAumSol) ** 2, 0) : null,
+    topShare: withShare.length ? withShare[0].share : 0,
+    warnShare: CONCENTRATION_WARN_SHARE,
+    traders: withShare
+  };
+}
+
+/*************************************************************
+ * getTraderFollowStats({ from, to, traderId })
+ * - everything the strategy analytics page shows, cached
+ *************************************************************/
+async function getTraderFollowStats(filters = {}) {
+  const range = normalizeRange(filters);
+  return cached(JSON.stringify(range), async () => ({
+    range,
+    followers: await getFollowerSeries(range),
+    flows: await getFollowerFlows(range),
+    cohorts: await getCohortRetention(range),
+    pnl: await getPnlComparison(range),
+    concentration: await getConcentration(range),
+    generatedAt: new Date().toISOString()
+  }));
+}
+
+/*************************************************************
+ * scheduleFollowSnapshots()
+ * - 23:55 UTC => the day's AUM before the date rolls over
+ *************************************************************/
+function scheduleFollowSnapshots() {
+  cron.schedule('55 23 * * *', async () => {
+    try {
+      await snapshotTraderFollowStats();
+    } catch (err) {
+      console.error('Error in trader follow snapshot cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  getTraderFollowStats,
+  getFollowerSeries,
+  getFollowerFlows,
+  getCohortRetention,
+  getPnlComparison,
+  getConcentration,
+  snapshotTraderFollowStats,
+  scheduleFollowSnapshots
+};
@@ -0,0 +1,500 @@
+/*************************************************************
+ * circuitBreakers.js
+ *
+ * Location: /src/risk/circuitBreakers.js
+ *
+ * Runtime for the configs admins store via admin.setCircuitBreaker
+ * (Prompt 1.10 Trade Safeguards & Circuit Breakers).
+ *
+ * Config (circuit_breakers.config):
+ *   {
+ *     scope: 'global' | 'pair' | 'token' | 'trader' | 'vault',
+ *     scopeKey: optional => 'SOL/USDC', a trader id or a user id;
+ *               omitted => every pair / trader / vault gets its own state;
+ *               required for 'token' => 'SOL' covers every pair with SOL;
+ *               tokens are symbols or mints (priceOracle.resolveSymbol)
+ *     windowMinutes: 10,
+ *     maxFailures: 5,          // failed executions in the window
+ *     maxSlippagePct: 0.05,    // executions above this slippage ...
+ *     maxSlippageBreaches: 3,  // ... this many times in the window
+ *     maxLossSol: 10,          // realised loss in the window
+ *     openMinutes: 15,         // open => half_open after this long
+ *     probeTrades: 2,          // successful probes needed to close again
+ *     probeTimeoutMinutes: 5,  // a probe without a result after this long => open again
+ *     autoTrip: true           // false => only opened explicitly (openScopedBreaker)
+ *   }
+ *
+ * State machine per (breaker, scope key):
+ *   closed    => trades pass, outcomes recorded, trips to open on a condition
+ *   open      => trades blocked until openMinutes have passed
+ *   half_open => only probeTrades executions pass as probes;
+ *                all succeed => closed, any failure => open again,
+ *                a probe lost without a result => open again
+ *                after probeTimeoutMinutes
+ *
+ * Token breakers are also opened by the flash-crash watch in
+ * scripts/riskScanner.js (openScopedBreaker), to pause only the
+ * pairs of a crashing token. Such a system breaker never trips
+ * on its own, stays open for the pause it was given and is
+ * disabled again once it closes.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const priceOracle = require('../oracle/priceOracle');
+
+const SCOPES = ['global', 'pair', 'token', 'trader', 'vault'];
+const CONFIG_TTL_MS = 30 * 1000;
+
+const DEFAULTS = {
+  windowMinutes: 10,
+  maxFailures: 5,
+  maxSlippagePct: null,
+  maxSlippageBreaches: 3,
+  maxLossSol: null,
+  openMinutes: 15,
+  probeTrades: 1,
+  probeTimeoutMinutes: 5,
+  autoTrip: true
+};
+
+/*************************************************************
+ * normalizeBreakerConfig(config)
+ * - Validates before admin.setCircuitBreaker stores it
+ *************************************************************/
+function normalizeBreakerConfig(config = {}) {
+  const scope = config.scope || 'global';
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Invalid circuit breaker scope "${scope}". Must be one of: ${SCOPES.join(', ')}`);
+  }
+  const normalized = { ...DEFAULTS, ...config, scope };
+  if (scope === 'pair' && normalized.scopeKey) {
+    const [a, b] = String(normalized.scopeKey).split('/');
+    if (!a || !b) {
+      throw new Error('Pair scopeKey must look like "SOL/USDC".');
+    }
+    normalized.scopeKey = pairKey(a, b);
+  }
+  if (scope === 'token') {
+    if (!normalized.scopeKey) {
+      throw new Error('Token breakers need a scopeKey like "SOL".');
+    }
+    normalized.scopeKey = priceOracle.resolveSymbol(normalized.scopeKey);
+  }
+  for (const field of ['windowMinutes', 'maxFailures', 'maxSlippageBreaches', 'openMinutes', 'probeTrades', 'probeTimeoutMinutes']) {
+    if (!Number.isInteger(normalized[field]) || normalized[field] < 1) {
+      throw new Error(`Circuit breaker ${field} must be a positive integer.`);
+    }
+  }
+  if (normalized.maxSlippagePct !== null && !(normalized.maxSlippagePct > 0 && normalized.maxSlippagePct < 1)) {
+    throw new Error('maxSlippagePct must be between 0 and 1.');
+  }
+  if (normalized.maxLossSol !== null && !(normalized.maxLossSol > 0)) {
+    throw new Error('maxLossSol must be positive.');
+  }
+  if (typeof normalized.autoTrip !== 'boolean') {
+    throw new Error('autoTrip must be true or false.');
+  }
+  return normalized;
+}
+
+// direction-agnostic: SOL→USDC and USDC→SOL share one breaker
+function pairKey(tokenA, tokenB) {
+  return [priceOracle.resolveSymbol(tokenA), priceOracle.resolveSymbol(tokenB)].sort().join('/');
+}
+
+/*************************************************************
+ * scopeKeyForTrade(config, trade)
+ * - trade: { userId, traderId, fromToken, toToken }
+ * - null => the breaker does not apply to this trade
+ *************************************************************/
+function scopeKeyForTrade(config, trade) {
+  let key;
+  switch (config.scope) {
+    case 'global': key = 'global'; break;
+    case 'pair': key = trade.fromToken && trade.toToken ? pairKey(trade.fromToken, trade.toToken) : null; break;
+    case 'token': key = [trade.fromToken, trade.toToken].some((t) => t && priceOracle.resolveSymbol(t) === config.scopeKey)
+      ? config.scopeKey : null; break;
+    case 'trader': key = trade.traderId ? String(trade.traderId) : null; break;
+    case 'vault': key = trade.userId ? String(trade.userId) : null; break;
+    default: key = null;
+  }
+  if (key && config.scopeKey !== undefined && config.scopeKey !== null && String(config.scopeKey) !== key) {
+    return null;
+  }
+  return key;
+}
+
+/*************************************************************
+ * Breaker configs, cached briefly so the aggregator does not
+ * hit the table for every trade
+ *************************************************************/
+let configCache = { breakers: null, loadedAt: 0 };
+
+async function loadBreakers() {
+  if (configCache.breakers && Date.now() - configCache.loadedAt < CONFIG_TTL_MS) {
+    return configCache.breakers;
+  }
+  const res = await query(`
+    SELECT id, config
+    FROM circuit_breakers
+    WHERE enabled = true
+    ORDER BY id
+  `);
+  const breakers = [];
+  for (const row of res.rows) {
+    try {
+      const raw = typeof row.config === 'string' ? JSON.parse(row.config) : row.config;
+      breakers.push({ id: row.id, config: normalizeBreakerConfig(raw) });
+    } catch (err) {
+      console.error(`Skipping invalid circuit breaker ${row.id}:`, err.message);
+    }
+  }
+  configCache = { breakers, loadedAt: Date.now() };
+  return breakers;
+}
+
+function invalidateBreakerCache() {
+  configCache = { breakers: null, loadedAt: 0 };
+}
+
+async function loadState(breakerId, scopeKey) {
+  const res = await query(`
+    SELECT breaker_id, scope_key, state, opened_at, probes_in_flight, probe_successes, probe_claimed_at, last_reason
+    FROM circuit_breaker_states
+    WHERE breaker_id = $1 AND scope_key = $2
+  `, [breakerId, scopeKey]);
+  return res.rows[0] || { breaker_id: breakerId, scope_key: scopeKey, state: 'closed' };
+}
+
+/*************************************************************
+ * State transitions
+ * - openMinutes: how long this opening lasts; null => the
+ *   breaker's config.openMinutes
+ *************************************************************/
+async function openBreaker(breaker, scopeKey, reason, openMinutes = null) {
+  await query(`
+    INSERT INTO circuit_breaker_states
+      (breaker_id, scope_key, state, opened_at, open_minutes, probes_in_flight, probe_successes, last_reason, updated_at)
+    VALUES ($1, $2, 'open', NOW(), $4, 0, 0, $3, NOW())
+    ON CONFLICT (breaker_id, scope_key)
+    DO UPDATE SET state='open', opened_at=NOW(), open_minutes=$4, probes_in_flight=0, probe_successes=0,
+                  last_reason=$3, updated_at=NOW()
+  `, [breaker.id, scopeKey, reason, openMinutes]);
+  notifications.sendAdminGlobalAlert(
+    `🔌 *Circuit breaker OPEN* #${breaker.id} (${breaker.config.scope} ${scopeKey})\nReason: ${reason}`);
+}
+
+async function closeBreaker(breaker, scopeKey, reason) {
+  await query(`
+    UPDATE circuit_breaker_states
+    SET state='closed', opened_at=NULL, open_minutes=NULL, probes_in_flight=0, probe_successes=0,
+        last_reason=$3, updated_at=NOW()
+    WHERE breaker_id = $1 AND scope_key = $2
+  `, [breaker.id, scopeKey, reason]);
+  // a system breaker (openScopedBreaker) only stands while it pauses
+  const disabled = await query(`
+    UPDATE circuit_breakers
+    SET enabled=false
+    WHERE id=$1 AND created_by IS NULL AND config->>'autoTrip' = 'false' AND enabled=true
+    RETURNING id
+  `, [breaker.id]);
+  if (disabled.rows.length) invalidateBreakerCache();
+  notifications.sendAdminGlobalAlert(
+    `✅ *Circuit breaker closed* #${breaker.id} (${breaker.config.scope} ${scopeKey})\n${reason}`);
+}
+
+// open => half_open once its open minutes have passed (only one caller wins)
+async function maybeHalfOpen(breaker, scopeKey) {
+  const res = await query(`
+    UPDATE circuit_breaker_states
+    SET state='half_open', probes_in_flight=0, probe_successes=0, updated_at=NOW()
+    WHERE breaker_id = $1 AND scope_key = $2 AND state = 'open'
+      AND opened_at <= NOW() - (COALESCE(open_minutes, $3) || ' minutes')::interval
+    RETURNING state
+  `, [breaker.id, scopeKey, breaker.config.openMinutes]);
+  return res.rows.length > 0;
+}
+
+// reserve one probe slot; false => all probes already in flight
+async function claimProbe(breaker, scopeKey) {
+  const res = await query(`
+    UPDATE circuit_breaker_states
+    SET probes_in_flight = probes_in_flight + 1, probe_claimed_at=NOW(), updated_at=NOW()
+    WHERE breaker_id = $1 AND scope_key = $2 AND state = 'half_open'
+      AND probes_in_flight + probe_successes < $3
+    RETURNING probes_in_flight
+  `, [breaker.id, scopeKey, breaker.config.probeTrades]);
+  return res.rows.length > 0;
+}
+
+// half_open => open when a probe never reported back (crash, lost
+// result) within probeTimeoutMinutes (only one caller wins)
+async function expireStaleProbes(breaker, scopeKey) {
+  const reason = `Probe trade timed out (no result within ${breaker.config.probeTimeoutMinutes} min)`;
+  const res = await query(`
+    UPDATE circuit_breaker_states
+    SET state='open', opened_at=NOW(), open_minutes=NULL, probes_in_flight=0, probe_successes=0,
+        last_reason=$4, updated_at=NOW()
+    WHERE breaker_id = $1 AND scope_key = $2 AND state = 'half_open'
+      AND probes_in_flight > 0
+      AND probe_claimed_at <= NOW() - ($3 || ' minutes')::interval
+    RETURNING state
+  `, [breaker.id, scopeKey, breaker.config.probeTimeoutMinutes, reason]);
+  if (res.rows.length === 0) return false;
+  notifications.sendAdminGlobalAlert(
+    `🔌 *Circuit breaker OPEN* #${breaker.id} (${breaker.config.scope} ${scopeKey})\nReason: ${reason}`);
+  return true;
+}
+
+/*************************************************************
+ * checkExecution(trade)
+ * - Called by the aggregator before every execution.
+ * - Returns { allowed, blockedBy: [...], probes: [...] }
+ *   probes must be passed back to recordExecutionResult.
+ *************************************************************/
+async function checkExecution(trade) {
+  const breakers = await loadBreakers();
+  const blockedBy = [];
+  const probes = [];
+
+  for (const breaker of breakers) {
+    const scopeKey = scopeKeyForTrade(breaker.config, trade);
+    if (!scopeKey) continue;
+
+    let state = await loadState(breaker.id, scopeKey);
+    if (state.state === 'half_open' && await expireStaleProbes(breaker, scopeKey)) {
+      state = await loadState(breaker.id, scopeKey);
+    }
+    if (state.state === 'open' && await maybeHalfOpen(breaker, scopeKey)) {
+      state = await loadState(breaker.id, scopeKey);
+    }
+
+    if (state.state === 'open') {
+      blockedBy.push({ breakerId: breaker.id, scope: breaker.config.scope, scopeKey, state: 'open', reason: state.last_reason });
+    } else if (state.state === 'half_open') {
+      if (await claimProbe(breaker, scopeKey)) {
+        probes.push({ breakerId: breaker.id, scopeKey });
+      } else {
+        blockedBy.push({ breakerId: breaker.id, scope: breaker.config.scope, scopeKey, state: 'half_open', reason: 'probe trades in flight' });
+      }
+    }
+  }
+
+  // a blocked trade never runs => give back any probe slots it reserved
+  if (blockedBy.length > 0 && probes.length > 0) {
+    await releaseProbes(probes);
+    return { allowed: false, blockedBy, probes: [] };
+  }
+  return { allowed: blockedBy.length === 0, blockedBy, probes };
+}
+
+async function releaseProbes(probes) {
+  for (const probe of probes) {
+    await query(`
+      UPDATE circuit_breaker_states
+      SET probes_in_flight = GREATEST(probes_in_flight - 1, 0), updated_at=NOW()
+      WHERE breaker_id = $1 AND scope_key = $2
+    `, [probe.breakerId, probe.scopeKey]);
+  }
+}
+
+/*************************************************************
+ * evaluateTripConditions(breaker, scopeKey)
+ * - Returns a reason string when the window breaches a limit
+ *************************************************************/
+async function evaluateTripConditions(breaker, scopeKey) {
+  const { config } = breaker;
+  const res = await query(`
+    SELECT COUNT(*) FILTER (WHERE success = false) AS failures,
+           COUNT(*) FILTER (WHERE $4::numeric IS NOT NULL AND slippage > $4) AS slippage_breaches,
+           COALESCE(-SUM(pnl_sol) FILTER (WHERE pnl_sol < 0), 0) AS loss_sol
+    FROM circuit_breaker_events
+    WHERE breaker_id = $1 AND scope_key = $2
+      AND created_at > NOW() - ($3 || ' minutes')::interval
+  `, [breaker.id, scopeKey, config.windowMinutes, config.maxSlippagePct]);
+  const failures = parseInt(res.rows[0].failures || '0', 10);
+  const slippageBreaches = parseInt(res.rows[0].slippage_breaches || '0', 10);
+  const lossSol = parseFloat(res.rows[0].loss_sol || 0);
+
+  if (failures >= config.maxFailures) {
+    return `${failures} failed executions in ${config.windowMinutes} min`;
+  }
+  if (config.maxSlippagePct !== null && slippageBreaches >= config.maxSlippageBreaches) {
+    return `${slippageBreaches} executions above ${(config.maxSlippagePct * 100).toFixed(1)}% slippage`;
+  }
+  if (config.maxLossSol !== null && lossSol >= config.maxLossSol) {
+    return `${lossSol.toFixed(3)} SOL lost in ${config.windowMinutes} min`;
+  }
+  return null;
+}
+
+/*************************************************************
+ * recordExecutionResult(trade, outcome, probes)
+ * - outcome: { success, slippage, pnlSol }
+ * - probes: from checkExecution
+ *************************************************************/
+async function recordExecutionResult(trade, outcome, probes = []) {
+  const breakers = await loadBreakers();
+  const slippageBreached = (config) =>
+    config.maxSlippagePct !== null && outcome.slippage !== undefined && outcome.slippage > config.maxSlippagePct;
+
+  for (const breaker of breakers) {
+    const scopeKey = scopeKeyForTrade(breaker.config, trade);
+    if (!scopeKey) continue;
+    const isProbe = probes.some((p) => p.breakerId === breaker.id && p.scopeKey === scopeKey);
+
+    await query(`
+      INSERT INTO circuit_breaker_events (breaker_id, scope_key, success, slippage, pnl_sol, probe, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    `, [breaker.id, scopeKey, Boolean(outcome.success), outcome.slippage ?? null, outcome.pnlSol ?? null, isProbe]);
+
+    if (isProbe) {
+      if (!outcome.success || slippageBreached(breaker.config)) {
+        await openBreaker(breaker, scopeKey, 'Probe trade failed during recovery');
+        continue;
+      }
+      const res = await query(`
+        UPDATE circuit_breaker_states
+        SET probes_in_flight = GREATEST(probes_in_flight - 1, 0),
+            probe_successes = probe_successes + 1,
+            updated_at = NOW()
+        WHERE breaker_id = $1 AND scope_key = $2 AND state = 'half_open'
+        RETURNING probe_successes
+      `, [breaker.id, scopeKey]);
+      if (res.rows[0] && res.rows[0].probe_successes >= breaker.config.probeTrades) {
+        await closeBreaker(breaker, scopeKey, `Recovered after ${breaker.config.probeTrades} successful probe trade(s)`);
+      }
+      continue;
+    }
+
+    if (!breaker.config.autoTrip) continue;
+    const state = await loadState(breaker.id, scopeKey);
+    if (state.state !== 'closed') continue;
+    const reason = await evaluateTripConditions(breaker, scopeKey);
+    if (reason) {
+      await openBreaker(breaker, scopeKey, reason);
+    }
+  }
+}
+
+/*************************************************************
+ * getBreakerStates()
+ * - configs + every known scope state, for the admin web app
+ *************************************************************/
+async function getBreakerStates() {
+  const res = await query(`
+    SELECT b.id, b.config, b.enabled, b.created_at, b.created_by,
+           s.scope_key, s.state, s.opened_at, s.open_minutes, s.probes_in_flight, s.probe_successes,
+           s.last_reason, s.updated_at
+    FROM circuit_breakers b
+    LEFT JOIN circuit_breaker_states s ON s.breaker_id = b.id
+    ORDER BY b.id, s.scope_key
+  `);
+  const byId = new Map();
+  for (const row of res.rows) {
+    if (!byId.has(row.id)) {
+      byId.set(row.id, {
+        id: row.id,
+        config: typeof row.config === 'string' ? JSON.parse(row.config) : row.config,
+        enabled: row.enabled,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        states: []
+      });
+    }
+    if (row.scope_key) {
+      byId.get(row.id).states.push({
+        scopeKey: row.scope_key,
+        state: row.state,
+        openedAt: row.opened_at,
+        openMinutes: row.open_minutes,
+        probesInFlight: row.probes_in_flight,
+        probeSuccesses: row.probe_successes,
+        lastReason: row.last_reason,
+        updatedAt: row.updated_at
+      });
+    }
+  }
+  return [...byId.values()];
+}
+
+/*************************************************************
+ * getOpenBreakers({ scope })
+ *************************************************************/
+async function getOpenBreakers({ scope = null } = {}) {
+  const res = await query(`
+    SELECT s.breaker_id, s.scope_key, s.state, s.opened_at, s.last_reason
+    FROM circuit_breaker_states s
+    JOIN circuit_breakers b ON b.id = s.breaker_id
+    WHERE b.enabled = true AND s.state <> 'closed'
+      AND ($1::text IS NULL OR b.config->>'scope' = $1)
+  `, [scope]);
+  return res.rows;
+}
+
+/*************************************************************
+ * resetBreaker(breakerId, scopeKey)
+ * - manual close by an admin
+ *************************************************************/
+async function resetBreaker(breakerId, scopeKey) {
+  const breakers = await loadBreakers();
+  const breaker = breakers.find((b) => b.id === breakerId) || { id: breakerId, config: { scope: '?' } };
+  await closeBreaker(breaker, scopeKey, 'Manually reset by admin');
+}
+
+/*************************************************************
+ * openScopedBreaker(config, scopeKey, reason, { openMinutes })
+ * - pauses one scope for openMinutes on behalf of a system check
+ * - uses the system breaker (created_by NULL, autoTrip false) for
+ *   the same scope / scopeKey, re-enabled, or creates one; admin
+ *   breakers are left alone. closeBreaker disables it again.
+ * - returns the breaker id
+ *************************************************************/
+async function openScopedBreaker(config, scopeKey, reason, { openMinutes } = {}) {
+  const normalized = normalizeBreakerConfig({ ...config, autoTrip: false });
+  if (!Number.isInteger(openMinutes) || openMinutes < 1) {
+    throw new Error('openScopedBreaker needs openMinutes (a positive integer).');
+  }
+  const existing = await query(`
+    UPDATE circuit_breakers
+    SET enabled=true
+    WHERE id = (
+      SELECT id FROM circuit_breakers
+      WHERE created_by IS NULL AND config->>'autoTrip' = 'false'
+        AND config->>'scope' = $1 AND COALESCE(config->>'scopeKey', '') = $2
+      ORDER BY id
+      LIMIT 1
+    )
+    RETURNING id
+  `, [normalized.scope, String(normalized.scopeKey ?? '')]);
+  let breakerId = existing.rows[0] ? existing.rows[0].id : null;
+  if (!breakerId) {
+    const res = await query(`
+      INSERT INTO circuit_breakers (config, enabled, created_at, created_by)
+      VALUES ($1, true, NOW(), NULL)
+      RETURNING id
+    `, [JSON.stringify(normalized)]);
+    breakerId = res.rows[0].id;
+  }
+  invalidateBreakerCache();
+  await openBreaker({ id: breakerId, config: normalized }, scopeKey, reason, openMinutes);
+  return breakerId;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  SCOPES,
+  normalizeBreakerConfig,
+  pairKey,
+  checkExecution,
+  recordExecutionResult,
+  releaseProbes,
+  getBreakerStates,
+  getOpenBreakers,
+  resetBreaker,
+  openScopedBreaker,
+  invalidateBreakerCache
+};
@@ -0,0 +1,346 @@
+/*************************************************************
+ * flashCrashWatch.js
+ *
+ * Location: /src/risk/flashCrashWatch.js
+ *
+ * Flash-crash detection over an asset watchlist (Prompt 1.9
+ * Market Event Auto-Pause), run every minute by scripts/riskScanner.js.
+ *
+ * Watchlist (flash_crash_watchlist.config):
+ *   {
+ *     windows: [
+ *       { minutes: 1, mode: 'static', dropPct: 0.05 },
+ *       { minutes: 60, mode: 'sigma', sigmas: 4, minDropPct: 0.05 }
+ *     ],
+ *     reaction: 'token' | 'global',  // pause pairs of this token / all trading
+ *     globalLevel: 3,                // global reaction: meltdown level (2-4)
+ *     pauseMinutes: 30,              // token reaction: breaker open time
+ *     cooldownMinutes: 30            // no new reaction for this asset meanwhile
+ *   }
+ *  - static: drop from the window high >= dropPct
+ *    (no dropPct => risk_scanner_price_drop_threshold)
+ *  - sigma: drop >= sigmas x recent per-minute volatility x sqrt(minutes),
+ *    never below minDropPct; volatility comes from the price series
+ *    before the window, so the crash does not raise its own threshold
+ *
+ * Price series: global_metrics rows '<symbol>_price' (e.g. 'btc_price'),
+ * one per scan. evaluateWatch() is pure, so replays can feed it
+ * recorded samples.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const priceOracle = require('../oracle/priceOracle');
+
+const WINDOW_MODES = ['static', 'sigma'];
+const REACTIONS = ['token', 'global'];
+
+// 1m / 5m / 1h, used when an entry has no windows of its own
+const DEFAULT_WINDOWS = [
+  { minutes: 1, mode: 'static', dropPct: 0.05 },
+  { minutes: 5, mode: 'static', dropPct: null },
+  { minutes: 60, mode: 'sigma', sigmas: 4, minDropPct: 0.05 }
+];
+
+const DEFAULTS = {
+  reaction: 'token',
+  globalLevel: 3,
+  pauseMinutes: 30,
+  cooldownMinutes: 30
+};
+
+// a sample this much older than the window start still counts as its open
+const SAMPLE_SLACK_MS = 30 * 1000;
+// returns over gaps longer than this (scanner down) are not volatility
+const MAX_RETURN_GAP_MS = 10 * 60 * 1000;
+const MIN_VOLATILITY_RETURNS = 30;
+
+/*************************************************************
+ * normalizeWatchConfig(config)
+ * - Validates before admin.setFlashCrashWatch stores it
+ *************************************************************/
+function normalizeWatchConfig(config = {}) {
+  const normalized = { ...DEFAULTS, ...config };
+  if (!REACTIONS.includes(normalized.reaction)) {
+    throw new Error(`Invalid flash-crash reaction "${normalized.reaction}". Must be one of: ${REACTIONS.join(', ')}`);
+  }
+  if (![2, 3, 4].includes(normalized.globalLevel)) {
+    throw new Error('Flash-crash globalLevel must be 2, 3 or 4.');
+  }
+  for (const field of ['pauseMinutes', 'cooldownMinutes']) {
+    if (!Number.isInteger(normalized[field]) || normalized[field] < 1) {
+      throw new Error(`Flash-crash ${field} must be a positive integer.`);
+    }
+  }
+
+  const windows = normalized.windows === undefined ? DEFAULT_WINDOWS : normalized.windows;
+  if (!Array.isArray(windows) || windows.length === 0) {
+    throw new Error('Flash-crash windows must be a non-empty array.');
+  }
+  normalized.windows = windows.map((w) => {
+    const mode = w.mode || 'static';
+    if (!WINDOW_MODES.includes(mode)) {
+      throw new Error(`Invalid window mode "${mode}". Must be one of: ${WINDOW_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(w.minutes) || w.minutes < 1 || w.minutes > 1440) {
+      throw new Error('Window minutes must be an integer between 1 and 1440.');
+    }
+    const isFraction = (v) => v > 0 && v < 1;
+    if (mode === 'static') {
+      const dropPct = w.dropPct ?? null;
+      if (dropPct !== null && !isFraction(dropPct)) {
+        throw new Error('Window dropPct must be between 0 and 1.');
+      }
+      return { minutes: w.minutes, mode, dropPct };
+    }
+    const sigmas = w.sigmas ?? 4;
+    const minDropPct = w.minDropPct ?? 0.02;
+    if (!(sigmas > 0)) {
+      throw new Error('Window sigmas must be positive.');
+    }
+    if (!isFraction(minDropPct)) {
+      throw new Error('Window minDropPct must be between 0 and 1.');
+    }
+    return { minutes: w.minutes, mode, sigmas, minDropPct };
+  });
+  return normalized;
+}
+
+function metricForSymbol(symbol) {
+  return `${String(symbol).toLowerCase()}_price`;
+}
+
+/*************************************************************
+ * Volatility
+ *************************************************************/
+
+// stddev of log returns scaled to one minute; null => not enough history
+function perMinuteVolatility(samples) {
+  const returns = [];
+  for (let i = 1; i < samples.length; i++) {
+    const dt = samples[i].t - samples[i - 1].t;
+    if (dt <= 0 || dt > MAX_RETURN_GAP_MS) continue;
+    if (!(samples[i].price > 0) || !(samples[i - 1].price > 0)) continue;
+    returns.push(Math.log(samples[i].price / samples[i - 1].price) / Math.sqrt(dt / 60000));
+  }
+  if (returns.length < MIN_VOLATILITY_RETURNS) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+/*************************************************************
+ * evaluateWatch(watch, samples, { nowMs, defaultDropPct })
+ * - samples: [{ t (ms), price }] ascending, the current price last
+ * - Returns one result per window:
+ *   { minutes, mode, evaluated, triggered, dropPct, thresholdPct,
+ *     price, peakPrice, volatility, reason }
+ *************************************************************/
+function evaluateWatch(watch, samples, { nowMs = Date.now(), defaultDropPct } = {}) {
+  const current = samples[samples.length - 1];
+  return watch.config.windows.map((w) => {
+    const result = {
+      minutes: w.minutes, mode: w.mode, evaluated: false, triggered: false,
+      dropPct: null, thresholdPct: null, price: current ? current.price : null,
+      peakPrice: null, volatility: null, reason: null
+    };
+    if (!current) {
+      result.reason = 'no price';
+      return result;
+    }
+    const windowStart = nowMs - w.minutes * 60000;
+    const inWindow = samples.filter((s) => s.t >= windowStart - SAMPLE_SLACK_MS);
+    if (inWindow.length < 2) {
+      result.reason = 'no price from the start of the window yet';
+      return result;
+    }
+    result.peakPrice = Math.max(...inWindow.map((s) => s.price));
+    result.dropPct = result.peakPrice > 0 ? Math.max(0, (result.peakPrice - current.price) / result.peakPrice) : 0;
+
+    if (w.mode === 'static') {
+      result.thresholdPct = w.dropPct ?? defaultDropPct;
+    } else {
+      result.volatility = perMinuteVolatility(samples.filter((s) => s.t < windowStart));
+      if (result.volatility === null) {
+        result.reason = 'not enough price history for volatility';
+        return result;
+      }
+      result.thresholdPct = Math.max(w.minDropPct, w.sigmas * result.volatility * Math.sqrt(w.minutes));
+    }
+    result.evaluated = true;
+    result.triggered = result.dropPct >= result.thresholdPct;
+    return result;
+  });
+}
+
+// the window furthest past its threshold
+function worstTriggered(results) {
+  const triggered = results.filter((r) => r.triggered);
+  if (!triggered.length) return null;
+  return triggered.reduce((worst, r) =>
+    r.dropPct / r.thresholdPct > worst.dropPct / worst.thresholdPct ? r : worst);
+}
+
+/*************************************************************
+ * Watchlist
+ *************************************************************/
+function rowToWatch(row) {
+  return {
+    symbol: row.symbol,
+    config: normalizeWatchConfig(typeof row.config === 'string' ? JSON.parse(row.config) : row.config),
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getWatchlist({ includeDisabled = false } = {}) {
+  const res = await query(`
+    SELECT symbol, config, enabled, created_at, created_by, updated_at
+    FROM flash_crash_watchlist
+    WHERE $1 OR enabled = true
+    ORDER BY symbol
+  `, [includeDisabled]);
+  const watches = [];
+  for (const row of res.rows) {
+    try {
+      watches.push(rowToWatch(row));
+    } catch (err) {
+      console.error(`Skipping invalid flash-crash watch ${row.symbol}:`, err.message);
+    }
+  }
+  return watches;
+}
+
+/*************************************************************
+ * setWatch(adminId, symbol, config, enabled)
+ * - insert or replace; Returns { symbol, before, after }
+ * - a mint is stored as its symbol; a symbol no price source
+ *   quotes is rejected, it would never be checked
+ *************************************************************/
+async function setWatch(adminId, symbol, config, enabled = true) {
+  const key = priceOracle.resolveSymbol(symbol);
+  if (!key || !priceOracle.supports(key)) {
+    throw new Error(`No price source quotes ${key || symbol}. Add a feed first (PYTH_PRICE_FEEDS / SWITCHBOARD_PRICE_FEEDS / JUPITER_PRICE_TOKENS).`);
+  }
+  const normalized = normalizeWatchConfig(config);
+  const beforeRes = await query(`
+    SELECT config, enabled FROM flash_crash_watchlist WHERE symbol = $1
+  `, [key]);
+  await query(`
+    INSERT INTO flash_crash_watchlist (symbol, config, enabled, created_at, created_by, updated_at)
+    VALUES ($1, $2, $3, NOW(), $4, NOW())
+    ON CONFLICT (symbol)
+    DO UPDATE SET config = $2, enabled = $3, updated_at = NOW()
+  `, [key, JSON.stringify(normalized), Boolean(enabled), adminId]);
+  return {
+    symbol: key,
+    before: beforeRes.rows[0] || null,
+    after: { config: normalized, enabled: Boolean(enabled) }
+  };
+}
+
+// Returns the removed entry, null if there was none
+async function removeWatch(symbol) {
+  const res = await query(`
+    DELETE FROM flash_crash_watchlist
+    WHERE symbol = $1
+    RETURNING symbol, config, enabled
+  `, [priceOracle.resolveSymbol(symbol)]);
+  return res.rows[0] || null;
+}
+
+/*************************************************************
+ * Price series (global_metrics)
+ *************************************************************/
+
+// quotes: { SYMBOL: quote } from priceOracle; only usable prices are kept
+async function recordPrices(quotes) {
+  const usable = Object.values(quotes).filter((q) => q && q.usable);
+  for (const quote of usable) {
+    await query(`
+      INSERT INTO global_metrics (metric, value, timestamp)
+      VALUES ($1, $2, NOW())
+    `, [metricForSymbol(quote.symbol), quote.price]);
+  }
+  return usable.length;
+}
+
+// untilMs null => up to now
+async function getPriceHistory(symbol, sinceMs, untilMs = null) {
+  const res = await query(`
+    SELECT value::float AS price, timestamp
+    FROM global_metrics
+    WHERE metric = $1 AND timestamp >= $2
+      AND ($3::timestamptz IS NULL OR timestamp <= $3)
+    ORDER BY timestamp ASC
+  `, [metricForSymbol(symbol), new Date(sinceMs), untilMs === null ? null : new Date(untilMs)]);
+  return res.rows.map((r) => ({ t: new Date(r.timestamp).getTime(), price: r.price }));
+}
+
+async function prunePriceHistory(days) {
+  const res = await query(`
+    DELETE FROM global_metrics
+    WHERE metric LIKE '%\\_price' ESCAPE '\\'
+      AND timestamp < NOW() - ($1 || ' days')::interval
+  `, [days]);
+  return res.rowCount || 0;
+}
+
+/*************************************************************
+ * Crash events
+ *************************************************************/
+async function isCoolingDown(symbol, cooldownMinutes) {
+  const res = await query(`
+    SELECT 1 FROM flash_crash_events
+    WHERE symbol = $1 AND created_at > NOW() - ($2 || ' minutes')::interval
+    LIMIT 1
+  `, [symbol, cooldownMinutes]);
+  return res.rows.length > 0;
+}
+
+async function recordCrashEvent(symbol, result, reaction, breakerId = null) {
+  const res = await query(`
+    INSERT INTO flash_crash_events
+      (symbol, window_minutes, mode, drop_pct, threshold_pct, price, peak_price, reaction, breaker_id, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    RETURNING id
+  `, [symbol, result.minutes, result.mode, result.dropPct, result.thresholdPct,
+    result.price, result.peakPrice, reaction, breakerId]);
+  return res.rows[0].id;
+}
+
+async function getCrashEvents({ symbol = null, limit = 50 } = {}) {
+  const res = await query(`
+    SELECT id, symbol, window_minutes, mode, drop_pct, threshold_pct, price, peak_price,
+           reaction, breaker_id, created_at
+    FROM flash_crash_events
+    WHERE ($1::text IS NULL OR symbol = $1)
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [symbol ? String(symbol).toUpperCase() : null, limit]);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  WINDOW_MODES,
+  REACTIONS,
+  DEFAULT_WINDOWS,
+  normalizeWatchConfig,
+  metricForSymbol,
+  perMinuteVolatility,
+  evaluateWatch,
+  worstTriggered,
+  getWatchlist,
+  setWatch,
+  removeWatch,
+  recordPrices,
+  getPriceHistory,
+  prunePriceHistory,
+  isCoolingDown,
+  recordCrashEvent,
+  getCrashEvents
+};
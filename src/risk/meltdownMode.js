@@ -0,0 +1,346 @@
+/*************************************************************
+ * meltdownMode.js
+ *
+ * Location: /src/risk/meltdownMode.js
+ *
+ * Graduated meltdown levels (Prompt 1.9 Market Event Auto-Pause,
+ * Prompt 8.5 meltdown warnings):
+ *   0 normal      => trading as usual
+ *   1 warning     => admins are warned, trading unchanged
+ *   2 reduced     => new positions at half size
+ *   3 exits_only  => no new positions; exits and stop-losses still run
+ *   4 halted      => nothing trades
+ *
+ * Conditions: scripts/riskScanner.js reports each check as
+ * { key, level, reason } (level 0 => cleared); the target level
+ * is the highest condition seen in the last CONDITION_TTL_MINUTES.
+ *  - escalation: the target must hold for meltdown_escalate_hold_minutes
+ *    (0 => at once), then the level jumps to it
+ *  - de-escalation: the target must stay lower for
+ *    meltdown_deescalate_cooldown_minutes, then the level steps
+ *    down one level; the cooldown starts again for the next step
+ *  - an admin level (pauseGlobalTrading / admin.setMeltdownLevel)
+ *    is a floor automatic de-escalation never goes below, until
+ *    resumeGlobalTrading
+ *
+ * Every change is stored in meltdown_level_changes, sent to
+ * admins and, when it changes what followers' trades do
+ * (level 2 and up), broadcast to copy-trading users.
+ *************************************************************/
+
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const settingsRegistry = require('../admin/settingsRegistry');
+const broadcast = require('../admin/broadcast');
+const priceOracle = require('../oracle/priceOracle');
+
+const LEVELS = {
+  0: { name: 'normal', description: 'Normal trading' },
+  1: { name: 'warning', description: 'Admins warned, trading unchanged' },
+  2: { name: 'reduced', description: 'New positions at half size' },
+  3: { name: 'exits_only', description: 'No new positions, exits and stop-losses still run' },
+  4: { name: 'halted', description: 'All trading halted' }
+};
+const MAX_LEVEL = 4;
+// lowest level users notice
+const USER_VISIBLE_LEVEL = 2;
+const REDUCED_SIZE_FACTOR = 0.5;
+
+const STATE_TTL_MS = 5 * 1000;
+// a check that stops reporting (scanner down) no longer holds a level
+const CONDITION_TTL_MINUTES = 15;
+
+// selling into these reduces exposure
+const STABLE_TOKENS = ['USDC', 'USDT'];
+const BASE_TOKEN = 'SOL';
+
+const MESSAGES = {
+  LEVEL_UP: (level) => `⚠️ Market safeguards raised: ${LEVELS[level].description}.`,
+  LEVEL_DOWN: (level) => level >= USER_VISIBLE_LEVEL
+    ? `ℹ️ Market safeguards eased: ${LEVELS[level].description}.`
+    : '✅ Market safeguards lifted, copy trading is back to normal.'
+};
+
+function levelName(level) {
+  return LEVELS[level] ? LEVELS[level].name : 'unknown';
+}
+
+function parseLevel(level) {
+  const n = Number(level);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_LEVEL) {
+    throw new Error(`Invalid meltdown level "${level}". Must be an integer from 0 to ${MAX_LEVEL}.`);
+  }
+  return n;
+}
+
+/*************************************************************
+ * State
+ *************************************************************/
+let stateCache = { state: null, loadedAt: 0 };
+
+function rowToState(row) {
+  const level = row ? Number(row.level) : 0;
+  return {
+    level,
+    levelName: levelName(level),
+    description: LEVELS[level].description,
+    floorLevel: row ? Number(row.floor_level) : 0,
+    reason: row ? row.reason : null,
+    source: row ? row.source : null,
+    changedAt: row ? row.changed_at : null,
+    pendingLevel: row && row.pending_level !== null ? Number(row.pending_level) : null,
+    pendingSince: row ? row.pending_since : null,
+    updatedAt: row ? row.updated_at : null
+  };
+}
+
+/*************************************************************
+ * getState({ maxCacheMs })
+ * - cached briefly, the aggregator reads it for every trade
+ *************************************************************/
+async function getState({ maxCacheMs = STATE_TTL_MS } = {}) {
+  if (stateCache.state && Date.now() - stateCache.loadedAt < maxCacheMs) {
+    return stateCache.state;
+  }
+  const res = await query(`
+    SELECT level, floor_level, reason, source, changed_at, pending_level, pending_since, updated_at
+    FROM meltdown_state
+    WHERE id = 1
+  `);
+  const state = rowToState(res.rows[0]);
+  stateCache = { state, loadedAt: Date.now() };
+  return state;
+}
+
+function invalidateStateCache() {
+  stateCache = { state: null, loadedAt: 0 };
+}
+
+const MELTDOWN_SETTINGS = ['meltdown_escalate_hold_minutes', 'meltdown_deescalate_cooldown_minutes'];
+
+function configFromSettings(settings) {
+  return {
+    escalateHoldMs: settings.meltdown_escalate_hold_minutes * 60000,
+    deescalateCooldownMs: settings.meltdown_deescalate_cooldown_minutes * 60000
+  };
+}
+
+async function getMeltdownConfig() {
+  return configFromSettings(await settingsRegistry.getSettings(MELTDOWN_SETTINGS));
+}
+
+/*************************************************************
+ * Conditions
+ *************************************************************/
+
+// conditions: [{ key, level, reason }], level 0 => cleared
+async function reportConditions(conditions) {
+  for (const c of conditions) {
+    await query(`
+      INSERT INTO meltdown_conditions (key, level, reason, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (key)
+      DO UPDATE SET level = $2, reason = $3, updated_at = NOW()
+    `, [c.key, parseLevel(c.level), c.level > 0 ? c.reason : null]);
+  }
+}
+
+async function getActiveConditions() {
+  const res = await query(`
+    SELECT key, level, reason, updated_at
+    FROM meltdown_conditions
+    WHERE level > 0 AND updated_at > NOW() - ($1 || ' minutes')::interval
+    ORDER BY level DESC, key
+  `, [CONDITION_TTL_MINUTES]);
+  return res.rows.map((r) => ({ key: r.key, level: Number(r.level), reason: r.reason, updatedAt: r.updated_at }));
+}
+
+/*************************************************************
+ * nextLevel(state, target, nowMs, config)
+ * - pure transition step; Returns { level, pendingLevel, pendingSince }
+ *************************************************************/
+function nextLevel(state, target, nowMs, config) {
+  const goal = Math.max(target, state.floorLevel);
+  if (goal === state.level) {
+    return { level: state.level, pendingLevel: null, pendingSince: null };
+  }
+  const up = goal > state.level;
+  const pendingSameWay = state.pendingLevel !== null && (state.pendingLevel > state.level) === up;
+  const pendingSince = pendingSameWay && state.pendingSince ? new Date(state.pendingSince).getTime() : nowMs;
+  const heldMs = nowMs - pendingSince;
+
+  if (up && heldMs >= config.escalateHoldMs) {
+    return { level: goal, pendingLevel: null, pendingSince: null };
+  }
+  if (!up && heldMs >= config.deescalateCooldownMs) {
+    const level = Math.max(goal, state.level - 1);
+    // further steps down wait for a fresh cooldown
+    return level === goal
+      ? { level, pendingLevel: null, pendingSince: null }
+      : { level, pendingLevel: goal, pendingSince: nowMs };
+  }
+  return { level: state.level, pendingLevel: goal, pendingSince };
+}
+
+/*************************************************************
+ * applyLevel(state, next, reason, { source, adminId, floorLevel, conditions })
+ * - only one writer wins when two processes evaluate at once
+ * - Returns true when this call changed the state row
+ *************************************************************/
+async function applyLevel(state, next, reason, { source, adminId = null, floorLevel = state.floorLevel, conditions = [] }) {
+  const changed = next.level !== state.level;
+  const res = await query(`
+    UPDATE meltdown_state
+    SET level = $1, floor_level = $2, pending_level = $3, pending_since = $4,
+        reason = CASE WHEN $5 THEN $6 ELSE reason END,
+        source = CASE WHEN $5 THEN $7 ELSE source END,
+        changed_at = CASE WHEN $5 THEN NOW() ELSE changed_at END,
+        updated_at = NOW()
+    WHERE id = 1 AND level = $8 AND floor_level = $9
+    RETURNING level
+  `, [next.level, floorLevel, next.pendingLevel, next.pendingSince ? new Date(next.pendingSince) : null,
+    changed, reason, source, state.level, state.floorLevel]);
+  invalidateStateCache();
+  if (res.rows.length === 0 || !changed) return res.rows.length > 0;
+
+  await query(`
+    INSERT INTO meltdown_level_changes (from_level, to_level, reason, source, admin_id, conditions, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+  `, [state.level, next.level, reason, source, adminId, JSON.stringify(conditions)]);
+  await announceLevelChange(state.level, next.level, reason, source, adminId);
+  return true;
+}
+
+async function announceLevelChange(fromLevel, toLevel, reason, source, adminId) {
+  const arrow = toLevel > fromLevel ? '🔺' : '🔻';
+  notifications.sendAdminGlobalAlert(`
+${arrow} *Meltdown level ${fromLevel} → ${toLevel} (${levelName(toLevel)})*
+${LEVELS[toLevel].description}
+Reason: ${reason}
+Source: ${source}
+`);
+
+  if (Math.max(fromLevel, toLevel) < USER_VISIBLE_LEVEL) return;
+  const message = toLevel > fromLevel ? MESSAGES.LEVEL_UP(toLevel) : MESSAGES.LEVEL_DOWN(toLevel);
+  try {
+    await broadcast.createBroadcast(adminId, 'copiers', message);
+  } catch (err) {
+    console.error('Error notifying users of the meltdown level:', err);
+  }
+}
+
+/*************************************************************
+ * evaluate()
+ * - called by the risk scanner after reporting its conditions
+ * - Returns { level, changed, target, conditions }
+ *************************************************************/
+async function evaluate() {
+  const [state, conditions, config] = await Promise.all([
+    getState({ maxCacheMs: 0 }), getActiveConditions(), getMeltdownConfig()
+  ]);
+  const target = conditions.length ? conditions[0].level : 0;
+  const next = nextLevel(state, target, Date.now(), config);
+
+  const unchanged = next.level === state.level && next.pendingLevel === state.pendingLevel &&
+    (next.pendingSince === null) === (state.pendingSince === null);
+  if (unchanged) {
+    return { level: state.level, changed: false, target, conditions };
+  }
+  const reason = next.level > state.level
+    ? conditions.filter((c) => c.level >= next.level).map((c) => c.reason).join('; ')
+    : `Conditions eased (target level ${target})`;
+  const applied = await applyLevel(state, next, reason, { source: 'riskScanner', conditions });
+  const changed = applied && next.level !== state.level;
+  return { level: changed ? next.level : state.level, changed, target, conditions };
+}
+
+/*************************************************************
+ * setLevel(level, reason, { adminId, source })
+ * - manual level, also the floor for automatic de-escalation;
+ *   level 0 clears the floor
+ *************************************************************/
+async function setLevel(level, reason, { adminId = null, source = null } = {}) {
+  const target = parseLevel(level);
+  const state = await getState({ maxCacheMs: 0 });
+  const applied = await applyLevel(state, { level: target, pendingLevel: null, pendingSince: null }, reason, {
+    source: source || (adminId ? `admin:${adminId}` : 'system'),
+    adminId,
+    floorLevel: target
+  });
+  if (!applied) {
+    throw new Error('Meltdown level changed concurrently, please retry.');
+  }
+  return getState({ maxCacheMs: 0 });
+}
+
+/*************************************************************
+ * classifyTrade(trade)
+ * - 'exit' => trade.side 'exit', a stop-loss, selling into a
+ *   stablecoin, or selling a token back into SOL
+ *************************************************************/
+function classifyTrade(trade) {
+  if (trade.side === 'entry' || trade.side === 'exit') return trade.side;
+  if (trade.stopLoss) return 'exit';
+  const from = priceOracle.resolveSymbol(trade.fromToken);
+  const to = priceOracle.resolveSymbol(trade.toToken);
+  if (STABLE_TOKENS.includes(to)) return 'exit';
+  if (to === BASE_TOKEN && !STABLE_TOKENS.includes(from)) return 'exit';
+  return 'entry';
+}
+
+/*************************************************************
+ * checkTrade(trade)
+ * - Called by the aggregator before every execution.
+ * - Returns { allowed, level, levelName, side, sizeFactor, reason }
+ *************************************************************/
+async function checkTrade(trade) {
+  const state = await getState();
+  const side = classifyTrade(trade);
+  const result = { allowed: true, level: state.level, levelName: state.levelName, side, sizeFactor: 1, reason: null };
+
+  if (state.level >= 4) {
+    return { ...result, allowed: false, reason: `Trading halted (meltdown level 4): ${state.reason}` };
+  }
+  if (state.level === 3 && side === 'entry') {
+    return { ...result, allowed: false, reason: `Only exits allowed (meltdown level 3): ${state.reason}` };
+  }
+  if (state.level === 2 && side === 'entry') {
+    return { ...result, sizeFactor: REDUCED_SIZE_FACTOR, reason: 'Position size halved (meltdown level 2)' };
+  }
+  return result;
+}
+
+/*************************************************************
+ * getLevelHistory(limit)
+ *************************************************************/
+async function getLevelHistory(limit = 50) {
+  const res = await query(`
+    SELECT id, from_level, to_level, reason, source, admin_id, conditions, created_at
+    FROM meltdown_level_changes
+    ORDER BY created_at DESC
+    LIMIT $1
+  `, [limit]);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  LEVELS,
+  MAX_LEVEL,
+  CONDITION_TTL_MINUTES,
+  MELTDOWN_SETTINGS,
+  configFromSettings,
+  levelName,
+  getState,
+  invalidateStateCache,
+  reportConditions,
+  getActiveConditions,
+  nextLevel,
+  evaluate,
+  setLevel,
+  classifyTrade,
+  checkTrade,
+  getLevelHistory
+};
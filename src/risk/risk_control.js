@@ -0,0 +1,107 @@
+/*************************************************************
+ * risk_control.js
+ *
+ * Location: /src/risk/risk_control.js
+ *
+ * Per-trade risk limits (Prompt 1.8 System-Wide Risk & Hedging).
+ * Limits come from settingsRegistry, so an admin change through
+ * setGlobalRiskSetting applies to the next trade without a restart;
+ * aggregator.executeWithSafeguards checks every entry (checkTradeRisk).
+ * Global pause / resume are meltdown levels 4 / 0 (meltdownMode.js).
+ *************************************************************/
+
+const { query } = require('../database/database');
+const settingsRegistry = require('../admin/settingsRegistry');
+const meltdownMode = require('./meltdownMode');
+
+/*************************************************************
+ * getRiskLimits()
+ * - { maxPositionPct, maxSlippagePct, maxDailyLossPct }
+ *************************************************************/
+async function getRiskLimits() {
+  const settings = await settingsRegistry.getSettings([
+    'risk_max_position_pct',
+    'risk_max_slippage_pct',
+    'risk_max_daily_loss_pct'
+  ]);
+  return {
+    maxPositionPct: settings.risk_max_position_pct,
+    maxSlippagePct: settings.risk_max_slippage_pct,
+    maxDailyLossPct: settings.risk_max_daily_loss_pct
+  };
+}
+
+/*************************************************************
+ * checkTradeAgainstLimits(trade)
+ * - trade: { amount, vaultBalance, expectedSlippage, dailyLossPct }
+ * - Returns { allowed, reason }
+ *************************************************************/
+async function checkTradeAgainstLimits(trade) {
+  const limits = await getRiskLimits();
+  if (trade.vaultBalance > 0 && trade.amount / trade.vaultBalance > limits.maxPositionPct) {
+    return { allowed: false, reason: `Position exceeds ${(limits.maxPositionPct * 100).toFixed(0)}% of vault` };
+  }
+  if (trade.expectedSlippage !== undefined && trade.expectedSlippage > limits.maxSlippagePct) {
+    return { allowed: false, reason: `Expected slippage above ${(limits.maxSlippagePct * 100).toFixed(1)}%` };
+  }
+  if (trade.dailyLossPct !== undefined && trade.dailyLossPct >= limits.maxDailyLossPct) {
+    return { allowed: false, reason: 'Daily loss limit reached' };
+  }
+  return { allowed: true, reason: null };
+}
+
+/*************************************************************
+ * checkTradeRisk(trade)
+ * - checkTradeAgainstLimits for an aggregator trade: vault
+ *   balance and today's realised PnL come from user_vaults /
+ *   trade_executions (SOL); the position share is only checked
+ *   when the trade spends SOL, slippage when the signal carries
+ *   trade.expectedSlippage
+ * - Returns { allowed, reason, details }
+ *************************************************************/
+async function checkTradeRisk(trade) {
+  const res = await query(`
+    SELECT v.balance_sol,
+           (SELECT COALESCE(SUM(pnl), 0)
+            FROM trade_executions
+            WHERE user_id=$1 AND status='SUCCESS' AND executed_at >= date_trunc('day', NOW())) AS pnl_today
+    FROM user_vaults v
+    WHERE v.user_id=$1
+  `, [trade.userId]);
+  const vaultBalance = parseFloat(res.rows[0]?.balance_sol || 0);
+  const pnlToday = parseFloat(res.rows[0]?.pnl_today || 0);
+  const input = {
+    amount: Number(trade.amount),
+    vaultBalance: String(trade.fromToken).toUpperCase() === 'SOL' ? vaultBalance : undefined,
+    expectedSlippage: trade.expectedSlippage,
+    // loss against the balance the day started with
+    dailyLossPct: pnlToday < 0 && vaultBalance - pnlToday > 0 ? -pnlToday / (vaultBalance - pnlToday) : 0
+  };
+  const check = await checkTradeAgainstLimits(input);
+  return { ...check, details: input };
+}
+
+/*************************************************************
+ * pauseGlobalTrading(reason, { adminId })
+ * - meltdown level 4, held until resumeGlobalTrading
+ *************************************************************/
+async function pauseGlobalTrading(reason, { adminId = null } = {}) {
+  return meltdownMode.setLevel(4, reason, { adminId });
+}
+
+/*************************************************************
+ * resumeGlobalTrading({ adminId })
+ * - back to level 0; conditions still present escalate again
+ *   on the next scan
+ *************************************************************/
+async function resumeGlobalTrading({ adminId = null } = {}) {
+  return meltdownMode.setLevel(0, 'Trading resumed', { adminId });
+}
+
+module.exports = {
+  getRiskLimits,
+  checkTradeAgainstLimits,
+  checkTradeRisk,
+  pauseGlobalTrading,
+  resumeGlobalTrading
+};
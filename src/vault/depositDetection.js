@@ -0,0 +1,74 @@
+/*************************************************************
+ * depositDetection.js
+ *
+ * Location: /src/vault/depositDetection.js
+ *
+ * Records deposits into user vaults. The chain watcher calls
+ * handleDetectedDeposit once per confirmed incoming transfer.
+ *  - the source wallet is screened (walletScreening.js) and kept
+ *    as vault_transactions.counterparty_address
+ *  - a screening match blocks the user for compliance and alerts
+ *    compliance; the funds are recorded, they cannot be refused
+ *  - deposits above the region's max_deposit_sol (regionPolicy.js)
+ *    are recorded too, but compliance and the user are told
+ *  - transaction monitoring re-runs deposit rules for the user
+ *************************************************************/
+
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const walletScreening = require('./walletScreening');
+const transactionMonitoring = require('../admin/transactionMonitoring');
+const regionPolicy = require('../admin/regionPolicy');
+
+/*************************************************************
+ * handleDetectedDeposit({ userId, txSignature, amount, token, sourceAddress })
+ * - idempotent per tx signature
+ * - Returns { recorded, screening, overRegionLimit }
+ *************************************************************/
+async function handleDetectedDeposit({ userId, txSignature, amount, token = 'SOL', sourceAddress }) {
+  const existing = await query(`
+    SELECT id FROM vault_transactions WHERE tx_signature=$1 AND type='deposit'
+  `, [txSignature]);
+  if (existing.rows.length) {
+    return { recorded: false, screening: null, overRegionLimit: false };
+  }
+
+  const screening = sourceAddress
+    ? await walletScreening.screenAddress(sourceAddress, { direction: 'deposit', userId, reference: txSignature })
+    : null;
+
+  await query(`
+    INSERT INTO vault_transactions
+      (user_id, type, amount, token, tx_signature, success, counterparty_address)
+    VALUES ($1, 'deposit', $2, $3, $4, true, $5)
+  `, [userId, amount, token, txSignature, sourceAddress ? walletScreening.normalizeAddress(sourceAddress) : null]);
+
+  if (screening && screening.decision === 'match') {
+    await walletScreening.blockForScreeningMatch(userId, sourceAddress, screening, `deposit ${txSignature}`);
+  } else if (screening && screening.decision === 'error') {
+    notifications.sendAdminGlobalAlert(
+      `⚠️ Deposit ${txSignature} for user ${userId} could not be screened (no screening lists loaded).`
+    );
+  }
+
+  const regionCheck = await regionPolicy.checkFeature(userId, 'deposit', { amount: Number(amount) });
+  if (!regionCheck.allowed) {
+    notifications.sendAdminGlobalAlert(
+      `⚠️ Deposit ${txSignature} of ${amount} ${token} for user ${userId} exceeds the deposit limit for ` +
+      `region ${regionCheck.regions.join('/')}. Review and refund it if required.`
+    );
+    notifications.sendUserNotification(userId, regionCheck.message);
+  }
+
+  transactionMonitoring.handleMonitoringEvent('deposit', { userId }).catch((err) => {
+    console.error('Error running deposit monitoring rules:', err);
+  });
+  return { recorded: true, screening, overRegionLimit: !regionCheck.allowed };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  handleDetectedDeposit
+};
@@ -0,0 +1,800 @@
+/*************************************************************
+ * subscription.js
+ *
+ * Location: /src/vault/subscription.js
+ *
+ * Subscription plans, entitlements and payments (Prompts 13.0 → 13.5).
+ *  - subscription_plans is the catalog: tiers with a monthly and a
+ *    yearly USD price and their feature entitlements.
+ *  - Prices are in USD; payment is taken from the user's vault in
+ *    SOL or USDC, converted at charge time with the price oracle.
+ *  - Plan changes are prorated: the unused part of what was paid
+ *    for the current period is credited against the new plan;
+ *    whatever exceeds the new price is kept as subscription credit
+ *    for later charges. Granted (unpaid) time is never credited.
+ *  - A vault transfer is recorded as a pending payment as soon as
+ *    it is sent. A transfer whose confirmation fails is only
+ *    failed once the chain says it did not land; otherwise it
+ *    stays pending until reconcilePendingPayments settles it.
+ *  - Entitlements are checked by bot commands (requireEntitlement),
+ *    followTrader (max_follows) and by the aggregator for copy and
+ *    AI trades (checkEntitlement).
+ *  - Renewals run from scripts/subscriptionBilling.js.
+ *************************************************************/
+
+const web3 = require('@solana/web3.js');
+const splToken = require('@solana/spl-token');
+const { query } = require('../database/database');
+const { loadVaultKeypair, getConnection, getTransactionOutcome } = require('./vaultUtils');
+const vaultLock = require('./vaultLock');
+const priceOracle = require('../oracle/priceOracle');
+const regionPolicy = require('../admin/regionPolicy');
+const i18n = require('../bot/i18n');
+
+const FREE_PLAN_ID = 'free';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// days per billing period; monthly is the old 30-day cycle
+const INTERVALS = { monthly: 30, yearly: 365 };
+const PAYMENT_TOKENS = {
+  SOL: { decimals: 9, mint: null },
+  USDC: { decimals: 6, mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' }
+};
+// 'limit' entitlements are a maximum count, the others on / off
+const ENTITLEMENTS = {
+  copy_trading: 'boolean',
+  max_follows: 'limit',
+  ai_signals: 'boolean',
+  ai_trading: 'boolean',
+  priority_execution: 'boolean'
+};
+const ENTITLEMENT_LABELS = {
+  copy_trading: 'FEATURE_COPY_TRADING',
+  max_follows: 'FEATURE_MAX_FOLLOWS',
+  ai_signals: 'FEATURE_AI_SIGNALS',
+  ai_trading: 'FEATURE_AI_TRADING',
+  priority_execution: 'FEATURE_PRIORITY_EXECUTION'
+};
+const PLAN_CACHE_MS = 60 * 1000;
+// keep enough lamports in the vault for fees
+const FEE_RESERVE_LAMPORTS = 50_000;
+// a trade holding the vault lock finishes within seconds
+const VAULT_LOCK_WAIT_SECONDS = 30;
+// a crashed charge frees the user again after this
+const BILLING_LOCK_MINUTES = 5;
+// renewals charge this long before the period ends
+const RENEW_AHEAD_MS = 24 * 60 * 60 * 1000;
+// a pending payment gets this long to confirm before reconciling looks at it
+const RECONCILE_AFTER_MINUTES = 1;
+// failures a later renewal attempt would not fix; anything else
+// (oracle, RPC) is retried by the next billing cycle
+const PERMANENT_FAILURES = ['INSUFFICIENT_BALANCE', 'NO_VAULT', 'REGION_DENIED'];
+
+const MESSAGES = {
+  BILLING_IN_PROGRESS: 'A payment for your subscription is already in progress. Please try again in a minute.',
+  PAYMENT_PENDING: (txSignature) => `Your payment ${txSignature} is still being confirmed. Your plan changes once it lands.`,
+  ALREADY_ON_PLAN: (name, interval) => `You are already on the ${name} plan (${interval}).`,
+  ALREADY_FREE: 'You are already on the Free plan.'
+};
+
+let planCache = null; // { loadedAt, plans: Map }
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/*************************************************************
+ * normalizeEntitlements(entitlements)
+ * - unknown features are rejected, missing ones are off / 0
+ *************************************************************/
+function normalizeEntitlements(entitlements = {}) {
+  for (const feature of Object.keys(entitlements)) {
+    if (!ENTITLEMENTS[feature]) {
+      throw new Error(`Unknown entitlement "${feature}". Must be one of: ${Object.keys(ENTITLEMENTS).join(', ')}`);
+    }
+  }
+  const normalized = {};
+  for (const [feature, type] of Object.entries(ENTITLEMENTS)) {
+    const value = entitlements[feature];
+    if (type === 'limit') {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Entitlement ${feature} must be a non-negative integer.`);
+      }
+      normalized[feature] = value ?? 0;
+    } else {
+      normalized[feature] = value === true;
+    }
+  }
+  return normalized;
+}
+
+function rowToPlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tier: Number(row.tier),
+    prices: { monthly: Number(row.monthly_price_usd), yearly: Number(row.yearly_price_usd) },
+    entitlements: normalizeEntitlements(row.entitlements || {}),
+    active: row.active
+  };
+}
+
+/*************************************************************
+ * Plans catalog
+ *************************************************************/
+async function loadPlans() {
+  if (planCache && Date.now() - planCache.loadedAt < PLAN_CACHE_MS) {
+    return planCache.plans;
+  }
+  const res = await query(`
+    SELECT id, name, tier, monthly_price_usd, yearly_price_usd, entitlements, active
+    FROM subscription_plans
+    ORDER BY tier
+  `);
+  const plans = new Map(res.rows.map((row) => [row.id, rowToPlan(row)]));
+  if (!plans.has(FREE_PLAN_ID)) {
+    throw new Error(`subscription_plans has no "${FREE_PLAN_ID}" plan.`);
+  }
+  planCache = { loadedAt: Date.now(), plans };
+  return plans;
+}
+
+// ordered by tier; inactive plans only on request
+async function getPlans({ includeInactive = false } = {}) {
+  const plans = await loadPlans();
+  return [...plans.values()].filter((p) => includeInactive || p.active);
+}
+
+async function getPlan(planId) {
+  const plans = await loadPlans();
+  const plan = plans.get(String(planId || '').toLowerCase());
+  if (!plan) {
+    throw new Error(`Unknown plan "${planId}". Must be one of: ${[...plans.keys()].join(', ')}`);
+  }
+  return plan;
+}
+
+function normalizeInterval(interval) {
+  const normalized = String(interval || '').toLowerCase();
+  if (!INTERVALS[normalized]) {
+    throw new Error(`Invalid billing interval "${interval}". Must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  return normalized;
+}
+
+function normalizeCurrency(currency) {
+  const normalized = String(currency || '').toUpperCase();
+  if (!PAYMENT_TOKENS[normalized]) {
+    throw new Error(`Invalid payment currency "${currency}". Must be one of: ${Object.keys(PAYMENT_TOKENS).join(', ')}`);
+  }
+  return normalized;
+}
+
+/*************************************************************
+ * getUserSubscription(userId)
+ * - plan: what the user is entitled to now (free once expired)
+ * - paidPlan: the plan on record, even when expired (renewals)
+ *************************************************************/
+async function getUserSubscription(userId) {
+  const res = await query(`
+    SELECT id, plan_id, plan_interval, plan_currency, premium_expires_at, subscription_credit_usd
+    FROM users
+    WHERE id=$1
+  `, [userId]);
+  if (res.rows.length === 0) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  const row = res.rows[0];
+  const plans = await loadPlans();
+  const paidPlan = row.plan_id && row.plan_id !== FREE_PLAN_ID ? plans.get(row.plan_id) || null : null;
+  const expiresAt = row.premium_expires_at ? new Date(row.premium_expires_at).getTime() : null;
+  const active = Boolean(paidPlan && expiresAt && expiresAt > Date.now());
+  return {
+    userId: row.id,
+    plan: active ? paidPlan : plans.get(FREE_PLAN_ID),
+    paidPlan,
+    interval: paidPlan ? row.plan_interval || 'monthly' : null,
+    currency: row.plan_currency || 'SOL',
+    expiresAt,
+    active,
+    creditUsd: Number(row.subscription_credit_usd || 0)
+  };
+}
+
+/*************************************************************
+ * Entitlements
+ *************************************************************/
+async function getEntitlements(userId) {
+  const { plan } = await getUserSubscription(userId);
+  return { planId: plan.id, planName: plan.name, entitlements: plan.entitlements };
+}
+
+/*************************************************************
+ * checkEntitlement(userId, feature, { count, language })
+ * - limit features need count (what the user already has,
+ *   e.g. active follows); allowed while count < limit
+ * - Returns { allowed, feature, planId, value, message }
+ *   (message localized, null when allowed)
+ *************************************************************/
+async function checkEntitlement(userId, feature, { count = 0, language = null } = {}) {
+  if (!ENTITLEMENTS[feature]) {
+    throw new Error(`Unknown entitlement "${feature}". Must be one of: ${Object.keys(ENTITLEMENTS).join(', ')}`);
+  }
+  const { plan } = await getUserSubscription(userId);
+  const value = plan.entitlements[feature];
+  const isLimit = ENTITLEMENTS[feature] === 'limit';
+  const allowed = isLimit ? count < value : value === true;
+  if (allowed) {
+    return { allowed, feature, planId: plan.id, value, message: null };
+  }
+  const lang = language ? i18n.resolveLanguage(language) : await i18n.getUserLanguage(userId);
+  const params = { feature: i18n.t(lang, ENTITLEMENT_LABELS[feature]), plan: plan.name, limit: value };
+  return {
+    allowed,
+    feature,
+    planId: plan.id,
+    value,
+    message: i18n.t(lang, isLimit ? 'ENTITLEMENT_LIMIT' : 'ENTITLEMENT_REQUIRED', params)
+  };
+}
+
+/*************************************************************
+ * requireEntitlement(feature)
+ * - Telegraf middleware for bot commands, e.g.
+ *   bot.command('signals', requireEntitlement('ai_signals'), handler)
+ *************************************************************/
+function requireEntitlement(feature) {
+  return async (ctx, next) => {
+    try {
+      const check = await checkEntitlement(ctx.from.id, feature, { language: ctx.from.language_code });
+      if (!check.allowed) {
+        return ctx.reply(check.message);
+      }
+    } catch (err) {
+      console.error(`Error checking entitlement ${feature} for user ${ctx.from.id}:`, err);
+      return ctx.reply('An unexpected error occurred. Please try again later.');
+    }
+    return next();
+  };
+}
+
+/*************************************************************
+ * getPeriodPayments(userId, current)
+ * - what was paid for the current plan since it was chosen (the
+ *   last plan change and the renewals after it), newest first:
+ *   [{ priceUsd, paidFrom, paidUntil }]
+ * - a renewal pays for the period after the one it renews; a
+ *   change that keeps the period pays from when it was made
+ *************************************************************/
+async function getPeriodPayments(userId, current) {
+  if (!current.active) return [];
+  const res = await query(`
+    SELECT kind, plan_id, plan_interval, price_usd, created_at, expires_at
+    FROM subscription_payments
+    WHERE user_id=$1 AND success=true AND expires_at IS NOT NULL
+    ORDER BY created_at DESC, id DESC
+    LIMIT 20
+  `, [userId]);
+  const payments = [];
+  for (const row of res.rows) {
+    if (row.plan_id !== current.paidPlan.id || row.plan_interval !== current.interval) break;
+    const paidUntil = new Date(row.expires_at).getTime();
+    const paidFrom = Math.max(new Date(row.created_at).getTime(), paidUntil - INTERVALS[row.plan_interval] * DAY_MS);
+    payments.push({ priceUsd: Number(row.price_usd), paidFrom, paidUntil });
+    if (row.kind !== 'renewal') break;
+  }
+  return payments;
+}
+
+// pure; the part of current.periodPayments not used up by nowMs.
+// No payments on record (a granted plan) => nothing was paid, no credit
+function unusedPaidValue(current, nowMs) {
+  if (!current.periodPayments || current.periodPayments.length === 0) return 0;
+  let unused = 0;
+  for (const p of current.periodPayments) {
+    const span = p.paidUntil - p.paidFrom;
+    if (span <= 0) continue;
+    unused += p.priceUsd * Math.min(1, Math.max(0, p.paidUntil - Math.max(nowMs, p.paidFrom)) / span);
+  }
+  return roundUsd(unused);
+}
+
+/*************************************************************
+ * computePlanChange(current, target, nowMs)
+ * - pure; current from getUserSubscription plus periodPayments
+ *   (getPeriodPayments), target { plan, interval }
+ * - same interval => the current period end is kept and the new
+ *   plan is priced for the remaining part of it; otherwise a new
+ *   period starts now at the full price
+ * - the unused part of what was paid for the current period and
+ *   the credit balance pay first; what they do not need becomes
+ *   credit
+ * - Returns { kind, priceUsd, unusedCreditUsd, creditUsedUsd,
+ *   chargeUsd, creditAfterUsd, expiresAt }
+ *************************************************************/
+function computePlanChange(current, target, nowMs = Date.now()) {
+  const paid = current.active && current.plan.id !== FREE_PLAN_ID;
+  if (paid && target.plan.id === current.plan.id && target.interval === current.interval) {
+    throw new Error(MESSAGES.ALREADY_ON_PLAN(current.plan.name, current.interval));
+  }
+  if (!paid && target.plan.id === FREE_PLAN_ID) {
+    throw new Error(MESSAGES.ALREADY_FREE);
+  }
+  const periodMs = (interval) => INTERVALS[interval] * DAY_MS;
+  const fraction = paid ? Math.min(1, Math.max(0, current.expiresAt - nowMs) / periodMs(current.interval)) : 0;
+  const unusedCreditUsd = paid ? unusedPaidValue(current, nowMs) : 0;
+
+  let kind = 'new';
+  if (paid) {
+    if (target.plan.tier > current.plan.tier) kind = 'upgrade';
+    else if (target.plan.tier < current.plan.tier) kind = 'downgrade';
+    else kind = 'interval_change';
+  }
+
+  let priceUsd = 0;
+  let expiresAt = null;
+  if (target.plan.id !== FREE_PLAN_ID) {
+    const keepPeriod = paid && target.interval === current.interval;
+    priceUsd = keepPeriod
+      ? roundUsd(target.plan.prices[target.interval] * fraction)
+      : target.plan.prices[target.interval];
+    expiresAt = keepPeriod ? current.expiresAt : nowMs + periodMs(target.interval);
+  }
+
+  const available = roundUsd(unusedCreditUsd + current.creditUsd);
+  const chargeUsd = roundUsd(Math.max(0, priceUsd - available));
+  const creditAfterUsd = roundUsd(Math.max(0, available - priceUsd));
+  return {
+    kind,
+    priceUsd,
+    unusedCreditUsd,
+    creditUsedUsd: roundUsd(Math.min(current.creditUsd, Math.max(0, priceUsd - unusedCreditUsd))),
+    chargeUsd,
+    creditAfterUsd,
+    expiresAt
+  };
+}
+
+/*************************************************************
+ * computeRenewal(current, nowMs)
+ * - pure; one more period of the plan on record, from its end
+ *   (or from now once it has lapsed)
+ *************************************************************/
+function computeRenewal(current, nowMs = Date.now()) {
+  const priceUsd = current.paidPlan.prices[current.interval];
+  const creditUsedUsd = roundUsd(Math.min(current.creditUsd, priceUsd));
+  return {
+    kind: 'renewal',
+    priceUsd,
+    unusedCreditUsd: 0,
+    creditUsedUsd,
+    chargeUsd: roundUsd(priceUsd - creditUsedUsd),
+    creditAfterUsd: roundUsd(current.creditUsd - creditUsedUsd),
+    expiresAt: Math.max(current.expiresAt || 0, nowMs) + INTERVALS[current.interval] * DAY_MS
+  };
+}
+
+/*************************************************************
+ * quotePayment(usd, currency)
+ * - token amount for a USD price at the current oracle price;
+ *   rounded up to the token's smallest unit
+ *************************************************************/
+async function quotePayment(usd, currency) {
+  const quote = await priceOracle.getPrice(currency);
+  if (!quote || !quote.usable) {
+    const err = new Error(`No usable ${currency} price right now. Please try again later.`);
+    err.code = 'PRICE_UNAVAILABLE';
+    throw err;
+  }
+  const { decimals } = PAYMENT_TOKENS[currency];
+  const baseUnits = Math.ceil((usd / quote.price) * 10 ** decimals);
+  return { baseUnits, amountToken: baseUnits / 10 ** decimals, tokenPriceUsd: quote.price };
+}
+
+function paymentError(message, code, fields = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, fields);
+}
+
+/*************************************************************
+ * payFromVault(userId, currency, baseUnits, onSubmitted)
+ * - onSubmitted(txSignature, lastValidBlockHeight) runs right
+ *   after sending, before confirming
+ * - Returns the transaction signature once it landed; an error
+ *   after sending carries paymentOutcome 'failed' | 'unknown'
+ *************************************************************/
+async function payFromVault(userId, currency, baseUnits, onSubmitted) {
+  const platformWallet = process.env.PLATFORM_WALLET;
+  if (!platformWallet) {
+    throw new Error('PLATFORM_WALLET environment variable is not set.');
+  }
+  const { success, error, userKeypair, vaultPubkey } = await loadVaultKeypair(userId);
+  if (!success) {
+    throw paymentError(error, 'NO_VAULT');
+  }
+  const connection = getConnection();
+  const platformPubkey = new web3.PublicKey(platformWallet);
+  let lamportsNeeded = (currency === 'SOL' ? baseUnits : 0) + FEE_RESERVE_LAMPORTS;
+
+  const tx = new web3.Transaction();
+  if (currency === 'SOL') {
+    tx.add(web3.SystemProgram.transfer({ fromPubkey: vaultPubkey, toPubkey: platformPubkey, lamports: baseUnits }));
+  } else {
+    const { mint, decimals } = PAYMENT_TOKENS[currency];
+    const mintPubkey = new web3.PublicKey(mint);
+    const source = await splToken.getAssociatedTokenAddress(mintPubkey, vaultPubkey);
+    const destination = await splToken.getAssociatedTokenAddress(mintPubkey, platformPubkey);
+    let tokenBalance = 0n;
+    try {
+      tokenBalance = (await splToken.getAccount(connection, source)).amount;
+    } catch (err) {
+      // no token account => no balance
+    }
+    if (tokenBalance < BigInt(baseUnits)) {
+      throw paymentError(`Insufficient ${currency} vault balance`, 'INSUFFICIENT_BALANCE');
+    }
+    // the vault pays the rent if the platform has no token account yet
+    if (!(await connection.getAccountInfo(destination))) {
+      lamportsNeeded += await splToken.getMinimumBalanceForRentExemptAccount(connection);
+    }
+    tx.add(splToken.createAssociatedTokenAccountIdempotentInstruction(vaultPubkey, destination, platformPubkey, mintPubkey));
+    tx.add(splToken.createTransferCheckedInstruction(source, mintPubkey, destination, vaultPubkey, baseUnits, decimals));
+  }
+  if (await connection.getBalance(vaultPubkey) < lamportsNeeded) {
+    throw paymentError('Insufficient vault balance', 'INSUFFICIENT_BALANCE');
+  }
+  tx.feePayer = vaultPubkey;
+  return vaultLock.withVaultLock(userId, `subscription:${userId}:${Date.now()}`, async (lock) => {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    tx.recentBlockhash = blockhash;
+    tx.sign(userKeypair);
+    const txSignature = await connection.sendRawTransaction(tx.serialize(), {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed'
+    });
+    await vaultLock.recordLockTransaction(lock, txSignature);
+    await onSubmitted(txSignature, lastValidBlockHeight);
+    try {
+      await connection.confirmTransaction({ signature: txSignature, blockhash, lastValidBlockHeight }, 'confirmed');
+    } catch (err) {
+      const outcome = await getTransactionOutcome(connection, txSignature, lastValidBlockHeight);
+      if (outcome === 'landed') return txSignature;
+      // known not to have landed => nothing in flight, the lock can go
+      if (outcome === 'failed') lock.txSignature = null;
+      err.paymentOutcome = outcome;
+      throw err;
+    }
+    return txSignature;
+  }, { waitSeconds: VAULT_LOCK_WAIT_SECONDS });
+}
+
+/*************************************************************
+ * Billing lock
+ * - a renewal and a plan change must not both charge the vault
+ *************************************************************/
+async function claimBilling(userId) {
+  const res = await query(`
+    UPDATE users SET billing_locked_until = NOW() + ($2 || ' minutes')::interval
+    WHERE id=$1 AND (billing_locked_until IS NULL OR billing_locked_until < NOW())
+    RETURNING id
+  `, [userId, BILLING_LOCK_MINUTES]);
+  return res.rows.length > 0;
+}
+
+async function releaseBilling(userId) {
+  await query(`UPDATE users SET billing_locked_until = NULL WHERE id=$1`, [userId]);
+}
+
+async function recordPayment(userId, fields) {
+  const res = await query(`
+    INSERT INTO subscription_payments
+      (user_id, kind, from_plan_id, plan_id, plan_interval, price_usd, unused_credit_usd, credit_used_usd,
+       charged_usd, currency, amount_token, token_price_usd, tx_signature, success, error_reason, expires_at,
+       status, credit_after_usd, last_valid_block_height)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+    RETURNING id, created_at
+  `, [userId, fields.kind, fields.fromPlanId, fields.planId, fields.interval, fields.priceUsd,
+    fields.unusedCreditUsd, fields.creditUsedUsd, fields.chargeUsd, fields.currency, fields.amountToken,
+    fields.tokenPriceUsd, fields.txSignature, fields.status === 'confirmed', fields.error || null,
+    fields.expiresAt ? new Date(fields.expiresAt) : null, fields.status, fields.creditAfterUsd,
+    fields.lastValidBlockHeight || null]);
+  return res.rows[0];
+}
+
+// pending => confirmed | failed; false when it was settled already
+async function finishPayment(paymentId, status, error = null) {
+  const res = await query(`
+    UPDATE subscription_payments
+    SET status=$2, success=($2 = 'confirmed'), error_reason=$3
+    WHERE id=$1 AND status='pending'
+    RETURNING id
+  `, [paymentId, status, error]);
+  return res.rows.length > 0;
+}
+
+// moves the user onto the paid plan; the transfer, if any, also
+// lands in vault_transactions with the amount actually sent
+async function applyPayment(userId, payment) {
+  await query(`
+    UPDATE users
+    SET plan_id=$2,
+        plan_interval=$3,
+        plan_currency=$4,
+        premium_expires_at=$5,
+        user_type=$6,
+        subscription_credit_usd=$7
+    WHERE id=$1
+  `, [userId, payment.planId, payment.interval, payment.currency,
+    payment.expiresAt ? new Date(payment.expiresAt) : null,
+    payment.planId === FREE_PLAN_ID ? 'free' : 'premium', payment.creditAfterUsd]);
+  if (payment.txSignature) {
+    await query(`
+      INSERT INTO vault_transactions
+        (user_id, type, amount, token, tx_signature, success)
+      VALUES ($1, 'subscription', $2, $3, $4, true)
+    `, [userId, payment.amountToken, payment.currency, payment.txSignature]);
+  }
+}
+
+async function recordFailedTransfer(userId, payment, reason) {
+  await query(`
+    INSERT INTO vault_transactions
+      (user_id, type, amount, token, tx_signature, success, error_reason)
+    VALUES ($1, 'subscription', $2, $3, $4, false, $5)
+  `, [userId, payment.amountToken, payment.currency, payment.txSignature || null, reason]);
+}
+
+/*************************************************************
+ * settleChange(current, change, target, currency)
+ * - charges change.chargeUsd from the vault (if any), then moves
+ *   the user onto the target plan; nothing changes on failure
+ * - every attempt lands in subscription_payments, a sent transfer
+ *   as 'pending' first; one that may still land stays pending and
+ *   throws code PAYMENT_PENDING (reconcilePendingPayments)
+ *************************************************************/
+async function settleChange(current, change, target, currency) {
+  const payment = {
+    ...change,
+    fromPlanId: current.paidPlan ? current.paidPlan.id : FREE_PLAN_ID,
+    planId: target.plan.id,
+    interval: target.plan.id === FREE_PLAN_ID ? null : target.interval,
+    currency,
+    amountToken: 0,
+    tokenPriceUsd: null,
+    txSignature: null
+  };
+  let pending = null;
+  try {
+    if (change.chargeUsd > 0) {
+      const quote = await quotePayment(change.chargeUsd, currency);
+      payment.amountToken = quote.amountToken;
+      payment.tokenPriceUsd = quote.tokenPriceUsd;
+      await payFromVault(current.userId, currency, quote.baseUnits, async (txSignature, lastValidBlockHeight) => {
+        payment.txSignature = txSignature;
+        pending = await recordPayment(current.userId, { ...payment, status: 'pending', lastValidBlockHeight });
+      });
+    }
+  } catch (err) {
+    if (payment.txSignature && err.paymentOutcome !== 'failed') {
+      console.error(`Subscription payment ${payment.txSignature} of user ${current.userId} left pending:`, err.message);
+      throw paymentError(MESSAGES.PAYMENT_PENDING(payment.txSignature), 'PAYMENT_PENDING', { txSignature: payment.txSignature });
+    }
+    // reconcilePendingPayments may have settled the row already
+    let settledHere = true;
+    if (pending) {
+      settledHere = await finishPayment(pending.id, 'failed', err.message);
+    } else {
+      await recordPayment(current.userId, { ...payment, status: 'failed', error: err.message });
+    }
+    if (settledHere && payment.amountToken > 0) {
+      await recordFailedTransfer(current.userId, payment, err.message);
+    }
+    throw err;
+  }
+
+  if (pending) {
+    if (await finishPayment(pending.id, 'confirmed')) {
+      await applyPayment(current.userId, payment);
+    }
+    return { paymentId: pending.id, ...payment };
+  }
+  await applyPayment(current.userId, payment);
+  const recorded = await recordPayment(current.userId, { ...payment, status: 'confirmed' });
+  return { paymentId: recorded.id, ...payment };
+}
+
+/*************************************************************
+ * reconcilePendingPayments()
+ * - settles payments left pending by a failed confirmation:
+ *   landed => the plan change is applied, did not land =>
+ *   failed; still unknown => left for the next run
+ * - Returns [{ paymentId, userId, status }] for the settled ones
+ *************************************************************/
+async function reconcilePendingPayments() {
+  const res = await query(`
+    SELECT id, user_id, kind, plan_id, plan_interval, currency, amount_token, charged_usd, credit_used_usd,
+           credit_after_usd, tx_signature, expires_at, last_valid_block_height
+    FROM subscription_payments
+    WHERE status='pending' AND created_at < NOW() - ($1 || ' minutes')::interval
+    ORDER BY id
+  `, [RECONCILE_AFTER_MINUTES]);
+  if (res.rows.length === 0) return [];
+  const connection = getConnection();
+  const settled = [];
+  for (const row of res.rows) {
+    const outcome = await getTransactionOutcome(connection, row.tx_signature, Number(row.last_valid_block_height));
+    if (outcome === 'unknown') continue;
+    const status = outcome === 'landed' ? 'confirmed' : 'failed';
+    const reason = status === 'failed' ? 'Transaction did not land' : null;
+    if (!(await finishPayment(row.id, status, reason))) continue;
+    const payment = {
+      kind: row.kind,
+      planId: row.plan_id,
+      interval: row.plan_interval,
+      currency: row.currency,
+      amountToken: Number(row.amount_token),
+      chargeUsd: Number(row.charged_usd),
+      creditUsedUsd: Number(row.credit_used_usd),
+      creditAfterUsd: Number(row.credit_after_usd || 0),
+      txSignature: row.tx_signature,
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null
+    };
+    if (status === 'confirmed') {
+      await applyPayment(row.user_id, payment);
+    } else {
+      await recordFailedTransfer(row.user_id, payment, reason);
+    }
+    settled.push({ paymentId: row.id, userId: row.user_id, status, payment });
+  }
+  return settled;
+}
+
+// one payment in flight per user
+async function assertNoPendingPayment(userId) {
+  const res = await query(`
+    SELECT tx_signature FROM subscription_payments
+    WHERE user_id=$1 AND status='pending'
+    LIMIT 1
+  `, [userId]);
+  if (res.rows.length) {
+    const txSignature = res.rows[0].tx_signature;
+    throw paymentError(MESSAGES.PAYMENT_PENDING(txSignature), 'PAYMENT_PENDING', { txSignature });
+  }
+}
+
+// wraps a charge in the billing lock
+async function withBillingLock(userId, fn) {
+  if (!(await claimBilling(userId))) {
+    const err = new Error(MESSAGES.BILLING_IN_PROGRESS);
+    err.code = 'BILLING_IN_PROGRESS';
+    throw err;
+  }
+  try {
+    return await fn();
+  } finally {
+    await releaseBilling(userId);
+  }
+}
+
+/*************************************************************
+ * previewPlanChange(userId, planId, interval, currency)
+ * - what /plan would charge, without charging; tokenAmount is
+ *   an estimate, the charge converts again at charge time
+ *************************************************************/
+async function previewPlanChange(userId, planId, interval = 'monthly', currency = null) {
+  const current = await getUserSubscription(userId);
+  const plan = await getPlan(planId);
+  if (!plan.active) {
+    throw new Error(`The ${plan.name} plan is no longer available.`);
+  }
+  const target = { plan, interval: normalizeInterval(interval) };
+  const payWith = currency ? normalizeCurrency(currency) : current.currency;
+  current.periodPayments = await getPeriodPayments(userId, current);
+  const change = computePlanChange(current, target, Date.now());
+  const estimate = change.chargeUsd > 0 ? await quotePayment(change.chargeUsd, payWith) : null;
+  return {
+    current,
+    target,
+    currency: payWith,
+    change,
+    estimatedTokenAmount: estimate ? estimate.amountToken : 0
+  };
+}
+
+/*************************************************************
+ * changePlan(userId, planId, interval, currency)
+ * - upgrade, downgrade or interval change, prorated
+ *   (computePlanChange); free cancels and keeps the unused
+ *   time as credit
+ * - Returns the settled payment (see settleChange)
+ *************************************************************/
+async function changePlan(userId, planId, interval = 'monthly', currency = null) {
+  return withBillingLock(userId, async () => {
+    await assertNoPendingPayment(userId);
+    const { current, target, currency: payWith, change } = await previewPlanChange(userId, planId, interval, currency);
+    if (target.plan.id !== FREE_PLAN_ID) {
+      const regionCheck = await regionPolicy.checkFeature(userId, 'premium_purchase');
+      if (!regionCheck.allowed) {
+        throw new Error(regionCheck.message);
+      }
+    }
+    return settleChange(current, change, target, payWith);
+  });
+}
+
+/*************************************************************
+ * renewSubscription(userId)
+ * - one more period of the plan on record, paid from credit
+ *   first, then from the vault in the user's currency
+ * - Returns { success, payment }, { success: false, retryable,
+ *   error } or { success: false, skipped: true, error } when
+ *   another charge is running or pending, or the plan was renewed
+ *   / changed meanwhile
+ * - retryable: oracle / RPC trouble, not the user's balance,
+ *   vault or region
+ *************************************************************/
+async function renewSubscription(userId) {
+  try {
+    return await withBillingLock(userId, async () => {
+      const current = await getUserSubscription(userId);
+      if (!current.paidPlan) {
+        return { success: false, skipped: true, error: 'No paid plan to renew' };
+      }
+      if (current.expiresAt && current.expiresAt > Date.now() + RENEW_AHEAD_MS) {
+        return { success: false, skipped: true, error: 'Not due for renewal' };
+      }
+      await assertNoPendingPayment(userId);
+      // no renewal charge where premium cannot be sold
+      const regionCheck = await regionPolicy.checkFeature(userId, 'premium_purchase');
+      if (!regionCheck.allowed) {
+        throw paymentError(regionCheck.message, 'REGION_DENIED');
+      }
+      const change = computeRenewal(current, Date.now());
+      const payment = await settleChange(current, change, { plan: current.paidPlan, interval: current.interval }, current.currency);
+      return { success: true, payment };
+    });
+  } catch (err) {
+    const skipped = err.code === 'BILLING_IN_PROGRESS' || err.code === 'PAYMENT_PENDING';
+    return { success: false, skipped, retryable: !PERMANENT_FAILURES.includes(err.code), error: err.message };
+  }
+}
+
+async function getPaymentHistory(userId, limit = 20) {
+  const res = await query(`
+    SELECT id, kind, from_plan_id, plan_id, plan_interval, price_usd, unused_credit_usd, credit_used_usd,
+           charged_usd, currency, amount_token, token_price_usd, tx_signature, success, status, error_reason,
+           expires_at, created_at
+    FROM subscription_payments
+    WHERE user_id=$1
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [userId, limit]);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  FREE_PLAN_ID,
+  INTERVALS,
+  PAYMENT_TOKENS,
+  ENTITLEMENTS,
+  normalizeEntitlements,
+  normalizeInterval,
+  normalizeCurrency,
+  getPlans,
+  getPlan,
+  getUserSubscription,
+  getEntitlements,
+  checkEntitlement,
+  requireEntitlement,
+  getPeriodPayments,
+  computePlanChange,
+  computeRenewal,
+  previewPlanChange,
+  changePlan,
+  renewSubscription,
+  reconcilePendingPayments,
+  getPaymentHistory
+};
@@ -0,0 +1,378 @@
+/*************************************************************
+ * vaultConflictResolver.js
+ *
+ * Location: /src/vault/vaultConflictResolver.js
+ *
+ * Vault watch & conflict resolver (Prompt 9.2).
+ *  - getLockedVaults: vaults holding a lock, with a trade stuck
+ *    in PENDING or whose last trade failed
+ *  - forceUnlockVault: clears the lock, but never while the
+ *    transaction submitted under it may still confirm
+ *  - retryLastTrade: queues the user's last failed trade in
+ *    trade_retry_requests; one retry per trade, a repeated call
+ *    returns the same request; refused while no trade executor
+ *    is registered, since nothing would run it
+ *  - setTradeExecutor: the copy-trading executor registers its
+ *    swap function at startup
+ *  - processTradeRetries / scheduleTradeRetries (started by
+ *    admin.js like the other workers): each queued retry runs
+ *    through aggregator.executeWithSafeguards (so under the vault
+ *    lock, vaultLock.js) and the request ends 'done' or 'failed';
+ *    a retry left 'executing' by a crashed worker is queued again
+ * admin.js writes every action to admin_logs.
+ *************************************************************/
+
+const cron = require('node-cron');
+const { query } = require('../database/database');
+const { getConnection } = require('./vaultUtils');
+const aggregator = require('../aggregator/aggregator');
+const vaultLock = require('./vaultLock');
+
+// PENDING this long => stuck
+const STUCK_AFTER_SECONDS = 120;
+// a transaction not seen after its blockhash expired can no longer land
+const BLOCKHASH_EXPIRY_SECONDS = 150;
+// failed trades older than this are not retried (prices have moved)
+const MAX_RETRY_AGE_MINUTES = 60;
+const FAILED_LOOKBACK_HOURS = 24;
+// 'executing' this long => its worker died; by then its vault lock
+// has expired too, so nothing it submitted is still in flight
+const STALE_EXECUTING_SECONDS = vaultLock.LOCK_TTL_SECONDS + 60;
+
+// the copy-trading swap function, see setTradeExecutor
+let tradeExecutor = null;
+
+/*************************************************************
+ * setTradeExecutor(executeFn)
+ * - executeFn as for aggregator.executeWithSafeguards
+ *************************************************************/
+function setTradeExecutor(executeFn) {
+  tradeExecutor = executeFn;
+}
+
+/*************************************************************
+ * getLockedVaults()
+ * - Returns [{ userId, lockHolder, lockedAt, lockAgeSeconds,
+ *   lockedUntil, lockExpired, pendingTxSignature, stuckTradeId,
+ *   lastFailedTradeId, lastError, retryCount, lastRetryStatus }]
+ *************************************************************/
+async function getLockedVaults() {
+  const res = await query(`
+    WITH candidates AS (
+      SELECT user_id FROM user_vaults WHERE vault_locked_at IS NOT NULL
+      UNION
+      SELECT DISTINCT user_id FROM trade_executions
+      WHERE status IN ('FAILED', 'PENDING')
+        AND executed_at > NOW() - INTERVAL '1 hour' * $2
+    )
+    SELECT v.user_id, v.vault_lock_holder, v.vault_locked_at, v.vault_locked_until,
+           v.vault_lock_tx_signature,
+           EXTRACT(EPOCH FROM (NOW() - v.vault_locked_at))::int AS lock_age_seconds,
+           last.id AS last_trade_id, last.status AS last_status, last.error_reason AS last_error,
+           last.executed_at AS last_trade_at,
+           (SELECT COUNT(*) FROM trade_retry_requests r
+             WHERE r.user_id = v.user_id AND r.created_at > NOW() - INTERVAL '1 hour' * $2) AS retry_count,
+           (SELECT r.status FROM trade_retry_requests r
+             WHERE r.user_id = v.user_id ORDER BY r.id DESC LIMIT 1) AS last_retry_status
+    FROM candidates c
+    JOIN user_vaults v ON v.user_id = c.user_id
+    LEFT JOIN LATERAL (
+      SELECT t.id, t.status, t.error_reason, t.executed_at
+      FROM trade_executions t
+      WHERE t.user_id = v.user_id
+      ORDER BY t.executed_at DESC, t.id DESC
+      LIMIT 1
+    ) last ON true
+    WHERE v.vault_locked_at IS NOT NULL
+       OR (last.status = 'PENDING' AND last.executed_at < NOW() - INTERVAL '1 second' * $1)
+       OR last.status = 'FAILED'
+    ORDER BY v.vault_locked_at NULLS LAST, last.executed_at
+  `, [STUCK_AFTER_SECONDS, FAILED_LOOKBACK_HOURS]);
+
+  return res.rows.map((r) => ({
+    userId: r.user_id,
+    lockHolder: r.vault_lock_holder,
+    lockedAt: r.vault_locked_at,
+    lockAgeSeconds: r.lock_age_seconds,
+    lockedUntil: r.vault_locked_until,
+    lockExpired: Boolean(r.vault_locked_until && new Date(r.vault_locked_until) < new Date()),
+    pendingTxSignature: r.vault_lock_tx_signature,
+    stuckTradeId: r.last_status === 'PENDING' ? r.last_trade_id : null,
+    lastFailedTradeId: r.last_status === 'FAILED' ? r.last_trade_id : null,
+    lastError: r.last_status === 'FAILED' ? r.last_error : null,
+    lastTradeAt: r.last_trade_at,
+    retryCount: parseInt(r.retry_count, 10),
+    lastRetryStatus: r.last_retry_status
+  }));
+}
+
+async function loadVault(userId) {
+  const res = await query(`
+    SELECT user_id, vault_lock_holder, vault_locked_at, vault_locked_until,
+           vault_lock_tx_signature, vault_lock_tx_submitted_at
+    FROM user_vaults
+    WHERE user_id=$1
+  `, [userId]);
+  if (!res.rows.length) {
+    throw new Error(`Vault not found for user ${userId}.`);
+  }
+  return res.rows[0];
+}
+
+/*************************************************************
+ * getPendingTransaction(vault)
+ * - null when nothing submitted under the lock can still land;
+ *   otherwise { signature, state }
+ * - RPC failures throw: unknown is treated as pending
+ *************************************************************/
+async function getPendingTransaction(vault) {
+  const signature = vault.vault_lock_tx_signature;
+  if (!signature) return null;
+
+  let status;
+  try {
+    const res = await getConnection().getSignatureStatuses([signature], { searchTransactionHistory: true });
+    status = res.value[0];
+  } catch (err) {
+    throw new Error(`Could not check transaction ${signature} (${err.message}); refusing to unlock.`);
+  }
+
+  if (status) {
+    if (status.err || ['confirmed', 'finalized'].includes(status.confirmationStatus)) return null;
+    return { signature, state: status.confirmationStatus || 'processed' };
+  }
+  const submittedAt = vault.vault_lock_tx_submitted_at || vault.vault_locked_at;
+  const ageSeconds = submittedAt ? (Date.now() - new Date(submittedAt).getTime()) / 1000 : Infinity;
+  return ageSeconds > BLOCKHASH_EXPIRY_SECONDS ? null : { signature, state: 'not yet seen' };
+}
+
+/*************************************************************
+ * forceUnlockVault(userId)
+ * - Returns { userId, previous: { lockHolder, lockedAt,
+ *   lockedUntil, txSignature } }
+ *************************************************************/
+async function forceUnlockVault(userId) {
+  const vault = await loadVault(userId);
+  if (!vault.vault_locked_at) {
+    throw new Error(`Vault for user ${userId} is not locked.`);
+  }
+  const pending = await getPendingTransaction(vault);
+  if (pending) {
+    throw new Error(`Transaction ${pending.signature} for this vault is still pending confirmation (${pending.state}); refusing to unlock.`);
+  }
+
+  // only the lock we inspected; a lock taken since then is left alone
+  const res = await query(`
+    UPDATE user_vaults
+    SET vault_locked_until=NULL, vault_locked_at=NULL, vault_lock_holder=NULL,
+        vault_lock_tx_signature=NULL, vault_lock_tx_submitted_at=NULL
+    WHERE user_id=$1 AND vault_locked_at=$2
+    RETURNING user_id
+  `, [userId, vault.vault_locked_at]);
+  if (!res.rows.length) {
+    throw new Error(`Vault for user ${userId} was re-locked meanwhile; refresh and try again.`);
+  }
+
+  return {
+    userId,
+    previous: {
+      lockHolder: vault.vault_lock_holder,
+      lockedAt: vault.vault_locked_at,
+      lockedUntil: vault.vault_locked_until,
+      txSignature: vault.vault_lock_tx_signature
+    }
+  };
+}
+
+/*************************************************************
+ * retryLastTrade(adminId, userId)
+ * - the user's most recent trade must have FAILED, within
+ *   MAX_RETRY_AGE_MINUTES, and the vault must not hold a live lock
+ * - Returns { retryId, tradeId, status, duplicate }
+ *************************************************************/
+async function retryLastTrade(adminId, userId) {
+  if (!tradeExecutor) {
+    const err = new Error('No trade executor is running, so a retry cannot be executed; try again once copy trading is up.');
+    err.code = 'NO_TRADE_EXECUTOR';
+    throw err;
+  }
+  const vault = await loadVault(userId);
+  if (vault.vault_locked_at && (!vault.vault_locked_until || new Date(vault.vault_locked_until) > new Date())) {
+    throw new Error(`Vault for user ${userId} is locked by ${vault.vault_lock_holder || 'unknown'}; unlock it first.`);
+  }
+
+  const last = await query(`
+    SELECT id, status, executed_at,
+           executed_at < NOW() - INTERVAL '1 minute' * $2 AS too_old
+    FROM trade_executions
+    WHERE user_id=$1
+    ORDER BY executed_at DESC, id DESC
+    LIMIT 1
+  `, [userId, MAX_RETRY_AGE_MINUTES]);
+  const trade = last.rows[0];
+  if (!trade || trade.status !== 'FAILED') {
+    throw new Error(`No failed trade to retry for user ${userId}: the last trade is ${trade ? trade.status : 'missing'}.`);
+  }
+  if (trade.too_old) {
+    throw new Error(`Trade ${trade.id} failed more than ${MAX_RETRY_AGE_MINUTES} minutes ago and is too old to retry.`);
+  }
+
+  const inserted = await query(`
+    INSERT INTO trade_retry_requests (trade_id, user_id, requested_by, status, created_at, updated_at)
+    VALUES ($1, $2, $3, 'pending', NOW(), NOW())
+    ON CONFLICT (trade_id) DO NOTHING
+    RETURNING id, status
+  `, [trade.id, userId, adminId]);
+  if (inserted.rows.length) {
+    return { retryId: inserted.rows[0].id, tradeId: trade.id, status: inserted.rows[0].status, duplicate: false };
+  }
+
+  const existing = await query(`SELECT id, status FROM trade_retry_requests WHERE trade_id=$1`, [trade.id]);
+  return { retryId: existing.rows[0].id, tradeId: trade.id, status: existing.rows[0].status, duplicate: true };
+}
+
+async function setRetryStatus(retryId, status, { resultTradeId = null, error = null } = {}) {
+  await query(`
+    UPDATE trade_retry_requests
+    SET status=$2, result_trade_id=$3, error=$4, updated_at=NOW()
+    WHERE id=$1
+  `, [retryId, status, resultTradeId, error]);
+}
+
+// a stale 'executing' retry goes back to 'pending', unless its
+// worker recorded a trade for the user before dying: that trade
+// may be the retry, so it fails for an admin to look at
+async function requeueStaleRetries() {
+  await query(`
+    UPDATE trade_retry_requests r
+    SET status = CASE WHEN t.recorded THEN 'failed' ELSE 'pending' END,
+        error = CASE WHEN t.recorded
+                     THEN 'Retry interrupted after a trade was recorded; check the vault before retrying.'
+                     ELSE r.error END,
+        updated_at = NOW()
+    FROM (
+      SELECT r2.id, EXISTS (
+        SELECT 1 FROM trade_executions te
+        WHERE te.user_id = r2.user_id AND te.executed_at >= r2.updated_at
+      ) AS recorded
+      FROM trade_retry_requests r2
+      WHERE r2.status = 'executing'
+        AND r2.updated_at < NOW() - ($1 || ' seconds')::interval
+      FOR UPDATE SKIP LOCKED
+    ) t
+    WHERE r.id = t.id
+  `, [STALE_EXECUTING_SECONDS]);
+}
+
+/*************************************************************
+ * processTradeRetries(executeFn)
+ * - executeFn as for aggregator.executeWithSafeguards, default
+ *   the registered executor (setTradeExecutor)
+ * - first requeues retries stuck in 'executing'
+ * - claims pending requests one at a time (SKIP LOCKED, so
+ *   several workers never run the same retry)
+ * - a vault still locked by another signer puts the request
+ *   back to 'pending' for the next run; a failed trade older
+ *   than MAX_RETRY_AGE_MINUTES by now is not retried
+ * - Returns the number of requests handled
+ *************************************************************/
+async function processTradeRetries(executeFn = tradeExecutor) {
+  if (!executeFn) return 0;
+  await requeueStaleRetries();
+  let handled = 0;
+  const deferred = [];
+  for (;;) {
+    const claimed = await query(`
+      UPDATE trade_retry_requests
+      SET status='executing', updated_at=NOW()
+      WHERE id = (
+        SELECT id FROM trade_retry_requests
+        WHERE status='pending' AND NOT (id = ANY($1::int[]))
+        ORDER BY id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, trade_id, user_id
+    `, [deferred]);
+    const retry = claimed.rows[0];
+    if (!retry) break;
+
+    const original = await query(`
+      SELECT id, user_id, trader_id, from_token, to_token, amount,
+             executed_at < NOW() - INTERVAL '1 minute' * $2 AS too_old
+      FROM trade_executions
+      WHERE id=$1
+    `, [retry.trade_id, MAX_RETRY_AGE_MINUTES]);
+    const failed = original.rows[0];
+    if (!failed || failed.too_old) {
+      await setRetryStatus(retry.id, 'failed', {
+        error: failed ? `Trade failed more than ${MAX_RETRY_AGE_MINUTES} minutes ago; not retried.` : 'Trade not found.'
+      });
+      handled += 1;
+      continue;
+    }
+
+    const trade = {
+      userId: failed.user_id,
+      traderId: failed.trader_id,
+      fromToken: failed.from_token,
+      toToken: failed.to_token,
+      amount: Number(failed.amount),
+      source: 'copy',
+      signal: { retryOf: failed.id }
+    };
+    try {
+      const outcome = await aggregator.executeWithSafeguards(trade, executeFn);
+      if (!outcome.executed && outcome.blockedBy.some((b) => b.type === 'vault_locked')) {
+        await setRetryStatus(retry.id, 'pending');
+        deferred.push(retry.id);
+        continue;
+      }
+      if (!outcome.executed) {
+        await setRetryStatus(retry.id, 'failed', { error: outcome.blockedBy.map((b) => b.message || b.type).join('; ') });
+      } else if (outcome.result && outcome.result.success) {
+        await setRetryStatus(retry.id, 'done', { resultTradeId: outcome.result.tradeId || null });
+      } else {
+        await setRetryStatus(retry.id, 'failed', {
+          resultTradeId: outcome.result ? outcome.result.tradeId || null : null,
+          error: (outcome.result && outcome.result.error) || 'Retry did not succeed.'
+        });
+      }
+    } catch (err) {
+      console.error(`Error executing trade retry ${retry.id} (trade ${retry.trade_id}):`, err);
+      await setRetryStatus(retry.id, 'failed', { error: err.message });
+    }
+    handled += 1;
+  }
+  return handled;
+}
+
+/*************************************************************
+ * scheduleTradeRetries()
+ * - runs processTradeRetries every minute with the registered
+ *   executor (nothing runs until one is registered)
+ *************************************************************/
+function scheduleTradeRetries() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processTradeRetries();
+    } catch (err) {
+      console.error('Error in trade retry cron job:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  getLockedVaults,
+  forceUnlockVault,
+  retryLastTrade,
+  setTradeExecutor,
+  processTradeRetries,
+  scheduleTradeRetries
+};
@@ -0,0 +1,112 @@
+/*************************************************************
+ * vaultLock.js
+ *
+ * Location: /src/vault/vaultLock.js
+ *
+ * One signer per vault at a time (user_vaults.vault_locked_*).
+ *  - Taken before anything signs for the vault: the aggregator
+ *    around the swap executor, withdrawFlow, subscription
+ *    payments.
+ *  - The signer records the transaction it submitted under the
+ *    lock (recordLockTransaction) until it confirms.
+ *  - A lock that ends in an error after a transaction was
+ *    submitted is kept: that transaction may still land, and
+ *    vaultConflictResolver.forceUnlockVault only clears it once
+ *    the chain says it cannot.
+ *  - An expired lock (vault_locked_until) can be taken over.
+ *  - holder names the operation, e.g. 'withdrawal:12' or
+ *    'aggregator:<execution id>', and must be unique to it.
+ *************************************************************/
+
+const { query } = require('../database/database');
+
+// longer than a blockhash lives, so an expired lock has nothing in flight
+const LOCK_TTL_SECONDS = 300;
+const LOCK_WAIT_INTERVAL_MS = 2000;
+
+/*************************************************************
+ * acquireVaultLock(userId, holder, ttlSeconds)
+ * - Returns { userId, holder, lockedAt, txSignature } or null
+ *   when another holder has the vault
+ *************************************************************/
+async function acquireVaultLock(userId, holder, ttlSeconds = LOCK_TTL_SECONDS) {
+  const res = await query(`
+    UPDATE user_vaults
+    SET vault_locked_at = date_trunc('milliseconds', clock_timestamp()),  -- compared as a JS Date later
+        vault_locked_until = clock_timestamp() + ($3 || ' seconds')::interval,
+        vault_lock_holder = $2,
+        vault_lock_tx_signature = NULL,
+        vault_lock_tx_submitted_at = NULL
+    WHERE user_id=$1
+      AND (vault_locked_at IS NULL OR vault_locked_until < NOW())
+    RETURNING vault_locked_at
+  `, [userId, holder, ttlSeconds]);
+  if (!res.rows.length) return null;
+  return { userId, holder, lockedAt: res.rows[0].vault_locked_at, txSignature: null };
+}
+
+/*************************************************************
+ * recordLockTransaction(lock, txSignature)
+ * - right after sendRawTransaction, before confirming
+ *************************************************************/
+async function recordLockTransaction(lock, txSignature) {
+  lock.txSignature = txSignature;
+  await query(`
+    UPDATE user_vaults
+    SET vault_lock_tx_signature=$3, vault_lock_tx_submitted_at=NOW()
+    WHERE user_id=$1 AND vault_lock_holder=$2
+  `, [lock.userId, lock.holder, txSignature]);
+}
+
+// only our own lock (holders are unique per operation); one taken
+// over after expiry is left alone
+async function releaseVaultLock(lock) {
+  await query(`
+    UPDATE user_vaults
+    SET vault_locked_until=NULL, vault_locked_at=NULL, vault_lock_holder=NULL,
+        vault_lock_tx_signature=NULL, vault_lock_tx_submitted_at=NULL
+    WHERE user_id=$1 AND vault_lock_holder=$2
+  `, [lock.userId, lock.holder]);
+}
+
+/*************************************************************
+ * withVaultLock(userId, holder, fn, { waitSeconds })
+ * - fn(lock) runs while holding the lock; released afterwards
+ *   unless fn failed after submitting a transaction
+ * - waits up to waitSeconds for a busy vault, then throws an
+ *   Error with code 'VAULT_LOCKED'
+ *************************************************************/
+async function withVaultLock(userId, holder, fn, { waitSeconds = 0 } = {}) {
+  const deadline = Date.now() + waitSeconds * 1000;
+  let lock = await acquireVaultLock(userId, holder);
+  while (!lock && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, LOCK_WAIT_INTERVAL_MS));
+    lock = await acquireVaultLock(userId, holder);
+  }
+  if (!lock) {
+    const err = new Error(`Vault for user ${userId} is busy with another transaction; try again shortly.`);
+    err.code = 'VAULT_LOCKED';
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await fn(lock);
+  } catch (err) {
+    if (!lock.txSignature) await releaseVaultLock(lock);
+    throw err;
+  }
+  await releaseVaultLock(lock);
+  return result;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  LOCK_TTL_SECONDS,
+  acquireVaultLock,
+  recordLockTransaction,
+  releaseVaultLock,
+  withVaultLock
+};
@@ -0,0 +1,69 @@
+/*************************************************************
+ * vaultUtils.js
+ *
+ * Location: /src/vault/vaultUtils.js
+ *
+ * Shared helpers for flows that move funds out of a user vault.
+ *************************************************************/
+
+const web3 = require('@solana/web3.js');
+const { query } = require('../database/database');
+
+/*************************************************************
+ * loadVaultKeypair(userId)
+ * - Returns { success, userKeypair, vaultPubkey } or { success: false, error }
+ *************************************************************/
+async function loadVaultKeypair(userId) {
+  try {
+    const vaultRes = await query(`
+      SELECT vault_priv_key
+      FROM user_vaults
+      WHERE user_id=$1
+    `, [userId]);
+    if (vaultRes.rows.length === 0) {
+      return { success: false, error: 'No vault found' };
+    }
+    const encryptedBase64 = vaultRes.rows[0].vault_priv_key;
+    const userKeypair = web3.Keypair.fromSecretKey(Buffer.from(encryptedBase64, 'base64'));
+    return {
+      success: true,
+      userKeypair,
+      vaultPubkey: userKeypair.publicKey
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+function getConnection() {
+  return new web3.Connection(process.env.SOLANA_RPC_URL || web3.clusterApiUrl('mainnet-beta'), 'confirmed');
+}
+
+/*************************************************************
+ * getTransactionOutcome(connection, txSignature, lastValidBlockHeight)
+ * - for a transaction whose confirmation failed or timed out:
+ *   'landed', 'failed' (failed on chain or its blockhash expired
+ *   without it) or 'unknown' (the RPC cannot tell yet)
+ *************************************************************/
+async function getTransactionOutcome(connection, txSignature, lastValidBlockHeight) {
+  try {
+    const { value } = await connection.getSignatureStatus(txSignature, { searchTransactionHistory: true });
+    if (value && value.err) return 'failed';
+    if (value && ['confirmed', 'finalized'].includes(value.confirmationStatus)) return 'landed';
+    if (!value && lastValidBlockHeight && await connection.getBlockHeight('confirmed') > lastValidBlockHeight) {
+      return 'failed';
+    }
+  } catch (err) {
+    console.error(`Could not check transaction ${txSignature}:`, err.message);
+  }
+  return 'unknown';
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  loadVaultKeypair,
+  getConnection,
+  getTransactionOutcome
+};
@@ -0,0 +1,403 @@
+/*************************************************************
+ * walletScreening.js
+ *
+ * Location: /src/vault/walletScreening.js
+ *
+ * Screens counterparty wallets (deposit sources, withdrawal
+ * destinations) against local sanctions / denylist files.
+ *
+ *  - Lists live in SCREENING_LIST_DIR (default data/screening_lists):
+ *      *.csv  => `address[,reason]` per line, optional header row
+ *      *.json => ["addr", ...], [{ address, reason }] or
+ *                { name, kind, addresses: [...] }
+ *    kind is 'sanctions' for files named sanctions*, else 'denylist'
+ *    (a JSON file may set it explicitly).
+ *  - Files are hot-reloaded (fs.watch + a periodic re-hash, started
+ *    on first use). A file that fails to parse, or an empty or
+ *    missing directory, keeps the previous lists in force; with
+ *    none loaded yet every screening decision is 'error'.
+ *  - The list version is a sha256 over every file; each version
+ *    is stored with its full content and every decision records
+ *    the version it was checked against.
+ *  - A match that compliance confirmed as a false positive is
+ *    recorded as an override for (address, list version)
+ *    (recordOverride); findOverride lets callers skip it.
+ *************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const complianceTools = require('../admin/complianceTools');
+const complianceCases = require('../admin/complianceCases');
+
+const SCREENING_CONFIG = {
+  listDir: process.env.SCREENING_LIST_DIR || path.join(process.cwd(), 'data', 'screening_lists'),
+  reloadSeconds: parseInt(process.env.SCREENING_RELOAD_SECONDS || '30', 10)
+};
+const LIST_KINDS = ['sanctions', 'denylist'];
+const DIRECTIONS = ['deposit', 'withdrawal', 'manual'];
+const WATCH_DEBOUNCE_MS = 500;
+
+let current = null;   // { version, files, index: Map<address, [match]>, entryCount, loadedAt }
+let lastError = null;
+let watching = false;
+
+// Solana addresses are case-sensitive base58; EVM hex is not
+function normalizeAddress(address) {
+  const trimmed = String(address || '').trim();
+  return /^0x[0-9a-f]+$/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/*************************************************************
+ * parseListFile(file, content)
+ * - Returns { name, kind, entries: [{ address, reason }] }
+ *************************************************************/
+function parseListFile(file, content) {
+  const base = path.basename(file, path.extname(file));
+  let name = base;
+  let kind = base.toLowerCase().startsWith('sanctions') ? 'sanctions' : 'denylist';
+  let entries = [];
+
+  if (file.endsWith('.json')) {
+    const data = JSON.parse(content.toString('utf8'));
+    const items = Array.isArray(data) ? data : (data.addresses || data.entries);
+    if (!Array.isArray(items)) {
+      throw new Error(`${file}: expected an array or { addresses: [...] }`);
+    }
+    if (!Array.isArray(data)) {
+      name = data.name || name;
+      kind = data.kind || kind;
+    }
+    entries = items.map((item) => (typeof item === 'string'
+      ? { address: item, reason: null }
+      : { address: item.address, reason: item.reason || item.program || null }));
+  } else {
+    const lines = content.toString('utf8').split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter((l) => l && !l.startsWith('#'));
+    let addressCol = 0;
+    let reasonCol = 1;
+    if (lines.length && /(^|,)\s*"?address"?\s*(,|$)/i.test(lines[0])) {
+      const header = splitCsvLine(lines.shift()).map((h) => h.toLowerCase());
+      addressCol = header.indexOf('address');
+      reasonCol = header.findIndex((h) => ['reason', 'program', 'label'].includes(h));
+    }
+    entries = lines.map((line) => {
+      const cells = splitCsvLine(line);
+      return { address: cells[addressCol], reason: reasonCol >= 0 ? cells[reasonCol] || null : null };
+    });
+  }
+
+  if (!LIST_KINDS.includes(kind)) {
+    throw new Error(`${file}: invalid list kind "${kind}"`);
+  }
+  const bad = entries.find((e) => !e.address);
+  if (bad) {
+    throw new Error(`${file}: entry without an address`);
+  }
+  return {
+    name,
+    kind,
+    entries: entries.map((e) => ({ address: normalizeAddress(e.address), reason: e.reason }))
+  };
+}
+
+// no list files is a load failure: screening against nothing
+// would clear every address
+function readListFiles() {
+  if (!fs.existsSync(SCREENING_CONFIG.listDir)) {
+    throw new Error(`Screening list directory ${SCREENING_CONFIG.listDir} does not exist`);
+  }
+  const names = fs.readdirSync(SCREENING_CONFIG.listDir)
+    .filter((f) => f.endsWith('.csv') || f.endsWith('.json'))
+    .sort();
+  if (!names.length) {
+    throw new Error(`No screening list files (*.csv, *.json) in ${SCREENING_CONFIG.listDir}`);
+  }
+  return names
+    .map((file) => {
+      const content = fs.readFileSync(path.join(SCREENING_CONFIG.listDir, file));
+      return { file, content, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+    });
+}
+
+async function persistListVersion(version, files, entryCount, lists) {
+  const content = zlib.gzipSync(Buffer.from(JSON.stringify(lists), 'utf8'));
+  await query(`
+    INSERT INTO wallet_screening_list_versions (version, files, entry_count, content, loaded_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (version) DO NOTHING
+  `, [version, JSON.stringify(files), entryCount, content]);
+}
+
+/*************************************************************
+ * loadLists()
+ * - re-reads the list directory; no-op when nothing changed
+ * - on a parse error or without any list file the previous
+ *   lists stay active, the error is kept in lastError and
+ *   compliance is alerted once
+ * - Returns the active version
+ *************************************************************/
+async function loadLists() {
+  let raw;
+  try {
+    raw = readListFiles();
+  } catch (err) {
+    return failLoad(err);
+  }
+  const version = crypto.createHash('sha256')
+    .update(raw.map((f) => `${f.file}:${f.sha256}`).join('\n'))
+    .digest('hex');
+  if (current && current.version === version) {
+    lastError = null;
+    return version;
+  }
+
+  let lists;
+  try {
+    lists = raw.map((f) => ({ file: f.file, sha256: f.sha256, ...parseListFile(f.file, f.content) }));
+  } catch (err) {
+    return failLoad(err);
+  }
+
+  const index = new Map();
+  let entryCount = 0;
+  for (const list of lists) {
+    for (const entry of list.entries) {
+      const matches = index.get(entry.address) || [];
+      matches.push({ list: list.name, kind: list.kind, reason: entry.reason });
+      index.set(entry.address, matches);
+      entryCount += 1;
+    }
+  }
+  const files = lists.map((l) => ({ file: l.file, name: l.name, kind: l.kind, sha256: l.sha256, entries: l.entries.length }));
+
+  await persistListVersion(version, files, entryCount, lists);
+  current = { version, files, index, entryCount, loadedAt: new Date() };
+  lastError = null;
+  console.log(`[walletScreening] Loaded ${entryCount} addresses from ${files.length} list(s), version ${version.slice(0, 12)}`);
+  return version;
+}
+
+function failLoad(err) {
+  const message = err.message;
+  if (lastError !== message) {
+    console.error('[walletScreening] Error loading screening lists:', err);
+    notifications.sendAdminGlobalAlert(
+      `⚠️ *Screening lists failed to load*\n${message}\n` +
+      (current ? `Still screening with version ${current.version.slice(0, 12)}.` : 'No lists are active.')
+    );
+  }
+  lastError = message;
+  if (!current) throw err;
+  return current.version;
+}
+
+/*************************************************************
+ * watchLists()
+ * - hot reload: fs.watch on the directory (where supported)
+ *   plus a periodic re-hash as a fallback
+ *************************************************************/
+function watchLists() {
+  if (watching) return;
+  watching = true;
+  let timer = null;
+  const reload = () => loadLists().catch(() => {});
+  try {
+    fs.mkdirSync(SCREENING_CONFIG.listDir, { recursive: true });
+    fs.watch(SCREENING_CONFIG.listDir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(reload, WATCH_DEBOUNCE_MS);
+    }).unref();
+  } catch (err) {
+    console.error('[walletScreening] fs.watch unavailable, polling only:', err.message);
+  }
+  setInterval(reload, SCREENING_CONFIG.reloadSeconds * 1000).unref();
+}
+
+/*************************************************************
+ * screenAddress(address, { direction, userId, reference, screenedBy })
+ * - records the decision with the list version it used
+ * - decision: 'clear' | 'match' | 'error' (no list ever loaded)
+ * - Returns { decisionId, decision, matches, listVersion }
+ *************************************************************/
+async function screenAddress(address, { direction, userId = null, reference = null, screenedBy = null } = {}) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid screening direction "${direction}". Must be one of: ${DIRECTIONS.join(', ')}`);
+  }
+  const normalized = normalizeAddress(address);
+  if (!normalized) {
+    throw new Error('Address is required for screening.');
+  }
+
+  let decision = 'clear';
+  let matches = [];
+  let error = null;
+  try {
+    if (!current) {
+      watchLists();
+      await loadLists();
+    }
+    matches = current.index.get(normalized) || [];
+    decision = matches.length ? 'match' : 'clear';
+  } catch (err) {
+    decision = 'error';
+    error = err.message;
+  }
+  const listVersion = current ? current.version : null;
+
+  const res = await query(`
+    INSERT INTO wallet_screening_decisions
+      (address, direction, user_id, reference, decision, matches, list_version, screened_by, error, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    RETURNING id
+  `, [normalized, direction, userId, reference, decision, JSON.stringify(matches), listVersion, screenedBy, error]);
+
+  return { decisionId: res.rows[0].id, decision, matches, listVersion };
+}
+
+// short text for block reasons / alerts, e.g. "sanctions:ofac_sdn (Lazarus)"
+function describeMatches(matches) {
+  return matches.map((m) => `${m.kind}:${m.list}${m.reason ? ` (${m.reason})` : ''}`).join(', ');
+}
+
+/*************************************************************
+ * blockForScreeningMatch(userId, address, screening, context)
+ * - used by depositDetection.js / withdrawFlow.js: blocks via
+ *   blockUserCompliance (escalated case) and links the wallet
+ *   and the decision to that case
+ * - Returns the case id
+ *************************************************************/
+async function blockForScreeningMatch(userId, address, screening, context) {
+  const listed = describeMatches(screening.matches);
+  const reason = `Screening match on ${context}: ${address} listed in ${listed}`.slice(0, 255);
+
+  const caseId = await complianceTools.blockUserCompliance(null, userId, reason);
+  await complianceCases.linkToCase(caseId, {
+    wallets: [{ address: normalizeAddress(address), label: `screening match: ${listed}`.slice(0, 200) }]
+  });
+  await complianceCases.addEvidence(caseId, null, {
+    kind: 'text',
+    reference: `wallet_screening_decisions#${screening.decisionId}`,
+    description: `List version ${screening.listVersion}`
+  });
+
+  notifications.sendAdminGlobalAlert(
+    `🚫 *Screening match* (${context})\nUser ${userId}, wallet ${address}\nLists: ${listed}\n` +
+    `List version ${screening.listVersion.slice(0, 12)}, compliance case #${caseId}`
+  );
+  return caseId;
+}
+
+/*************************************************************
+ * recordOverride(adminId, decisionId, { reference, note })
+ * - the match behind decisionId is a confirmed false positive;
+ *   only for that decision's address and list version
+ * - Returns the override id
+ *************************************************************/
+async function recordOverride(adminId, decisionId, { reference = null, note = null } = {}) {
+  const res = await query(`
+    INSERT INTO wallet_screening_overrides
+      (address, list_version, decision_id, approved_by, reference, note, created_at)
+    SELECT address, list_version, id, $2, $3, $4, NOW()
+    FROM wallet_screening_decisions
+    WHERE id=$1 AND decision='match' AND list_version IS NOT NULL
+    ON CONFLICT (address, list_version) DO UPDATE SET approved_by=$2, reference=$3, note=$4
+    RETURNING id
+  `, [decisionId, adminId, reference, note]);
+  if (!res.rows.length) {
+    throw new Error(`Screening decision ${decisionId} is not a match that can be overridden.`);
+  }
+  return res.rows[0].id;
+}
+
+// null => no override for this address under this list version
+async function findOverride(address, listVersion) {
+  if (!listVersion) return null;
+  const res = await query(`
+    SELECT id, approved_by, reference, created_at
+    FROM wallet_screening_overrides
+    WHERE address=$1 AND list_version=$2
+  `, [normalizeAddress(address), listVersion]);
+  return res.rows[0] || null;
+}
+
+/*************************************************************
+ * Examiner / admin views
+ *************************************************************/
+function getScreeningStatus() {
+  return {
+    listDir: SCREENING_CONFIG.listDir,
+    version: current ? current.version : null,
+    loadedAt: current ? current.loadedAt : null,
+    entryCount: current ? current.entryCount : 0,
+    files: current ? current.files : [],
+    lastError
+  };
+}
+
+// a stored list version with every entry it contained
+async function getListVersion(version) {
+  const res = await query(`
+    SELECT version, files, entry_count, content, loaded_at
+    FROM wallet_screening_list_versions
+    WHERE version = $1
+  `, [version]);
+  if (!res.rows.length) {
+    throw new Error(`Screening list version ${version} not found.`);
+  }
+  const { content, ...row } = res.rows[0];
+  return { ...row, lists: JSON.parse(zlib.gunzipSync(content).toString('utf8')) };
+}
+
+async function listDecisions({ address, userId, decision, direction } = {}, { limit = 50, cursor = null } = {}) {
+  limit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const params = [];
+  const where = [];
+  const add = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace(/\?/g, `$${params.length}`));
+  };
+  if (address) add('address = ?', normalizeAddress(address));
+  if (userId) add('user_id = ?', userId);
+  if (decision) add('decision = ?', decision);
+  if (direction) add('direction = ?', direction);
+  if (cursor) add('id < ?', parseInt(cursor, 10));
+  params.push(limit + 1);
+
+  const res = await query(`
+    SELECT id, address, direction, user_id, reference, decision, matches, list_version, screened_by, error, created_at
+    FROM wallet_screening_decisions
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `, params);
+  const rows = res.rows.slice(0, limit);
+  return { rows, nextCursor: res.rows.length > limit ? String(rows[rows.length - 1].id) : null };
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  SCREENING_CONFIG,
+  normalizeAddress,
+  parseListFile,
+  loadLists,
+  watchLists,
+  screenAddress,
+  describeMatches,
+  blockForScreeningMatch,
+  recordOverride,
+  findOverride,
+  getScreeningStatus,
+  getListVersion,
+  listDecisions
+};
@@ -0,0 +1,412 @@
+/*************************************************************
+ * withdrawFlow.js
+ *
+ * Location: /src/vault/withdrawFlow.js
+ *
+ * Withdrawals from a user vault to an external wallet.
+ *  1) requestWithdrawal => withdrawal_requests row, destination
+ *     screened (walletScreening.js)
+ *  2) clear => executed right away; match => request 'held', user
+ *     blocked via blockUserCompliance, compliance alerted;
+ *     screening unavailable => 'held' for review, no block
+ *  3) compliance releases or rejects held requests
+ *     (reviewHeldWithdrawal); the destination is screened again
+ *     right before any transfer, except for a match compliance
+ *     released under the same list version (screening override)
+ *  - every state change claims the row (UPDATE ... WHERE status
+ *    RETURNING), so concurrent calls cannot both send funds
+ *  - a transfer whose confirmation fails but may still land stays
+ *    'submitted' (vault lock kept) until
+ *    reconcileSubmittedWithdrawals settles it from the chain
+ *  - the user's region must allow withdrawals (regionPolicy.js);
+ *    checked on request and again before any transfer
+ *************************************************************/
+
+const cron = require('node-cron');
+const web3 = require('@solana/web3.js');
+const { query } = require('../database/database');
+const notifications = require('../utils/notifications');
+const walletScreening = require('./walletScreening');
+const { loadVaultKeypair, getConnection, getTransactionOutcome } = require('./vaultUtils');
+const vaultLock = require('./vaultLock');
+const transactionMonitoring = require('../admin/transactionMonitoring');
+const regionPolicy = require('../admin/regionPolicy');
+
+const MESSAGES = {
+  ACCOUNT_RESTRICTED: 'Your account is restricted pending a compliance review. Withdrawals are disabled.',
+  WITHDRAWAL_HELD: (id) => `⏳ Your withdrawal #${id} is on hold for a compliance review. We will notify you once it is reviewed.`,
+  WITHDRAWAL_SENT: (id, amount, token, sig) => `✅ Withdrawal #${id} sent: ${amount} ${token}\nTx: https://solscan.io/tx/${sig}`,
+  WITHDRAWAL_SUBMITTED: (id, sig) => `⏳ Withdrawal #${id} was submitted and is still being confirmed. We will notify you once it lands.\nTx: https://solscan.io/tx/${sig}`,
+  WITHDRAWAL_REJECTED: (id) => `❌ Your withdrawal #${id} was rejected after a compliance review. The funds remain in your vault.`,
+  WITHDRAWAL_FAILED: (id, reason) => `❌ Withdrawal #${id} failed: ${reason}`
+};
+
+// keep enough lamports in the vault for fees
+const FEE_RESERVE_LAMPORTS = 50_000;
+// a trade holding the vault lock finishes within seconds
+const VAULT_LOCK_WAIT_SECONDS = 30;
+// submitted this long without a confirmation => ask the chain
+const RECONCILE_AFTER_MINUTES = 1;
+
+async function isComplianceBlocked(userId) {
+  const res = await query(`SELECT compliance_blocked FROM users WHERE id=$1`, [userId]);
+  if (res.rows.length === 0) {
+    throw new Error(`User not found: ${userId}`);
+  }
+  return res.rows[0].compliance_blocked === true;
+}
+
+async function setRequestStatus(requestId, status, fields = {}) {
+  await query(`
+    UPDATE withdrawal_requests
+    SET status=$2,
+        screening_decision_id = COALESCE($3, screening_decision_id),
+        hold_reason = COALESCE($4, hold_reason),
+        tx_signature = COALESCE($5, tx_signature),
+        error = $6,
+        updated_at = NOW()
+    WHERE id=$1
+  `, [requestId, status, fields.decisionId || null, fields.holdReason || null, fields.txSignature || null, fields.error || null]);
+}
+
+/*************************************************************
+ * screenRequest(request)
+ * - Returns { hold, holdReason, screening }
+ *************************************************************/
+async function screenRequest(request) {
+  const screening = await walletScreening.screenAddress(request.destination, {
+    direction: 'withdrawal',
+    userId: request.user_id,
+    reference: `withdrawal:${request.id}`
+  });
+  if (screening.decision === 'match') {
+    // released by compliance before => confirmed false positive
+    if (await walletScreening.findOverride(request.destination, screening.listVersion)) {
+      return { hold: false, holdReason: null, screening };
+    }
+    return { hold: true, holdReason: `screening match: ${walletScreening.describeMatches(screening.matches)}`, screening };
+  }
+  if (screening.decision === 'error') {
+    return { hold: true, holdReason: 'screening unavailable', screening };
+  }
+  return { hold: false, holdReason: null, screening };
+}
+
+async function holdRequest(request, { holdReason, screening }) {
+  await setRequestStatus(request.id, 'held', { decisionId: screening.decisionId, holdReason });
+  if (screening.decision === 'match') {
+    await walletScreening.blockForScreeningMatch(request.user_id, request.destination, screening,
+      `withdrawal #${request.id}`);
+  } else {
+    notifications.sendAdminGlobalAlert(
+      `⚠️ Withdrawal #${request.id} for user ${request.user_id} held: ${holdReason}. Review it in the admin web app.`
+    );
+  }
+  notifications.sendUserNotification(request.user_id, MESSAGES.WITHDRAWAL_HELD(request.id));
+  return { requestId: request.id, status: 'held', holdReason };
+}
+
+/*************************************************************
+ * requestWithdrawal(userId, { destination, amount, token })
+ * - Returns { requestId, status, txSignature?, holdReason? }
+ *************************************************************/
+async function requestWithdrawal(userId, { destination, amount, token = 'SOL' }) {
+  try {
+    new web3.PublicKey(destination);
+  } catch (err) {
+    throw new Error('Invalid destination address.');
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Withdrawal amount must be a positive number.');
+  }
+  if (token !== 'SOL') {
+    throw new Error('Only SOL withdrawals are supported.');
+  }
+  if (await isComplianceBlocked(userId)) {
+    throw new Error(MESSAGES.ACCOUNT_RESTRICTED);
+  }
+  const regionCheck = await regionPolicy.checkFeature(userId, 'withdrawals');
+  if (!regionCheck.allowed) {
+    throw new Error(regionCheck.message);
+  }
+
+  const res = await query(`
+    INSERT INTO withdrawal_requests (user_id, destination, amount, token, status, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, 'screening', NOW(), NOW())
+    RETURNING id, user_id, destination, amount, token
+  `, [userId, destination, value, token]);
+  const request = res.rows[0];
+
+  const result = await screenRequest(request);
+  if (result.hold) {
+    return holdRequest(request, result);
+  }
+  await setRequestStatus(request.id, 'pending', { decisionId: result.screening.decisionId });
+  return executeWithdrawal(request.id);
+}
+
+// claim failed => why, for the caller
+async function requestStateError(requestId, expected) {
+  const res = await query(`SELECT status FROM withdrawal_requests WHERE id=$1`, [requestId]);
+  if (!res.rows.length) {
+    return new Error(`Withdrawal request ${requestId} not found.`);
+  }
+  return new Error(`Withdrawal request ${requestId} is ${res.rows[0].status}${expected ? `, not ${expected}` : ''}.`);
+}
+
+/*************************************************************
+ * executeWithdrawal(requestId)
+ * - pending / approved requests only, claimed as 'executing'
+ *   before anything else so only one caller gets to send
+ * - screens the destination again (lists may have changed
+ *   since the request)
+ *************************************************************/
+async function executeWithdrawal(requestId) {
+  const res = await query(`
+    UPDATE withdrawal_requests
+    SET status='executing', updated_at=NOW()
+    WHERE id=$1 AND status IN ('pending', 'approved')
+    RETURNING id, user_id, destination, amount, token
+  `, [requestId]);
+  if (!res.rows.length) {
+    throw await requestStateError(requestId);
+  }
+  const request = res.rows[0];
+  if (await isComplianceBlocked(request.user_id)) {
+    await setRequestStatus(request.id, 'held', { holdReason: 'user compliance blocked' });
+    return { requestId: request.id, status: 'held', holdReason: 'user compliance blocked' };
+  }
+  const regionCheck = await regionPolicy.checkFeature(request.user_id, 'withdrawals');
+  if (!regionCheck.allowed) {
+    await setRequestStatus(request.id, 'held', { holdReason: 'region policy' });
+    notifications.sendUserNotification(request.user_id, regionCheck.message);
+    return { requestId: request.id, status: 'held', holdReason: 'region policy' };
+  }
+
+  const rescreen = await screenRequest(request);
+  if (rescreen.hold) {
+    return holdRequest(request, rescreen);
+  }
+
+  try {
+    const { success, error, userKeypair, vaultPubkey } = await loadVaultKeypair(request.user_id);
+    if (!success) {
+      throw new Error(error);
+    }
+    const connection = getConnection();
+    const lamports = Math.floor(Number(request.amount) * 1e9);
+    const balance = await connection.getBalance(vaultPubkey);
+    if (balance < lamports + FEE_RESERVE_LAMPORTS) {
+      throw new Error('Insufficient vault balance');
+    }
+
+    const txSignature = await vaultLock.withVaultLock(request.user_id, `withdrawal:${request.id}`, async (lock) => {
+      const tx = new web3.Transaction().add(
+        web3.SystemProgram.transfer({
+          fromPubkey: vaultPubkey,
+          toPubkey: new web3.PublicKey(request.destination),
+          lamports
+        })
+      );
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      tx.feePayer = vaultPubkey;
+      tx.recentBlockhash = blockhash;
+      tx.sign(userKeypair);
+      const signature = await connection.sendRawTransaction(tx.serialize(), {
+        skipPreflight: false,
+        preflightCommitment: 'confirmed'
+      });
+      await vaultLock.recordLockTransaction(lock, signature);
+      await query(`
+        UPDATE withdrawal_requests
+        SET status='submitted', tx_signature=$2, last_valid_block_height=$3, updated_at=NOW()
+        WHERE id=$1
+      `, [request.id, signature, lastValidBlockHeight]);
+      try {
+        await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+      } catch (err) {
+        const outcome = await getTransactionOutcome(connection, signature, lastValidBlockHeight);
+        if (outcome === 'landed') return signature;
+        // known not to have landed => nothing in flight, the lock can go
+        if (outcome === 'failed') lock.txSignature = null;
+        err.transferOutcome = outcome;
+        err.txSignature = signature;
+        throw err;
+      }
+      return signature;
+    }, { waitSeconds: VAULT_LOCK_WAIT_SECONDS });
+
+    await completeWithdrawal(request, txSignature);
+    return { requestId: request.id, status: 'completed', txSignature };
+  } catch (err) {
+    if (err.transferOutcome === 'unknown') {
+      // may still land: reconcileSubmittedWithdrawals settles it
+      console.error(`Withdrawal ${request.id} left submitted:`, err.message);
+      notifications.sendUserNotification(request.user_id, MESSAGES.WITHDRAWAL_SUBMITTED(request.id, err.txSignature));
+      return { requestId: request.id, status: 'submitted', txSignature: err.txSignature };
+    }
+    console.error(`Error executing withdrawal ${request.id}:`, err);
+    await failWithdrawal(request, err.message);
+    return { requestId: request.id, status: 'failed', error: err.message };
+  }
+}
+
+async function completeWithdrawal(request, txSignature) {
+  await query(`
+    INSERT INTO vault_transactions
+      (user_id, type, amount, token, tx_signature, success, counterparty_address)
+    VALUES ($1, 'withdrawal', $2, $3, $4, true, $5)
+  `, [request.user_id, request.amount, request.token, txSignature, request.destination]);
+  await setRequestStatus(request.id, 'completed', { txSignature });
+
+  notifications.sendUserNotification(request.user_id,
+    MESSAGES.WITHDRAWAL_SENT(request.id, request.amount, request.token, txSignature));
+  transactionMonitoring.handleMonitoringEvent('withdrawal', { userId: request.user_id }).catch((err) => {
+    console.error('Error running withdrawal monitoring rules:', err);
+  });
+}
+
+async function failWithdrawal(request, reason) {
+  await query(`
+    INSERT INTO vault_transactions
+      (user_id, type, amount, token, success, error_reason, counterparty_address)
+    VALUES ($1, 'withdrawal', $2, $3, false, $4, $5)
+  `, [request.user_id, request.amount, request.token, reason, request.destination]);
+  await setRequestStatus(request.id, 'failed', { error: reason });
+  notifications.sendUserNotification(request.user_id, MESSAGES.WITHDRAWAL_FAILED(request.id, reason));
+}
+
+/*************************************************************
+ * reconcileSubmittedWithdrawals()
+ * - settles withdrawals whose confirmation failed: landed =>
+ *   completed, did not land => failed; still unknown => left
+ *   for the next run. A settled withdrawal releases the
+ *   vault lock it kept.
+ * - Returns [{ requestId, status }] for the settled ones
+ *************************************************************/
+async function reconcileSubmittedWithdrawals() {
+  const res = await query(`
+    SELECT id, user_id, destination, amount, token, tx_signature, last_valid_block_height
+    FROM withdrawal_requests
+    WHERE status='submitted' AND updated_at < NOW() - ($1 || ' minutes')::interval
+    ORDER BY id
+  `, [RECONCILE_AFTER_MINUTES]);
+  if (res.rows.length === 0) return [];
+  const connection = getConnection();
+  const settled = [];
+  for (const request of res.rows) {
+    const outcome = await getTransactionOutcome(connection, request.tx_signature, Number(request.last_valid_block_height));
+    if (outcome === 'unknown') continue;
+    const status = outcome === 'landed' ? 'completed' : 'failed';
+    // only one caller settles the row
+    const claim = await query(`
+      UPDATE withdrawal_requests
+      SET status=$2, updated_at=NOW()
+      WHERE id=$1 AND status='submitted'
+      RETURNING id
+    `, [request.id, status]);
+    if (!claim.rows.length) continue;
+    if (status === 'completed') {
+      await completeWithdrawal(request, request.tx_signature);
+    } else {
+      await failWithdrawal(request, 'Transaction did not land');
+    }
+    await vaultLock.releaseVaultLock({ userId: request.user_id, holder: `withdrawal:${request.id}` });
+    settled.push({ requestId: request.id, status });
+  }
+  return settled;
+}
+
+/*************************************************************
+ * scheduleWithdrawalReconciliation()
+ * - runs reconcileSubmittedWithdrawals every 5 minutes
+ *************************************************************/
+function scheduleWithdrawalReconciliation() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await reconcileSubmittedWithdrawals();
+    } catch (err) {
+      console.error('Error reconciling submitted withdrawals:', err);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+}
+
+/*************************************************************
+ * reviewHeldWithdrawal(adminId, requestId, decision, note)
+ * - decision 'release' => executed (the user must not be
+ *   compliance-blocked any more, close the case first); a held
+ *   screening match is recorded as an override, so the re-screen
+ *   before the transfer lets it through
+ * - decision 'reject'  => funds stay in the vault
+ *************************************************************/
+async function reviewHeldWithdrawal(adminId, requestId, decision, note = null) {
+  if (!['release', 'reject'].includes(decision)) {
+    throw new Error('Invalid decision. Must be release or reject.');
+  }
+  const res = await query(`
+    SELECT id, user_id, status FROM withdrawal_requests WHERE id=$1
+  `, [requestId]);
+  if (!res.rows.length) {
+    throw new Error(`Withdrawal request ${requestId} not found.`);
+  }
+  const request = res.rows[0];
+  if (request.status !== 'held') {
+    throw new Error(`Withdrawal request ${requestId} is ${request.status}, not held.`);
+  }
+  if (decision === 'release' && await isComplianceBlocked(request.user_id)) {
+    throw new Error(`User ${request.user_id} is still compliance-blocked; close the compliance case first.`);
+  }
+
+  // only one review wins the held row
+  const claim = await query(`
+    UPDATE withdrawal_requests
+    SET status=$2, reviewed_by=$3, review_note=$4, updated_at=NOW()
+    WHERE id=$1 AND status='held'
+    RETURNING id, screening_decision_id
+  `, [requestId, decision === 'release' ? 'approved' : 'rejected', adminId, note]);
+  if (!claim.rows.length) {
+    throw await requestStateError(requestId, 'held');
+  }
+
+  if (decision === 'reject') {
+    notifications.sendUserNotification(request.user_id, MESSAGES.WITHDRAWAL_REJECTED(requestId));
+    return { requestId, status: 'rejected' };
+  }
+  // the release confirms the held match as a false positive
+  const decisionId = claim.rows[0].screening_decision_id;
+  const held = decisionId
+    ? await query(`SELECT decision FROM wallet_screening_decisions WHERE id=$1`, [decisionId])
+    : { rows: [] };
+  if (held.rows.length && held.rows[0].decision === 'match') {
+    await walletScreening.recordOverride(adminId, decisionId, { reference: `withdrawal:${requestId}`, note });
+  }
+  return executeWithdrawal(requestId);
+}
+
+async function listHeldWithdrawals() {
+  const res = await query(`
+    SELECT w.id, w.user_id, w.destination, w.amount, w.token, w.hold_reason, w.created_at,
+           d.decision, d.matches, d.list_version
+    FROM withdrawal_requests w
+    LEFT JOIN wallet_screening_decisions d ON d.id = w.screening_decision_id
+    WHERE w.status = 'held'
+    ORDER BY w.id
+  `);
+  return res.rows;
+}
+
+/*************************************************************
+ * Exports
+ *************************************************************/
+module.exports = {
+  requestWithdrawal,
+  executeWithdrawal,
+  reconcileSubmittedWithdrawals,
+  scheduleWithdrawalReconciliation,
+  reviewHeldWithdrawal,
+  listHeldWithdrawals
+};
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/database');
+const notifications = require('../src/utils/notifications');
+const adminApprovals = require('../src/admin/adminApprovals');
+
+const ROLES = { 1: 'riskmanager', 2: 'riskmanager', 3: 'tradermanager' };
+
+let alerts;
+
+function setup() {
+  db.onQuery(/MAX\(version\)/, () => ({ rows: [{ version: 1 }] }));
+  db.onQuery(/SELECT setting_key, setting_value FROM global_settings/, () => ({
+    rows: [{ setting_key: 'dual_control_enabled', setting_value: 'true' }]
+  }));
+  db.onQuery(/SELECT role FROM admin_roles/, (sql, [userId]) => ({ rows: ROLES[userId] ? [{ role: ROLES[userId] }] : [] }));
+  db.onQuery(/INSERT INTO admin_approval_requests/, () => ({ rows: [{ id: 9, action: 'forceMarketPause', reason: 'r', requested_by: 1, expires_at: new Date() }] }));
+}
+
+function loggedActions() {
+  return db.queries.filter(([sql]) => /INSERT INTO admin_logs/.test(sql)).map(([, params]) => params[1]);
+}
+
+function requestUpdates() {
+  return db.queries.filter(([sql]) => /UPDATE admin_approval_requests SET status/.test(sql)).map(([sql, params]) => [sql.match(/status = '(\w+)'/)[1], params[1]]);
+}
+
+function pendingRequest(overrides = {}) {
+  return { id: 9, action: 'forceMarketPause', params: ['halt'], reason: 'volatility', requested_by: 1, status: 'pending', ...overrides };
+}
+
+test.beforeEach(() => {
+  db.reset();
+  setup();
+  alerts = [];
+  notifications.sendAdminGlobalAlert = (message) => alerts.push(message);
+  notifications.sendAdminNotification = () => {};
+});
+
+test('a low-impact call runs directly', async () => {
+  const action = adminApprovals.withDualControl('forceMarketPause', async (adminId, note) => `ran ${note}`, {
+    argCount: 1, isHighImpact: () => false
+  });
+  assert.equal(await action(1, 'now'), 'ran now');
+  assert.ok(!db.queries.some(([sql]) => /admin_approval_requests/.test(sql)));
+});
+
+test('a high-impact call is stored as a pending request instead of running', async () => {
+  let ran = false;
+  const action = adminApprovals.withDualControl('forceMarketPause', async () => { ran = true; }, { argCount: 1 });
+
+  const result = await action(1, 'halt', { reason: 'volatility' });
+  assert.equal(result.pendingApproval, true);
+  assert.equal(result.requestId, 9);
+  assert.equal(ran, false);
+  assert.deepEqual(loggedActions(), ['approvalRequested']);
+  await assert.rejects(action(1, 'halt'), /requires a reason/);
+});
+
+test('an emergency action is logged and announced only after it ran', async () => {
+  const action = adminApprovals.withDualControl('forceMarketPause', async () => {
+    assert.deepEqual(loggedActions(), []);
+    assert.equal(alerts.length, 0);
+    return 'paused';
+  }, { argCount: 1, emergencyAllowed: true });
+
+  const result = await action(1, 'halt', { reason: 'exploit', emergency: true });
+  assert.deepEqual(result, { executed: true, emergency: true, requestId: 9, result: 'paused' });
+  assert.deepEqual(loggedActions(), ['emergencyActionExecuted']);
+  assert.deepEqual(requestUpdates(), [['executed', undefined]]);
+  assert.equal(alerts.length, 1);
+});
+
+test('a failed emergency action is logged as failed and not announced', async () => {
+  const action = adminApprovals.withDualControl('forceMarketPause', async () => {
+    throw new Error('RPC down');
+  }, { argCount: 1, emergencyAllowed: true });
+
+  await assert.rejects(action(1, 'halt', { reason: 'exploit', emergency: true }), /RPC down/);
+  assert.deepEqual(loggedActions(), ['emergencyActionFailed']);
+  assert.deepEqual(requestUpdates(), [['failed', 'RPC down']]);
+  assert.equal(alerts.length, 0);
+});
+
+test('an emergency is refused for actions that do not allow it', async () => {
+  const action = adminApprovals.withDualControl('forceMarketPause', async () => {}, { argCount: 1 });
+  await assert.rejects(action(1, 'halt', { reason: 'exploit', emergency: true }), /cannot be executed as an emergency/);
+});
+
+test('approval runs the action as the requester', async () => {
+  const calls = [];
+  adminApprovals.withDualControl('forceMarketPause', async (...args) => { calls.push(args); return 'paused'; }, { argCount: 1 });
+  db.onQuery(/FROM admin_approval_requests\s+WHERE id = \$1/, () => ({ rows: [pendingRequest()] }));
+  db.onQuery(/SET status = 'approved', decided_by/, () => ({ rows: [{ id: 9 }] }));
+
+  const result = await adminApprovals.approveRequest(2, 9, 'ok');
+  assert.deepEqual(result, { executed: true, requestId: 9, result: 'paused' });
+  assert.deepEqual(calls, [[1, 'halt']]);
+  assert.deepEqual(loggedActions(), ['approvalApproved', 'approvalExecuted']);
+});
+
+test('the requester cannot approve, nor an admin without the capability', async () => {
+  db.onQuery(/FROM admin_approval_requests\s+WHERE id = \$1/, () => ({ rows: [pendingRequest()] }));
+
+  await assert.rejects(adminApprovals.approveRequest(1, 9), /different admin/);
+  await assert.rejects(adminApprovals.approveRequest(3, 9), { code: 'PERMISSION_DENIED' });
+  assert.ok(!db.queries.some(([sql]) => /SET status = 'approved'/.test(sql)));
+});
+
+test('approval fails when the requester lost the capability since asking', async () => {
+  let ran = false;
+  adminApprovals.withDualControl('forceMarketPause', async () => { ran = true; }, { argCount: 1 });
+  db.onQuery(/FROM admin_approval_requests\s+WHERE id = \$1/, () => ({ rows: [pendingRequest({ requested_by: 3 })] }));
+  db.onQuery(/SET status = 'approved', decided_by/, () => ({ rows: [{ id: 9 }] }));
+
+  await assert.rejects(adminApprovals.approveRequest(2, 9), { code: 'PERMISSION_DENIED' });
+  assert.equal(ran, false);
+  assert.deepEqual(requestUpdates(), [['failed', 'Permission denied: trading.pause required.']]);
+  assert.deepEqual(loggedActions(), ['approvalApproved', 'approvalFailed']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/database');
+const notifications = require('../src/utils/notifications');
+const broadcast = require('../src/admin/broadcast');
+
+// hands out the given batches, then nothing
+function claimBatches(...batches) {
+  db.onQuery(/SET status = 'sending', attempts = d.attempts \+ 1/, () => ({ rows: batches.shift() || [] }));
+}
+
+function delivery(id, overrides = {}) {
+  return { id, broadcast_id: 7, user_id: 100 + id, attempts: 1, message: 'hello', ...overrides };
+}
+
+function updatesOf(deliveryId) {
+  return db.queries.filter(([sql, params]) => /SET status = CASE WHEN \$2 = 'queued'/.test(sql) && params[0] === deliveryId);
+}
+
+test.beforeEach(() => {
+  db.reset();
+  notifications.sendCustomNotification = async () => {};
+});
+
+test('claims due deliveries atomically and skips rows another worker holds', async () => {
+  claimBatches([delivery(1), delivery(2)]);
+  const sent = [];
+  notifications.sendCustomNotification = async (userId, message) => { sent.push([userId, message]); };
+
+  assert.equal(await broadcast.processBroadcastQueue(), 2);
+  assert.deepEqual(sent, [[101, 'hello'], [102, 'hello']]);
+
+  const claims = db.queries.filter(([sql]) => /attempts = d.attempts \+ 1/.test(sql));
+  assert.equal(claims.length, 2);
+  assert.match(claims[0][0], /FOR UPDATE OF d2 SKIP LOCKED/);
+  assert.match(claims[0][0], /b2.status IN \('queued', 'sending'\)/);
+  assert.equal(updatesOf(1)[0][1][1], 'sent');
+  assert.equal(updatesOf(2)[0][1][1], 'sent');
+});
+
+test('requeues rows a crashed worker left in sending, cancelled for a cancelled broadcast', async () => {
+  claimBatches();
+  await broadcast.processBroadcastQueue();
+
+  const [sql, params] = db.queries[0];
+  assert.match(sql, /WHERE status = 'sending'\s+AND updated_at < NOW\(\)/);
+  assert.match(sql, /b.status = 'cancelled'\s+\) THEN 'cancelled' ELSE 'queued' END/);
+  assert.deepEqual(params, [5]);
+});
+
+test('a blocked bot is final, other errors retry with backoff until maxAttempts', async () => {
+  claimBatches([delivery(1), delivery(2, { attempts: 2 }), delivery(3, { attempts: 3 })]);
+  notifications.sendCustomNotification = async (userId) => {
+    if (userId === 101) throw Object.assign(new Error('Forbidden'), { response: { error_code: 403, description: 'bot was blocked by the user' } });
+    throw new Error('socket hang up');
+  };
+
+  await broadcast.processBroadcastQueue();
+
+  assert.deepEqual(updatesOf(1)[0][1], [1, 'blocked_bot', 'bot was blocked by the user', null]);
+  assert.deepEqual(updatesOf(2)[0][1], [2, 'queued', 'socket hang up', 60]);
+  assert.deepEqual(updatesOf(3)[0][1], [3, 'failed', 'socket hang up', null]);
+});
+
+test('a 429 gives the attempt back and waits retry_after', async () => {
+  claimBatches([delivery(1, { attempts: 3 })]);
+  notifications.sendCustomNotification = async () => {
+    throw Object.assign(new Error('Too Many Requests'), { response: { error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 1 } } });
+  };
+
+  await broadcast.processBroadcastQueue();
+
+  assert.ok(db.queries.some(([sql, params]) => /SET attempts = attempts - 1/.test(sql) && params[0] === 1));
+  assert.deepEqual(updatesOf(1)[0][1], [1, 'queued', 'Too Many Requests', 1]);
+});
+
+test('cancelling cancels the queued deliveries', async () => {
+  db.onQuery(/UPDATE broadcasts\s+SET status = 'cancelled'/, () => ({ rows: [{ id: 7 }] }));
+  db.onQuery(/UPDATE broadcast_deliveries\s+SET status = 'cancelled'/, () => ({ rows: [], rowCount: 4 }));
+
+  assert.deepEqual(await broadcast.cancelBroadcast(1, 7), { broadcastId: 7, cancelledDeliveries: 4 });
+});
+
+test('cancelling a finished broadcast fails with BROADCAST_FINISHED, an unknown one with not found', async () => {
+  db.onQuery(/SELECT status FROM broadcasts/, (sql, [id]) => ({ rows: id === 7 ? [{ status: 'completed' }] : [] }));
+
+  await assert.rejects(broadcast.cancelBroadcast(1, 7), { code: 'BROADCAST_FINISHED', message: 'Broadcast 7 is already completed.' });
+  await assert.rejects(broadcast.cancelBroadcast(1, 8), { message: 'Broadcast not found: 8' });
+});
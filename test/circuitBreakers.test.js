@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/database');
+const notifications = require('../src/utils/notifications');
+const circuitBreakers = require('../src/risk/circuitBreakers');
+
+const TRADE = { userId: 1, traderId: 5, fromToken: 'SOL', toToken: 'BONK' };
+
+// circuit_breaker_states for breaker 1 / scope 'global', kept in memory
+let row;
+// what the SQL time conditions would say
+let clock;
+let windowStats;
+
+function breakerConfig(overrides = {}) {
+  return { scope: 'global', maxFailures: 2, probeTrades: 2, openMinutes: 15, ...overrides };
+}
+
+function setup(config) {
+  db.onQuery(/FROM circuit_breakers\s+WHERE enabled = true/, () => ({ rows: [{ id: 1, config }] }));
+  db.onQuery(/FROM circuit_breaker_states\s+WHERE breaker_id = \$1 AND scope_key = \$2/, () => ({ rows: row ? [{ ...row }] : [] }));
+  db.onQuery(/INSERT INTO circuit_breaker_states/, (sql, [, , reason]) => {
+    row = { state: 'open', probes_in_flight: 0, probe_successes: 0, last_reason: reason };
+    return { rows: [] };
+  });
+  db.onQuery(/SET state='closed'/, (sql, [, , reason]) => {
+    row = { ...row, state: 'closed', probes_in_flight: 0, probe_successes: 0, last_reason: reason };
+    return { rows: [] };
+  });
+  db.onQuery(/SET state='half_open'/, () => {
+    if (row.state !== 'open' || !clock.openElapsed) return { rows: [] };
+    row = { ...row, state: 'half_open', probes_in_flight: 0, probe_successes: 0 };
+    return { rows: [{ state: 'half_open' }] };
+  });
+  db.onQuery(/SET probes_in_flight = probes_in_flight \+ 1/, (sql, params) => {
+    if (row.state !== 'half_open' || row.probes_in_flight + row.probe_successes >= params[2]) return { rows: [] };
+    row = { ...row, probes_in_flight: row.probes_in_flight + 1 };
+    return { rows: [{ probes_in_flight: row.probes_in_flight }] };
+  });
+  db.onQuery(/probe_successes = probe_successes \+ 1/, () => {
+    if (row.state !== 'half_open') return { rows: [] };
+    row = { ...row, probes_in_flight: Math.max(row.probes_in_flight - 1, 0), probe_successes: row.probe_successes + 1 };
+    return { rows: [{ probe_successes: row.probe_successes }] };
+  });
+  db.onQuery(/SET probes_in_flight = GREATEST\(probes_in_flight - 1, 0\), updated_at/, () => {
+    row = { ...row, probes_in_flight: Math.max(row.probes_in_flight - 1, 0) };
+    return { rows: [] };
+  });
+  db.onQuery(/SET state='open', opened_at=NOW\(\), open_minutes=NULL/, (sql, params) => {
+    if (row.state !== 'half_open' || row.probes_in_flight === 0 || !clock.probeTimedOut) return { rows: [] };
+    row = { ...row, state: 'open', probes_in_flight: 0, probe_successes: 0, last_reason: params[3] };
+    return { rows: [{ state: 'open' }] };
+  });
+  db.onQuery(/FROM circuit_breaker_events/, () => ({ rows: [windowStats] }));
+}
+
+function configure(overrides) {
+  db.reset();
+  circuitBreakers.invalidateBreakerCache();
+  setup(breakerConfig(overrides));
+}
+
+test.beforeEach(() => {
+  row = null;
+  clock = { openElapsed: false, probeTimedOut: false };
+  windowStats = { failures: '0', slippage_breaches: '0', loss_sol: '0' };
+  notifications.sendAdminGlobalAlert = () => {};
+  configure();
+});
+
+test('a closed breaker lets trades through and trips open on too many failures', async () => {
+  assert.deepEqual(await circuitBreakers.checkExecution(TRADE), { allowed: true, blockedBy: [], probes: [] });
+
+  windowStats.failures = '2';
+  await circuitBreakers.recordExecutionResult(TRADE, { success: false });
+  assert.equal(row.state, 'open');
+  assert.equal(row.last_reason, '2 failed executions in 10 min');
+
+  const check = await circuitBreakers.checkExecution(TRADE);
+  assert.equal(check.allowed, false);
+  assert.deepEqual(check.blockedBy, [{ breakerId: 1, scope: 'global', scopeKey: 'global', state: 'open', reason: row.last_reason }]);
+});
+
+test('an open breaker goes half-open after openMinutes and hands out probeTrades probes', async () => {
+  row = { state: 'open', probes_in_flight: 0, probe_successes: 0, last_reason: 'x' };
+  assert.equal((await circuitBreakers.checkExecution(TRADE)).allowed, false);
+
+  clock.openElapsed = true;
+  const first = await circuitBreakers.checkExecution(TRADE);
+  const second = await circuitBreakers.checkExecution(TRADE);
+  const third = await circuitBreakers.checkExecution(TRADE);
+  assert.deepEqual(first.probes, [{ breakerId: 1, scopeKey: 'global' }]);
+  assert.equal(second.allowed, true);
+  assert.equal(third.allowed, false);
+  assert.equal(third.blockedBy[0].reason, 'probe trades in flight');
+  assert.equal(row.probes_in_flight, 2);
+});
+
+test('all probes succeeding close the breaker', async () => {
+  row = { state: 'half_open', probes_in_flight: 0, probe_successes: 0 };
+  const a = await circuitBreakers.checkExecution(TRADE);
+  const b = await circuitBreakers.checkExecution(TRADE);
+
+  await circuitBreakers.recordExecutionResult(TRADE, { success: true }, a.probes);
+  assert.equal(row.state, 'half_open');
+  await circuitBreakers.recordExecutionResult(TRADE, { success: true }, b.probes);
+  assert.equal(row.state, 'closed');
+  assert.equal(row.last_reason, 'Recovered after 2 successful probe trade(s)');
+});
+
+test('a failed probe opens the breaker again', async () => {
+  row = { state: 'half_open', probes_in_flight: 0, probe_successes: 0 };
+  const { probes } = await circuitBreakers.checkExecution(TRADE);
+
+  await circuitBreakers.recordExecutionResult(TRADE, { success: false }, probes);
+  assert.equal(row.state, 'open');
+  assert.equal(row.last_reason, 'Probe trade failed during recovery');
+});
+
+test('a probe lost without a result opens the breaker again after probeTimeoutMinutes', async () => {
+  row = { state: 'half_open', probes_in_flight: 2, probe_successes: 0 };
+  assert.equal((await circuitBreakers.checkExecution(TRADE)).allowed, false);
+  assert.equal(row.state, 'half_open');
+
+  clock.probeTimedOut = true;
+  const check = await circuitBreakers.checkExecution(TRADE);
+  assert.equal(check.allowed, false);
+  assert.equal(row.state, 'open');
+  assert.match(row.last_reason, /Probe trade timed out/);
+});
+
+test('a blocked trade gives back the probe slots it reserved', async () => {
+  configure();
+  db.onQuery(/FROM circuit_breakers\s+WHERE enabled = true/, () => ({
+    rows: [{ id: 1, config: breakerConfig() }, { id: 2, config: breakerConfig({ scope: 'trader' }) }]
+  }));
+  db.onQuery(/FROM circuit_breaker_states\s+WHERE breaker_id = \$1 AND scope_key = \$2/, (sql, [breakerId]) => ({
+    rows: [breakerId === 1 ? { ...row } : { state: 'open', last_reason: 'trader down' }]
+  }));
+  row = { state: 'half_open', probes_in_flight: 0, probe_successes: 0 };
+
+  const check = await circuitBreakers.checkExecution(TRADE);
+  assert.deepEqual(check.probes, []);
+  assert.equal(check.blockedBy[0].breakerId, 2);
+  assert.equal(row.probes_in_flight, 0);
+});
+
+test('a breaker without autoTrip never trips on its own', async () => {
+  configure({ autoTrip: false });
+  windowStats.failures = '5';
+  await circuitBreakers.recordExecutionResult(TRADE, { success: false });
+  assert.equal(row, null);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/database');
+const flashCrashWatch = require('../src/risk/flashCrashWatch');
+const priceOracle = require('../src/oracle/priceOracle');
+const { staticPriceProvider } = require('../src/oracle/fixturePriceProviders');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+function watchOf(windows) {
+  return { symbol: 'BTC', config: flashCrashWatch.normalizeWatchConfig({ windows }) };
+}
+
+// one sample per minute, the last one at NOW
+function series(prices) {
+  return prices.map((price, i) => ({ t: NOW - (prices.length - 1 - i) * MINUTE, price }));
+}
+
+test('a static window triggers on a drop from the window high', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'static', dropPct: 0.1 }]),
+    series([100, 100, 102, 98, 95, 90]),
+    { nowMs: NOW }
+  );
+  assert.equal(result.evaluated, true);
+  assert.equal(result.triggered, true);
+  assert.equal(result.peakPrice, 102);
+  assert.ok(Math.abs(result.dropPct - 12 / 102) < 1e-12);
+  assert.equal(result.thresholdPct, 0.1);
+});
+
+test('a static window does not trigger below its threshold', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'static', dropPct: 0.1 }]),
+    series([100, 99, 98, 97, 96, 95]),
+    { nowMs: NOW }
+  );
+  assert.equal(result.evaluated, true);
+  assert.equal(result.triggered, false);
+});
+
+test('only prices inside the window count', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 1, mode: 'static', dropPct: 0.05 }]),
+    series([200, 100, 99]),
+    { nowMs: NOW }
+  );
+  assert.equal(result.peakPrice, 100);
+  assert.equal(result.triggered, false);
+});
+
+test('a static window without dropPct uses the default', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'static' }]),
+    series([100, 100, 100, 100, 100, 92]),
+    { nowMs: NOW, defaultDropPct: 0.1 }
+  );
+  assert.equal(result.thresholdPct, 0.1);
+  assert.equal(result.triggered, false);
+});
+
+test('a window without a price from its start is not evaluated', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'static', dropPct: 0.1 }]),
+    [{ t: NOW, price: 50 }],
+    { nowMs: NOW }
+  );
+  assert.equal(result.evaluated, false);
+  assert.equal(result.triggered, false);
+  assert.match(result.reason, /no price from the start/);
+});
+
+test('no samples => no price', () => {
+  const [result] = flashCrashWatch.evaluateWatch(watchOf([{ minutes: 5, mode: 'static', dropPct: 0.1 }]), [], { nowMs: NOW });
+  assert.equal(result.reason, 'no price');
+});
+
+test('a sigma window needs volatility history from before the window', () => {
+  const [result] = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'sigma', sigmas: 4, minDropPct: 0.02 }]),
+    series([100, 100, 100, 100, 100, 80]),
+    { nowMs: NOW }
+  );
+  assert.equal(result.evaluated, false);
+  assert.match(result.reason, /not enough price history/);
+});
+
+test('a sigma window scales its threshold with the volatility before the window', () => {
+  // +-0.1% per minute for an hour, then a 5-minute window
+  const calm = Array.from({ length: 60 }, (_, i) => (i % 2 ? 100.1 : 100));
+  const crash = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'sigma', sigmas: 4, minDropPct: 0.01 }]),
+    series([...calm, 100, 100, 100, 100, 100, 95]),
+    { nowMs: NOW }
+  )[0];
+  assert.equal(crash.evaluated, true);
+  assert.ok(crash.volatility > 0);
+  assert.equal(crash.thresholdPct, Math.max(0.01, 4 * crash.volatility * Math.sqrt(5)));
+  assert.equal(crash.triggered, true);
+
+  const wobble = flashCrashWatch.evaluateWatch(
+    watchOf([{ minutes: 5, mode: 'sigma', sigmas: 4, minDropPct: 0.01 }]),
+    series([...calm, 100, 100, 100, 100, 100, 99.5]),
+    { nowMs: NOW }
+  )[0];
+  assert.equal(wobble.evaluated, true);
+  assert.equal(wobble.triggered, false);
+});
+
+test('worstTriggered picks the window furthest past its threshold', () => {
+  const results = flashCrashWatch.evaluateWatch(
+    watchOf([
+      { minutes: 1, mode: 'static', dropPct: 0.05 },
+      { minutes: 5, mode: 'static', dropPct: 0.1 }
+    ]),
+    series([100, 100, 100, 100, 100, 90]),
+    { nowMs: NOW }
+  );
+  assert.deepEqual(results.map((r) => r.triggered), [true, true]);
+  assert.equal(flashCrashWatch.worstTriggered(results).minutes, 1);
+});
+
+test('setWatch rejects a symbol no price source quotes', async () => {
+  db.reset();
+  priceOracle.configureProviders([staticPriceProvider({ SOL: 150 })]);
+  await assert.rejects(flashCrashWatch.setWatch(1, 'BONK', {}), /No price source quotes BONK/);
+  assert.equal(db.queries.length, 0);
+  const result = await flashCrashWatch.setWatch(1, 'wsol', {});
+  assert.equal(result.symbol, 'SOL');
+});
@@ -0,0 +1,53 @@
+/*************************************************************
+ * database.js (test helper)
+ *
+ * Location: /test/helpers/database.js
+ *
+ * Replaces src/database/database.js in the require cache, so the
+ * modules under test run without PostgreSQL. Require it before
+ * the module under test.
+ *  - onQuery(pattern, handler): handler(sql, params) answers the
+ *    queries whose SQL matches pattern; the last match wins
+ *  - unmatched queries return no rows; the settings registry
+ *    sees no stored settings and serves its defaults
+ *  - queries: every [sql, params] seen since the last reset()
+ *************************************************************/
+
+const path = require('path');
+
+const DATABASE_PATH = path.join(__dirname, '..', '..', 'src', 'database', 'database.js');
+
+const handlers = [];
+const queries = [];
+
+async function query(sql, params = []) {
+  queries.push([sql, params]);
+  for (let i = handlers.length - 1; i >= 0; i -= 1) {
+    if (handlers[i].pattern.test(sql)) return handlers[i].handler(sql, params);
+  }
+  if (/MAX\(version\)/.test(sql)) return { rows: [{ version: 0 }], rowCount: 1 };
+  return { rows: [], rowCount: 0 };
+}
+
+require.cache[DATABASE_PATH] = {
+  id: DATABASE_PATH,
+  filename: DATABASE_PATH,
+  loaded: true,
+  exports: { query }
+};
+
+function onQuery(pattern, handler) {
+  handlers.push({ pattern, handler });
+}
+
+function reset() {
+  handlers.length = 0;
+  queries.length = 0;
+}
+
+module.exports = {
+  query,
+  queries,
+  onQuery,
+  reset
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/database');
+const meltdownMode = require('../src/risk/meltdownMode');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const CONFIG = { escalateHoldMs: 0, deescalateCooldownMs: 15 * MINUTE };
+
+function state(overrides = {}) {
+  return { level: 0, floorLevel: 0, pendingLevel: null, pendingSince: null, ...overrides };
+}
+
+test('escalates at once without a hold time', () => {
+  assert.deepEqual(meltdownMode.nextLevel(state(), 3, NOW, CONFIG), { level: 3, pendingLevel: null, pendingSince: null });
+});
+
+test('escalation waits for the hold time', () => {
+  const config = { ...CONFIG, escalateHoldMs: 5 * MINUTE };
+  const first = meltdownMode.nextLevel(state(), 2, NOW, config);
+  assert.deepEqual(first, { level: 0, pendingLevel: 2, pendingSince: NOW });
+
+  const held = state({ pendingLevel: 2, pendingSince: new Date(NOW) });
+  assert.equal(meltdownMode.nextLevel(held, 2, NOW + 4 * MINUTE, config).level, 0);
+  assert.deepEqual(meltdownMode.nextLevel(held, 2, NOW + 5 * MINUTE, config), { level: 2, pendingLevel: null, pendingSince: null });
+});
+
+test('de-escalates one level per cooldown', () => {
+  const first = meltdownMode.nextLevel(state({ level: 3 }), 0, NOW, CONFIG);
+  assert.deepEqual(first, { level: 3, pendingLevel: 0, pendingSince: NOW });
+
+  const cooled = state({ level: 3, pendingLevel: 0, pendingSince: new Date(NOW) });
+  const step = meltdownMode.nextLevel(cooled, 0, NOW + 15 * MINUTE, CONFIG);
+  assert.deepEqual(step, { level: 2, pendingLevel: 0, pendingSince: NOW + 15 * MINUTE });
+
+  // the next step waits for a fresh cooldown
+  const next = state({ level: 2, pendingLevel: 0, pendingSince: new Date(step.pendingSince) });
+  assert.equal(meltdownMode.nextLevel(next, 0, NOW + 20 * MINUTE, CONFIG).level, 2);
+  assert.equal(meltdownMode.nextLevel(next, 0, NOW + 30 * MINUTE, CONFIG).level, 1);
+});
+
+test('a pending escalation does not count towards a de-escalation', () => {
+  const pendingUp = state({ level: 2, pendingLevel: 3, pendingSince: new Date(NOW - 60 * MINUTE) });
+  assert.deepEqual(meltdownMode.nextLevel(pendingUp, 0, NOW, CONFIG), { level: 2, pendingLevel: 0, pendingSince: NOW });
+});
+
+test('never de-escalates below the admin floor', () => {
+  const floored = state({ level: 3, floorLevel: 3, pendingLevel: null });
+  assert.deepEqual(meltdownMode.nextLevel(floored, 0, NOW, CONFIG), { level: 3, pendingLevel: null, pendingSince: null });
+  const aboveFloor = state({ level: 4, floorLevel: 2, pendingLevel: 2, pendingSince: new Date(NOW - 60 * MINUTE) });
+  assert.equal(meltdownMode.nextLevel(aboveFloor, 0, NOW, CONFIG).level, 3);
+});
+
+test('an unchanged target clears a pending change', () => {
+  const pending = state({ level: 2, pendingLevel: 0, pendingSince: new Date(NOW) });
+  assert.deepEqual(meltdownMode.nextLevel(pending, 2, NOW, CONFIG), { level: 2, pendingLevel: null, pendingSince: null });
+});
+
+test('classifies exits and entries', () => {
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'BONK', toToken: 'SOL' }), 'exit');
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'SOL', toToken: 'USDC' }), 'exit');
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'SOL', toToken: 'BONK' }), 'entry');
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'USDC', toToken: 'SOL' }), 'entry');
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'SOL', toToken: 'BONK', stopLoss: true }), 'exit');
+  assert.equal(meltdownMode.classifyTrade({ fromToken: 'BONK', toToken: 'SOL', side: 'entry' }), 'entry');
+});
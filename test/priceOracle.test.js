@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/database');
+const priceOracle = require('../src/oracle/priceOracle');
+const { staticPriceProvider } = require('../src/oracle/fixturePriceProviders');
+
+// settings defaults: max age 120s, outlier 2%, 2 sources
+const FRESH = { maxCacheMs: 0 };
+
+function useProviders(...prices) {
+  const providers = prices.map((p, i) => staticPriceProvider(p, { name: `p${i + 1}` }));
+  priceOracle.configureProviders(providers);
+  return providers;
+}
+
+test('quotes the median of the fresh sources', async () => {
+  useProviders({ BTC: 100 }, { BTC: 101 }, { BTC: 102 });
+  const quote = await priceOracle.getPrice('BTC', FRESH);
+  assert.equal(quote.price, 101);
+  assert.equal(quote.status, 'ok');
+  assert.equal(quote.usable, true);
+  assert.equal(quote.sourceCount, 3);
+});
+
+test('rejects a source far from the median and takes the median again', async () => {
+  useProviders({ SOL: 100 }, { SOL: 101 }, { SOL: 150 });
+  const quote = await priceOracle.getPrice('SOL', FRESH);
+  assert.equal(quote.price, 100.5);
+  assert.equal(quote.status, 'ok');
+  assert.equal(quote.sourceCount, 2);
+  assert.deepEqual(quote.sources.map((s) => s.status), ['used', 'used', 'outlier']);
+});
+
+test('sources that disagree give no price', async () => {
+  useProviders({ ETH: 100 }, { ETH: 200 });
+  const quote = await priceOracle.getPrice('ETH', FRESH);
+  assert.equal(quote.status, 'disputed');
+  assert.equal(quote.usable, false);
+  assert.equal(quote.price, null);
+});
+
+test('fewer agreeing sources than required is degraded and not usable', async () => {
+  const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  useProviders({ BTC: 100 }, { BTC: { price: 100, publishedAt: stale } });
+  const quote = await priceOracle.getPrice('BTC', FRESH);
+  assert.equal(quote.status, 'degraded');
+  assert.equal(quote.usable, false);
+  assert.equal(quote.price, 100);
+});
+
+test('resolves mints to their symbol', async () => {
+  useProviders({ SOL: 150 }, { SOL: 150 });
+  const quote = await priceOracle.getPrice('So11111111111111111111111111111111111111112', FRESH);
+  assert.equal(quote.symbol, 'SOL');
+  assert.equal(quote.price, 150);
+  assert.equal(priceOracle.supports('WSOL'), true);
+  assert.equal(priceOracle.supports('BONK'), false);
+});
+
+test('resolves a mint a provider lists to its symbol and keeps unknown mints as they are', async () => {
+  const bonkMint = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+  const byMint = { ...staticPriceProvider({ BONK: 0.00002 }, { name: 'bymint' }), mints: { BONK: bonkMint } };
+  priceOracle.configureProviders([byMint]);
+  assert.equal(priceOracle.resolveSymbol(bonkMint), 'BONK');
+  assert.equal(priceOracle.supports(bonkMint), true);
+  const quote = await priceOracle.getPrice(bonkMint, FRESH);
+  assert.equal(quote.symbol, 'BONK');
+  assert.equal(quote.price, 0.00002);
+  const unknownMint = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+  assert.equal(priceOracle.resolveSymbol(unknownMint), unknownMint);
+});
+
+test('stale sources fall back to the last good price, which is not usable', async () => {
+  const [a, b] = useProviders({ BTC: 100 }, { BTC: 100 });
+  assert.equal((await priceOracle.getPrice('BTC', FRESH)).status, 'ok');
+
+  const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  a.set('BTC', { price: 90, publishedAt: stale });
+  b.set('BTC', { price: 90, publishedAt: stale });
+  const quote = await priceOracle.getPrice('BTC', FRESH);
+  assert.equal(quote.status, 'stale');
+  assert.equal(quote.usable, false);
+  assert.equal(quote.price, 100);
+  assert.deepEqual(quote.sources.map((s) => s.status), ['stale', 'stale']);
+});
+
+test('no fresh source and no last good price is unavailable', async () => {
+  const [a] = useProviders({ BTC: 100 });
+  a.fail('rpc down');
+  const quote = await priceOracle.getPrice('BTC', FRESH);
+  assert.equal(quote.status, 'unavailable');
+  assert.equal(quote.price, null);
+  assert.equal(quote.usable, false);
+});
+
+test('a failing source is skipped while the others still quote', async () => {
+  const [a] = useProviders({ BTC: 100 }, { BTC: 101 }, { BTC: 102 });
+  a.fail(new Error('timeout'));
+  const quote = await priceOracle.getPrice('BTC', FRESH);
+  assert.equal(quote.price, 101.5);
+  assert.equal(quote.status, 'ok');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/database');
+const subscription = require('../src/vault/subscription');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+
+const PLANS = {
+  free: { id: 'free', name: 'Free', tier: 0, prices: { monthly: 0, yearly: 0 } },
+  premium: { id: 'premium', name: 'Premium', tier: 1, prices: { monthly: 10, yearly: 100 } },
+  pro: { id: 'pro', name: 'Pro', tier: 2, prices: { monthly: 30, yearly: 300 } }
+};
+
+// periodPayments default to one payment of today's catalog price for the current period
+function paid(planId, interval, daysLeft, creditUsd = 0, periodPayments = null) {
+  const plan = PLANS[planId];
+  const expiresAt = NOW + daysLeft * DAY;
+  const payments = periodPayments || [
+    { priceUsd: plan.prices[interval], paidFrom: expiresAt - (interval === 'yearly' ? 365 : 30) * DAY, paidUntil: expiresAt }
+  ];
+  return { plan, paidPlan: plan, interval, expiresAt, active: daysLeft > 0, creditUsd, periodPayments: payments };
+}
+
+function free(creditUsd = 0) {
+  return { plan: PLANS.free, paidPlan: null, interval: null, expiresAt: null, active: false, creditUsd };
+}
+
+test('a new subscription costs the full price for a new period', () => {
+  const change = subscription.computePlanChange(free(), { plan: PLANS.premium, interval: 'monthly' }, NOW);
+  assert.deepEqual(change, {
+    kind: 'new', priceUsd: 10, unusedCreditUsd: 0, creditUsedUsd: 0, chargeUsd: 10, creditAfterUsd: 0, expiresAt: NOW + 30 * DAY
+  });
+});
+
+test('credit pays first', () => {
+  const change = subscription.computePlanChange(free(3), { plan: PLANS.premium, interval: 'monthly' }, NOW);
+  assert.equal(change.creditUsedUsd, 3);
+  assert.equal(change.chargeUsd, 7);
+  assert.equal(change.creditAfterUsd, 0);
+});
+
+test('an upgrade keeps the period and charges the prorated difference', () => {
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 15), { plan: PLANS.pro, interval: 'monthly' }, NOW);
+  assert.equal(change.kind, 'upgrade');
+  assert.equal(change.unusedCreditUsd, 5);
+  assert.equal(change.priceUsd, 15);
+  assert.equal(change.chargeUsd, 10);
+  assert.equal(change.expiresAt, NOW + 15 * DAY);
+});
+
+test('a downgrade keeps what it does not need as credit', () => {
+  const change = subscription.computePlanChange(paid('pro', 'monthly', 15), { plan: PLANS.premium, interval: 'monthly' }, NOW);
+  assert.equal(change.kind, 'downgrade');
+  assert.equal(change.unusedCreditUsd, 15);
+  assert.equal(change.priceUsd, 5);
+  assert.equal(change.chargeUsd, 0);
+  assert.equal(change.creditAfterUsd, 10);
+});
+
+test('unused time is credited at what was paid for it, not at today\'s price', () => {
+  const payments = [{ priceUsd: 8, paidFrom: NOW - 15 * DAY, paidUntil: NOW + 15 * DAY }];
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 15, 0, payments), { plan: PLANS.pro, interval: 'monthly' }, NOW);
+  assert.equal(change.unusedCreditUsd, 4);
+  assert.equal(change.priceUsd, 15);
+  assert.equal(change.chargeUsd, 11);
+});
+
+test('a granted plan without payments on record gives no credit', () => {
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 15, 0, []), { plan: PLANS.free, interval: 'monthly' }, NOW);
+  assert.equal(change.unusedCreditUsd, 0);
+  assert.equal(change.creditAfterUsd, 0);
+
+  const upgrade = subscription.computePlanChange(paid('premium', 'monthly', 15, 0, []), { plan: PLANS.pro, interval: 'monthly' }, NOW);
+  assert.equal(upgrade.chargeUsd, 15);
+});
+
+test('a renewal paid ahead is credited in full next to the rest of the current period', () => {
+  const payments = [
+    { priceUsd: 10, paidFrom: NOW + DAY, paidUntil: NOW + 31 * DAY },
+    { priceUsd: 9, paidFrom: NOW - 29 * DAY, paidUntil: NOW + DAY }
+  ];
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 31, 0, payments), { plan: PLANS.free, interval: 'monthly' }, NOW);
+  assert.equal(change.unusedCreditUsd, 10.3);
+  assert.equal(change.creditAfterUsd, 10.3);
+});
+
+test('period payments run back to the last plan change', async () => {
+  db.reset();
+  const iso = (ms) => new Date(ms).toISOString();
+  db.onQuery(/FROM subscription_payments/, () => ({
+    rows: [
+      { kind: 'renewal', plan_id: 'premium', plan_interval: 'monthly', price_usd: '10', created_at: iso(NOW - DAY), expires_at: iso(NOW + 30 * DAY) },
+      { kind: 'upgrade', plan_id: 'premium', plan_interval: 'monthly', price_usd: '4', created_at: iso(NOW - 10 * DAY), expires_at: iso(NOW) },
+      { kind: 'new', plan_id: 'free', plan_interval: 'monthly', price_usd: '0', created_at: iso(NOW - 40 * DAY), expires_at: iso(NOW - 10 * DAY) }
+    ],
+    rowCount: 3
+  }));
+  const payments = await subscription.getPeriodPayments(7, paid('premium', 'monthly', 30));
+  assert.deepEqual(payments, [
+    { priceUsd: 10, paidFrom: NOW, paidUntil: NOW + 30 * DAY },
+    { priceUsd: 4, paidFrom: NOW - 10 * DAY, paidUntil: NOW }
+  ]);
+});
+
+test('changing the interval starts a new period at the full price', () => {
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 15), { plan: PLANS.premium, interval: 'yearly' }, NOW);
+  assert.equal(change.kind, 'interval_change');
+  assert.equal(change.priceUsd, 100);
+  assert.equal(change.chargeUsd, 95);
+  assert.equal(change.expiresAt, NOW + 365 * DAY);
+});
+
+test('switching to free turns the unused time into credit', () => {
+  const change = subscription.computePlanChange(paid('premium', 'monthly', 15), { plan: PLANS.free, interval: 'monthly' }, NOW);
+  assert.equal(change.kind, 'downgrade');
+  assert.equal(change.priceUsd, 0);
+  assert.equal(change.creditAfterUsd, 5);
+  assert.equal(change.expiresAt, null);
+});
+
+test('an expired plan counts as free', () => {
+  const change = subscription.computePlanChange(paid('premium', 'monthly', -2), { plan: PLANS.premium, interval: 'monthly' }, NOW);
+  assert.equal(change.kind, 'new');
+  assert.equal(change.unusedCreditUsd, 0);
+  assert.equal(change.chargeUsd, 10);
+});
+
+test('the current plan or free-to-free is rejected', () => {
+  assert.throws(() => subscription.computePlanChange(paid('premium', 'monthly', 10), { plan: PLANS.premium, interval: 'monthly' }, NOW));
+  assert.throws(() => subscription.computePlanChange(free(), { plan: PLANS.free, interval: 'monthly' }, NOW));
+});
+
+test('a renewal adds one period from the end of the current one', () => {
+  const renewal = subscription.computeRenewal(paid('premium', 'monthly', 1, 3), NOW);
+  assert.deepEqual(renewal, {
+    kind: 'renewal', priceUsd: 10, unusedCreditUsd: 0, creditUsedUsd: 3, chargeUsd: 7, creditAfterUsd: 0, expiresAt: NOW + 31 * DAY
+  });
+});
+
+test('a lapsed renewal starts from now and keeps unused credit', () => {
+  const renewal = subscription.computeRenewal(paid('premium', 'yearly', -3, 250), NOW);
+  assert.equal(renewal.chargeUsd, 0);
+  assert.equal(renewal.creditUsedUsd, 100);
+  assert.equal(renewal.creditAfterUsd, 150);
+  assert.equal(renewal.expiresAt, NOW + 365 * DAY);
+});